@@ -5,6 +5,9 @@ param(
   [int]$ClientId = 101,
   [int]$WarehouseId = 201,
   [int]$UserId = 1002,
+  [int]$ProductId = 401,
+  [int]$LotId = 501,
+  [int]$Qty = 1,
   [switch]$StartServerIfDown = $true
 )
 
@@ -30,6 +33,9 @@ function Invoke-Api {
 
 $serverProcess = $null
 $authHeader = $null
+$inboundOrderId = $null
+$inboundItemId = $null
+$inboundOrder = $null
 $outboundOrderId = $null
 
 try {
@@ -43,13 +49,33 @@ try {
 
   $ts = [DateTimeOffset]::UtcNow.ToUnixTimeSeconds()
   $today = (Get-Date).ToString("yyyy-MM-dd")
-  $packedIso = (Get-Date).ToUniversalTime().ToString("yyyy-MM-ddTHH:mm:ssZ")
+  $receivedIso = (Get-Date).ToUniversalTime().ToString("yyyy-MM-ddTHH:mm:ssZ")
 
   $login = Invoke-Api -Method POST -Url "$BaseUrl/auth/login" -Body @{ email=$Email; password=$Password }
   if (-not $login.ok) { throw "login failed" }
   $authHeader = @{ Authorization = "Bearer $($login.data.token)" }
   Write-Host "LOGIN_OK=$($login.ok)"
 
+  # Confirming reserves stock, so receive an inbound order for the line first.
+  $inbound = Invoke-Api -Method POST -Url "$BaseUrl/inbound-orders" -Headers $authHeader -Body @{
+    inbound_no="IB-OBDETAIL-$ts"; client_id=$ClientId; warehouse_id=$WarehouseId; inbound_date=$today; status="draft"; memo="outbound detail e2e stock"; created_by=$UserId
+  }
+  if (-not $inbound.ok) { throw "inbound order create failed" }
+  $inboundOrderId = [int]$inbound.data.id
+  $inboundOrder = $inbound.data
+
+  $inboundItem = Invoke-Api -Method POST -Url "$BaseUrl/inbound-items" -Headers $authHeader -Body @{
+    inbound_order_id=$inboundOrderId; product_id=$ProductId; lot_id=$LotId; qty=$Qty; remark="outbound detail e2e stock"
+  }
+  if (-not $inboundItem.ok) { throw "inbound item create failed" }
+  $inboundItemId = [int]$inboundItem.data.id
+
+  $received = Invoke-Api -Method PUT -Url "$BaseUrl/inbound-orders/$inboundOrderId" -Headers $authHeader -Body @{
+    inbound_no=$inboundOrder.inbound_no; client_id=$ClientId; warehouse_id=$WarehouseId; inbound_date=$today; status="received"; memo=$inboundOrder.memo; created_by=$UserId; received_at=$receivedIso
+  }
+  if (-not $received.ok) { throw "inbound receive failed" }
+  Write-Host "INBOUND_RECEIVED_OK=True INBOUND_ORDER_ID=$inboundOrderId"
+
   $created = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders" -Headers $authHeader -Body @{
     outbound_no="OB-DETAIL-$ts"; client_id=$ClientId; warehouse_id=$WarehouseId; order_date=$today; status="draft"; created_by=$UserId
   }
@@ -57,6 +83,12 @@ try {
   $outboundOrderId = [int]$created.data.id
   Write-Host "ORDER_CREATE_OK=True ORDER_ID=$outboundOrderId"
 
+  $item = Invoke-Api -Method POST -Url "$BaseUrl/outbound-items" -Headers $authHeader -Body @{
+    outbound_order_id=$outboundOrderId; product_id=$ProductId; lot_id=$LotId; qty=$Qty; box_type="BOX"; box_count=1; remark="outbound detail e2e"
+  }
+  if (-not $item.ok) { throw "outbound item create failed" }
+  Write-Host "ITEM_CREATE_OK=True ITEM_ID=$($item.data.id)"
+
   $boxNo = "BOX-DETAIL-$ts"
   $box = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders/$outboundOrderId/boxes" -Headers $authHeader -Body @{
     box_no=$boxNo; courier="E2E"; tracking_no="TRK-$boxNo"; item_count=1
@@ -71,20 +103,11 @@ try {
   $before = Invoke-Api -Method GET -Url "$BaseUrl/outbound-orders/$outboundOrderId" -Headers $authHeader
   if (-not $before.ok) { throw "detail before update failed" }
 
-  $updated = Invoke-Api -Method PUT -Url "$BaseUrl/outbound-orders/$outboundOrderId" -Headers $authHeader -Body @{
-    outbound_no=$before.data.outbound_no
-    client_id=$before.data.client_id
-    warehouse_id=$before.data.warehouse_id
-    order_date=$today
-    sales_channel=$before.data.sales_channel
-    order_no=$before.data.order_no
-    tracking_no=$before.data.tracking_no
-    status="packed"
-    packed_at=$packedIso
-    shipped_at=$before.data.shipped_at
-    created_by=$before.data.created_by
+  foreach ($action in @("confirm", "allocate", "pick", "pack")) {
+    $step = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders/$outboundOrderId/$action" -Headers $authHeader -Body @{ note="outbound detail e2e" }
+    if (-not $step.ok) { throw "$action action failed" }
+    Write-Host "ACTION_OK=True ACTION=$action STATUS=$($step.data.status)"
   }
-  if (-not $updated.ok) { throw "status transition failed" }
 
   $after = Invoke-Api -Method GET -Url "$BaseUrl/outbound-orders/$outboundOrderId" -Headers $authHeader
   if (-not $after.ok) { throw "detail after update failed" }
@@ -96,5 +119,17 @@ try {
   if ($outboundOrderId) {
     try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/outbound-orders/$outboundOrderId" -Headers $authHeader } catch {}
   }
+  if ($inboundOrderId) {
+    # Back to draft reverses the received stock so the line and order can be removed.
+    try {
+      $null = Invoke-Api -Method PUT -Url "$BaseUrl/inbound-orders/$inboundOrderId" -Headers $authHeader -Body @{
+        inbound_no=$inboundOrder.inbound_no; client_id=$ClientId; warehouse_id=$WarehouseId; inbound_date=$today; status="draft"; memo=$inboundOrder.memo; created_by=$UserId; received_at=$null
+      }
+    } catch {}
+    if ($inboundItemId) {
+      try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/inbound-items/$inboundItemId" -Headers $authHeader } catch {}
+    }
+    try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/inbound-orders/$inboundOrderId" -Headers $authHeader } catch {}
+  }
   if ($serverProcess -and -not $serverProcess.HasExited) { try { Stop-Process -Id $serverProcess.Id -Force } catch {} }
 }
@@ -79,11 +79,15 @@ try {
   if (-not $ob.ok) { throw "outbound order create failed" }
   $outboundOrderId = [int]$ob.data.id
 
+  # Draft lines do not hold stock; the shortage surfaces when confirm reserves it.
+  $item = Invoke-Api -Method POST -Url "$BaseUrl/outbound-items" -Headers $authHeader -Body @{
+    outbound_order_id=$outboundOrderId; product_id=$ProductId; lot_id=$LotId; qty=$OutboundQty; box_type="BOX"; box_count=1; remark="insufficient stock case"
+  }
+  if (-not $item.ok) { throw "outbound item create failed" }
+
   $failedAsExpected = $false
   try {
-    $null = Invoke-Api -Method POST -Url "$BaseUrl/outbound-items" -Headers $authHeader -Body @{
-      outbound_order_id=$outboundOrderId; product_id=$ProductId; lot_id=$LotId; qty=$OutboundQty; box_type="BOX"; box_count=1; remark="insufficient stock case"
-    }
+    $null = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders/$outboundOrderId/confirm" -Headers $authHeader -Body @{ note="insufficient stock case" }
   } catch {
     $json = $_.ErrorDetails.Message
     if (-not $json) { throw }
@@ -97,9 +101,12 @@ try {
   }
 
   if (-not $failedAsExpected) {
-    throw "expected outbound-items to fail with INSUFFICIENT_STOCK"
+    throw "expected outbound confirm to fail with INSUFFICIENT_STOCK"
   }
 
+  $after = Invoke-Api -Method GET -Url "$BaseUrl/outbound-orders/$outboundOrderId" -Headers $authHeader
+  if ($after.data.status -ne "draft") { throw "expected order to stay draft, got $($after.data.status)" }
+
   Write-Host "FLOW_OK=True"
 } finally {
   if ($outboundOrderId) {
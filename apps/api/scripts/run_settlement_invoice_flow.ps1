@@ -87,6 +87,9 @@ $created = @{
   inboundOrderId = $null
   outboundItemId = $null
   outboundOrderId = $null
+  outboundShipped = $false
+  inboundNo = $null
+  inboundReceived = $false
 }
 
 try {
@@ -162,7 +165,7 @@ try {
 
   Write-Host "CTX_USER_ID=$UserId CTX_CLIENT_ID=$ClientId CTX_WAREHOUSE_ID=$WarehouseId CTX_PRODUCT_ID=$ProductId CTX_LOT_ID=$LotId"
 
-  # 1) Prepare stock by inbound (precondition for outbound shipment)
+  # 1) Prepare stock by a received inbound (precondition for outbound shipment)
   $inboundOrder = Invoke-Api -Method POST -Url "$BaseUrl/inbound-orders" -Headers $authHeader -Body @{
     inbound_no = "IB-INT-$ts"
     client_id = $ClientId
@@ -187,7 +190,22 @@ try {
   Assert-Ok -Response $inboundItem -Step "inbound-item-create"
   $created.inboundItemId = [int]$inboundItem.data.id
 
-  # 2) Outbound -> service event auto-generation
+  # Items on a draft inbound order are not stock yet; receive the order before shipping from it.
+  $created.inboundNo = [string]$inboundOrder.data.inbound_no
+  $inboundReceived = Invoke-Api -Method PUT -Url "$BaseUrl/inbound-orders/$($created.inboundOrderId)" -Headers $authHeader -Body @{
+    inbound_no = $created.inboundNo
+    client_id = $ClientId
+    warehouse_id = $WarehouseId
+    inbound_date = $today
+    status = "received"
+    memo = "integration-flow inbound"
+    created_by = $UserId
+    received_at = (Get-Date).ToUniversalTime().ToString("yyyy-MM-ddTHH:mm:ssZ")
+  }
+  Assert-Ok -Response $inboundReceived -Step "inbound-order-receive"
+  $created.inboundReceived = $true
+
+  # 2) Outbound shipment -> service event auto-generation
   $outboundOrder = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders" -Headers $authHeader -Body @{
     outbound_no = "OB-INT-$ts"
     client_id = $ClientId
@@ -214,6 +232,31 @@ try {
   Assert-Ok -Response $outboundItem -Step "outbound-item-create"
   $created.outboundItemId = [int]$outboundItem.data.id
 
+  # Stock is reserved at confirm and service events are created at ship, so drive the order out.
+  foreach ($action in @("confirm", "allocate", "pick")) {
+    $step = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders/$($created.outboundOrderId)/$action" -Headers $authHeader -Body @{
+      note = "integration-flow $action"
+    }
+    Assert-Ok -Response $step -Step "outbound-$action"
+  }
+
+  $outboundBox = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders/$($created.outboundOrderId)/boxes" -Headers $authHeader -Body @{
+    box_no = "BOX-INT-$ts"
+    courier = "E2E"
+    tracking_no = "TRK-$ts"
+    item_count = 1
+  }
+  Assert-Ok -Response $outboundBox -Step "outbound-box-create"
+
+  foreach ($action in @("pack", "ship")) {
+    $step = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders/$($created.outboundOrderId)/$action" -Headers $authHeader -Body @{
+      tracking_no = "TRK-$ts"
+      note = "integration-flow $action"
+    }
+    Assert-Ok -Response $step -Step "outbound-$action"
+  }
+  $created.outboundShipped = $true
+
   $events = Invoke-Api -Method GET -Url "$BaseUrl/service-events?outbound_order_id=$($created.outboundOrderId)" -Headers $authHeader
   Assert-Ok -Response $events -Step "service-events"
   $eventsCount = @($events.data).Count
@@ -280,16 +323,33 @@ try {
   Write-Host "FLOW_OK=True"
 } finally {
   # Cleanup in reverse order for stock consistency
-  if ($created.outboundItemId) {
+  # Shipped lines are ledger history and cannot be deleted.
+  if ($created.outboundItemId -and -not $created.outboundShipped) {
     try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/outbound-items/$($created.outboundItemId)" -Headers $authHeader } catch { $cleanupErrors += "outbound-item delete failed: $($_.Exception.Message)" }
   }
   if ($created.outboundOrderId) {
     try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/outbound-orders/$($created.outboundOrderId)" -Headers $authHeader } catch { $cleanupErrors += "outbound-order delete failed: $($_.Exception.Message)" }
   }
-  if ($created.inboundItemId) {
+  # Received stock that has shipped stays as ledger history; otherwise reopen the receipt so it can be removed.
+  if ($created.inboundReceived -and -not $created.outboundShipped) {
+    try {
+      $null = Invoke-Api -Method PUT -Url "$BaseUrl/inbound-orders/$($created.inboundOrderId)" -Headers $authHeader -Body @{
+        inbound_no = $created.inboundNo
+        client_id = $ClientId
+        warehouse_id = $WarehouseId
+        inbound_date = $today
+        status = "draft"
+        memo = "integration-flow inbound"
+        created_by = $UserId
+        received_at = $null
+      }
+      $created.inboundReceived = $false
+    } catch { $cleanupErrors += "inbound-order reopen failed: $($_.Exception.Message)" }
+  }
+  if ($created.inboundItemId -and -not $created.inboundReceived) {
     try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/inbound-items/$($created.inboundItemId)" -Headers $authHeader } catch { $cleanupErrors += "inbound-item delete failed: $($_.Exception.Message)" }
   }
-  if ($created.inboundOrderId) {
+  if ($created.inboundOrderId -and -not $created.inboundReceived) {
     try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/inbound-orders/$($created.inboundOrderId)" -Headers $authHeader } catch { $cleanupErrors += "inbound-order delete failed: $($_.Exception.Message)" }
   }
 
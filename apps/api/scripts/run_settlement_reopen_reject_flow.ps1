@@ -46,7 +46,7 @@ function Select-IdByField($rows, $fieldName, $expectedValue) {
 $serverProcess = $null
 $cleanupErrors = @()
 $authHeader = $null
-$created = @{ inboundOrderId=$null; inboundItemId=$null; outboundOrderId=$null; outboundItemId=$null }
+$created = @{ inboundOrderId=$null; inboundItemId=$null; outboundOrderId=$null; outboundItemId=$null; outboundShipped=$false; inboundNo=$null; inboundReceived=$false }
 
 try {
   if ($StartServerIfDown) {
@@ -96,6 +96,14 @@ try {
   Assert-Ok $ibi "inbound-item"
   $created.inboundItemId = [int]$ibi.data.id
 
+  # Items on a draft inbound order are not stock yet; receive the order before shipping from it.
+  $created.inboundNo = [string]$ib.data.inbound_no
+  $received = Invoke-Api -Method PUT -Url "$BaseUrl/inbound-orders/$($created.inboundOrderId)" -Headers $authHeader -Body @{
+    inbound_no=$created.inboundNo; client_id=$ClientId; warehouse_id=$WarehouseId; inbound_date=$today; status="received"; memo="reopen reject inbound"; created_by=$UserId; received_at=(Get-Date).ToUniversalTime().ToString("yyyy-MM-ddTHH:mm:ssZ")
+  }
+  Assert-Ok $received "inbound-receive"
+  $created.inboundReceived = $true
+
   $ob = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders" -Headers $authHeader -Body @{
     outbound_no="OB-RJ-$ts"; client_id=$ClientId; warehouse_id=$WarehouseId; order_date=$today; status="draft"; created_by=$UserId
   }
@@ -108,6 +116,21 @@ try {
   Assert-Ok $obi "outbound-item"
   $created.outboundItemId = [int]$obi.data.id
 
+  # Stock is reserved at confirm and billing events are created at ship, so drive the order out.
+  foreach ($action in @("confirm", "allocate", "pick")) {
+    $step = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders/$($created.outboundOrderId)/$action" -Headers $authHeader -Body @{ note="reopen reject" }
+    Assert-Ok $step "outbound-$action"
+  }
+  $box = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders/$($created.outboundOrderId)/boxes" -Headers $authHeader -Body @{
+    box_no="BOX-RJ-$ts"; courier="E2E"; tracking_no="TRK-RJ-$ts"; item_count=1
+  }
+  Assert-Ok $box "outbound-box"
+  $pack = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders/$($created.outboundOrderId)/pack" -Headers $authHeader -Body @{ note="reopen reject" }
+  Assert-Ok $pack "outbound-pack"
+  $ship = Invoke-Api -Method POST -Url "$BaseUrl/outbound-orders/$($created.outboundOrderId)/ship" -Headers $authHeader -Body @{ tracking_no="TRK-RJ-$ts"; note="reopen reject" }
+  Assert-Ok $ship "outbound-ship"
+  $created.outboundShipped = $true
+
   $gen = Invoke-Api -Method POST -Url "$BaseUrl/settlement-batches/generate" -Headers $authHeader -Body @{
     client_id=$ClientId; billing_month=$billingMonth; created_by=$UserId; is_provisional=1
   }
@@ -134,10 +157,20 @@ try {
   Write-Host "REOPEN_REJECT_OK=True REQUEST_STATUS=$statusReq BATCH_STATUS=$batchStatus"
   Write-Host "FLOW_OK=True"
 } finally {
-  if ($created.outboundItemId) { try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/outbound-items/$($created.outboundItemId)" -Headers $authHeader } catch { $cleanupErrors += "outbound-item delete failed" } }
+  # Shipped lines are ledger history and cannot be deleted.
+  if ($created.outboundItemId -and -not $created.outboundShipped) { try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/outbound-items/$($created.outboundItemId)" -Headers $authHeader } catch { $cleanupErrors += "outbound-item delete failed" } }
   if ($created.outboundOrderId) { try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/outbound-orders/$($created.outboundOrderId)" -Headers $authHeader } catch { $cleanupErrors += "outbound-order delete failed" } }
-  if ($created.inboundItemId) { try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/inbound-items/$($created.inboundItemId)" -Headers $authHeader } catch { $cleanupErrors += "inbound-item delete failed" } }
-  if ($created.inboundOrderId) { try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/inbound-orders/$($created.inboundOrderId)" -Headers $authHeader } catch { $cleanupErrors += "inbound-order delete failed" } }
+  # Received stock that has shipped stays as ledger history; otherwise reopen the receipt so it can be removed.
+  if ($created.inboundReceived -and -not $created.outboundShipped) {
+    try {
+      $null = Invoke-Api -Method PUT -Url "$BaseUrl/inbound-orders/$($created.inboundOrderId)" -Headers $authHeader -Body @{
+        inbound_no=$created.inboundNo; client_id=$ClientId; warehouse_id=$WarehouseId; inbound_date=$today; status="draft"; memo="reopen reject inbound"; created_by=$UserId; received_at=$null
+      }
+      $created.inboundReceived = $false
+    } catch { $cleanupErrors += "inbound-order reopen failed" }
+  }
+  if ($created.inboundItemId -and -not $created.inboundReceived) { try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/inbound-items/$($created.inboundItemId)" -Headers $authHeader } catch { $cleanupErrors += "inbound-item delete failed" } }
+  if ($created.inboundOrderId -and -not $created.inboundReceived) { try { $null = Invoke-Api -Method DELETE -Url "$BaseUrl/inbound-orders/$($created.inboundOrderId)" -Headers $authHeader } catch { $cleanupErrors += "inbound-order delete failed" } }
 
   if ($serverProcess -and -not $serverProcess.HasExited) { try { Stop-Process -Id $serverProcess.Id -Force } catch {} }
 
@@ -1,5 +1,6 @@
 const dotenv = require("dotenv");
 const { getPool } = require("../src/db");
+const { hashPassword } = require("../src/services/password");
 
 dotenv.config();
 
@@ -74,8 +75,8 @@ async function ensureAdminUser(clientId) {
 
   const [result] = await getPool().query(
     `INSERT INTO users (client_id, email, password_hash, name, role, status)
-     VALUES (?, 'admin.demo@example.com', '1234', 'Demo Admin', 'admin', 'active')`,
-    [clientId]
+     VALUES (?, 'admin.demo@example.com', ?, 'Demo Admin', 'admin', 'active')`,
+    [clientId, await hashPassword(process.env.ADMIN_PASSWORD || "1234")]
   );
   return Number(result.insertId);
 }
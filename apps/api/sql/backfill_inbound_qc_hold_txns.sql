@@ -0,0 +1,16 @@
+SET NAMES utf8mb4;
+
+-- Inbound lines received into QC hold before the receipt posted its own qc_hold transaction.
+-- Without it the ledger rebuilds the receipt as free stock and the later qc_release/qc_quarantine drives hold negative.
+INSERT INTO stock_transactions
+  (client_id, product_id, lot_id, warehouse_id, location_id, txn_type, txn_date, qty_in, qty_out, ref_type, ref_id, note, created_by)
+SELECT qh.client_id, qh.product_id, qh.lot_id, qh.warehouse_id, qh.location_id, 'qc_hold', qh.created_at,
+       qh.hold_qty, qh.hold_qty, 'qc_hold', qh.id, 'inbound receipt -> hold', qh.created_by
+FROM qc_holds qh
+WHERE qh.source_type = 'inbound_item'
+  AND qh.status <> 'cancelled'
+  AND NOT EXISTS (
+    SELECT 1
+    FROM stock_transactions st
+    WHERE st.txn_type = 'qc_hold' AND st.ref_type = 'qc_hold' AND st.ref_id = qh.id
+  );
@@ -0,0 +1,14 @@
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS allocation_rules (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  client_id BIGINT UNSIGNED NOT NULL,
+  product_id BIGINT UNSIGNED NULL,
+  strategy ENUM('fefo','fifo') NOT NULL DEFAULT 'fefo',
+  min_shelf_life_days INT UNSIGNED NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  deleted_at DATETIME NULL,
+  PRIMARY KEY (id),
+  KEY idx_allocation_rules_client_product (client_id, product_id, deleted_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,20 @@
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  client_id BIGINT UNSIGNED NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  scopes VARCHAR(500) NOT NULL,
+  expires_at DATETIME NULL,
+  last_used_at DATETIME NULL,
+  last_used_ip VARCHAR(64) NULL,
+  created_by BIGINT UNSIGNED NULL,
+  revoked_at DATETIME NULL,
+  revoked_by BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uk_api_keys_key_hash (key_hash),
+  KEY idx_api_keys_client_revoked (client_id, revoked_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,22 @@
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id VARCHAR(64) NOT NULL,
+  action VARCHAR(30) NOT NULL,
+  actor_user_id BIGINT UNSIGNED NULL,
+  actor_api_key_id BIGINT UNSIGNED NULL,
+  actor_role VARCHAR(30) NULL,
+  request_id VARCHAR(64) NULL,
+  ip_address VARCHAR(64) NULL,
+  before_json JSON NULL,
+  after_json JSON NULL,
+  diff_json JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_audit_logs_entity (entity_type, entity_id, id),
+  KEY idx_audit_logs_created (created_at),
+  KEY idx_audit_logs_actor (actor_user_id, created_at),
+  KEY idx_audit_logs_request (request_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,17 @@
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS auth_login_attempts (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  email VARCHAR(255) NULL,
+  ip_address VARCHAR(64) NULL,
+  user_id BIGINT UNSIGNED NULL,
+  outcome ENUM('success','failure','blocked','unlock') NOT NULL,
+  reason VARCHAR(40) NULL,
+  user_agent VARCHAR(255) NULL,
+  actor_user_id BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_auth_login_attempts_email (email, outcome, id),
+  KEY idx_auth_login_attempts_ip (ip_address, outcome, id),
+  KEY idx_auth_login_attempts_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
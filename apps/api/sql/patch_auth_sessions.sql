@@ -0,0 +1,18 @@
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id BIGINT UNSIGNED NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  revoked_reason VARCHAR(40) NULL,
+  replaced_by_session_id BIGINT UNSIGNED NULL,
+  user_agent VARCHAR(255) NULL,
+  ip_address VARCHAR(64) NULL,
+  last_used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uk_auth_sessions_refresh_token_hash (refresh_token_hash),
+  KEY idx_auth_sessions_user_revoked (user_id, revoked_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
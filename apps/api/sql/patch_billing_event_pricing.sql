@@ -0,0 +1,26 @@
+SET NAMES utf8mb4;
+
+-- Billing event pricing: where the unit price came from
+SET @sql := IF(
+  (SELECT COUNT(*) FROM information_schema.columns
+   WHERE table_schema = DATABASE() AND table_name = 'billing_events' AND column_name = 'price_source') = 0,
+  'ALTER TABLE billing_events ADD COLUMN price_source ENUM(''contract'',''catalog'',''manual'',''unpriced'') NULL AFTER amount_krw',
+  'SELECT 1'
+);
+PREPARE stmt FROM @sql; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+SET @sql := IF(
+  (SELECT COUNT(*) FROM information_schema.columns
+   WHERE table_schema = DATABASE() AND table_name = 'billing_events' AND column_name = 'contract_rate_id') = 0,
+  'ALTER TABLE billing_events ADD COLUMN contract_rate_id BIGINT UNSIGNED NULL AFTER price_source',
+  'SELECT 1'
+);
+PREPARE stmt FROM @sql; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+SET @sql := IF(
+  (SELECT COUNT(*) FROM information_schema.columns
+   WHERE table_schema = DATABASE() AND table_name = 'billing_events' AND column_name = 'priced_at') = 0,
+  'ALTER TABLE billing_events ADD COLUMN priced_at DATETIME NULL AFTER contract_rate_id',
+  'SELECT 1'
+);
+PREPARE stmt FROM @sql; EXECUTE stmt; DEALLOCATE PREPARE stmt;
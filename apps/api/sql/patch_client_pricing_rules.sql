@@ -0,0 +1,24 @@
+SET NAMES utf8mb4;
+
+-- Tiered, minimum and maximum pricing per client/service, evaluated by the invoice generator
+CREATE TABLE IF NOT EXISTS client_pricing_rules (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  client_id BIGINT UNSIGNED NOT NULL,
+  service_code VARCHAR(80) NOT NULL,
+  currency ENUM('THB','KRW') NOT NULL,
+  tiers JSON NULL,
+  min_charge DECIMAL(18,4) NULL,
+  max_charge DECIMAL(18,4) NULL,
+  effective_date DATE NOT NULL,
+  created_by BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  deleted_at DATETIME NULL,
+  PRIMARY KEY (id),
+  KEY idx_pricing_rules_client_service (client_id, service_code, effective_date, deleted_at),
+  CONSTRAINT fk_pricing_rules_client FOREIGN KEY (client_id) REFERENCES clients(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Events re-priced along a client's tiers are marked 'tiered'
+ALTER TABLE billing_events
+  MODIFY COLUMN price_source ENUM('contract','catalog','manual','unpriced','tiered') NULL AFTER amount_krw;
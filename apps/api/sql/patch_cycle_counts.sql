@@ -0,0 +1,46 @@
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS cycle_counts (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  warehouse_id BIGINT UNSIGNED NOT NULL,
+  scope_type ENUM('warehouse','zone','location','abc_class') NOT NULL,
+  scope_value VARCHAR(100) NULL,
+  freeze_stock TINYINT(1) NOT NULL DEFAULT 0,
+  tolerance_qty INT UNSIGNED NOT NULL DEFAULT 0,
+  tolerance_pct DECIMAL(5,2) NOT NULL DEFAULT 0,
+  status ENUM('counting','review','approved','cancelled') NOT NULL DEFAULT 'counting',
+  memo VARCHAR(1000) NULL,
+  created_by BIGINT UNSIGNED NOT NULL,
+  approved_by BIGINT UNSIGNED NULL,
+  approved_at DATETIME NULL,
+  cancelled_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_cycle_counts_warehouse_status (warehouse_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS cycle_count_tasks (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  cycle_count_id BIGINT UNSIGNED NOT NULL,
+  client_id BIGINT UNSIGNED NOT NULL,
+  product_id BIGINT UNSIGNED NOT NULL,
+  lot_id BIGINT UNSIGNED NOT NULL,
+  location_id BIGINT UNSIGNED NULL,
+  expected_qty INT NOT NULL DEFAULT 0,
+  first_counted_qty INT UNSIGNED NULL,
+  counted_qty INT UNSIGNED NULL,
+  system_qty INT NULL,
+  variance_qty INT NULL,
+  count_round TINYINT UNSIGNED NOT NULL DEFAULT 1,
+  status ENUM('pending','recount','counted','posted') NOT NULL DEFAULT 'pending',
+  counted_by BIGINT UNSIGNED NULL,
+  counted_at DATETIME NULL,
+  stock_adjustment_id BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_cycle_count_task_key (cycle_count_id, client_id, product_id, lot_id, location_id),
+  KEY idx_cycle_count_tasks_location (location_id, status),
+  KEY idx_cycle_count_tasks_lot (product_id, lot_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
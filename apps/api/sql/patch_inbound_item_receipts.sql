@@ -0,0 +1,17 @@
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS inbound_item_receipts (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  inbound_order_id BIGINT UNSIGNED NOT NULL,
+  inbound_item_id BIGINT UNSIGNED NOT NULL,
+  received_qty INT UNSIGNED NOT NULL DEFAULT 0,
+  damaged_qty INT UNSIGNED NOT NULL DEFAULT 0,
+  note VARCHAR(500) NULL,
+  counted_by BIGINT UNSIGNED NULL,
+  counted_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_inbound_item_receipts_item (inbound_item_id),
+  KEY idx_inbound_item_receipts_order (inbound_order_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
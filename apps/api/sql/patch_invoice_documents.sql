@@ -0,0 +1,13 @@
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS invoice_documents (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  invoice_id BIGINT UNSIGNED NOT NULL,
+  lang ENUM('ko','en','th') NOT NULL,
+  file_id BIGINT UNSIGNED NOT NULL,
+  created_by BIGINT UNSIGNED NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_invoice_documents_invoice_lang (invoice_id, lang),
+  KEY idx_invoice_documents_file (file_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
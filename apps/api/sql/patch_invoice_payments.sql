@@ -0,0 +1,68 @@
+SET NAMES utf8mb4;
+
+-- Invoice payments ledger, client credits and paid balance on invoices
+CREATE TABLE IF NOT EXISTS invoice_payments (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  invoice_id BIGINT UNSIGNED NOT NULL,
+  client_id BIGINT UNSIGNED NOT NULL,
+  payment_date DATE NOT NULL,
+  method ENUM('bank_transfer','card','cash','other','credit') NOT NULL,
+  amount_krw DECIMAL(18,4) NOT NULL,
+  applied_krw DECIMAL(18,4) NOT NULL,
+  credit_krw DECIMAL(18,4) NOT NULL DEFAULT 0,
+  reference VARCHAR(120) NULL,
+  receipt_file_id BIGINT UNSIGNED NULL,
+  note VARCHAR(255) NULL,
+  created_by BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  voided_at DATETIME NULL,
+  voided_by BIGINT UNSIGNED NULL,
+  void_reason VARCHAR(255) NULL,
+  PRIMARY KEY (id),
+  KEY idx_invoice_payments_invoice (invoice_id, voided_at),
+  KEY idx_invoice_payments_client_date (client_id, payment_date),
+  CONSTRAINT fk_invoice_payments_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id),
+  CONSTRAINT fk_invoice_payments_client FOREIGN KEY (client_id) REFERENCES clients(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS client_credit_ledger (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  client_id BIGINT UNSIGNED NOT NULL,
+  entry_type ENUM('overpayment','applied','reversal') NOT NULL,
+  amount_krw DECIMAL(18,4) NOT NULL,
+  payment_id BIGINT UNSIGNED NULL,
+  invoice_id BIGINT UNSIGNED NULL,
+  created_by BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_client_credit_client (client_id, created_at),
+  KEY idx_client_credit_payment (payment_id),
+  CONSTRAINT fk_client_credit_client FOREIGN KEY (client_id) REFERENCES clients(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+SET @sql := IF(
+  (SELECT COUNT(*) FROM information_schema.columns
+   WHERE table_schema = DATABASE() AND table_name = 'invoices' AND column_name = 'paid_krw') = 0,
+  'ALTER TABLE invoices ADD COLUMN paid_krw DECIMAL(18,4) NOT NULL DEFAULT 0 AFTER total_krw',
+  'SELECT 1'
+);
+PREPARE stmt FROM @sql; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+SET @sql := IF(
+  (SELECT COUNT(*) FROM information_schema.columns
+   WHERE table_schema = DATABASE() AND table_name = 'invoices' AND column_name = 'paid_at') = 0,
+  'ALTER TABLE invoices ADD COLUMN paid_at DATETIME NULL AFTER paid_krw',
+  'SELECT 1'
+);
+PREPARE stmt FROM @sql; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Invoices marked paid before the payments ledger existed get one payment for their total, so balances and aging agree
+INSERT INTO invoice_payments (invoice_id, client_id, payment_date, method, amount_krw, applied_krw, note)
+SELECT i.id, i.client_id, COALESCE(DATE(i.updated_at), i.issue_date), 'other', i.total_krw, i.total_krw,
+       'Recorded before the payments ledger'
+FROM invoices i
+WHERE i.status = 'paid'
+  AND i.deleted_at IS NULL
+  AND NOT EXISTS (SELECT 1 FROM invoice_payments p WHERE p.invoice_id = i.id);
+
+UPDATE invoices SET paid_krw = total_krw WHERE status = 'paid' AND paid_krw = 0 AND deleted_at IS NULL;
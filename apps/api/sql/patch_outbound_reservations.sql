@@ -0,0 +1,21 @@
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS outbound_reservations (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  outbound_order_id BIGINT UNSIGNED NOT NULL,
+  outbound_item_id BIGINT UNSIGNED NOT NULL,
+  client_id BIGINT UNSIGNED NOT NULL,
+  product_id BIGINT UNSIGNED NOT NULL,
+  lot_id BIGINT UNSIGNED NOT NULL,
+  warehouse_id BIGINT UNSIGNED NOT NULL,
+  location_id BIGINT UNSIGNED NULL,
+  qty INT UNSIGNED NOT NULL,
+  status ENUM('reserved','allocated','shipped','released') NOT NULL DEFAULT 'reserved',
+  stock_transaction_id BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_outbound_reservations_item (outbound_item_id),
+  KEY idx_outbound_reservations_order_status (outbound_order_id, status),
+  KEY idx_outbound_reservations_balance (client_id, product_id, lot_id, warehouse_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,62 @@
+SET NAMES utf8mb4;
+
+-- Held (QC) bucket: on hand but never allocatable
+SET @sql := IF(
+  (SELECT COUNT(*) FROM information_schema.columns
+   WHERE table_schema = DATABASE() AND table_name = 'stock_balances' AND column_name = 'hold_qty') = 0,
+  'ALTER TABLE stock_balances ADD COLUMN hold_qty INT NOT NULL DEFAULT 0 AFTER reserved_qty',
+  'SELECT 1'
+);
+PREPARE stmt FROM @sql; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+ALTER TABLE stock_transactions
+  MODIFY txn_type ENUM('inbound_receive','outbound_ship','return_restock','return_dispose','adjustment','move_location','qc_hold','qc_release','qc_quarantine') NOT NULL,
+  MODIFY ref_type ENUM('inbound_item','outbound_item','return_item','manual_adjustment','location_move','qc_hold','qc_inspection') NOT NULL;
+
+CREATE TABLE IF NOT EXISTS qc_holds (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  client_id BIGINT UNSIGNED NOT NULL,
+  product_id BIGINT UNSIGNED NOT NULL,
+  lot_id BIGINT UNSIGNED NOT NULL,
+  warehouse_id BIGINT UNSIGNED NOT NULL,
+  location_id BIGINT UNSIGNED NULL,
+  source_type ENUM('inbound_item','lot') NOT NULL,
+  source_id BIGINT UNSIGNED NOT NULL,
+  hold_qty INT UNSIGNED NOT NULL,
+  released_qty INT UNSIGNED NOT NULL DEFAULT 0,
+  quarantined_qty INT UNSIGNED NOT NULL DEFAULT 0,
+  status ENUM('open','closed','cancelled') NOT NULL DEFAULT 'open',
+  reason VARCHAR(500) NULL,
+  created_by BIGINT UNSIGNED NULL,
+  closed_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_qc_holds_source (source_type, source_id),
+  KEY idx_qc_holds_lot_status (lot_id, status),
+  KEY idx_qc_holds_client_status (client_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS qc_inspections (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  qc_hold_id BIGINT UNSIGNED NOT NULL,
+  result ENUM('pass','partial','fail') NOT NULL,
+  passed_qty INT UNSIGNED NOT NULL DEFAULT 0,
+  failed_qty INT UNSIGNED NOT NULL DEFAULT 0,
+  reason VARCHAR(500) NULL,
+  inspected_by BIGINT UNSIGNED NULL,
+  inspected_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_qc_inspections_hold (qc_hold_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS qc_inspection_files (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  qc_inspection_id BIGINT UNSIGNED NOT NULL,
+  file_id BIGINT UNSIGNED NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_qc_inspection_files (qc_inspection_id, file_id),
+  KEY idx_qc_inspection_files_file (file_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
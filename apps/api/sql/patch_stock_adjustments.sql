@@ -0,0 +1,55 @@
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS stock_adjustment_reasons (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  code VARCHAR(40) NOT NULL,
+  name VARCHAR(120) NOT NULL,
+  direction ENUM('increase','decrease','either') NOT NULL DEFAULT 'either',
+  status ENUM('active','inactive') NOT NULL DEFAULT 'active',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_stock_adjustment_reason_code (code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+INSERT IGNORE INTO stock_adjustment_reasons (code, name, direction) VALUES
+  ('damage', 'Damaged', 'decrease'),
+  ('found', 'Found stock', 'increase'),
+  ('lost', 'Lost stock', 'decrease'),
+  ('recount', 'Recount correction', 'either');
+
+CREATE TABLE IF NOT EXISTS stock_adjustments (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  client_id BIGINT UNSIGNED NOT NULL,
+  warehouse_id BIGINT UNSIGNED NOT NULL,
+  status ENUM('draft','approved','cancelled') NOT NULL DEFAULT 'draft',
+  memo VARCHAR(1000) NULL,
+  total_abs_qty INT UNSIGNED NOT NULL DEFAULT 0,
+  created_by BIGINT UNSIGNED NOT NULL,
+  approved_by BIGINT UNSIGNED NULL,
+  approved_at DATETIME NULL,
+  cancelled_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  deleted_at DATETIME NULL,
+  PRIMARY KEY (id),
+  KEY idx_stock_adjustments_client_status (client_id, status, deleted_at),
+  KEY idx_stock_adjustments_warehouse (warehouse_id, deleted_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS stock_adjustment_lines (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  stock_adjustment_id BIGINT UNSIGNED NOT NULL,
+  product_id BIGINT UNSIGNED NOT NULL,
+  lot_id BIGINT UNSIGNED NOT NULL,
+  location_id BIGINT UNSIGNED NULL,
+  qty_delta INT NOT NULL,
+  reason_code VARCHAR(40) NOT NULL,
+  note VARCHAR(500) NULL,
+  stock_transaction_id BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_stock_adjustment_lines_doc (stock_adjustment_id),
+  KEY idx_stock_adjustment_lines_lot (product_id, lot_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,18 @@
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS stock_integrity_runs (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  run_type ENUM('check','repair') NOT NULL,
+  triggered_by ENUM('schedule','manual') NOT NULL DEFAULT 'manual',
+  mismatch_count INT UNSIGNED NOT NULL DEFAULT 0,
+  negative_count INT UNSIGNED NOT NULL DEFAULT 0,
+  orphan_count INT UNSIGNED NOT NULL DEFAULT 0,
+  repaired_count INT UNSIGNED NOT NULL DEFAULT 0,
+  result_json JSON NULL,
+  created_by BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_stock_integrity_runs_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+INSERT IGNORE INTO stock_adjustment_reasons (code, name, direction) VALUES ('ledger_repair', 'Ledger repair', 'either');
@@ -0,0 +1,22 @@
+SET NAMES utf8mb4;
+
+CREATE TABLE IF NOT EXISTS stock_moves (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  client_id BIGINT UNSIGNED NOT NULL,
+  product_id BIGINT UNSIGNED NOT NULL,
+  lot_id BIGINT UNSIGNED NOT NULL,
+  warehouse_id BIGINT UNSIGNED NOT NULL,
+  from_location_id BIGINT UNSIGNED NULL,
+  to_location_id BIGINT UNSIGNED NOT NULL,
+  qty INT UNSIGNED NOT NULL,
+  stock_transaction_id BIGINT UNSIGNED NULL,
+  service_event_id BIGINT UNSIGNED NULL,
+  note VARCHAR(1000) NULL,
+  created_by BIGINT UNSIGNED NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_stock_moves_client_date (client_id, created_at),
+  KEY idx_stock_moves_lot (product_id, lot_id),
+  KEY idx_stock_moves_from (from_location_id),
+  KEY idx_stock_moves_to (to_location_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
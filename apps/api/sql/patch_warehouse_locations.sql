@@ -0,0 +1,34 @@
+SET NAMES utf8mb4;
+
+-- Bin attributes: location type and optional capacity limits
+SET @sql := IF(
+  (SELECT COUNT(*) FROM information_schema.columns
+   WHERE table_schema = DATABASE() AND table_name = 'warehouse_locations' AND column_name = 'location_type') = 0,
+  'ALTER TABLE warehouse_locations ADD COLUMN location_type ENUM(''pick'',''reserve'',''staging'',''quarantine'') NOT NULL DEFAULT ''pick'' AFTER zone',
+  'SELECT 1'
+);
+PREPARE stmt FROM @sql; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+SET @sql := IF(
+  (SELECT COUNT(*) FROM information_schema.columns
+   WHERE table_schema = DATABASE() AND table_name = 'warehouse_locations' AND column_name = 'max_qty') = 0,
+  'ALTER TABLE warehouse_locations ADD COLUMN max_qty INT UNSIGNED NULL AFTER location_type',
+  'SELECT 1'
+);
+PREPARE stmt FROM @sql; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+SET @sql := IF(
+  (SELECT COUNT(*) FROM information_schema.columns
+   WHERE table_schema = DATABASE() AND table_name = 'warehouse_locations' AND column_name = 'max_cbm') = 0,
+  'ALTER TABLE warehouse_locations ADD COLUMN max_cbm DECIMAL(18,4) NULL AFTER max_qty',
+  'SELECT 1'
+);
+PREPARE stmt FROM @sql; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+SET @sql := IF(
+  (SELECT COUNT(*) FROM information_schema.columns
+   WHERE table_schema = DATABASE() AND table_name = 'warehouse_locations' AND column_name = 'max_weight_kg') = 0,
+  'ALTER TABLE warehouse_locations ADD COLUMN max_weight_kg DECIMAL(18,3) NULL AFTER max_cbm',
+  'SELECT 1'
+);
+PREPARE stmt FROM @sql; EXECUTE stmt; DEALLOCATE PREPARE stmt;
@@ -0,0 +1,46 @@
+const { expireLots } = require("../services/lotExpiry");
+
+function getTodayDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function getCurrentTimeHHMM() {
+  const now = new Date();
+  const hh = String(now.getHours()).padStart(2, "0");
+  const mm = String(now.getMinutes()).padStart(2, "0");
+  return `${hh}:${mm}`;
+}
+
+function startLotExpirySchedule() {
+  const enabled = process.env.LOT_EXPIRY_SCHEDULE_ENABLED !== "false";
+  if (!enabled) {
+    return;
+  }
+
+  const runAt = process.env.LOT_EXPIRY_SCHEDULE_HHMM || "00:05";
+  let lastRunDate = null;
+
+  const tick = async () => {
+    const today = getTodayDate();
+    const nowHHMM = getCurrentTimeHHMM();
+
+    if (nowHHMM !== runAt || lastRunDate === today) {
+      return;
+    }
+
+    try {
+      const lotIds = await expireLots();
+      lastRunDate = today;
+      console.log(`[lot_expiry] ${lotIds.length} lot(s) expired on ${today} at ${nowHHMM}`);
+    } catch (error) {
+      console.error(`[lot_expiry] schedule failed for ${today}: ${error.message}`);
+    }
+  };
+
+  setInterval(tick, 60 * 1000);
+  console.log(`[lot_expiry] daily schedule enabled at ${runAt}`);
+}
+
+module.exports = {
+  startLotExpirySchedule
+};
@@ -0,0 +1,48 @@
+const { runIntegrityCheck } = require("../services/stockIntegrity");
+
+function getTodayDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function getCurrentTimeHHMM() {
+  const now = new Date();
+  const hh = String(now.getHours()).padStart(2, "0");
+  const mm = String(now.getMinutes()).padStart(2, "0");
+  return `${hh}:${mm}`;
+}
+
+function startStockIntegritySchedule() {
+  const enabled = process.env.STOCK_INTEGRITY_SCHEDULE_ENABLED !== "false";
+  if (!enabled) {
+    return;
+  }
+
+  const runAt = process.env.STOCK_INTEGRITY_SCHEDULE_HHMM || "00:20";
+  let lastRunDate = null;
+
+  const tick = async () => {
+    const today = getTodayDate();
+    const nowHHMM = getCurrentTimeHHMM();
+
+    if (nowHHMM !== runAt || lastRunDate === today) {
+      return;
+    }
+
+    try {
+      const run = await runIntegrityCheck({ triggeredBy: "schedule" });
+      lastRunDate = today;
+      console.log(
+        `[stock_integrity] run #${run.id}: ${run.mismatch_count} mismatch(es), ${run.negative_count} negative, ${run.orphan_count} orphaned on ${today}`
+      );
+    } catch (error) {
+      console.error(`[stock_integrity] schedule failed for ${today}: ${error.message}`);
+    }
+  };
+
+  setInterval(tick, 60 * 1000);
+  console.log(`[stock_integrity] daily schedule enabled at ${runAt}`);
+}
+
+module.exports = {
+  startStockIntegritySchedule
+};
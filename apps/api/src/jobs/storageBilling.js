@@ -0,0 +1,49 @@
+const { withTransaction } = require("../services/stock");
+const { ensureBillingPricingColumns } = require("../services/billingPricing");
+const { getPreviousMonth, runStorageBilling } = require("../services/storageBilling");
+
+function getCurrentTimeHHMM() {
+  const now = new Date();
+  const hh = String(now.getHours()).padStart(2, "0");
+  const mm = String(now.getMinutes()).padStart(2, "0");
+  return `${hh}:${mm}`;
+}
+
+// Runs on the 1st of each month for the month before, after that night's storage snapshot.
+function startStorageBillingSchedule() {
+  const enabled = process.env.STORAGE_BILLING_SCHEDULE_ENABLED !== "false";
+  if (!enabled) {
+    return;
+  }
+
+  const runAt = process.env.STORAGE_BILLING_SCHEDULE_HHMM || "01:00";
+  const basis = process.env.STORAGE_BILLING_BASIS === "daily" ? "daily" : "average";
+  let lastRunMonth = null;
+
+  const tick = async () => {
+    const now = new Date();
+    const month = getPreviousMonth(now);
+
+    if (now.getDate() !== 1 || getCurrentTimeHHMM() !== runAt || lastRunMonth === month) {
+      return;
+    }
+
+    try {
+      await ensureBillingPricingColumns();
+      const result = await withTransaction((conn) => runStorageBilling(conn, { month, basis }));
+      lastRunMonth = month;
+      console.log(
+        `[storage_billing] ${month}: ${result.created} created, ${result.updated} updated, ${result.removed} removed, ${result.invoiced} already invoiced`
+      );
+    } catch (error) {
+      console.error(`[storage_billing] schedule failed for ${month}: ${error.message}`);
+    }
+  };
+
+  setInterval(tick, 60 * 1000);
+  console.log(`[storage_billing] monthly schedule enabled on day 1 at ${runAt}`);
+}
+
+module.exports = {
+  startStorageBillingSchedule
+};
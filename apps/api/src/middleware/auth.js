@@ -1,30 +1,89 @@
 const jwt = require("jsonwebtoken");
+const { getActiveSession } = require("../services/authSessions");
+const { resolveApiKey } = require("../services/apiKeys");
 
-function authenticateToken(req, res, next) {
+const API_KEY_MESSAGES = {
+  INVALID_API_KEY: "Invalid API key",
+  API_KEY_EXPIRED: "API key has expired",
+  CLIENT_INACTIVE: "API key client is not active"
+};
+
+function unauthorized(res, code, message) {
+  return res.status(401).json({ ok: false, code, message });
+}
+
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers.authorization || "";
   const token = authHeader.startsWith("Bearer ")
     ? authHeader.slice("Bearer ".length)
     : null;
 
   if (!token) {
-    return res.status(401).json({
-      ok: false,
-      code: "UNAUTHORIZED",
-      message: "Missing Bearer token"
-    });
+    return unauthorized(res, "UNAUTHORIZED", "Missing Bearer token");
   }
 
+  let payload;
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET || "dev-secret");
-    req.user = payload;
-    next();
+    payload = jwt.verify(token, process.env.JWT_SECRET || "dev-secret");
   } catch (_error) {
-    return res.status(401).json({
-      ok: false,
-      code: "UNAUTHORIZED",
-      message: "Invalid or expired token"
-    });
+    return unauthorized(res, "UNAUTHORIZED", "Invalid or expired token");
+  }
+
+  if (!payload.sid) {
+    return unauthorized(res, "UNAUTHORIZED", "Invalid or expired token");
+  }
+
+  try {
+    const session = await getActiveSession(Number(payload.sid), Number(payload.sub));
+    if (!session || session.revoked_at || new Date(session.expires_at).getTime() <= Date.now()) {
+      return unauthorized(res, "SESSION_REVOKED", "Session has been revoked");
+    }
+    if (session.status !== "active") {
+      return unauthorized(res, "USER_INACTIVE", "User is not active");
+    }
+
+    // Role and client binding come from the database so changes apply without re-login.
+    req.user = { ...payload, role: session.role, client_id: session.client_id };
+    return next();
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+}
+
+async function authenticateApiKey(req, res, next, rawKey) {
+  try {
+    const key = await resolveApiKey(rawKey, req.ip || null);
+    if (key.error) {
+      return unauthorized(res, key.error, API_KEY_MESSAGES[key.error]);
+    }
+    if (req.method === "GET" && !key.scopes.includes("read")) {
+      return res.status(403).json({
+        ok: false,
+        code: "FORBIDDEN",
+        message: "Missing permission: read",
+        required_permission: "read"
+      });
+    }
+
+    // Keys act as a client-bound principal whose permissions are exactly its scopes.
+    req.user = {
+      role: "api_key",
+      api_key_id: key.id,
+      client_id: key.client_id,
+      permissions: key.scopes
+    };
+    return next();
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+}
+
+function authenticateRequest(req, res, next) {
+  const rawKey = req.headers["x-api-key"];
+  if (rawKey && !req.headers.authorization) {
+    return authenticateApiKey(req, res, next, String(rawKey));
   }
+  return authenticateToken(req, res, next);
 }
 
-module.exports = { authenticateToken };
+module.exports = { authenticateToken, authenticateRequest };
@@ -1,22 +1,132 @@
-function canWrite(role) {
-  return ["admin", "manager", "warehouse"].includes(role);
+const PERMISSIONS = [
+  "clients:write",
+  "warehouses:write",
+  "products:write",
+  "inbound:write",
+  "outbound:write",
+  "returns:write",
+  "qc:write",
+  "files:write",
+  "stock:move",
+  "stock:adjust",
+  "stock:adjust:approve",
+  "stock:count",
+  "stock:integrity",
+  "stock:expire",
+  "storage:snapshot",
+  "billing:settings",
+  "billing:events:write",
+  "billing:events:reopen",
+  "billing:generate",
+  "billing:issue",
+  "billing:payment",
+  "billing:duplicate",
+  "fx:write",
+  "fx:lock",
+  "settlement:write",
+  "settlement:close",
+  "settlement:request-reopen",
+  "settlement:approve-reopen",
+  "users:manage",
+  "api-keys:manage",
+  "audit:read"
+];
+
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  manager: [
+    "clients:write",
+    "warehouses:write",
+    "products:write",
+    "inbound:write",
+    "outbound:write",
+    "returns:write",
+    "qc:write",
+    "files:write",
+    "stock:move",
+    "stock:adjust",
+    "stock:adjust:approve",
+    "stock:count",
+    "stock:expire",
+    "storage:snapshot",
+    "billing:events:write",
+    "billing:generate",
+    "billing:issue",
+    "billing:payment",
+    "fx:lock",
+    "settlement:write",
+    "settlement:close",
+    "settlement:request-reopen",
+    "audit:read"
+  ],
+  warehouse: [
+    "products:write",
+    "inbound:write",
+    "outbound:write",
+    "returns:write",
+    "qc:write",
+    "files:write",
+    "stock:move",
+    "stock:adjust",
+    "stock:count",
+    "storage:snapshot"
+  ],
+  client_viewer: []
+};
+
+function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
+
+// API key principals carry their scopes as an explicit permission list.
+function getUserPermissions(user) {
+  if (user && Array.isArray(user.permissions)) return user.permissions;
+  return getRolePermissions(user && user.role);
 }
 
-function enforceWriteAccess(req, res, next) {
-  if (req.method === "GET") {
+function findMissingPermission(user, permissions) {
+  const granted = getUserPermissions(user);
+  return permissions.find((permission) => !granted.includes(permission)) || null;
+}
+
+function forbidden(res, permission) {
+  return res.status(403).json({
+    ok: false,
+    code: "FORBIDDEN",
+    message: `Missing permission: ${permission}`,
+    required_permission: permission
+  });
+}
+
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const missing = findMissingPermission(req.user, permissions);
+    if (missing) {
+      return forbidden(res, missing);
+    }
     return next();
-  }
-
-  const role = req.user && req.user.role;
-  if (!canWrite(role)) {
-    return res.status(403).json({
-      ok: false,
-      code: "FORBIDDEN",
-      message: "Insufficient role for write operation"
-    });
-  }
-
-  return next();
+  };
+}
+
+function requireWritePermission(permission) {
+  return (req, res, next) => {
+    if (req.method === "GET") {
+      return next();
+    }
+    return requirePermission(permission)(req, res, next);
+  };
 }
 
-module.exports = { enforceWriteAccess };
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  getUserPermissions,
+  hasPermission,
+  requirePermission,
+  requireWritePermission
+};
@@ -0,0 +1,10 @@
+const crypto = require("crypto");
+
+function assignRequestId(req, res, next) {
+  const incoming = String(req.headers["x-request-id"] || "").trim();
+  req.requestId = /^[A-Za-z0-9._:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.requestId);
+  next();
+}
+
+module.exports = { assignRequestId };
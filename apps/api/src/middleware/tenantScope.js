@@ -0,0 +1,104 @@
+const { getPool } = require("../db");
+
+const CLIENT_BOUND_ROLES = ["client_viewer", "api_key"];
+
+function isClientBound(user) {
+  return Boolean(user) && CLIENT_BOUND_ROLES.includes(user.role);
+}
+
+function enforceTenantScope(req, res, next) {
+  if (!isClientBound(req.user)) {
+    req.tenantClientId = null;
+    return next();
+  }
+
+  const clientId = Number(req.user.client_id || 0);
+  if (!Number.isInteger(clientId) || clientId <= 0) {
+    return res.status(403).json({
+      ok: false,
+      code: "TENANT_UNBOUND",
+      message: "User is not bound to a client"
+    });
+  }
+
+  req.tenantClientId = clientId;
+  // Routes that already accept a client filter pick this up without changes.
+  req.query.client_id = String(clientId);
+  req.query.clientId = String(clientId);
+  return next();
+}
+
+function tenantClause(req, column, params) {
+  if (!req.tenantClientId) return "";
+  params.push(req.tenantClientId);
+  return ` AND ${column} = ?`;
+}
+
+async function isTenantRow(req, tableName, id, conn = getPool()) {
+  if (!req.tenantClientId) return true;
+  const [rows] = await conn.query(
+    `SELECT id
+     FROM ${tableName}
+     WHERE id = ? AND client_id = ? AND deleted_at IS NULL
+     LIMIT 1`,
+    [id, req.tenantClientId]
+  );
+  return rows.length > 0;
+}
+
+async function isTenantChildRow(req, tableName, parentTable, parentColumn, id, conn = getPool()) {
+  if (!req.tenantClientId) return true;
+  const [rows] = await conn.query(
+    `SELECT c.id
+     FROM ${tableName} c
+     JOIN ${parentTable} p ON p.id = c.${parentColumn}
+     WHERE c.id = ? AND p.client_id = ? AND c.deleted_at IS NULL
+     LIMIT 1`,
+    [id, req.tenantClientId]
+  );
+  return rows.length > 0;
+}
+
+function tenantMismatch(res) {
+  return res.status(403).json({
+    ok: false,
+    code: "TENANT_MISMATCH",
+    message: "Record belongs to another client"
+  });
+}
+
+// Write guard for client-bound principals (API keys): the body may only name the
+// bound client, and /:id targets must belong to it. Item routers check the parent order.
+function tenantWriteGuard({ table, parentTable = null, parentColumn = null }) {
+  return async (req, res, next) => {
+    if (!req.tenantClientId || req.method === "GET") return next();
+
+    try {
+      const body = req.body || {};
+      if (body.client_id !== undefined && Number(body.client_id) !== req.tenantClientId) {
+        return tenantMismatch(res);
+      }
+      if (parentTable && body[parentColumn] !== undefined) {
+        if (!(await isTenantRow(req, parentTable, body[parentColumn]))) return tenantMismatch(res);
+      }
+
+      const match = req.path.match(/^\/(\d+)(?:\/|$)/);
+      if (match) {
+        const owned = parentTable
+          ? await isTenantChildRow(req, table, parentTable, parentColumn, match[1])
+          : await isTenantRow(req, table, match[1]);
+        if (!owned) return tenantMismatch(res);
+      }
+      return next();
+    } catch (error) {
+      return res.status(500).json({ ok: false, message: error.message });
+    }
+  };
+}
+
+module.exports = {
+  enforceTenantScope,
+  tenantClause,
+  isTenantRow,
+  tenantWriteGuard
+};
@@ -0,0 +1,152 @@
+const express = require("express");
+const { z } = require("zod");
+const { getPool } = require("../db");
+const { validate } = require("../middleware/validate");
+const { tenantClause } = require("../middleware/tenantScope");
+const { recordAudit } = require("../services/auditLog");
+const {
+  ALLOCATION_STRATEGIES,
+  ensureAllocationRulesTable,
+  resolveAllocationRule
+} = require("../services/stockAllocation");
+
+const router = express.Router();
+
+const allocationRuleSchema = z.object({
+  client_id: z.coerce.number().int().positive(),
+  product_id: z.coerce.number().int().positive().nullable().optional(),
+  strategy: z.enum(ALLOCATION_STRATEGIES),
+  min_shelf_life_days: z.coerce.number().int().min(0).max(3650).default(0)
+});
+
+async function getAllocationRule(id) {
+  const [rows] = await getPool().query(
+    `SELECT r.id, r.client_id, c.name_kr AS client_name, r.product_id, p.sku_code, p.name_kr AS product_name,
+            r.strategy, r.min_shelf_life_days, r.created_at, r.updated_at
+     FROM allocation_rules r
+     LEFT JOIN clients c ON c.id = r.client_id
+     LEFT JOIN products p ON p.id = r.product_id
+     WHERE r.id = ? AND r.deleted_at IS NULL`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+router.use(async (_req, res, next) => {
+  try {
+    await ensureAllocationRulesTable();
+    return next();
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/", async (req, res) => {
+  const { client_id, product_id } = req.query;
+
+  try {
+    const params = [];
+    let query = `SELECT r.id, r.client_id, c.name_kr AS client_name, r.product_id, p.sku_code, p.name_kr AS product_name,
+                        r.strategy, r.min_shelf_life_days, r.created_at, r.updated_at
+                 FROM allocation_rules r
+                 LEFT JOIN clients c ON c.id = r.client_id
+                 LEFT JOIN products p ON p.id = r.product_id
+                 WHERE r.deleted_at IS NULL${tenantClause(req, "r.client_id", params)}`;
+
+    if (client_id) {
+      query += " AND r.client_id = ?";
+      params.push(client_id);
+    }
+    if (product_id) {
+      query += " AND r.product_id = ?";
+      params.push(product_id);
+    }
+    query += " ORDER BY r.client_id ASC, r.product_id IS NULL DESC, r.product_id ASC";
+
+    const [rows] = await getPool().query(query, params);
+    return res.json({ ok: true, data: rows });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/resolve", async (req, res) => {
+  const clientId = Number(req.query.client_id || 0);
+  const productId = Number(req.query.product_id || 0);
+  if (!clientId || !productId) {
+    return res.status(400).json({ ok: false, message: "client_id and product_id are required" });
+  }
+
+  try {
+    const rule = await resolveAllocationRule(getPool(), clientId, productId);
+    return res.json({ ok: true, data: rule });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+// One rule per client (product_id null) or client + product; saving again replaces it.
+router.put("/", validate(allocationRuleSchema), async (req, res) => {
+  const { client_id, product_id = null, strategy, min_shelf_life_days } = req.body;
+
+  try {
+    if (product_id) {
+      const [products] = await getPool().query(
+        "SELECT id FROM products WHERE id = ? AND client_id = ? AND deleted_at IS NULL",
+        [product_id, client_id]
+      );
+      if (products.length === 0) {
+        return res.status(400).json({ ok: false, message: "product_id does not belong to client_id" });
+      }
+    }
+
+    const [existing] = await getPool().query(
+      "SELECT id FROM allocation_rules WHERE client_id = ? AND product_id <=> ? AND deleted_at IS NULL LIMIT 1",
+      [client_id, product_id]
+    );
+    const before = existing.length > 0 ? await getAllocationRule(existing[0].id) : null;
+    let ruleId;
+    if (before) {
+      ruleId = before.id;
+      await getPool().query("UPDATE allocation_rules SET strategy = ?, min_shelf_life_days = ? WHERE id = ?", [
+        strategy,
+        min_shelf_life_days,
+        ruleId
+      ]);
+    } else {
+      const [result] = await getPool().query(
+        "INSERT INTO allocation_rules (client_id, product_id, strategy, min_shelf_life_days) VALUES (?, ?, ?, ?)",
+        [client_id, product_id, strategy, min_shelf_life_days]
+      );
+      ruleId = result.insertId;
+    }
+
+    const rule = await getAllocationRule(ruleId);
+    await recordAudit(req, {
+      entityType: "allocation_rule",
+      entityId: ruleId,
+      action: before ? "update" : "create",
+      before,
+      after: rule
+    });
+    return res.status(before ? 200 : 201).json({ ok: true, data: rule });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const before = await getAllocationRule(req.params.id);
+    if (!before) {
+      return res.status(404).json({ ok: false, message: "Allocation rule not found" });
+    }
+    await getPool().query("UPDATE allocation_rules SET deleted_at = NOW() WHERE id = ?", [before.id]);
+    await recordAudit(req, { entityType: "allocation_rule", entityId: before.id, action: "delete", before });
+    return res.json({ ok: true, data: { id: before.id } });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require("express");
+const { z } = require("zod");
+const { getPool } = require("../db");
+const { validate } = require("../middleware/validate");
+const { API_KEY_SCOPES, createApiKey, getApiKey, listApiKeys, revokeApiKey } = require("../services/apiKeys");
+
+const router = express.Router();
+
+const apiKeyCreateSchema = z.object({
+  client_id: z.coerce.number().int().positive(),
+  name: z.string().min(1).max(100),
+  scopes: z.array(z.enum(API_KEY_SCOPES)).min(1),
+  expires_at: z.string().datetime({ offset: true }).nullable().optional()
+});
+
+router.get("/", async (req, res) => {
+  try {
+    const rows = await listApiKeys({
+      clientId: req.query.client_id ? Number(req.query.client_id) : null,
+      includeRevoked: req.query.include_revoked === "1" || req.query.include_revoked === "true"
+    });
+    res.json({ ok: true, data: rows });
+  } catch (error) {
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const key = await getApiKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ ok: false, message: "API key not found" });
+    }
+    res.json({ ok: true, data: key });
+  } catch (error) {
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/", validate(apiKeyCreateSchema), async (req, res) => {
+  const { client_id, name, scopes, expires_at = null } = req.body;
+
+  if (expires_at && new Date(expires_at).getTime() <= Date.now()) {
+    return res.status(400).json({ ok: false, code: "INVALID_EXPIRY", message: "expires_at must be in the future" });
+  }
+
+  try {
+    const [clients] = await getPool().query(
+      "SELECT id FROM clients WHERE id = ? AND deleted_at IS NULL LIMIT 1",
+      [client_id]
+    );
+    if (clients.length === 0) {
+      return res.status(400).json({ ok: false, code: "CLIENT_NOT_FOUND", message: "Client not found" });
+    }
+
+    const created = await createApiKey({
+      clientId: client_id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expires_at ? new Date(expires_at) : null,
+      createdBy: Number(req.user.sub) || null
+    });
+    res.status(201).json({ ok: true, data: created });
+  } catch (error) {
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id, Number(req.user.sub) || null);
+    if (!revoked) {
+      return res.status(404).json({ ok: false, message: "API key not found" });
+    }
+    res.json({ ok: true, data: await getApiKey(req.params.id) });
+  } catch (error) {
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+module.exports = router;
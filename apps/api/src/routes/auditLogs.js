@@ -0,0 +1,36 @@
+const express = require("express");
+const { listAuditLogs } = require("../services/auditLog");
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+router.get("/", async (req, res) => {
+  const { entity_type, entity_id, action, actor_user_id, request_id, date_from, date_to } = req.query;
+
+  if ((date_from && !DATE_PATTERN.test(String(date_from))) || (date_to && !DATE_PATTERN.test(String(date_to)))) {
+    return res.status(400).json({
+      ok: false,
+      code: "VALIDATION_ERROR",
+      message: "date_from/date_to must be YYYY-MM-DD"
+    });
+  }
+
+  try {
+    const rows = await listAuditLogs({
+      entityType: entity_type ? String(entity_type) : null,
+      entityId: entity_id ? String(entity_id) : null,
+      action: action ? String(action) : null,
+      actorUserId: actor_user_id ? Number(actor_user_id) : null,
+      requestId: request_id ? String(request_id) : null,
+      dateFrom: date_from || null,
+      dateTo: date_to || null,
+      limit: Math.min(Math.max(Number(req.query.limit) || 100, 1), 500)
+    });
+    res.json({ ok: true, data: rows });
+  } catch (error) {
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,18 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const { z } = require("zod");
 const { validate } = require("../middleware/validate");
 const { getPool } = require("../db");
 const { authenticateToken } = require("../middleware/auth");
+const { getRolePermissions, requirePermission } = require("../middleware/rbac");
+const { MIN_PASSWORD_LENGTH, hashPassword, verifyPassword } = require("../services/password");
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  revokeAllSessions
+} = require("../services/authSessions");
+const { checkLoginThrottle, recordLoginAttempt, listLoginAttempts } = require("../services/loginThrottle");
 
 const router = express.Router();
 
@@ -12,63 +21,176 @@ const loginSchema = z.object({
   password: z.string().min(1)
 });
 
+const changePasswordSchema = z.object({
+  current_password: z.string().min(1),
+  new_password: z.string().min(MIN_PASSWORD_LENGTH).max(200)
+});
+
+const resetPasswordSchema = z.object({
+  new_password: z.string().min(MIN_PASSWORD_LENGTH).max(200)
+});
+
+const refreshSchema = z.object({
+  refresh_token: z.string().min(1)
+});
+
+const revokeAllSchema = z.object({
+  user_id: z.coerce.number().int().positive().optional()
+});
+
+const unlockSchema = z
+  .object({
+    email: z.string().email().optional(),
+    ip_address: z.string().min(1).max(64).optional()
+  })
+  .refine((value) => value.email || value.ip_address, {
+    message: "email or ip_address is required"
+  });
+
+const LOGIN_OUTCOMES = ["success", "failure", "blocked", "unlock"];
+
 router.post("/login", validate(loginSchema), async (req, res) => {
   const { email, password } = req.body;
+  const attempt = { email, ipAddress: req.ip || null, userAgent: req.headers["user-agent"] };
 
-  const [rows] = await getPool().query(
-    `SELECT id, client_id, email, password_hash, role
-     FROM users
-     WHERE email = ? AND status = 'active' AND deleted_at IS NULL
-     LIMIT 1`,
-    [email]
-  );
+  try {
+    const throttle = await checkLoginThrottle(email, attempt.ipAddress);
+    if (throttle) {
+      await recordLoginAttempt({ ...attempt, outcome: "blocked", reason: throttle.code });
+      res.set("Retry-After", String(throttle.retry_after_seconds));
+      return res.status(429).json({ ok: false, ...throttle });
+    }
 
-  if (rows.length === 0) {
-    return res.status(401).json({
-      ok: false,
-      code: "INVALID_CREDENTIALS",
-      message: "Invalid email or password"
+    const [rows] = await getPool().query(
+      `SELECT id, client_id, email, password_hash, role
+       FROM users
+       WHERE email = ? AND status = 'active' AND deleted_at IS NULL
+       LIMIT 1`,
+      [email]
+    );
+
+    if (rows.length === 0) {
+      await recordLoginAttempt({ ...attempt, outcome: "failure", reason: "UNKNOWN_OR_INACTIVE_USER" });
+      return res.status(401).json({
+        ok: false,
+        code: "INVALID_CREDENTIALS",
+        message: "Invalid email or password"
+      });
+    }
+
+    const user = rows[0];
+    const { valid, needsRehash } = await verifyPassword(password, user.password_hash);
+
+    if (!valid) {
+      await recordLoginAttempt({ ...attempt, userId: user.id, outcome: "failure", reason: "INVALID_PASSWORD" });
+      return res.status(401).json({
+        ok: false,
+        code: "INVALID_CREDENTIALS",
+        message: "Invalid email or password"
+      });
+    }
+
+    await recordLoginAttempt({ ...attempt, userId: user.id, outcome: "success" });
+    if (needsRehash) {
+      await getPool().query(
+        "UPDATE users SET password_hash = ?, last_login_at = NOW() WHERE id = ?",
+        [await hashPassword(password), user.id]
+      );
+    } else {
+      await getPool().query("UPDATE users SET last_login_at = NOW() WHERE id = ?", [user.id]);
+    }
+
+    return res.json({
+      ok: true,
+      data: await issueSession(user, req)
     });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
   }
+});
 
-  const user = rows[0];
-  let isValid = false;
+router.post("/refresh", validate(refreshSchema), async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refresh_token, req);
+    if (!result.ok) return res.status(401).json(result);
+    return res.json(result);
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
 
-  isValid = password === user.password_hash;
+router.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(Number(req.user.sid), "logout");
+    return res.json({ ok: true });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
 
-  if (!isValid) {
-    return res.status(401).json({
-      ok: false,
-      code: "INVALID_CREDENTIALS",
-      message: "Invalid email or password"
-    });
+router.get(
+  "/login-attempts",
+  authenticateToken,
+  requirePermission("users:manage"),
+  async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+      const rows = await listLoginAttempts({
+        email: req.query.email ? String(req.query.email) : null,
+        ipAddress: req.query.ip_address ? String(req.query.ip_address) : null,
+        outcome: LOGIN_OUTCOMES.includes(req.query.outcome) ? req.query.outcome : null,
+        limit
+      });
+      return res.json({ ok: true, data: rows });
+    } catch (error) {
+      return res.status(500).json({ ok: false, message: error.message });
+    }
   }
+);
 
-  const token = jwt.sign(
-    {
-      sub: String(user.id),
-      email: user.email,
-      role: user.role,
-      client_id: user.client_id
-    },
-    process.env.JWT_SECRET || "dev-secret",
-    { expiresIn: "8h" }
-  );
+router.post(
+  "/lockouts/unlock",
+  authenticateToken,
+  requirePermission("users:manage"),
+  validate(unlockSchema),
+  async (req, res) => {
+    try {
+      await recordLoginAttempt({
+        email: req.body.email || null,
+        ipAddress: req.body.ip_address || null,
+        outcome: "unlock",
+        reason: "ADMIN_UNLOCK",
+        actorUserId: Number(req.user.sub)
+      });
+      return res.json({ ok: true, data: { email: req.body.email || null, ip_address: req.body.ip_address || null } });
+    } catch (error) {
+      return res.status(500).json({ ok: false, message: error.message });
+    }
+  }
+);
 
-  res.json({
-    ok: true,
-    data: {
-      token,
-      tokenType: "Bearer",
-      expiresIn: "8h"
+router.post(
+  "/sessions/revoke-all",
+  authenticateToken,
+  requirePermission("users:manage"),
+  validate(revokeAllSchema),
+  async (req, res) => {
+    try {
+      const options = { exceptSessionId: Number(req.user.sid) };
+      const revoked = req.body.user_id
+        ? await revokeUserSessions(req.body.user_id, "admin_revoke", options)
+        : await revokeAllSessions("admin_revoke", options);
+      return res.json({ ok: true, data: { revoked } });
+    } catch (error) {
+      return res.status(500).json({ ok: false, message: error.message });
     }
-  });
-});
+  }
+);
 
 router.get("/me", authenticateToken, async (req, res) => {
   const userId = Number(req.user.sub);
   const [rows] = await getPool().query(
-    `SELECT id, client_id, email, name, role, status, created_at, updated_at
+    `SELECT id, client_id, email, name, role, status, last_login_at, created_at, updated_at
      FROM users
      WHERE id = ? AND deleted_at IS NULL
      LIMIT 1`,
@@ -81,7 +203,72 @@ router.get("/me", authenticateToken, async (req, res) => {
       message: "User not found"
     });
   }
-  return res.json({ ok: true, data: rows[0] });
+  return res.json({ ok: true, data: { ...rows[0], permissions: getRolePermissions(rows[0].role) } });
 });
 
+router.post("/change-password", authenticateToken, validate(changePasswordSchema), async (req, res) => {
+  const userId = Number(req.user.sub);
+  const { current_password, new_password } = req.body;
+
+  try {
+    const [rows] = await getPool().query(
+      `SELECT id, password_hash
+       FROM users
+       WHERE id = ? AND status = 'active' AND deleted_at IS NULL
+       LIMIT 1`,
+      [userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ ok: false, code: "NOT_FOUND", message: "User not found" });
+    }
+
+    const { valid } = await verifyPassword(current_password, rows[0].password_hash);
+    if (!valid) {
+      return res.status(400).json({
+        ok: false,
+        code: "INVALID_CURRENT_PASSWORD",
+        message: "Current password is incorrect"
+      });
+    }
+    if (current_password === new_password) {
+      return res.status(400).json({
+        ok: false,
+        code: "PASSWORD_UNCHANGED",
+        message: "New password must differ from current password"
+      });
+    }
+
+    await getPool().query("UPDATE users SET password_hash = ? WHERE id = ?", [
+      await hashPassword(new_password),
+      userId
+    ]);
+    await revokeUserSessions(userId, "password_changed", { exceptSessionId: Number(req.user.sid) });
+    return res.json({ ok: true });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post(
+  "/users/:id/reset-password",
+  authenticateToken,
+  requirePermission("users:manage"),
+  validate(resetPasswordSchema),
+  async (req, res) => {
+    try {
+      const [result] = await getPool().query(
+        "UPDATE users SET password_hash = ? WHERE id = ? AND deleted_at IS NULL",
+        [await hashPassword(req.body.new_password), req.params.id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ ok: false, code: "NOT_FOUND", message: "User not found" });
+      }
+      await revokeUserSessions(Number(req.params.id), "password_reset");
+      return res.json({ ok: true });
+    } catch (error) {
+      return res.status(500).json({ ok: false, message: error.message });
+    }
+  }
+);
+
 module.exports = router;
@@ -2,7 +2,35 @@ const express = require("express");
 const { z } = require("zod");
 const { getPool } = require("../db");
 const { validate } = require("../middleware/validate");
+const { getAuditSnapshot, recordAudit } = require("../services/auditLog");
+const { requirePermission } = require("../middleware/rbac");
+const { isTenantRow } = require("../middleware/tenantScope");
 const { withTransaction } = require("../services/stock");
+const { readStoredFile } = require("../services/fileStorage");
+const {
+  INVOICE_PDF_LANGS,
+  InvoicePdfError,
+  ensureInvoiceDocumentsTable,
+  resolveInvoicePdfLang,
+  getOrCreateInvoicePdf
+} = require("../services/invoicePdf");
+const { ensureBillingPricingColumns, trunc100, priceBillingEvent } = require("../services/billingPricing");
+const { syncOutboundOrderBillingEvent, syncInboundOrderBillingEvent } = require("../services/billingEvents");
+const { STORAGE_BASES, runStorageBilling, previewStorageBilling } = require("../services/storageBilling");
+const {
+  ensureClientPricingRulesTable,
+  toRule,
+  getEffectivePricingRules,
+  applyTieredPricing,
+  evaluateChargeLimits
+} = require("../services/pricingRules");
+const {
+  PAYMENT_METHODS,
+  InvoicePaymentError,
+  ensureInvoicePaymentTables,
+  recordPayment,
+  applyClientCredit
+} = require("../services/invoicePayments");
 
 const router = express.Router();
 
@@ -15,11 +43,6 @@ let hasClientDefaultWarehouseColumnCache = null;
 const schemaColumnCache = new Map();
 const schemaTableCache = new Map();
 
-function trunc100(input) {
-  const value = Number(input || 0);
-  return Math.floor(value / 100) * 100;
-}
-
 function monthRange(invoiceMonth) {
   const from = `${invoiceMonth}-01`;
   const [year, month] = invoiceMonth.split("-").map(Number);
@@ -40,17 +63,6 @@ function mapBillingBasisFromUnit(unit) {
   return "MANUAL";
 }
 
-function requireAdmin(req, res) {
-  if (req.user?.role !== "admin") {
-    res.status(403).json({
-      ok: false,
-      code: "ADMIN_ONLY",
-      message: "This operation requires admin role"
-    });
-    return false;
-  }
-  return true;
-}
 
 async function getExchangeRateUsageCount(conn, exchangeRateId) {
   const [rows] = await conn.query(
@@ -92,7 +104,7 @@ async function resolveInvoiceSequence(conn, clientId, yyyymm) {
 function normalizeInvoiceStatus(status) {
   if (!status) return null;
   const value = String(status).toLowerCase();
-  if (["draft", "issued", "paid"].includes(value)) return value;
+  if (["draft", "issued", "sent", "partially_paid", "paid", "void"].includes(value)) return value;
   return null;
 }
 
@@ -265,6 +277,40 @@ const clientRateSchema = z.object({
   effective_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/)
 });
 
+const pricingTierSchema = z.object({
+  up_to: z.coerce.number().positive().nullable(),
+  rate: z.coerce.number().nonnegative()
+});
+
+const pricingRuleSchema = z
+  .object({
+    client_id: z.coerce.number().int().positive(),
+    service_code: z.string().min(1).max(80),
+    currency: z.enum(["THB", "KRW"]),
+    tiers: z.array(pricingTierSchema).min(1).max(20).nullable().optional(),
+    min_charge: z.coerce.number().nonnegative().nullable().optional(),
+    max_charge: z.coerce.number().nonnegative().nullable().optional(),
+    effective_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/)
+  })
+  .refine((rule) => rule.tiers || rule.min_charge != null || rule.max_charge != null, {
+    message: "tiers, min_charge or max_charge is required",
+    path: ["tiers"]
+  })
+  .refine(
+    (rule) =>
+      !rule.tiers ||
+      rule.tiers.every((tier, index) =>
+        index === rule.tiers.length - 1
+          ? tier.up_to === null
+          : tier.up_to !== null && (index === 0 || tier.up_to > rule.tiers[index - 1].up_to)
+      ),
+    { message: "tier up_to must increase and the last tier must be open-ended (up_to: null)", path: ["tiers"] }
+  )
+  .refine((rule) => rule.min_charge == null || rule.max_charge == null || rule.min_charge <= rule.max_charge, {
+    message: "min_charge must not exceed max_charge",
+    path: ["min_charge"]
+  });
+
 const exchangeRateSchema = z.object({
   rate_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
   rate: z.coerce.number().positive(),
@@ -301,6 +347,30 @@ const markPendingSchema = z.object({
   ids: z.array(z.coerce.number().int().positive()).min(1)
 });
 
+const markPaidSchema = z.object({
+  payment_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  method: z.enum(PAYMENT_METHODS).default("bank_transfer"),
+  reference: z.string().max(120).optional(),
+  receipt_file_id: z.coerce.number().int().positive().optional()
+});
+
+const repriceSchema = z.object({
+  ids: z.array(z.coerce.number().int().positive()).min(1).max(1000).optional(),
+  client_id: z.coerce.number().int().positive().optional(),
+  service_code: z.string().min(1).max(80).optional(),
+  invoice_month: z.string().regex(/^\d{4}-\d{2}$/).optional(),
+  include_manual: z.boolean().default(false)
+});
+
+const storageBillingSchema = z.object({
+  invoice_month: z.string().regex(/^\d{4}-\d{2}$/),
+  client_id: z.coerce.number().int().positive().optional(),
+  warehouse_id: z.coerce.number().int().positive().optional(),
+  basis: z.enum(STORAGE_BASES).default("average")
+});
+
+const PRICE_SNAPSHOT_FIELDS = ["qty", "pricing_policy", "unit_price_thb", "amount_thb", "unit_price_krw", "amount_krw", "price_source", "contract_rate_id"];
+
 function buildBillingEventsWhere(query, options = {}) {
   const hasWarehouseId = options.hasWarehouseId !== false;
   const params = [];
@@ -358,8 +428,7 @@ router.get("/billing/settings/service-catalog", async (_req, res) => {
   }
 });
 
-router.post("/billing/settings/service-catalog", validate(serviceCatalogSchema), async (req, res) => {
-  if (!requireAdmin(req, res)) return;
+router.post("/billing/settings/service-catalog", requirePermission("billing:settings"), validate(serviceCatalogSchema), async (req, res) => {
   const payload = req.body;
   try {
     await getPool().query(
@@ -387,6 +456,12 @@ router.post("/billing/settings/service-catalog", validate(serviceCatalogSchema),
       [payload.service_code]
     );
 
+    await recordAudit(req, {
+      entityType: "service_catalog",
+      entityId: rows[0].id,
+      action: "create",
+      after: await getAuditSnapshot("service_catalog", rows[0].id)
+    });
     return res.status(201).json({ ok: true, data: rows[0] });
   } catch (error) {
     if (error.code === "ER_DUP_ENTRY") {
@@ -395,10 +470,13 @@ router.post("/billing/settings/service-catalog", validate(serviceCatalogSchema),
     return res.status(500).json({ ok: false, message: error.message });
   }
 });
-router.put("/billing/settings/service-catalog/:serviceCode", validate(serviceCatalogSchema), async (req, res) => {
-  if (!requireAdmin(req, res)) return;
+router.put("/billing/settings/service-catalog/:serviceCode", requirePermission("billing:settings"), validate(serviceCatalogSchema), async (req, res) => {
   const payload = req.body;
   try {
+    const [current] = await getPool().query(
+      "SELECT * FROM service_catalog WHERE service_code = ? AND deleted_at IS NULL LIMIT 1",
+      [req.params.serviceCode]
+    );
     const [result] = await getPool().query(
       `UPDATE service_catalog
        SET service_code = ?, service_name_kr = ?, service_name = ?, billing_basis = ?, billing_unit = ?,
@@ -430,6 +508,13 @@ router.put("/billing/settings/service-catalog/:serviceCode", validate(serviceCat
       [payload.service_code]
     );
 
+    await recordAudit(req, {
+      entityType: "service_catalog",
+      entityId: rows[0].id,
+      action: "update",
+      before: current[0],
+      after: await getAuditSnapshot("service_catalog", rows[0].id)
+    });
     return res.json({ ok: true, data: rows[0] });
   } catch (error) {
     if (error.code === "ER_DUP_ENTRY") {
@@ -439,9 +524,12 @@ router.put("/billing/settings/service-catalog/:serviceCode", validate(serviceCat
   }
 });
 
-router.delete("/billing/settings/service-catalog/:serviceCode", async (req, res) => {
-  if (!requireAdmin(req, res)) return;
+router.delete("/billing/settings/service-catalog/:serviceCode", requirePermission("billing:settings"), async (req, res) => {
   try {
+    const [current] = await getPool().query(
+      "SELECT * FROM service_catalog WHERE service_code = ? AND deleted_at IS NULL LIMIT 1",
+      [req.params.serviceCode]
+    );
     const [result] = await getPool().query(
       "UPDATE service_catalog SET deleted_at = NOW() WHERE service_code = ? AND deleted_at IS NULL",
       [req.params.serviceCode]
@@ -449,6 +537,13 @@ router.delete("/billing/settings/service-catalog/:serviceCode", async (req, res)
     if (result.affectedRows === 0) {
       return res.status(404).json({ ok: false, message: "Service not found" });
     }
+    await recordAudit(req, {
+      entityType: "service_catalog",
+      entityId: current[0].id,
+      action: "delete",
+      before: current[0],
+      after: await getAuditSnapshot("service_catalog", current[0].id)
+    });
     return res.json({ ok: true });
   } catch (error) {
     return res.status(500).json({ ok: false, message: error.message });
@@ -485,8 +580,7 @@ router.get("/billing/settings/client-contract-rates", async (req, res) => {
   }
 });
 
-router.post("/billing/settings/client-contract-rates", validate(clientRateSchema), async (req, res) => {
-  if (!requireAdmin(req, res)) return;
+router.post("/billing/settings/client-contract-rates", requirePermission("billing:settings"), validate(clientRateSchema), async (req, res) => {
   const payload = req.body;
   try {
     const [result] = await getPool().query(
@@ -508,6 +602,12 @@ router.post("/billing/settings/client-contract-rates", validate(clientRateSchema
        WHERE id = ?`,
       [result.insertId]
     );
+    await recordAudit(req, {
+      entityType: "client_contract_rate",
+      entityId: result.insertId,
+      action: "create",
+      after: await getAuditSnapshot("client_contract_rates", result.insertId)
+    });
     return res.status(201).json({ ok: true, data: rows[0] });
   } catch (error) {
     if (error.code === "ER_DUP_ENTRY") {
@@ -517,10 +617,10 @@ router.post("/billing/settings/client-contract-rates", validate(clientRateSchema
   }
 });
 
-router.put("/billing/settings/client-contract-rates/:id", validate(clientRateSchema), async (req, res) => {
-  if (!requireAdmin(req, res)) return;
+router.put("/billing/settings/client-contract-rates/:id", requirePermission("billing:settings"), validate(clientRateSchema), async (req, res) => {
   const payload = req.body;
   try {
+    const before = await getAuditSnapshot("client_contract_rates", req.params.id);
     const [result] = await getPool().query(
       `UPDATE client_contract_rates
        SET client_id = ?, service_code = ?, custom_rate = ?, currency = ?, effective_date = ?
@@ -545,6 +645,13 @@ router.put("/billing/settings/client-contract-rates/:id", validate(clientRateSch
        WHERE id = ? AND deleted_at IS NULL`,
       [req.params.id]
     );
+    await recordAudit(req, {
+      entityType: "client_contract_rate",
+      entityId: req.params.id,
+      action: "update",
+      before,
+      after: await getAuditSnapshot("client_contract_rates", req.params.id)
+    });
     return res.json({ ok: true, data: rows[0] });
   } catch (error) {
     if (error.code === "ER_DUP_ENTRY") {
@@ -554,9 +661,9 @@ router.put("/billing/settings/client-contract-rates/:id", validate(clientRateSch
   }
 });
 
-router.delete("/billing/settings/client-contract-rates/:id", async (req, res) => {
-  if (!requireAdmin(req, res)) return;
+router.delete("/billing/settings/client-contract-rates/:id", requirePermission("billing:settings"), async (req, res) => {
   try {
+    const before = await getAuditSnapshot("client_contract_rates", req.params.id);
     const [result] = await getPool().query(
       "UPDATE client_contract_rates SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL",
       [req.params.id]
@@ -564,6 +671,162 @@ router.delete("/billing/settings/client-contract-rates/:id", async (req, res) =>
     if (result.affectedRows === 0) {
       return res.status(404).json({ ok: false, message: "Contract rate not found" });
     }
+    await recordAudit(req, {
+      entityType: "client_contract_rate",
+      entityId: req.params.id,
+      action: "delete",
+      before,
+      after: await getAuditSnapshot("client_contract_rates", req.params.id)
+    });
+    return res.json({ ok: true });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+const PRICING_RULE_COLUMNS = "id, client_id, service_code, currency, tiers, min_charge, max_charge, effective_date, created_by, created_at, updated_at";
+
+// Rule amounts are in the currency the service is priced in, so tiers can replace the event prices directly.
+async function checkPricingRuleService(payload) {
+  const [rows] = await getPool().query(
+    "SELECT pricing_policy FROM service_catalog WHERE service_code = ? AND deleted_at IS NULL LIMIT 1",
+    [payload.service_code]
+  );
+  if (rows.length === 0) {
+    return { status: 400, code: "SERVICE_NOT_FOUND", message: "Unknown service_code" };
+  }
+  const currency = rows[0].pricing_policy === "THB_BASED" ? "THB" : "KRW";
+  if (payload.currency !== currency) {
+    return { status: 400, code: "CURRENCY_MISMATCH", message: `${payload.service_code} is priced in ${currency}` };
+  }
+  return null;
+}
+
+router.get("/billing/settings/pricing-rules", async (req, res) => {
+  const { client_id, service_code } = req.query;
+  try {
+    await ensureClientPricingRulesTable();
+    let query = `SELECT ${PRICING_RULE_COLUMNS}
+                 FROM client_pricing_rules
+                 WHERE deleted_at IS NULL`;
+    const params = [];
+
+    if (client_id) {
+      query += " AND client_id = ?";
+      params.push(client_id);
+    }
+    if (service_code) {
+      query += " AND service_code = ?";
+      params.push(service_code);
+    }
+
+    query += " ORDER BY effective_date DESC, id DESC";
+    const [rows] = await getPool().query(query, params);
+    return res.json({ ok: true, data: rows.map(toRule) });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/billing/settings/pricing-rules", requirePermission("billing:settings"), validate(pricingRuleSchema), async (req, res) => {
+  const payload = req.body;
+  try {
+    await ensureClientPricingRulesTable();
+    const invalid = await checkPricingRuleService(payload);
+    if (invalid) {
+      return res.status(invalid.status).json({ ok: false, code: invalid.code, message: invalid.message });
+    }
+
+    const [result] = await getPool().query(
+      `INSERT INTO client_pricing_rules
+        (client_id, service_code, currency, tiers, min_charge, max_charge, effective_date, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        payload.client_id,
+        payload.service_code,
+        payload.currency,
+        payload.tiers ? JSON.stringify(payload.tiers) : null,
+        payload.min_charge ?? null,
+        payload.max_charge ?? null,
+        payload.effective_date,
+        parseCreator(req)
+      ]
+    );
+
+    const [rows] = await getPool().query(`SELECT ${PRICING_RULE_COLUMNS} FROM client_pricing_rules WHERE id = ?`, [result.insertId]);
+    await recordAudit(req, {
+      entityType: "client_pricing_rule",
+      entityId: result.insertId,
+      action: "create",
+      after: await getAuditSnapshot("client_pricing_rules", result.insertId)
+    });
+    return res.status(201).json({ ok: true, data: toRule(rows[0]) });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.put("/billing/settings/pricing-rules/:id", requirePermission("billing:settings"), validate(pricingRuleSchema), async (req, res) => {
+  const payload = req.body;
+  try {
+    await ensureClientPricingRulesTable();
+    const invalid = await checkPricingRuleService(payload);
+    if (invalid) {
+      return res.status(invalid.status).json({ ok: false, code: invalid.code, message: invalid.message });
+    }
+
+    const before = await getAuditSnapshot("client_pricing_rules", req.params.id);
+    const [result] = await getPool().query(
+      `UPDATE client_pricing_rules
+       SET client_id = ?, service_code = ?, currency = ?, tiers = ?, min_charge = ?, max_charge = ?, effective_date = ?
+       WHERE id = ? AND deleted_at IS NULL`,
+      [
+        payload.client_id,
+        payload.service_code,
+        payload.currency,
+        payload.tiers ? JSON.stringify(payload.tiers) : null,
+        payload.min_charge ?? null,
+        payload.max_charge ?? null,
+        payload.effective_date,
+        req.params.id
+      ]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ ok: false, message: "Pricing rule not found" });
+    }
+
+    const [rows] = await getPool().query(`SELECT ${PRICING_RULE_COLUMNS} FROM client_pricing_rules WHERE id = ?`, [req.params.id]);
+    await recordAudit(req, {
+      entityType: "client_pricing_rule",
+      entityId: req.params.id,
+      action: "update",
+      before,
+      after: await getAuditSnapshot("client_pricing_rules", req.params.id)
+    });
+    return res.json({ ok: true, data: toRule(rows[0]) });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.delete("/billing/settings/pricing-rules/:id", requirePermission("billing:settings"), async (req, res) => {
+  try {
+    await ensureClientPricingRulesTable();
+    const before = await getAuditSnapshot("client_pricing_rules", req.params.id);
+    const [result] = await getPool().query(
+      "UPDATE client_pricing_rules SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL",
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ ok: false, message: "Pricing rule not found" });
+    }
+    await recordAudit(req, {
+      entityType: "client_pricing_rule",
+      entityId: req.params.id,
+      action: "delete",
+      before,
+      after: await getAuditSnapshot("client_pricing_rules", req.params.id)
+    });
     return res.json({ ok: true });
   } catch (error) {
     return res.status(500).json({ ok: false, message: error.message });
@@ -613,8 +876,7 @@ router.get("/billing/settings/exchange-rates", async (req, res) => {
   }
 });
 
-router.post("/billing/settings/exchange-rates", validate(exchangeRateSchema), async (req, res) => {
-  if (!requireAdmin(req, res)) return;
+router.post("/billing/settings/exchange-rates", requirePermission("fx:write"), validate(exchangeRateSchema), async (req, res) => {
   const payload = req.body;
   const enteredBy = parseCreator(req, payload.entered_by);
 
@@ -633,6 +895,12 @@ router.post("/billing/settings/exchange-rates", validate(exchangeRateSchema), as
        WHERE id = ?`,
       [result.insertId]
     );
+    await recordAudit(req, {
+      entityType: "exchange_rate",
+      entityId: result.insertId,
+      action: "create",
+      after: await getAuditSnapshot("exchange_rates", result.insertId)
+    });
     return res.status(201).json({ ok: true, data: rows[0] });
   } catch (error) {
     if (error.code === "ER_DUP_ENTRY") {
@@ -641,8 +909,7 @@ router.post("/billing/settings/exchange-rates", validate(exchangeRateSchema), as
     return res.status(500).json({ ok: false, message: error.message });
   }
 });
-router.put("/billing/settings/exchange-rates/:id", validate(exchangeRateSchema), async (req, res) => {
-  if (!requireAdmin(req, res)) return;
+router.put("/billing/settings/exchange-rates/:id", requirePermission("fx:write"), validate(exchangeRateSchema), async (req, res) => {
   const payload = req.body;
   try {
     const [rows] = await getPool().query(
@@ -662,6 +929,7 @@ router.put("/billing/settings/exchange-rates/:id", validate(exchangeRateSchema),
       });
     }
 
+    const before = await getAuditSnapshot("exchange_rates", req.params.id);
     const [result] = await getPool().query(
       `UPDATE exchange_rates
        SET rate_date = ?, rate = ?, source = ?, locked = ?, status = ?
@@ -680,6 +948,13 @@ router.put("/billing/settings/exchange-rates/:id", validate(exchangeRateSchema),
        WHERE id = ? AND deleted_at IS NULL`,
       [req.params.id]
     );
+    await recordAudit(req, {
+      entityType: "exchange_rate",
+      entityId: req.params.id,
+      action: "update",
+      before,
+      after: await getAuditSnapshot("exchange_rates", req.params.id)
+    });
     return res.json({ ok: true, data: updated[0] });
   } catch (error) {
     if (error.code === "ER_DUP_ENTRY") {
@@ -689,8 +964,7 @@ router.put("/billing/settings/exchange-rates/:id", validate(exchangeRateSchema),
   }
 });
 
-router.delete("/billing/settings/exchange-rates/:id", async (req, res) => {
-  if (!requireAdmin(req, res)) return;
+router.delete("/billing/settings/exchange-rates/:id", requirePermission("fx:write"), async (req, res) => {
   try {
     const [rows] = await getPool().query(
       `SELECT id, locked FROM exchange_rates WHERE id = ? AND deleted_at IS NULL LIMIT 1`,
@@ -709,7 +983,15 @@ router.delete("/billing/settings/exchange-rates/:id", async (req, res) => {
       });
     }
 
+    const before = await getAuditSnapshot("exchange_rates", req.params.id);
     await getPool().query("UPDATE exchange_rates SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL", [req.params.id]);
+    await recordAudit(req, {
+      entityType: "exchange_rate",
+      entityId: req.params.id,
+      action: "delete",
+      before,
+      after: await getAuditSnapshot("exchange_rates", req.params.id)
+    });
     return res.json({ ok: true });
   } catch (error) {
     return res.status(500).json({ ok: false, message: error.message });
@@ -722,13 +1004,15 @@ router.get("/billing/events", async (req, res) => {
     if (!exists) {
       return res.json({ ok: true, data: [], alerts: { missing_warehouse_id: 0 } });
     }
+    await ensureBillingPricingColumns();
 
     const hasWarehouseId = await hasColumn("billing_events", "warehouse_id");
     const warehouseExpr = hasWarehouseId ? "be.warehouse_id" : "NULL";
     const { where, params } = buildBillingEventsWhere(req.query, { hasWarehouseId });
     const [rows] = await getPool().query(
       `SELECT be.id, be.event_date, be.client_id, c.client_code, c.name_kr,
-              be.service_code, be.qty, be.amount_thb, be.fx_rate_thbkrw, be.amount_krw,
+              be.service_code, be.qty, be.pricing_policy, be.unit_price_thb, be.amount_thb, be.fx_rate_thbkrw,
+              be.unit_price_krw, be.amount_krw, be.price_source,
               be.reference_type, be.reference_id, ${warehouseExpr} AS warehouse_id, be.status, be.invoice_id
        FROM billing_events be
        JOIN clients c ON c.id = be.client_id
@@ -813,8 +1097,7 @@ router.get("/billing/events/export.csv", async (req, res) => {
   }
 });
 
-router.post("/billing/events/mark-pending", validate(markPendingSchema), async (req, res) => {
-  if (!requireAdmin(req, res)) return;
+router.post("/billing/events/mark-pending", requirePermission("billing:events:reopen"), validate(markPendingSchema), async (req, res) => {
 
   try {
     const result = await withTransaction(async (conn) => {
@@ -833,7 +1116,9 @@ router.post("/billing/events/mark-pending", validate(markPendingSchema), async (
         return { ok: false, code: "EVENTS_NOT_FOUND", message: "No billing events found" };
       }
 
-      const blocked = rows.filter((r) => ["issued", "paid"].includes(String(r.invoice_status || "").toLowerCase()));
+      const blocked = rows.filter((r) =>
+        ["issued", "sent", "partially_paid", "paid"].includes(String(r.invoice_status || "").toLowerCase())
+      );
       if (blocked.length > 0) {
         return {
           ok: false,
@@ -859,12 +1144,128 @@ router.post("/billing/events/mark-pending", validate(markPendingSchema), async (
   }
 });
 
-router.post("/billing/events", validate(billingEventSchema), async (req, res) => {
+async function getEventPriceSnapshot(conn, eventId) {
+  const [rows] = await conn.query(`SELECT ${PRICE_SNAPSHOT_FIELDS.join(", ")} FROM billing_events WHERE id = ?`, [eventId]);
+  if (rows.length === 0) return null;
+  return Object.fromEntries(
+    PRICE_SNAPSHOT_FIELDS.map((field) => [
+      field,
+      rows[0][field] === null || ["pricing_policy", "price_source"].includes(field) ? rows[0][field] : Number(rows[0][field])
+    ])
+  );
+}
+
+// Pending events are priced again from the current contract rates and catalog. Order fee events are re-synced so
+// their qty follows the service's billing_unit; manually priced events are skipped unless include_manual is set.
+router.post("/billing/events/reprice", requirePermission("billing:events:write"), validate(repriceSchema), async (req, res) => {
+  const { ids, client_id, service_code, invoice_month, include_manual } = req.body;
+  if (!ids && !client_id) {
+    return res.status(400).json({ ok: false, code: "FILTER_REQUIRED", message: "ids or client_id is required" });
+  }
+
+  try {
+    await ensureBillingPricingColumns();
+    const result = await withTransaction(async (conn) => {
+      const params = [];
+      let query = `SELECT id, service_code, reference_type, reference_id
+                   FROM billing_events
+                   WHERE status = 'PENDING' AND deleted_at IS NULL`;
+      if (ids) {
+        query += " AND id IN (?)";
+        params.push(ids);
+      }
+      if (client_id) {
+        query += " AND client_id = ?";
+        params.push(client_id);
+      }
+      if (service_code) {
+        query += " AND service_code = ?";
+        params.push(service_code);
+      }
+      if (invoice_month) {
+        query += " AND DATE_FORMAT(event_date, '%Y-%m') = ?";
+        params.push(invoice_month);
+      }
+      if (!include_manual) {
+        query += " AND (price_source IS NULL OR price_source <> 'manual')";
+      }
+      query += " ORDER BY id ASC FOR UPDATE";
+      const [events] = await conn.query(query, params);
+
+      const changes = [];
+      for (const event of events) {
+        const before = await getEventPriceSnapshot(conn, event.id);
+        const orderId = /^\d+$/.test(String(event.reference_id || "")) ? Number(event.reference_id) : null;
+        if (orderId && event.reference_type === "OUTBOUND" && event.service_code === "OUTBOUND_FEE") {
+          await syncOutboundOrderBillingEvent(conn, orderId, { repriceManual: include_manual });
+        } else if (orderId && event.reference_type === "INBOUND" && event.service_code === "INBOUND_FEE") {
+          await syncInboundOrderBillingEvent(conn, orderId, { repriceManual: include_manual });
+        } else {
+          await priceBillingEvent(conn, event.id);
+        }
+        const after = await getEventPriceSnapshot(conn, event.id);
+        if (JSON.stringify(before) === JSON.stringify(after)) continue;
+        changes.push({ id: event.id, service_code: event.service_code, before, after });
+        await recordAudit(req, { entityType: "billing_event", entityId: event.id, action: "reprice", before, after }, conn);
+      }
+      return { checked: events.length, repriced: changes.length, changes };
+    });
+    return res.json({ ok: true, data: result });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+function resolveStorageBillingOptions(body) {
+  return {
+    month: body.invoice_month,
+    clientId: body.client_id || null,
+    warehouseId: body.warehouse_id || null,
+    basis: body.basis
+  };
+}
+
+router.post("/billing/storage/preview", requirePermission("billing:events:write"), validate(storageBillingSchema), async (req, res) => {
+  try {
+    const preview = await previewStorageBilling(resolveStorageBillingOptions(req.body));
+    return res.json({ ok: true, data: preview });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+// Month-end storage charges from storage_snapshots; safe to re-run, pending STORAGE events are updated in place.
+router.post("/billing/storage/run", requirePermission("billing:events:write"), validate(storageBillingSchema), async (req, res) => {
+  try {
+    await ensureBillingPricingColumns();
+    const result = await withTransaction((conn) => runStorageBilling(conn, resolveStorageBillingOptions(req.body)));
+    await recordAudit(req, {
+      entityType: "storage_billing",
+      entityId: result.invoice_month,
+      action: "run",
+      after: {
+        client_id: req.body.client_id || null,
+        warehouse_id: req.body.warehouse_id || null,
+        basis: result.basis,
+        created: result.created,
+        updated: result.updated,
+        removed: result.removed,
+        invoiced: result.invoiced
+      }
+    });
+    return res.json({ ok: true, data: result });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/billing/events", requirePermission("billing:events:write"), validate(billingEventSchema), async (req, res) => {
   const payload = req.body;
   const amountThb = payload.amount_thb ?? (payload.unit_price_thb ?? 0) * (payload.qty ?? 0);
   const amountKrw = payload.amount_krw ?? (payload.unit_price_krw ?? 0) * (payload.qty ?? 0);
 
   try {
+    await ensureBillingPricingColumns();
     const hasWarehouseId = await hasColumn("billing_events", "warehouse_id");
     const warehouseId = hasWarehouseId ? await resolveWarehouseIdForBillingEvent(getPool(), payload) : null;
     const [result] = hasWarehouseId
@@ -906,9 +1307,22 @@ router.post("/billing/events", validate(billingEventSchema), async (req, res) =>
           ]
         );
 
+    const hasManualPrice =
+      payload.pricing_policy === "THB_BASED"
+        ? payload.unit_price_thb != null || payload.amount_thb != null
+        : payload.unit_price_krw != null || payload.amount_krw != null;
+    if (hasManualPrice) {
+      await getPool().query("UPDATE billing_events SET price_source = 'manual', priced_at = NOW() WHERE id = ?", [
+        result.insertId
+      ]);
+    } else {
+      await priceBillingEvent(getPool(), result.insertId);
+    }
+
     const [rows] = await getPool().query(
       `SELECT id, client_id, ${hasWarehouseId ? "warehouse_id" : "NULL AS warehouse_id"}, service_code, reference_type, reference_id, event_date, qty, pricing_policy,
-              unit_price_thb, amount_thb, unit_price_krw, amount_krw, fx_rate_thbkrw, invoice_id, status, created_at, updated_at
+              unit_price_thb, amount_thb, unit_price_krw, amount_krw, price_source, contract_rate_id, priced_at,
+              fx_rate_thbkrw, invoice_id, status, created_at, updated_at
        FROM billing_events
        WHERE id = ?`,
       [result.insertId]
@@ -918,7 +1332,7 @@ router.post("/billing/events", validate(billingEventSchema), async (req, res) =>
     return res.status(500).json({ ok: false, message: error.message });
   }
 });
-router.post("/billing/events/sample", async (req, res) => {
+router.post("/billing/events/sample", requirePermission("billing:events:write"), async (req, res) => {
   const clientId = Number(req.body?.client_id || 1);
   const warehouseId = req.body?.warehouse_id ? Number(req.body.warehouse_id) : null;
   const month = String(req.body?.invoice_month || "2026-01");
@@ -967,8 +1381,10 @@ router.post("/billing/events/sample", async (req, res) => {
   }
 });
 
-router.post("/billing/invoices/generate", validate(generateInvoiceSchema), async (req, res) => {
+router.post("/billing/invoices/generate", requirePermission("billing:generate", "fx:lock"), validate(generateInvoiceSchema), async (req, res) => {
   try {
+    await ensureBillingPricingColumns();
+    await ensureClientPricingRulesTable();
     const result = await withTransaction(async (conn) => {
       const payload = req.body;
       const createdBy = parseCreator(req, payload.created_by);
@@ -1038,10 +1454,25 @@ router.post("/billing/invoices/generate", validate(generateInvoiceSchema), async
 
       const fxRateId = Number(fxRows[0].id);
       const fx = Number(fxRows[0].rate);
+      const fxBefore = await getAuditSnapshot("exchange_rates", fxRateId, { conn });
       await conn.query("UPDATE exchange_rates SET locked = 1 WHERE id = ?", [fxRateId]);
+      if (Number(fxBefore.locked) !== 1) {
+        await recordAudit(
+          req,
+          {
+            entityType: "exchange_rate",
+            entityId: fxRateId,
+            action: "lock",
+            before: fxBefore,
+            after: await getAuditSnapshot("exchange_rates", fxRateId, { conn })
+          },
+          conn
+        );
+      }
 
       const [events] = await conn.query(
-        `SELECT id, service_code, qty, pricing_policy, unit_price_thb, amount_thb, unit_price_krw, amount_krw
+        `SELECT id, service_code, event_date, qty, pricing_policy, unit_price_thb, amount_thb, unit_price_krw, amount_krw,
+                price_source
          FROM billing_events
          WHERE client_id = ?
            AND status = 'PENDING'
@@ -1099,6 +1530,17 @@ router.post("/billing/invoices/generate", validate(generateInvoiceSchema), async
       const serviceNameMap = new Map(serviceNameRows.map((row) => [row.service_code, row.service_name]));
       const grouped = new Map();
 
+      const pricingRules = await getEffectivePricingRules(conn, payload.client_id, to);
+      for (const rule of pricingRules.values()) {
+        if (rule.tiers) {
+          await applyTieredPricing(
+            conn,
+            rule,
+            events.filter((event) => event.service_code === rule.service_code)
+          );
+        }
+      }
+
       for (const event of events) {
         let normalizedAmount = 0;
         if (event.pricing_policy === "THB_BASED") {
@@ -1131,6 +1573,28 @@ router.post("/billing/invoices/generate", validate(generateInvoiceSchema), async
       }
 
       let subtotalKrw = 0;
+      const pricingAdjustments = [];
+      const addChargeLimitLine = async (serviceCode, lineAmount) => {
+        const rule = pricingRules.get(serviceCode);
+        const adjustment = rule ? evaluateChargeLimits(rule, lineAmount, fx) : null;
+        if (!adjustment) return;
+        const label = adjustment.type === "min_topup" ? "Minimum charge top-up" : "Maximum charge cap";
+        await conn.query(
+          `INSERT INTO invoice_items
+            (invoice_id, service_code, description, qty, unit_price_krw, amount_krw)
+           VALUES (?, ?, ?, 1, ?, ?)`,
+          [
+            invoiceId,
+            adjustment.service_code,
+            `${label} - ${serviceNameMap.get(serviceCode) || serviceCode}`,
+            adjustment.amount_krw,
+            adjustment.amount_krw
+          ]
+        );
+        subtotalKrw += adjustment.amount_krw;
+        pricingAdjustments.push({ ...adjustment, rule_id: rule.id, for_service_code: serviceCode, service_amount_krw: lineAmount });
+      };
+
       for (const [serviceCode, agg] of grouped.entries()) {
         const qty = Number(agg.qty);
         const lineAmount = trunc100(Number(agg.amount_krw));
@@ -1143,6 +1607,10 @@ router.post("/billing/invoices/generate", validate(generateInvoiceSchema), async
            VALUES (?, ?, ?, ?, ?, ?)`,
           [invoiceId, serviceCode, serviceNameMap.get(serviceCode) || serviceCode, qty, unitDisplay, lineAmount]
         );
+        await addChargeLimitLine(serviceCode, lineAmount);
+      }
+      for (const serviceCode of pricingRules.keys()) {
+        if (!grouped.has(serviceCode)) await addChargeLimitLine(serviceCode, 0);
       }
 
       subtotalKrw = trunc100(subtotalKrw);
@@ -1178,7 +1646,8 @@ router.post("/billing/invoices/generate", validate(generateInvoiceSchema), async
           invoice: invoiceRows[0],
           events_count: events.length,
           reused: false,
-          fx_rate_id: fxRateId
+          fx_rate_id: fxRateId,
+          pricing_adjustments: pricingAdjustments
         }
       };
     });
@@ -1189,8 +1658,10 @@ router.post("/billing/invoices/generate", validate(generateInvoiceSchema), async
     return res.status(500).json({ ok: false, message: error.message });
   }
 });
-router.post("/billing/invoices/:id/issue", async (req, res) => {
+// Issuing applies the client's carried-forward credit, so the invoice may come out partially_paid or paid.
+router.post("/billing/invoices/:id/issue", requirePermission("billing:issue"), async (req, res) => {
   try {
+    await ensureInvoicePaymentTables();
     const result = await withTransaction(async (conn) => {
       const invoiceId = Number(req.params.id);
       const [rows] = await conn.query(
@@ -1202,7 +1673,21 @@ router.post("/billing/invoices/:id/issue", async (req, res) => {
         return { ok: false, code: "INVALID_STATUS", message: "Only DRAFT invoice can be issued" };
       }
       await conn.query("UPDATE invoices SET status = 'issued' WHERE id = ?", [invoiceId]);
-      return { ok: true, data: { id: invoiceId, status: "issued" } };
+      const credit = await applyClientCredit(conn, invoiceId, {
+        paymentDate: new Date().toISOString().slice(0, 10),
+        createdBy: Number(req.user?.sub || 0) || null
+      }).catch((error) => {
+        if (error instanceof InvoicePaymentError && error.code === "INVALID_STATUS") return null;
+        throw error;
+      });
+      return {
+        ok: true,
+        data: {
+          id: invoiceId,
+          status: credit ? credit.invoice.status : "issued",
+          credit_applied_krw: credit ? Number(credit.payment.applied_krw) : 0
+        }
+      };
     });
     if (!result.ok) return res.status(400).json(result);
     return res.json(result);
@@ -1211,30 +1696,32 @@ router.post("/billing/invoices/:id/issue", async (req, res) => {
   }
 });
 
-router.post("/billing/invoices/:id/mark-paid", async (req, res) => {
+// Records a payment for the whole outstanding balance; partial payments go through POST /billing/invoices/:id/payments.
+router.post("/billing/invoices/:id/mark-paid", requirePermission("billing:payment"), validate(markPaidSchema), async (req, res) => {
+  const payload = req.body;
   try {
-    const result = await withTransaction(async (conn) => {
-      const invoiceId = Number(req.params.id);
-      const [rows] = await conn.query(
-        `SELECT id, status FROM invoices WHERE id = ? AND deleted_at IS NULL LIMIT 1 FOR UPDATE`,
-        [invoiceId]
-      );
-      if (rows.length === 0) return { ok: false, code: "NOT_FOUND", message: "Invoice not found" };
-      if (String(rows[0].status).toLowerCase() !== "issued") {
-        return { ok: false, code: "INVALID_STATUS", message: "Only ISSUED invoice can be marked paid" };
-      }
-      await conn.query("UPDATE invoices SET status = 'paid' WHERE id = ?", [invoiceId]);
-      return { ok: true, data: { id: invoiceId, status: "paid" } };
-    });
-    if (!result.ok) return res.status(400).json(result);
-    return res.json(result);
+    await ensureInvoicePaymentTables();
+    const result = await withTransaction((conn) =>
+      recordPayment(conn, Number(req.params.id), {
+        paymentDate: payload.payment_date || new Date().toISOString().slice(0, 10),
+        method: payload.method,
+        reference: payload.reference,
+        receiptFileId: payload.receipt_file_id,
+        createdBy: Number(req.user?.sub || 0) || null
+      })
+    );
+    await recordAudit(req, { entityType: "invoice_payment", entityId: result.payment.id, action: "create", after: result.payment });
+    return res.json({ ok: true, data: { id: result.invoice.id, status: result.invoice.status, payment: result.payment } });
   } catch (error) {
+    if (error instanceof InvoicePaymentError) {
+      const statusCode = error.code === "NOT_FOUND" ? 404 : error.code === "SCHEMA_OUTDATED" ? 503 : 400;
+      return res.status(statusCode).json({ ok: false, code: error.code, message: error.message });
+    }
     return res.status(500).json({ ok: false, message: error.message });
   }
 });
 
-router.post("/billing/invoices/:id/duplicate-admin", async (req, res) => {
-  if (!requireAdmin(req, res)) return;
+router.post("/billing/invoices/:id/duplicate-admin", requirePermission("billing:duplicate"), async (req, res) => {
 
   try {
     const result = await withTransaction(async (conn) => {
@@ -1320,6 +1807,7 @@ router.get("/billing/invoices", async (req, res) => {
     if (!hasInvoices) {
       return res.json({ ok: true, data: [] });
     }
+    await ensureInvoicePaymentTables();
 
     const hasInvoiceMonth = await hasInvoiceMonthColumn();
     const hasInvoiceDate = await hasInvoiceDateColumn();
@@ -1336,7 +1824,8 @@ router.get("/billing/invoices", async (req, res) => {
 
     let query = `SELECT i.id, i.client_id, c.client_code, c.name_kr,
                         i.invoice_no, ${monthExpr} AS invoice_month, ${dateExpr} AS invoice_date, i.currency,
-                        ${fxExpr} AS fx_rate_thbkrw, ${subtotalExpr} AS subtotal_krw, ${vatExpr} AS vat_krw, ${totalExpr} AS total_krw, i.status, i.created_at
+                        ${fxExpr} AS fx_rate_thbkrw, ${subtotalExpr} AS subtotal_krw, ${vatExpr} AS vat_krw, ${totalExpr} AS total_krw,
+                        i.paid_krw, ${totalExpr} - i.paid_krw AS outstanding_krw, i.status, i.created_at
                  FROM invoices i
                  JOIN clients c ON c.id = i.client_id
                  WHERE i.deleted_at IS NULL
@@ -1367,9 +1856,10 @@ router.get("/billing/invoices", async (req, res) => {
 router.get("/billing/invoices/:id", async (req, res) => {
   try {
     const hasInvoices = await hasTable("invoices");
-    if (!hasInvoices) {
+    if (!hasInvoices || !(await isTenantRow(req, "invoices", req.params.id))) {
       return res.status(404).json({ ok: false, message: "Invoice not found" });
     }
+    await ensureInvoicePaymentTables();
 
     const hasInvoiceMonth = await hasInvoiceMonthColumn();
     const hasInvoiceDate = await hasInvoiceDateColumn();
@@ -1389,7 +1879,8 @@ router.get("/billing/invoices/:id", async (req, res) => {
     const [invoiceRows] = await getPool().query(
       `SELECT i.id, i.client_id, c.client_code, c.name_kr,
               i.invoice_no, ${monthExpr} AS invoice_month, ${dateExpr} AS invoice_date, i.currency,
-              ${fxExpr} AS fx_rate_thbkrw, ${subtotalExpr} AS subtotal_krw, ${vatExpr} AS vat_krw, ${totalExpr} AS total_krw, i.status, i.created_at, i.updated_at,
+              ${fxExpr} AS fx_rate_thbkrw, ${subtotalExpr} AS subtotal_krw, ${vatExpr} AS vat_krw, ${totalExpr} AS total_krw,
+              i.paid_krw, ${totalExpr} - i.paid_krw AS outstanding_krw, i.paid_at, i.status, i.created_at, i.updated_at,
               (MOD(${subtotalExpr}, 100) = 0) AS subtotal_trunc100,
               (MOD(${vatExpr}, 100) = 0) AS vat_trunc100,
               (MOD(${totalExpr}, 100) = 0) AS total_trunc100
@@ -1427,41 +1918,79 @@ router.get("/billing/invoices/:id", async (req, res) => {
   }
 });
 
-router.get("/billing/invoices/:id/export-pdf", async (req, res) => {
-  try {
-    const hasInvoices = await hasTable("invoices");
-    if (!hasInvoices) {
-      return res.status(404).json({ ok: false, message: "Invoice not found" });
-    }
+async function exportInvoicePdf(req, res) {
+  const lang = resolveInvoicePdfLang(req.query.lang);
+  if (!lang) {
+    res.status(400).json({ ok: false, message: `lang must be one of ${INVOICE_PDF_LANGS.join(", ")}` });
+    return null;
+  }
+  if (!(await hasTable("invoices")) || !(await isTenantRow(req, "invoices", req.params.id))) {
+    res.status(404).json({ ok: false, message: "Invoice not found" });
+    return null;
+  }
 
-    const hasInvoiceMonth = await hasInvoiceMonthColumn();
-    const hasTotalKrw = await hasColumn("invoices", "total_krw");
-    const monthExpr = invoiceMonthExpr(hasInvoiceMonth, "i");
-    const totalExpr = hasTotalKrw ? "i.total_krw" : "i.total_amount";
+  await ensureInvoiceDocumentsTable();
+  const result = await withTransaction(async (conn) => {
+    const [rows] = await conn.query("SELECT id FROM invoices WHERE id = ? AND deleted_at IS NULL FOR UPDATE", [
+      req.params.id
+    ]);
+    if (rows.length === 0) return null;
+    return getOrCreateInvoicePdf(conn, rows[0].id, lang, { createdBy: Number(req.user?.sub || 0) || null });
+  });
+  if (!result) {
+    res.status(404).json({ ok: false, message: "Invoice not found" });
+    return null;
+  }
+  return { lang, ...result };
+}
 
-    const [invoiceRows] = await getPool().query(
-      `SELECT i.id, i.invoice_no, ${monthExpr} AS invoice_month, ${totalExpr} AS total_krw, i.status
-       FROM invoices i
-       WHERE i.id = ? AND i.deleted_at IS NULL`,
-      [req.params.id]
-    );
+function sendInvoicePdfError(res, error) {
+  if (error instanceof InvoicePdfError) {
+    const status = error.code === "NOT_FOUND" ? 404 : 500;
+    return res.status(status).json({ ok: false, code: error.code, message: error.message });
+  }
+  return res.status(500).json({ ok: false, message: error.message });
+}
 
-    if (invoiceRows.length === 0) {
-      return res.status(404).json({ ok: false, message: "Invoice not found" });
-    }
+router.get("/billing/invoices/:id/export-pdf", async (req, res) => {
+  try {
+    const result = await exportInvoicePdf(req, res);
+    if (!result) return undefined;
+    const { lang, document, file, reused } = result;
 
     return res.json({
       ok: true,
       data: {
-        invoice_id: invoiceRows[0].id,
-        invoice_no: invoiceRows[0].invoice_no,
-        status: "stub",
-        message: "PDF export endpoint is ready. Implement renderer integration next.",
-        download_url: null
+        invoice_id: document.invoice_id,
+        lang,
+        status: "ready",
+        reused,
+        file_id: file.id,
+        file_name: file.file_name,
+        size_bytes: file.size_bytes,
+        generated_at: document.created_at,
+        download_url: `/billing/invoices/${document.invoice_id}/pdf?lang=${lang}`
       }
     });
   } catch (error) {
-    return res.status(500).json({ ok: false, message: error.message });
+    return sendInvoicePdfError(res, error);
+  }
+});
+
+router.get("/billing/invoices/:id/pdf", async (req, res) => {
+  try {
+    const result = await exportInvoicePdf(req, res);
+    if (!result) return undefined;
+    const content = await readStoredFile(result.file);
+    const disposition = req.query.download === "1" ? "attachment" : "inline";
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `${disposition}; filename="${encodeURIComponent(result.file.file_name)}"`);
+    return res.send(content);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ ok: false, message: "File content is missing" });
+    }
+    return sendInvoicePdfError(res, error);
   }
 });
 
@@ -2,6 +2,8 @@ const express = require("express");
 const { z } = require("zod");
 const { getPool } = require("../db");
 const { validate } = require("../middleware/validate");
+const { getAuditSnapshot, recordAudit } = require("../services/auditLog");
+const { tenantClause } = require("../middleware/tenantScope");
 
 const router = express.Router();
 
@@ -24,13 +26,15 @@ function isMysqlDuplicate(error) {
   return error && error.code === "ER_DUP_ENTRY";
 }
 
-router.get("/", async (_req, res) => {
+router.get("/", async (req, res) => {
   try {
+    const params = [];
     const [rows] = await getPool().query(
       `SELECT id, client_code, name_kr, name_en, contact_name, phone, email, address, status, created_at, updated_at
        FROM clients
-       WHERE deleted_at IS NULL
-       ORDER BY id DESC`
+       WHERE deleted_at IS NULL${tenantClause(req, "id", params)}
+       ORDER BY id DESC`,
+      params
     );
     res.json({ ok: true, data: rows });
   } catch (error) {
@@ -40,11 +44,12 @@ router.get("/", async (_req, res) => {
 
 router.get("/:id", async (req, res) => {
   try {
+    const params = [req.params.id];
     const [rows] = await getPool().query(
       `SELECT id, client_code, name_kr, name_en, contact_name, phone, email, address, status, created_at, updated_at
        FROM clients
-       WHERE id = ? AND deleted_at IS NULL`,
-      [req.params.id]
+       WHERE id = ? AND deleted_at IS NULL${tenantClause(req, "id", params)}`,
+      params
     );
     if (rows.length === 0) {
       return res.status(404).json({ ok: false, message: "Client not found" });
@@ -87,6 +92,12 @@ router.post("/", validate(clientCreateSchema), async (req, res) => {
        WHERE id = ?`,
       [result.insertId]
     );
+    await recordAudit(req, {
+      entityType: "client",
+      entityId: result.insertId,
+      action: "create",
+      after: await getAuditSnapshot("clients", result.insertId)
+    });
     res.status(201).json({ ok: true, data: rows[0] });
   } catch (error) {
     if (isMysqlDuplicate(error)) {
@@ -116,6 +127,7 @@ router.put("/:id", validate(clientUpdateSchema), async (req, res) => {
   }
 
   try {
+    const before = await getAuditSnapshot("clients", req.params.id);
     const [result] = await getPool().query(
       `UPDATE clients
        SET client_code = ?, name_kr = ?, name_en = ?, contact_name = ?, phone = ?, email = ?, address = ?, status = ?
@@ -143,6 +155,13 @@ router.put("/:id", validate(clientUpdateSchema), async (req, res) => {
        WHERE id = ?`,
       [req.params.id]
     );
+    await recordAudit(req, {
+      entityType: "client",
+      entityId: req.params.id,
+      action: "update",
+      before,
+      after: await getAuditSnapshot("clients", req.params.id)
+    });
     res.json({ ok: true, data: rows[0] });
   } catch (error) {
     if (isMysqlDuplicate(error)) {
@@ -154,6 +173,7 @@ router.put("/:id", validate(clientUpdateSchema), async (req, res) => {
 
 router.delete("/:id", async (req, res) => {
   try {
+    const before = await getAuditSnapshot("clients", req.params.id);
     const [result] = await getPool().query(
       "UPDATE clients SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL",
       [req.params.id]
@@ -161,6 +181,13 @@ router.delete("/:id", async (req, res) => {
     if (result.affectedRows === 0) {
       return res.status(404).json({ ok: false, message: "Client not found" });
     }
+    await recordAudit(req, {
+      entityType: "client",
+      entityId: req.params.id,
+      action: "delete",
+      before,
+      after: await getAuditSnapshot("clients", req.params.id)
+    });
     res.json({ ok: true });
   } catch (error) {
     res.status(500).json({ ok: false, message: error.message });
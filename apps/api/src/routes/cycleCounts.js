@@ -0,0 +1,359 @@
+const express = require("express");
+const { z } = require("zod");
+const { getPool } = require("../db");
+const { validate } = require("../middleware/validate");
+const { getUserPermissions } = require("../middleware/rbac");
+const { tenantClause } = require("../middleware/tenantScope");
+const { StockError, withTransaction } = require("../services/stock");
+const { recordAudit } = require("../services/auditLog");
+const { ensureQcSchema } = require("../services/qualityControl");
+const { ensureWarehouseLocationColumns } = require("../services/warehouseLocations");
+const { ensureStockAdjustmentTables, getApprovalThreshold } = require("../services/stockAdjustments");
+const {
+  ACTIVE_COUNT_STATUSES,
+  ensureCycleCountTables,
+  createCycleCount,
+  getCycleCount,
+  lockCountForStatus,
+  getCycleCountTasks,
+  submitCounts,
+  addFoundTask,
+  sumAbsVariance,
+  approveCycleCount
+} = require("../services/cycleCounts");
+
+const router = express.Router();
+
+const cycleCountSchema = z
+  .object({
+    warehouse_id: z.coerce.number().int().positive(),
+    scope_type: z.enum(["warehouse", "zone", "location", "abc_class"]),
+    scope_value: z.string().trim().max(100).nullable().optional(),
+    freeze_stock: z.boolean().default(false),
+    tolerance_qty: z.coerce.number().int().min(0).default(0),
+    tolerance_pct: z.coerce.number().min(0).max(100).default(0),
+    memo: z.string().max(1000).nullable().optional()
+  })
+  .refine((body) => body.scope_type === "warehouse" || Boolean(body.scope_value), {
+    message: "scope_value is required for zone, location and abc_class scopes",
+    path: ["scope_value"]
+  })
+  .refine((body) => body.scope_type !== "abc_class" || ["A", "B", "C"].includes(body.scope_value), {
+    message: "scope_value must be A, B or C for abc_class scope",
+    path: ["scope_value"]
+  })
+  .refine((body) => body.scope_type !== "location" || /^\d+$/.test(body.scope_value || ""), {
+    message: "scope_value must be a location id for location scope",
+    path: ["scope_value"]
+  });
+
+const countLinesSchema = z.object({
+  lines: z
+    .array(
+      z.object({
+        task_id: z.coerce.number().int().positive(),
+        counted_qty: z.coerce.number().int().min(0)
+      })
+    )
+    .min(1)
+    .max(500)
+});
+
+const foundTaskSchema = z.object({
+  client_id: z.coerce.number().int().positive(),
+  product_id: z.coerce.number().int().positive(),
+  lot_id: z.coerce.number().int().positive(),
+  location_id: z.coerce.number().int().positive().nullable().optional()
+});
+
+const countActionSchema = z.object({
+  note: z.string().max(500).nullable().optional()
+});
+
+function sendStockError(res, error) {
+  if (error.code === "FORBIDDEN") {
+    return res.status(403).json({
+      ok: false,
+      code: error.code,
+      message: error.message,
+      required_permission: "stock:adjust:approve"
+    });
+  }
+  const status = error.code === "NOT_FOUND" ? 404 : ["INVALID_TRANSITION", "STOCK_CHANGED"].includes(error.code) ? 409 : 400;
+  return res.status(status).json({ ok: false, code: error.code, message: error.message });
+}
+
+function resolveUserId(req) {
+  return Number(req.user?.sub || 0) || null;
+}
+
+// Counters count blind: expected and system quantities stay hidden until the count is closed.
+function presentTasks(req, count, tasks) {
+  const visible = req.tenantClientId
+    ? tasks.filter((task) => Number(task.client_id) === Number(req.tenantClientId))
+    : tasks;
+  const blind =
+    ACTIVE_COUNT_STATUSES.includes(count.status) && !getUserPermissions(req.user).includes("stock:adjust:approve");
+  if (!blind) return visible;
+  return visible.map((task) => ({ ...task, expected_qty: null, system_qty: null, variance_qty: null }));
+}
+
+async function getCycleCountDetail(req, conn, countId) {
+  const count = await getCycleCount(conn, countId);
+  if (!count) return null;
+  const tasks = await getCycleCountTasks(conn, countId);
+  return {
+    ...count,
+    blind: ACTIVE_COUNT_STATUSES.includes(count.status) && !getUserPermissions(req.user).includes("stock:adjust:approve"),
+    tasks: presentTasks(req, count, tasks)
+  };
+}
+
+router.use(async (_req, res, next) => {
+  try {
+    await ensureQcSchema();
+    await ensureWarehouseLocationColumns();
+    await ensureStockAdjustmentTables();
+    await ensureCycleCountTables();
+    return next();
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/", async (req, res) => {
+  const { status, warehouse_id } = req.query;
+
+  try {
+    const params = [];
+    let query = `SELECT c.id, c.warehouse_id, w.code AS warehouse_code, c.scope_type, c.scope_value, c.freeze_stock,
+                        c.tolerance_qty, c.tolerance_pct, c.status, c.memo,
+                        COUNT(t.id) AS task_count,
+                        SUM(CASE WHEN t.status IN ('pending','recount') THEN 1 ELSE 0 END) AS open_task_count,
+                        c.created_by, c.approved_by, c.approved_at, c.cancelled_at, c.created_at, c.updated_at
+                 FROM cycle_counts c
+                 LEFT JOIN warehouses w ON w.id = c.warehouse_id
+                 LEFT JOIN cycle_count_tasks t ON t.cycle_count_id = c.id
+                 WHERE 1 = 1${tenantClause(req, "t.client_id", params)}`;
+
+    if (status) {
+      query += " AND c.status = ?";
+      params.push(status);
+    }
+    if (warehouse_id) {
+      query += " AND c.warehouse_id = ?";
+      params.push(warehouse_id);
+    }
+    query += " GROUP BY c.id ORDER BY c.id DESC";
+
+    const [rows] = await getPool().query(query, params);
+    return res.json({ ok: true, data: rows });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/history", async (req, res) => {
+  const { warehouse_id, location_id, product_id, q, date_from, date_to } = req.query;
+
+  try {
+    const params = [];
+    let query = `SELECT t.id AS task_id, c.id AS cycle_count_id, c.warehouse_id, w.code AS warehouse_code,
+                        t.location_id, wl.location_code, wl.zone, t.client_id, cl.name_kr AS client_name,
+                        t.product_id, p.sku_code, p.name_kr AS product_name, t.lot_id, pl.lot_no,
+                        t.system_qty, t.first_counted_qty, t.counted_qty, t.variance_qty, t.count_round,
+                        t.stock_adjustment_id, t.counted_by, t.counted_at, c.approved_at
+                 FROM cycle_count_tasks t
+                 JOIN cycle_counts c ON c.id = t.cycle_count_id
+                 LEFT JOIN warehouses w ON w.id = c.warehouse_id
+                 LEFT JOIN warehouse_locations wl ON wl.id = t.location_id
+                 LEFT JOIN clients cl ON cl.id = t.client_id
+                 LEFT JOIN products p ON p.id = t.product_id
+                 LEFT JOIN product_lots pl ON pl.id = t.lot_id
+                 WHERE c.status = 'approved'
+                   AND t.status = 'posted'${tenantClause(req, "t.client_id", params)}`;
+
+    if (warehouse_id) {
+      query += " AND c.warehouse_id = ?";
+      params.push(warehouse_id);
+    }
+    if (location_id) {
+      query += " AND t.location_id = ?";
+      params.push(location_id);
+    }
+    if (product_id) {
+      query += " AND t.product_id = ?";
+      params.push(product_id);
+    }
+    if (q) {
+      query += " AND (wl.location_code LIKE ? OR p.sku_code LIKE ? OR p.name_kr LIKE ?)";
+      params.push(`%${q}%`, `%${q}%`, `%${q}%`);
+    }
+    if (date_from) {
+      query += " AND t.counted_at >= ?";
+      params.push(date_from);
+    }
+    if (date_to) {
+      query += " AND t.counted_at < DATE_ADD(?, INTERVAL 1 DAY)";
+      params.push(date_to);
+    }
+    query += " ORDER BY wl.location_code ASC, t.counted_at DESC LIMIT 500";
+
+    const [rows] = await getPool().query(query, params);
+    return res.json({ ok: true, data: rows });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const count = await getCycleCountDetail(req, getPool(), req.params.id);
+    if (!count || (req.tenantClientId && count.tasks.length === 0)) {
+      return res.status(404).json({ ok: false, message: "Cycle count not found" });
+    }
+    return res.json({ ok: true, data: count });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/", validate(cycleCountSchema), async (req, res) => {
+  const {
+    warehouse_id,
+    scope_type,
+    scope_value = null,
+    freeze_stock,
+    tolerance_qty,
+    tolerance_pct,
+    memo = null
+  } = req.body;
+  const createdBy = resolveUserId(req);
+  if (!createdBy) {
+    return res.status(403).json({ ok: false, code: "USER_REQUIRED", message: "Cycle counts require a user session" });
+  }
+
+  try {
+    const count = await withTransaction(async (conn) => {
+      const countId = await createCycleCount(conn, {
+        warehouseId: warehouse_id,
+        scopeType: scope_type,
+        scopeValue: scope_type === "warehouse" ? null : scope_value,
+        freezeStock: freeze_stock,
+        toleranceQty: tolerance_qty,
+        tolerancePct: tolerance_pct,
+        memo,
+        createdBy
+      });
+      return getCycleCountDetail(req, conn, countId);
+    });
+    await recordAudit(req, {
+      entityType: "cycle_count",
+      entityId: count.id,
+      action: "create",
+      after: { ...count, tasks: undefined, task_count: count.tasks.length }
+    });
+    return res.status(201).json({ ok: true, data: count });
+  } catch (error) {
+    if (error instanceof StockError) return sendStockError(res, error);
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/:id/tasks", validate(foundTaskSchema), async (req, res) => {
+  const { client_id, product_id, lot_id, location_id = null } = req.body;
+
+  try {
+    const count = await withTransaction(async (conn) => {
+      const current = await lockCountForStatus(conn, req.params.id, ACTIVE_COUNT_STATUSES, "add tasks to");
+      await addFoundTask(conn, current, { clientId: client_id, productId: product_id, lotId: lot_id, locationId: location_id });
+      return getCycleCountDetail(req, conn, current.id);
+    });
+    return res.status(201).json({ ok: true, data: count });
+  } catch (error) {
+    if (error instanceof StockError) return sendStockError(res, error);
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/:id/counts", validate(countLinesSchema), async (req, res) => {
+  const countedBy = resolveUserId(req);
+  if (!countedBy) {
+    return res.status(403).json({ ok: false, code: "USER_REQUIRED", message: "Counts require a user session" });
+  }
+
+  try {
+    const count = await withTransaction(async (conn) => {
+      const current = await lockCountForStatus(conn, req.params.id, ["counting"], "submit counts for");
+      await submitCounts(conn, current, req.body.lines, { countedBy });
+      return getCycleCountDetail(req, conn, current.id);
+    });
+    return res.json({ ok: true, data: count });
+  } catch (error) {
+    if (error instanceof StockError) return sendStockError(res, error);
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/:id/approve", validate(countActionSchema), async (req, res) => {
+  const approvedBy = resolveUserId(req);
+  if (!approvedBy) {
+    return res.status(403).json({ ok: false, code: "USER_REQUIRED", message: "Approvals require a user session" });
+  }
+
+  try {
+    const result = await withTransaction(async (conn) => {
+      const current = await lockCountForStatus(conn, req.params.id, ["review"], "approve");
+      const tasks = await getCycleCountTasks(conn, current.id);
+      const threshold = getApprovalThreshold();
+      const totalAbsVariance = sumAbsVariance(tasks);
+      if (totalAbsVariance > threshold && !getUserPermissions(req.user).includes("stock:adjust:approve")) {
+        throw new StockError(
+          "FORBIDDEN",
+          `Count variances above ${threshold} units need a manager approval (stock:adjust:approve)`
+        );
+      }
+      const adjustmentIds = await approveCycleCount(conn, current, { approvedBy });
+      return { count: await getCycleCountDetail(req, conn, current.id), adjustmentIds, totalAbsVariance };
+    });
+    await recordAudit(req, {
+      entityType: "cycle_count",
+      entityId: result.count.id,
+      action: "approve",
+      before: { status: "review" },
+      after: {
+        status: result.count.status,
+        total_abs_variance: result.totalAbsVariance,
+        stock_adjustment_ids: result.adjustmentIds,
+        note: req.body.note || null
+      }
+    });
+    return res.json({ ok: true, data: { ...result.count, stock_adjustment_ids: result.adjustmentIds } });
+  } catch (error) {
+    if (error instanceof StockError) return sendStockError(res, error);
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/:id/cancel", validate(countActionSchema), async (req, res) => {
+  try {
+    const result = await withTransaction(async (conn) => {
+      const current = await lockCountForStatus(conn, req.params.id, ACTIVE_COUNT_STATUSES, "cancel");
+      await conn.query("UPDATE cycle_counts SET status = 'cancelled', cancelled_at = NOW() WHERE id = ?", [current.id]);
+      return { before: current.status, count: await getCycleCountDetail(req, conn, current.id) };
+    });
+    await recordAudit(req, {
+      entityType: "cycle_count",
+      entityId: result.count.id,
+      action: "cancel",
+      before: { status: result.before },
+      after: { status: result.count.status, note: req.body.note || null }
+    });
+    return res.json({ ok: true, data: result.count });
+  } catch (error) {
+    if (error instanceof StockError) return sendStockError(res, error);
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+module.exports = router;
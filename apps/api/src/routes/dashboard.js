@@ -1,5 +1,7 @@
 const express = require("express");
 const { getPool } = require("../db");
+const { ensureQcSchema } = require("../services/qualityControl");
+const { getExpiryReport } = require("../services/lotExpiry");
 
 const router = express.Router();
 const PALLET_CBM = 1.2;
@@ -169,9 +171,10 @@ function getCapacityStatus(usagePctCbm) {
 
 async function upsertStorageSnapshots(snapshotDate, filters) {
   const pool = getPool();
+  await ensureQcSchema();
   const params = [snapshotDate, PALLET_CBM];
   const where = appendInventoryFilter(
-    " WHERE sb.deleted_at IS NULL AND p.deleted_at IS NULL AND sb.available_qty > 0",
+    " WHERE sb.deleted_at IS NULL AND p.deleted_at IS NULL AND (sb.available_qty + sb.reserved_qty + sb.hold_qty) > 0",
     params,
     filters
   );
@@ -183,8 +186,8 @@ async function upsertStorageSnapshots(snapshotDate, filters) {
       sb.warehouse_id,
       sb.client_id,
       ? AS snapshot_date,
-      ROUND(SUM((sb.available_qty * COALESCE(p.volume_ml, 0)) / 1000000), 4) AS total_cbm,
-      ROUND(SUM((sb.available_qty * COALESCE(p.volume_ml, 0)) / 1000000 / ?), 4) AS total_pallet,
+      ROUND(SUM(((sb.available_qty + sb.reserved_qty + sb.hold_qty) * COALESCE(p.volume_ml, 0)) / 1000000), 4) AS total_cbm,
+      ROUND(SUM(((sb.available_qty + sb.reserved_qty + sb.hold_qty) * COALESCE(p.volume_ml, 0)) / 1000000 / ?), 4) AS total_pallet,
       COUNT(DISTINCT sb.product_id) AS total_sku
      FROM stock_balances sb
      JOIN products p ON p.id = sb.product_id
@@ -200,9 +203,10 @@ async function upsertStorageSnapshots(snapshotDate, filters) {
 
 async function fetchMissingCbmAlerts(filters) {
   const pool = getPool();
+  await ensureQcSchema();
   const params = [];
   const where = appendInventoryFilter(
-    " WHERE sb.deleted_at IS NULL AND p.deleted_at IS NULL AND sb.available_qty > 0 AND (p.volume_ml IS NULL OR p.volume_ml <= 0)",
+    " WHERE sb.deleted_at IS NULL AND p.deleted_at IS NULL AND (sb.available_qty + sb.reserved_qty + sb.hold_qty) > 0 AND (p.volume_ml IS NULL OR p.volume_ml <= 0)",
     params,
     filters
   );
@@ -214,7 +218,7 @@ async function fetchMissingCbmAlerts(filters) {
       p.id AS product_id,
       p.sku_code,
       p.name_kr AS product_name,
-      SUM(sb.available_qty) AS available_qty
+      SUM(sb.available_qty + sb.reserved_qty + sb.hold_qty) AS available_qty
      FROM stock_balances sb
      JOIN products p ON p.id = sb.product_id
      ${where}
@@ -508,6 +512,7 @@ async function getStorageCapacity(req, res) {
   try {
     const pool = getPool();
     const params = [dateResult.value];
+    const usedWhere = appendSnapshotFilter(" WHERE ss.snapshot_date = ?", params, { clientId: req.tenantClientId }, "ss");
     let where = " WHERE w.deleted_at IS NULL";
 
     if (warehouseIdResult.value) {
@@ -529,7 +534,7 @@ async function getStorageCapacity(req, res) {
            ROUND(SUM(ss.total_cbm), 4) AS used_cbm,
            ROUND(SUM(ss.total_pallet), 4) AS used_pallet
          FROM storage_snapshots ss
-         WHERE ss.snapshot_date = ?
+         ${usedWhere}
          GROUP BY ss.warehouse_id
        ) used ON used.warehouse_id = w.id
        ${where}
@@ -569,7 +574,30 @@ async function getStorageCapacity(req, res) {
   }
 }
 
+async function getExpiryDashboard(req, res) {
+  const filtersResult = resolveFilters(req.query);
+  if (!filtersResult.ok) {
+    return res.status(400).json({ ok: false, message: filtersResult.message });
+  }
+
+  try {
+    await ensureQcSchema();
+    const report = await getExpiryReport(getPool(), filtersResult.value);
+    return res.json({
+      ok: true,
+      date: getTodayDate(),
+      filters: filtersResult.value,
+      buckets: report.buckets,
+      totals: report.totals,
+      clients: report.clients
+    });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+}
+
 router.post("/storage/snapshots/generate", generateSnapshots);
+router.get("/expiry", getExpiryDashboard);
 router.get("/storage", getStorageDashboard);
 router.get("/storage/trend", getStorageTrend);
 router.get("/storage/billing/preview", getStorageBillingPreview);
@@ -0,0 +1,84 @@
+const express = require("express");
+const { z } = require("zod");
+const { getPool } = require("../db");
+const { validate } = require("../middleware/validate");
+const { storeFile, getFileRow, readStoredFile } = require("../services/fileStorage");
+
+const router = express.Router();
+
+const MAX_FILE_BYTES = Number(process.env.FILE_UPLOAD_MAX_BYTES || 5 * 1024 * 1024);
+// Only these render in the browser; anything else (HTML, SVG, scripts) is downloaded so it cannot run on the console origin.
+const INLINE_MIME_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp", "application/pdf"];
+
+const fileUploadSchema = z.object({
+  file_name: z.string().min(1).max(255),
+  mime_type: z.string().min(1).max(100),
+  content_base64: z.string().min(1)
+});
+
+// Stored files are internal attachments (QC photos, generated documents); client viewers cannot browse them.
+function rejectTenantUser(req, res) {
+  if (!req.tenantClientId) return false;
+  res.status(404).json({ ok: false, message: "File not found" });
+  return true;
+}
+
+router.post("/", validate(fileUploadSchema), async (req, res) => {
+  if (rejectTenantUser(req, res)) return undefined;
+  const { file_name, mime_type, content_base64 } = req.body;
+  const uploadedBy = Number(req.user?.sub || 0);
+  if (!uploadedBy) {
+    return res.status(403).json({ ok: false, code: "USER_REQUIRED", message: "Uploads require a user session" });
+  }
+
+  const buffer = Buffer.from(content_base64, "base64");
+  if (buffer.length === 0) {
+    return res.status(400).json({ ok: false, code: "EMPTY_FILE", message: "content_base64 is empty or invalid" });
+  }
+  if (buffer.length > MAX_FILE_BYTES) {
+    return res.status(413).json({ ok: false, code: "FILE_TOO_LARGE", message: `File exceeds ${MAX_FILE_BYTES} bytes` });
+  }
+
+  try {
+    const file = await storeFile(getPool(), { fileName: file_name, mimeType: mime_type, buffer, uploadedBy });
+    return res.status(201).json({ ok: true, data: file });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  if (rejectTenantUser(req, res)) return undefined;
+  try {
+    const file = await getFileRow(getPool(), req.params.id);
+    if (!file) return res.status(404).json({ ok: false, message: "File not found" });
+    return res.json({ ok: true, data: file });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/:id/content", async (req, res) => {
+  if (rejectTenantUser(req, res)) return undefined;
+  try {
+    const file = await getFileRow(getPool(), req.params.id);
+    if (!file) return res.status(404).json({ ok: false, message: "File not found" });
+    const content = await readStoredFile(file);
+    const mimeType = String(file.mime_type || "").toLowerCase();
+    const inline = INLINE_MIME_TYPES.includes(mimeType);
+    res.setHeader("Content-Type", inline ? mimeType : "application/octet-stream");
+    res.setHeader(
+      "Content-Disposition",
+      `${inline ? "inline" : "attachment"}; filename="${encodeURIComponent(file.file_name)}"`
+    );
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    return res.send(content);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ ok: false, message: "File content is missing" });
+    }
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,12 @@ const express = require("express");
 const { z } = require("zod");
 const { getPool } = require("../db");
 const { validate } = require("../middleware/validate");
-const {
-  StockError,
-  withTransaction,
-  getInboundOrderContext,
-  adjustAvailableQty,
-  upsertStockTxn,
-  softDeleteStockTxn
-} = require("../services/stock");
+const { tenantClause } = require("../middleware/tenantScope");
+const { StockError, withTransaction, getInboundOrderContext } = require("../services/stock");
+const { isInboundStockPosted, reverseInboundItemStock } = require("../services/inboundReceiving");
+const { ensureQcSchema } = require("../services/qualityControl");
 const { syncInboundOrderBillingEvent } = require("../services/billingEvents");
+const { ensureBillingPricingColumns } = require("../services/billingPricing");
 
 const router = express.Router();
 
@@ -40,7 +37,7 @@ async function validateLotBelongsToProduct(conn, productId, lotId) {
 async function getInboundItemWithContext(conn, itemId) {
   const [rows] = await conn.query(
     `SELECT ii.id, ii.inbound_order_id, ii.product_id, ii.lot_id, ii.location_id, ii.qty, ii.invoice_price, ii.currency, ii.remark, ii.created_at, ii.updated_at,
-            io.client_id, io.warehouse_id, io.created_by
+            io.client_id, io.warehouse_id, io.status AS order_status, io.created_by
      FROM inbound_items ii
      JOIN inbound_orders io ON io.id = ii.inbound_order_id
      WHERE ii.id = ? AND ii.deleted_at IS NULL`,
@@ -49,14 +46,24 @@ async function getInboundItemWithContext(conn, itemId) {
   return rows[0] || null;
 }
 
+// billing_events pricing columns are added at runtime; DDL must not run inside the item transactions.
+router.use(async (_req, res, next) => {
+  try {
+    await ensureBillingPricingColumns();
+    return next();
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
 router.get("/", async (req, res) => {
   const inboundOrderId = req.query.inbound_order_id;
 
   try {
+    const params = [];
     let query = `SELECT id, inbound_order_id, product_id, lot_id, location_id, qty, invoice_price, currency, remark, created_at, updated_at
                  FROM inbound_items
-                 WHERE deleted_at IS NULL`;
-    const params = [];
+                 WHERE deleted_at IS NULL${tenantClause(req, "(SELECT o.client_id FROM inbound_orders o WHERE o.id = inbound_items.inbound_order_id)", params)}`;
 
     if (inboundOrderId) {
       query += " AND inbound_order_id = ?";
@@ -74,11 +81,12 @@ router.get("/", async (req, res) => {
 
 router.get("/:id", async (req, res) => {
   try {
+    const params = [req.params.id];
     const [rows] = await getPool().query(
       `SELECT id, inbound_order_id, product_id, lot_id, location_id, qty, invoice_price, currency, remark, created_at, updated_at
        FROM inbound_items
-       WHERE id = ? AND deleted_at IS NULL`,
-      [req.params.id]
+       WHERE id = ? AND deleted_at IS NULL${tenantClause(req, "(SELECT o.client_id FROM inbound_orders o WHERE o.id = inbound_items.inbound_order_id)", params)}`,
+      params
     );
     if (rows.length === 0) {
       return res.status(404).json({ ok: false, message: "Inbound item not found" });
@@ -113,38 +121,15 @@ router.post("/", validate(inboundItemSchema), async (req, res) => {
         throw new StockError("INVALID_ORDER", "Invalid inbound_order_id");
       }
 
+      if (isInboundStockPosted(order.status)) {
+        throw new StockError("ORDER_ALREADY_RECEIVED", `Items cannot be added to an inbound order in ${order.status}`);
+      }
+
       const [result] = await conn.query(
         `INSERT INTO inbound_items (inbound_order_id, product_id, lot_id, location_id, qty, invoice_price, currency, remark)
          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
         [inbound_order_id, product_id, lot_id, location_id, qty, invoice_price, currency, remark]
       );
-
-      await adjustAvailableQty(
-        conn,
-        {
-          clientId: order.client_id,
-          productId: product_id,
-          lotId: lot_id,
-          warehouseId: order.warehouse_id,
-          locationId: location_id
-        },
-        qty
-      );
-
-      await upsertStockTxn(conn, {
-        clientId: order.client_id,
-        productId: product_id,
-        lotId: lot_id,
-        warehouseId: order.warehouse_id,
-        locationId: location_id,
-        txnType: "inbound_receive",
-        qtyIn: qty,
-        qtyOut: 0,
-        refType: "inbound_item",
-        refId: result.insertId,
-        createdBy: order.created_by,
-        note: remark
-      });
       await syncInboundOrderBillingEvent(conn, order.id);
 
       const [rows] = await conn.query(
@@ -184,6 +169,7 @@ router.put("/:id", validate(inboundItemSchema), async (req, res) => {
   } = req.body;
 
   try {
+    await ensureQcSchema();
     const updated = await withTransaction(async (conn) => {
       const prev = await getInboundItemWithContext(conn, req.params.id);
       if (!prev) {
@@ -200,6 +186,13 @@ router.put("/:id", validate(inboundItemSchema), async (req, res) => {
         throw new StockError("INVALID_ORDER", "Invalid inbound_order_id");
       }
 
+      if (isInboundStockPosted(prev.order_status) || isInboundStockPosted(nextOrder.status)) {
+        throw new StockError("ORDER_ALREADY_RECEIVED", "Items of a received or QC-held inbound order cannot be changed");
+      }
+
+      // Items created before dock counting posted stock on insert; undo that before editing.
+      await reverseInboundItemStock(conn, prev);
+
       await conn.query(
         `UPDATE inbound_items
          SET inbound_order_id = ?, product_id = ?, lot_id = ?, location_id = ?, qty = ?, invoice_price = ?, currency = ?, remark = ?
@@ -217,44 +210,6 @@ router.put("/:id", validate(inboundItemSchema), async (req, res) => {
         ]
       );
 
-      await adjustAvailableQty(
-        conn,
-        {
-          clientId: prev.client_id,
-          productId: prev.product_id,
-          lotId: prev.lot_id,
-          warehouseId: prev.warehouse_id,
-          locationId: prev.location_id
-        },
-        -Number(prev.qty)
-      );
-
-      await adjustAvailableQty(
-        conn,
-        {
-          clientId: nextOrder.client_id,
-          productId: product_id,
-          lotId: lot_id,
-          warehouseId: nextOrder.warehouse_id,
-          locationId: location_id || null
-        },
-        qty
-      );
-
-      await upsertStockTxn(conn, {
-        clientId: nextOrder.client_id,
-        productId: product_id,
-        lotId: lot_id,
-        warehouseId: nextOrder.warehouse_id,
-        locationId: location_id || null,
-        txnType: "inbound_receive",
-        qtyIn: qty,
-        qtyOut: 0,
-        refType: "inbound_item",
-        refId: Number(req.params.id),
-        createdBy: nextOrder.created_by,
-        note: remark
-      });
       if (Number(prev.inbound_order_id) !== Number(nextOrder.id)) {
         await syncInboundOrderBillingEvent(conn, prev.inbound_order_id);
       }
@@ -287,30 +242,22 @@ router.put("/:id", validate(inboundItemSchema), async (req, res) => {
 
 router.delete("/:id", async (req, res) => {
   try {
+    await ensureQcSchema();
     await withTransaction(async (conn) => {
       const prev = await getInboundItemWithContext(conn, req.params.id);
       if (!prev) {
         throw new StockError("NOT_FOUND", "Inbound item not found");
       }
 
-      await adjustAvailableQty(
-        conn,
-        {
-          clientId: prev.client_id,
-          productId: prev.product_id,
-          lotId: prev.lot_id,
-          warehouseId: prev.warehouse_id,
-          locationId: prev.location_id
-        },
-        -Number(prev.qty)
-      );
+      if (isInboundStockPosted(prev.order_status)) {
+        throw new StockError("ORDER_ALREADY_RECEIVED", "Items of a received or QC-held inbound order cannot be deleted");
+      }
 
+      await reverseInboundItemStock(conn, prev);
       await conn.query(
         "UPDATE inbound_items SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL",
         [req.params.id]
       );
-
-      await softDeleteStockTxn(conn, "inbound_receive", "inbound_item", req.params.id);
       await syncInboundOrderBillingEvent(conn, prev.inbound_order_id);
     });
 
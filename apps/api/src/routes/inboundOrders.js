@@ -2,6 +2,15 @@ const express = require("express");
 const { z } = require("zod");
 const { getPool } = require("../db");
 const { validate } = require("../middleware/validate");
+const { tenantClause, isTenantRow } = require("../middleware/tenantScope");
+const { StockError, withTransaction } = require("../services/stock");
+const {
+  getInboundDiscrepancyReport,
+  isInboundStockPosted,
+  syncInboundOrderStock,
+  upsertInboundReceipt
+} = require("../services/inboundReceiving");
+const { ensureQcSchema } = require("../services/qualityControl");
 
 const router = express.Router();
 
@@ -20,6 +29,19 @@ const inboundOrderUpdateSchema = inboundOrderCreateSchema.extend({
   status: z.enum(["draft", "submitted", "arrived", "qc_hold", "received", "cancelled"])
 });
 
+const inboundReceiptsSchema = z.object({
+  lines: z
+    .array(
+      z.object({
+        inbound_item_id: z.coerce.number().int().positive(),
+        received_qty: z.coerce.number().int().min(0),
+        damaged_qty: z.coerce.number().int().min(0).default(0),
+        note: z.string().max(500).nullable().optional()
+      })
+    )
+    .min(1)
+});
+
 function isMysqlDuplicate(error) {
   return error && error.code === "ER_DUP_ENTRY";
 }
@@ -92,13 +114,15 @@ async function appendInboundOrderLog({
   );
 }
 
-router.get("/", async (_req, res) => {
+router.get("/", async (req, res) => {
   try {
+    const params = [];
     const [rows] = await getPool().query(
       `SELECT id, inbound_no, client_id, warehouse_id, inbound_date, status, memo, created_by, received_at, created_at, updated_at
        FROM inbound_orders
-       WHERE deleted_at IS NULL
-       ORDER BY id DESC`
+       WHERE deleted_at IS NULL${tenantClause(req, "client_id", params)}
+       ORDER BY id DESC`,
+      params
     );
     res.json({ ok: true, data: rows });
   } catch (error) {
@@ -108,11 +132,12 @@ router.get("/", async (_req, res) => {
 
 router.get("/:id", async (req, res) => {
   try {
+    const params = [req.params.id];
     const [rows] = await getPool().query(
       `SELECT id, inbound_no, client_id, warehouse_id, inbound_date, status, memo, created_by, received_at, created_at, updated_at
        FROM inbound_orders
-       WHERE id = ? AND deleted_at IS NULL`,
-      [req.params.id]
+       WHERE id = ? AND deleted_at IS NULL${tenantClause(req, "client_id", params)}`,
+      params
     );
     if (rows.length === 0) {
       return res.status(404).json({ ok: false, message: "Inbound order not found" });
@@ -125,6 +150,9 @@ router.get("/:id", async (req, res) => {
 
 router.get("/:id/logs", async (req, res) => {
   try {
+    if (!(await isTenantRow(req, "inbound_orders", req.params.id))) {
+      return res.status(404).json({ ok: false, message: "Inbound order not found" });
+    }
     await ensureInboundOrderLogsTable();
     const [rows] = await getPool().query(
       `SELECT l.id, l.inbound_order_id, l.action, l.from_status, l.to_status, l.note, l.actor_user_id,
@@ -141,6 +169,84 @@ router.get("/:id/logs", async (req, res) => {
   }
 });
 
+router.get("/:id/discrepancies", async (req, res) => {
+  try {
+    if (!(await isTenantRow(req, "inbound_orders", req.params.id))) {
+      return res.status(404).json({ ok: false, message: "Inbound order not found" });
+    }
+    const [orders] = await getPool().query(
+      "SELECT id, inbound_no, status FROM inbound_orders WHERE id = ? AND deleted_at IS NULL",
+      [req.params.id]
+    );
+    if (orders.length === 0) {
+      return res.status(404).json({ ok: false, message: "Inbound order not found" });
+    }
+    const report = await getInboundDiscrepancyReport(getPool(), req.params.id);
+    return res.json({
+      ok: true,
+      data: { inbound_order_id: orders[0].id, inbound_no: orders[0].inbound_no, status: orders[0].status, ...report }
+    });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.put("/:id/receipts", validate(inboundReceiptsSchema), async (req, res) => {
+  const { lines } = req.body;
+
+  try {
+    const report = await withTransaction(async (conn) => {
+      const [orders] = await conn.query(
+        "SELECT id, status FROM inbound_orders WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+        [req.params.id]
+      );
+      if (orders.length === 0) {
+        throw new StockError("NOT_FOUND", "Inbound order not found");
+      }
+      if (isInboundStockPosted(orders[0].status) || orders[0].status === "cancelled") {
+        throw new StockError("ORDER_ALREADY_RECEIVED", `Dock counts cannot be changed on a ${orders[0].status} order`);
+      }
+
+      const [items] = await conn.query(
+        "SELECT id FROM inbound_items WHERE inbound_order_id = ? AND deleted_at IS NULL",
+        [req.params.id]
+      );
+      const itemIds = new Set(items.map((item) => Number(item.id)));
+      for (const line of lines) {
+        if (!itemIds.has(line.inbound_item_id)) {
+          throw new StockError("INVALID_ITEM", `inbound_item_id ${line.inbound_item_id} does not belong to this order`);
+        }
+        if (line.damaged_qty > line.received_qty) {
+          throw new StockError("INVALID_QTY", `damaged_qty cannot exceed received_qty (item ${line.inbound_item_id})`);
+        }
+        await upsertInboundReceipt(conn, {
+          inboundOrderId: Number(req.params.id),
+          inboundItemId: line.inbound_item_id,
+          receivedQty: line.received_qty,
+          damagedQty: line.damaged_qty,
+          note: line.note,
+          countedBy: resolveActorUserId(req, null)
+        });
+      }
+      return getInboundDiscrepancyReport(conn, req.params.id);
+    });
+
+    await appendInboundOrderLog({
+      inboundOrderId: Number(req.params.id),
+      action: "count",
+      note: `Dock count recorded for ${lines.length} line(s); ${report.discrepancy_lines} with discrepancies`,
+      actorUserId: resolveActorUserId(req, null)
+    });
+    return res.json({ ok: true, data: report });
+  } catch (error) {
+    if (error instanceof StockError) {
+      const status = error.code === "NOT_FOUND" ? 404 : 400;
+      return res.status(status).json({ ok: false, code: error.code, message: error.message });
+    }
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
 router.post("/", validate(inboundOrderCreateSchema), async (req, res) => {
   const {
     inbound_no,
@@ -212,33 +318,46 @@ router.put("/:id", validate(inboundOrderUpdateSchema), async (req, res) => {
   }
 
   try {
-    const [existingRows] = await getPool().query(
-      `SELECT id, status
-       FROM inbound_orders
-       WHERE id = ? AND deleted_at IS NULL`,
-      [req.params.id]
-    );
-    if (existingRows.length === 0) {
-      return res.status(404).json({ ok: false, message: "Inbound order not found" });
-    }
-    const previousStatus = existingRows[0].status;
+    await ensureQcSchema();
+    const previousStatus = await withTransaction(async (conn) => {
+      const [existingRows] = await conn.query(
+        `SELECT id, client_id, warehouse_id, status, created_by
+         FROM inbound_orders
+         WHERE id = ? AND deleted_at IS NULL
+         FOR UPDATE`,
+        [req.params.id]
+      );
+      if (existingRows.length === 0) return null;
 
-    const [result] = await getPool().query(
-      `UPDATE inbound_orders
-       SET inbound_no = ?, client_id = ?, warehouse_id = ?, inbound_date = ?, status = ?, memo = ?, created_by = ?, received_at = ?
-       WHERE id = ? AND deleted_at IS NULL`,
-      [
-        inbound_no,
+      await conn.query(
+        `UPDATE inbound_orders
+         SET inbound_no = ?, client_id = ?, warehouse_id = ?, inbound_date = ?, status = ?, memo = ?, created_by = ?, received_at = ?
+         WHERE id = ? AND deleted_at IS NULL`,
+        [
+          inbound_no,
+          client_id,
+          warehouse_id,
+          inbound_date,
+          status,
+          memo || null,
+          created_by,
+          toMysqlDateTime(received_at),
+          req.params.id
+        ]
+      );
+      // Accepted quantities are on hand from `qc_hold` (held) or `received` onwards.
+      await syncInboundOrderStock(conn, existingRows[0], {
+        id: Number(req.params.id),
         client_id,
         warehouse_id,
-        inbound_date,
         status,
-        memo || null,
-        created_by,
-        toMysqlDateTime(received_at),
-        req.params.id
-      ]
-    );
+        created_by
+      });
+      return existingRows[0].status;
+    });
+    if (!previousStatus) {
+      return res.status(404).json({ ok: false, message: "Inbound order not found" });
+    }
 
     const [rows] = await getPool().query(
       `SELECT id, inbound_no, client_id, warehouse_id, inbound_date, status, memo, created_by, received_at, created_at, updated_at
@@ -262,6 +381,9 @@ router.put("/:id", validate(inboundOrderUpdateSchema), async (req, res) => {
     if (isMysqlForeignKey(error)) {
       return res.status(400).json({ ok: false, message: "Invalid client_id, warehouse_id or created_by" });
     }
+    if (error instanceof StockError) {
+      return res.status(400).json({ ok: false, code: error.code, message: error.message });
+    }
     res.status(500).json({ ok: false, message: error.message });
   }
 });
@@ -0,0 +1,189 @@
+const express = require("express");
+const { z } = require("zod");
+const { getPool } = require("../db");
+const { validate } = require("../middleware/validate");
+const { requirePermission } = require("../middleware/rbac");
+const { isTenantRow } = require("../middleware/tenantScope");
+const { recordAudit } = require("../services/auditLog");
+const { withTransaction } = require("../services/stock");
+const {
+  PAYMENT_METHODS,
+  InvoicePaymentError,
+  ensureInvoicePaymentTables,
+  getCreditBalance,
+  recordPayment,
+  applyClientCredit,
+  voidPayment,
+  listInvoicePayments,
+  listCreditEntries,
+  getReceivablesAging
+} = require("../services/invoicePayments");
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const paymentSchema = z.object({
+  amount_krw: z.coerce.number().positive(),
+  payment_date: z.string().regex(DATE_PATTERN).optional(),
+  method: z.enum(PAYMENT_METHODS),
+  reference: z.string().max(120).optional(),
+  receipt_file_id: z.coerce.number().int().positive().optional(),
+  note: z.string().max(255).optional()
+});
+
+const applyCreditSchema = z.object({
+  amount_krw: z.coerce.number().positive().optional(),
+  payment_date: z.string().regex(DATE_PATTERN).optional()
+});
+
+const voidPaymentSchema = z.object({
+  reason: z.string().min(1).max(255)
+});
+
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_STATUS: 400,
+  INVALID_FILE: 400,
+  ALREADY_VOIDED: 409,
+  CREDIT_IN_USE: 409,
+  SCHEMA_OUTDATED: 503
+};
+
+function getTodayDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function resolveUserId(req) {
+  return Number(req.user?.sub || 0) || null;
+}
+
+function sendPaymentError(res, error) {
+  if (error instanceof InvoicePaymentError) {
+    return res.status(ERROR_STATUS[error.code] || 400).json({ ok: false, code: error.code, message: error.message });
+  }
+  return res.status(500).json({ ok: false, message: error.message });
+}
+
+router.get("/billing/invoices/:id/payments", async (req, res) => {
+  try {
+    await ensureInvoicePaymentTables();
+    if (!(await isTenantRow(req, "invoices", req.params.id))) {
+      return res.status(404).json({ ok: false, message: "Invoice not found" });
+    }
+    const [invoices] = await getPool().query(
+      `SELECT id, client_id, status, total_krw, paid_krw, total_krw - paid_krw AS outstanding_krw, paid_at
+       FROM invoices
+       WHERE id = ? AND deleted_at IS NULL`,
+      [req.params.id]
+    );
+    if (invoices.length === 0) {
+      return res.status(404).json({ ok: false, message: "Invoice not found" });
+    }
+    const payments = await listInvoicePayments(getPool(), invoices[0].id);
+    const creditBalance = await getCreditBalance(getPool(), invoices[0].client_id);
+    return res.json({ ok: true, data: { invoice: invoices[0], payments, credit_balance_krw: creditBalance } });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/billing/invoices/:id/payments", requirePermission("billing:payment"), validate(paymentSchema), async (req, res) => {
+  const payload = req.body;
+  try {
+    await ensureInvoicePaymentTables();
+    const result = await withTransaction((conn) =>
+      recordPayment(conn, Number(req.params.id), {
+        amountKrw: payload.amount_krw,
+        paymentDate: payload.payment_date || getTodayDate(),
+        method: payload.method,
+        reference: payload.reference,
+        receiptFileId: payload.receipt_file_id,
+        note: payload.note,
+        createdBy: resolveUserId(req)
+      })
+    );
+    await recordAudit(req, { entityType: "invoice_payment", entityId: result.payment.id, action: "create", after: result.payment });
+    return res.status(201).json({ ok: true, data: result });
+  } catch (error) {
+    return sendPaymentError(res, error);
+  }
+});
+
+router.post(
+  "/billing/invoices/:id/payments/:paymentId/void",
+  requirePermission("billing:payment"),
+  validate(voidPaymentSchema),
+  async (req, res) => {
+    try {
+      await ensureInvoicePaymentTables();
+      const result = await withTransaction((conn) =>
+        voidPayment(conn, Number(req.params.id), Number(req.params.paymentId), {
+          reason: req.body.reason,
+          voidedBy: resolveUserId(req)
+        })
+      );
+      await recordAudit(req, { entityType: "invoice_payment", entityId: result.payment.id, action: "void", after: result.payment });
+      return res.json({ ok: true, data: result });
+    } catch (error) {
+      return sendPaymentError(res, error);
+    }
+  }
+);
+
+router.post("/billing/invoices/:id/apply-credit", requirePermission("billing:payment"), validate(applyCreditSchema), async (req, res) => {
+  try {
+    await ensureInvoicePaymentTables();
+    const result = await withTransaction((conn) =>
+      applyClientCredit(conn, Number(req.params.id), {
+        amountKrw: req.body.amount_krw ?? null,
+        paymentDate: req.body.payment_date || getTodayDate(),
+        createdBy: resolveUserId(req)
+      })
+    );
+    if (!result) {
+      return res.status(400).json({ ok: false, code: "NO_CREDIT", message: "Client has no credit to apply" });
+    }
+    await recordAudit(req, { entityType: "invoice_payment", entityId: result.payment.id, action: "create", after: result.payment });
+    return res.status(201).json({ ok: true, data: result });
+  } catch (error) {
+    return sendPaymentError(res, error);
+  }
+});
+
+router.get("/billing/clients/:clientId/credits", async (req, res) => {
+  const clientId = Number(req.params.clientId);
+  if (req.tenantClientId && req.tenantClientId !== clientId) {
+    return res.status(404).json({ ok: false, message: "Client not found" });
+  }
+
+  try {
+    await ensureInvoicePaymentTables();
+    const entries = await listCreditEntries(getPool(), clientId);
+    const balance = await getCreditBalance(getPool(), clientId);
+    return res.json({ ok: true, data: { client_id: clientId, credit_balance_krw: balance, entries } });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/billing/receivables/aging", async (req, res) => {
+  const asOf = req.query.as_of ? String(req.query.as_of) : getTodayDate();
+  if (!DATE_PATTERN.test(asOf)) {
+    return res.status(400).json({ ok: false, message: "as_of must be YYYY-MM-DD" });
+  }
+  const clientId = req.query.client_id ? Number(req.query.client_id) : null;
+  if (clientId !== null && (!Number.isInteger(clientId) || clientId <= 0)) {
+    return res.status(400).json({ ok: false, message: "client_id must be a positive integer" });
+  }
+
+  try {
+    await ensureInvoicePaymentTables();
+    const report = await getReceivablesAging(getPool(), { asOf, clientId });
+    return res.json({ ok: true, data: report });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+module.exports = router;
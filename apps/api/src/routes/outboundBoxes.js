@@ -2,6 +2,7 @@ const express = require("express");
 const { z } = require("zod");
 const { getPool } = require("../db");
 const { validate } = require("../middleware/validate");
+const { isTenantRow } = require("../middleware/tenantScope");
 
 const router = express.Router();
 
@@ -62,7 +63,7 @@ router.get("/:id/boxes", async (req, res) => {
     await ensureOutboundBoxesTable();
     const outboundOrderId = Number(req.params.id);
     const exists = await hasOutboundOrder(outboundOrderId);
-    if (!exists) {
+    if (!exists || !(await isTenantRow(req, "outbound_orders", outboundOrderId))) {
       return res.status(404).json({ ok: false, message: "Outbound order not found" });
     }
 
@@ -2,20 +2,18 @@ const express = require("express");
 const { z } = require("zod");
 const { getPool } = require("../db");
 const { validate } = require("../middleware/validate");
+const { tenantClause } = require("../middleware/tenantScope");
+const { StockError, withTransaction, getOutboundOrderContext } = require("../services/stock");
 const {
-  StockError,
-  withTransaction,
-  getOutboundOrderContext,
-  adjustAvailableQty,
-  upsertStockTxn,
-  getStockTxnId,
-  softDeleteStockTxn
-} = require("../services/stock");
-const {
-  upsertOutboundServiceEvent,
-  softDeleteOutboundServiceEvent
-} = require("../services/billing");
+  ensureOutboundReservationsTable,
+  getOutboundStockPhase,
+  holdOutboundItemStock,
+  releaseOutboundItem
+} = require("../services/outboundReservations");
 const { syncOutboundOrderBillingEvent } = require("../services/billingEvents");
+const { ensureBillingPricingColumns } = require("../services/billingPricing");
+const { ensureWarehouseLocationColumns } = require("../services/warehouseLocations");
+const { ensureAllocationRulesTable, proposeAllocation, assertFullyAllocated } = require("../services/stockAllocation");
 
 const router = express.Router();
 
@@ -30,6 +28,16 @@ const outboundItemSchema = z.object({
   remark: z.string().max(500).nullable().optional()
 });
 
+const allocateSchema = z.object({
+  outbound_order_id: z.coerce.number().int().positive(),
+  product_id: z.coerce.number().int().positive(),
+  qty: z.coerce.number().int().positive(),
+  apply: z.boolean().default(false),
+  box_type: z.string().max(80).nullable().optional(),
+  box_count: z.coerce.number().int().min(0).default(0),
+  remark: z.string().max(500).nullable().optional()
+});
+
 function isMysqlForeignKey(error) {
   return error && error.code === "ER_NO_REFERENCED_ROW_2";
 }
@@ -45,7 +53,7 @@ async function validateLotBelongsToProduct(conn, productId, lotId) {
 async function getOutboundItemWithContext(conn, itemId) {
   const [rows] = await conn.query(
     `SELECT oi.id, oi.outbound_order_id, oi.product_id, oi.lot_id, oi.location_id, oi.qty, oi.box_type, oi.box_count, oi.remark, oi.created_at, oi.updated_at,
-            oo.client_id, oo.warehouse_id, oo.created_by
+            oo.client_id, oo.warehouse_id, oo.status AS order_status, oo.created_by
      FROM outbound_items oi
      JOIN outbound_orders oo ON oo.id = oi.outbound_order_id
      WHERE oi.id = ? AND oi.deleted_at IS NULL`,
@@ -54,21 +62,66 @@ async function getOutboundItemWithContext(conn, itemId) {
   return rows[0] || null;
 }
 
+async function insertOutboundItem(conn, order, item) {
+  const [result] = await conn.query(
+    `INSERT INTO outbound_items (outbound_order_id, product_id, lot_id, location_id, qty, box_type, box_count, remark)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [order.id, item.product_id, item.lot_id, item.location_id, item.qty, item.box_type, item.box_count, item.remark]
+  );
+
+  await holdOutboundItemStock(conn, order, {
+    id: result.insertId,
+    product_id: item.product_id,
+    lot_id: item.lot_id,
+    location_id: item.location_id,
+    qty: item.qty,
+    box_count: item.box_count,
+    remark: item.remark
+  });
+  return result.insertId;
+}
+
+async function getOutboundItemRows(conn, itemIds) {
+  const [rows] = await conn.query(
+    `SELECT id, outbound_order_id, product_id, lot_id, location_id, qty, box_type, box_count, remark, created_at, updated_at
+     FROM outbound_items
+     WHERE id IN (?)
+     ORDER BY id ASC`,
+    [itemIds]
+  );
+  return rows;
+}
+
+// billing_events pricing columns are added at runtime; DDL must not run inside the item transactions.
+router.use(async (_req, res, next) => {
+  try {
+    await ensureBillingPricingColumns();
+    return next();
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
 router.get("/", async (req, res) => {
   const outboundOrderId = req.query.outbound_order_id;
 
   try {
-    let query = `SELECT id, outbound_order_id, product_id, lot_id, location_id, qty, box_type, box_count, remark, created_at, updated_at
-                 FROM outbound_items
-                 WHERE deleted_at IS NULL`;
     const params = [];
+    await ensureOutboundReservationsTable();
+    let query = `SELECT outbound_items.id, outbound_items.outbound_order_id, outbound_items.product_id, outbound_items.lot_id,
+                        outbound_items.location_id, outbound_items.qty, outbound_items.box_type, outbound_items.box_count,
+                        outbound_items.remark, outbound_items.created_at, outbound_items.updated_at,
+                        r.status AS reservation_status
+                 FROM outbound_items
+                 LEFT JOIN outbound_reservations r ON r.outbound_item_id = outbound_items.id
+                 WHERE outbound_items.deleted_at IS NULL${tenantClause(req, "(SELECT o.client_id FROM outbound_orders o WHERE o.id = outbound_items.outbound_order_id)", params)}`;
 
     if (outboundOrderId) {
-      query += " AND outbound_order_id = ?";
+      query += " AND outbound_items.outbound_order_id = ?";
       params.push(outboundOrderId);
     }
 
-    query += " ORDER BY id DESC";
+    query += " ORDER BY outbound_items.id DESC";
 
     const [rows] = await getPool().query(query, params);
     res.json({ ok: true, data: rows });
@@ -79,11 +132,17 @@ router.get("/", async (req, res) => {
 
 router.get("/:id", async (req, res) => {
   try {
+    const params = [req.params.id];
+    await ensureOutboundReservationsTable();
     const [rows] = await getPool().query(
-      `SELECT id, outbound_order_id, product_id, lot_id, location_id, qty, box_type, box_count, remark, created_at, updated_at
+      `SELECT outbound_items.id, outbound_items.outbound_order_id, outbound_items.product_id, outbound_items.lot_id,
+              outbound_items.location_id, outbound_items.qty, outbound_items.box_type, outbound_items.box_count,
+              outbound_items.remark, outbound_items.created_at, outbound_items.updated_at,
+              r.status AS reservation_status
        FROM outbound_items
-       WHERE id = ? AND deleted_at IS NULL`,
-      [req.params.id]
+       LEFT JOIN outbound_reservations r ON r.outbound_item_id = outbound_items.id
+       WHERE outbound_items.id = ? AND outbound_items.deleted_at IS NULL${tenantClause(req, "(SELECT o.client_id FROM outbound_orders o WHERE o.id = outbound_items.outbound_order_id)", params)}`,
+      params
     );
     if (rows.length === 0) {
       return res.status(404).json({ ok: false, message: "Outbound item not found" });
@@ -118,57 +177,23 @@ router.post("/", validate(outboundItemSchema), async (req, res) => {
         throw new StockError("INVALID_ORDER", "Invalid outbound_order_id");
       }
 
-      const [result] = await conn.query(
-        `INSERT INTO outbound_items (outbound_order_id, product_id, lot_id, location_id, qty, box_type, box_count, remark)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [outbound_order_id, product_id, lot_id, location_id, qty, box_type, box_count, remark]
-      );
-
-      await adjustAvailableQty(
-        conn,
-        {
-          clientId: order.client_id,
-          productId: product_id,
-          lotId: lot_id,
-          warehouseId: order.warehouse_id,
-          locationId: location_id
-        },
-        -Number(qty)
-      );
-
-      const stockTxnId = await upsertStockTxn(conn, {
-        clientId: order.client_id,
-        productId: product_id,
-        lotId: lot_id,
-        warehouseId: order.warehouse_id,
-        locationId: location_id,
-        txnType: "outbound_ship",
-        qtyIn: 0,
-        qtyOut: qty,
-        refType: "outbound_item",
-        refId: result.insertId,
-        createdBy: order.created_by,
-        note: remark
-      });
+      if (getOutboundStockPhase(order.status) === "shipped") {
+        throw new StockError("ORDER_ALREADY_SHIPPED", "Items cannot be added to a shipped order");
+      }
 
-      await upsertOutboundServiceEvent(conn, {
-        clientId: order.client_id,
-        outboundOrderId: order.id,
-        stockTransactionId: stockTxnId,
-        orderDate: order.order_date,
+      const itemId = await insertOutboundItem(conn, order, {
+        product_id,
+        lot_id,
+        location_id,
         qty,
-        boxCount: box_count,
+        box_type,
+        box_count,
         remark
       });
       await syncOutboundOrderBillingEvent(conn, order.id);
 
-      const [rows] = await conn.query(
-        `SELECT id, outbound_order_id, product_id, lot_id, location_id, qty, box_type, box_count, remark, created_at, updated_at
-         FROM outbound_items
-         WHERE id = ?`,
-        [result.insertId]
-      );
-      return rows[0];
+      const [created] = await getOutboundItemRows(conn, [itemId]);
+      return created;
     });
 
     return res.status(201).json({ ok: true, data: created });
@@ -186,6 +211,59 @@ router.post("/", validate(outboundItemSchema), async (req, res) => {
   }
 });
 
+// Proposes lot/location picks for a product by the client's FEFO/FIFO rule; `apply` adds one item per pick.
+router.post("/allocate", validate(allocateSchema), async (req, res) => {
+  const { outbound_order_id, product_id, qty, apply, box_type = null, box_count = 0, remark = null } = req.body;
+
+  try {
+    await ensureWarehouseLocationColumns();
+    await ensureAllocationRulesTable();
+    const result = await withTransaction(async (conn) => {
+      const order = await getOutboundOrderContext(conn, outbound_order_id);
+      if (!order) {
+        throw new StockError("INVALID_ORDER", "Invalid outbound_order_id");
+      }
+
+      const allocation = await proposeAllocation(conn, {
+        clientId: order.client_id,
+        productId: product_id,
+        warehouseId: order.warehouse_id,
+        qty
+      });
+      if (!apply) return { ...allocation, items: [] };
+
+      if (getOutboundStockPhase(order.status) === "shipped") {
+        throw new StockError("ORDER_ALREADY_SHIPPED", "Items cannot be added to a shipped order");
+      }
+      assertFullyAllocated(allocation);
+
+      const itemIds = [];
+      for (const [index, pick] of allocation.picks.entries()) {
+        itemIds.push(
+          await insertOutboundItem(conn, order, {
+            product_id,
+            lot_id: pick.lot_id,
+            location_id: pick.location_id,
+            qty: pick.qty,
+            box_type,
+            box_count: index === 0 ? box_count : 0,
+            remark
+          })
+        );
+      }
+      await syncOutboundOrderBillingEvent(conn, order.id);
+      return { ...allocation, items: await getOutboundItemRows(conn, itemIds) };
+    });
+
+    return res.status(apply ? 201 : 200).json({ ok: true, data: result });
+  } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(400).json({ ok: false, code: error.code, message: error.message });
+    }
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
 router.put("/:id", validate(outboundItemSchema), async (req, res) => {
   const {
     outbound_order_id,
@@ -215,6 +293,15 @@ router.put("/:id", validate(outboundItemSchema), async (req, res) => {
         throw new StockError("INVALID_ORDER", "Invalid outbound_order_id");
       }
 
+      if (
+        getOutboundStockPhase(prev.order_status) === "shipped" ||
+        getOutboundStockPhase(nextOrder.status) === "shipped"
+      ) {
+        throw new StockError("ORDER_ALREADY_SHIPPED", "Items of a shipped order cannot be changed");
+      }
+
+      await releaseOutboundItem(conn, prev, prev);
+
       await conn.query(
         `UPDATE outbound_items
          SET outbound_order_id = ?, product_id = ?, lot_id = ?, location_id = ?, qty = ?, box_type = ?, box_count = ?, remark = ?
@@ -232,54 +319,16 @@ router.put("/:id", validate(outboundItemSchema), async (req, res) => {
         ]
       );
 
-      await adjustAvailableQty(
-        conn,
-        {
-          clientId: prev.client_id,
-          productId: prev.product_id,
-          lotId: prev.lot_id,
-          warehouseId: prev.warehouse_id,
-          locationId: prev.location_id
-        },
-        Number(prev.qty)
-      );
-
-      await adjustAvailableQty(
-        conn,
-        {
-          clientId: nextOrder.client_id,
-          productId: product_id,
-          lotId: lot_id,
-          warehouseId: nextOrder.warehouse_id,
-          locationId: location_id || null
-        },
-        -Number(qty)
-      );
-
-      const stockTxnId = await upsertStockTxn(conn, {
-        clientId: nextOrder.client_id,
-        productId: product_id,
-        lotId: lot_id,
-        warehouseId: nextOrder.warehouse_id,
-        locationId: location_id || null,
-        txnType: "outbound_ship",
-        qtyIn: 0,
-        qtyOut: qty,
-        refType: "outbound_item",
-        refId: Number(req.params.id),
-        createdBy: nextOrder.created_by,
-        note: remark
-      });
-
-      await upsertOutboundServiceEvent(conn, {
-        clientId: nextOrder.client_id,
-        outboundOrderId: nextOrder.id,
-        stockTransactionId: stockTxnId,
-        orderDate: nextOrder.order_date,
+      await holdOutboundItemStock(conn, nextOrder, {
+        id: Number(req.params.id),
+        product_id,
+        lot_id,
+        location_id: location_id || null,
         qty,
-        boxCount: box_count,
-        remark
+        box_count,
+        remark: remark || null
       });
+
       if (Number(prev.outbound_order_id) !== Number(nextOrder.id)) {
         await syncOutboundOrderBillingEvent(conn, prev.outbound_order_id);
       }
@@ -318,34 +367,16 @@ router.delete("/:id", async (req, res) => {
         throw new StockError("NOT_FOUND", "Outbound item not found");
       }
 
-      await adjustAvailableQty(
-        conn,
-        {
-          clientId: prev.client_id,
-          productId: prev.product_id,
-          lotId: prev.lot_id,
-          warehouseId: prev.warehouse_id,
-          locationId: prev.location_id
-        },
-        Number(prev.qty)
-      );
+      if (getOutboundStockPhase(prev.order_status) === "shipped") {
+        throw new StockError("ORDER_ALREADY_SHIPPED", "Items of a shipped order cannot be deleted");
+      }
 
-      const stockTxnId = await getStockTxnId(
-        conn,
-        "outbound_ship",
-        "outbound_item",
-        req.params.id
-      );
+      await releaseOutboundItem(conn, prev, prev);
 
       await conn.query(
         "UPDATE outbound_items SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL",
         [req.params.id]
       );
-
-      if (stockTxnId) {
-        await softDeleteOutboundServiceEvent(conn, stockTxnId);
-      }
-      await softDeleteStockTxn(conn, "outbound_ship", "outbound_item", req.params.id);
       await syncOutboundOrderBillingEvent(conn, prev.outbound_order_id);
     });
 
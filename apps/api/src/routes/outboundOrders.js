@@ -2,9 +2,40 @@ const express = require("express");
 const { z } = require("zod");
 const { getPool } = require("../db");
 const { validate } = require("../middleware/validate");
+const { tenantClause, isTenantRow } = require("../middleware/tenantScope");
+const { StockError, withTransaction } = require("../services/stock");
+const { getOutboundStockPhase, syncOutboundOrderStock } = require("../services/outboundReservations");
 
 const router = express.Router();
 
+const OUTBOUND_STATUSES = ["draft", "confirmed", "allocated", "picking", "packed", "shipped", "delivered", "cancelled"];
+
+const OUTBOUND_TRANSITIONS = {
+  draft: ["confirmed", "cancelled"],
+  confirmed: ["allocated", "cancelled"],
+  allocated: ["picking", "cancelled"],
+  picking: ["packed", "cancelled"],
+  packed: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: []
+};
+
+const OUTBOUND_ACTION_STATUS = {
+  confirm: "confirmed",
+  allocate: "allocated",
+  pick: "picking",
+  pack: "packed",
+  ship: "shipped",
+  deliver: "delivered",
+  cancel: "cancelled"
+};
+
+const outboundActionSchema = z.object({
+  tracking_no: z.string().min(1).max(120).optional(),
+  note: z.string().max(1000).nullable().optional()
+});
+
 const outboundOrderSchema = z.object({
   outbound_no: z.string().min(1).max(80),
   client_id: z.coerce.number().int().positive(),
@@ -13,18 +44,7 @@ const outboundOrderSchema = z.object({
   sales_channel: z.string().max(80).nullable().optional(),
   order_no: z.string().max(120).nullable().optional(),
   tracking_no: z.string().max(120).nullable().optional(),
-  status: z
-    .enum([
-      "draft",
-      "confirmed",
-      "allocated",
-      "picking",
-      "packed",
-      "shipped",
-      "delivered",
-      "cancelled"
-    ])
-    .default("draft"),
+  status: z.enum(OUTBOUND_STATUSES).optional(),
   packed_at: z.string().datetime().nullable().optional(),
   shipped_at: z.string().datetime().nullable().optional(),
   created_by: z.coerce.number().int().positive()
@@ -76,14 +96,41 @@ function resolveActorUserId(req, fallbackUserId) {
   return null;
 }
 
-function deriveOutboundAction(fromStatus, toStatus) {
-  if (!fromStatus) return "create";
-  if (toStatus === "allocated" && fromStatus !== "allocated") return "allocate";
-  if (toStatus === "packed" && fromStatus !== "packed") return "pack";
-  if (toStatus === "shipped" && fromStatus !== "shipped") return "ship";
-  if (toStatus === "cancelled" && fromStatus !== "cancelled") return "cancel";
-  if (fromStatus !== toStatus) return "status_change";
-  return "update";
+function allowedOutboundActions(status) {
+  const targets = OUTBOUND_TRANSITIONS[status] || [];
+  return Object.keys(OUTBOUND_ACTION_STATUS).filter((action) => targets.includes(OUTBOUND_ACTION_STATUS[action]));
+}
+
+// outbound_boxes is created lazily by the boxes router, so it may not exist yet.
+async function countOutboundBoxes(conn, outboundOrderId) {
+  try {
+    const [rows] = await conn.query(
+      "SELECT COUNT(*) AS cnt FROM outbound_boxes WHERE outbound_order_id = ? AND deleted_at IS NULL",
+      [outboundOrderId]
+    );
+    return Number(rows[0].cnt);
+  } catch (error) {
+    if (error.code === "ER_NO_SUCH_TABLE") return 0;
+    throw error;
+  }
+}
+
+async function assertOutboundActionReady(conn, action, order, trackingNo) {
+  if (action === "confirm") {
+    const [rows] = await conn.query(
+      "SELECT COUNT(*) AS cnt FROM outbound_items WHERE outbound_order_id = ? AND deleted_at IS NULL",
+      [order.id]
+    );
+    if (Number(rows[0].cnt) === 0) {
+      throw new StockError("ITEMS_REQUIRED", "Add at least one item before confirming the order");
+    }
+  }
+  if (action === "pack" && (await countOutboundBoxes(conn, order.id)) === 0) {
+    throw new StockError("BOXES_REQUIRED", "Register at least one box before packing the order");
+  }
+  if (action === "ship" && !trackingNo) {
+    throw new StockError("TRACKING_REQUIRED", "tracking_no is required to ship the order");
+  }
 }
 
 async function appendOutboundOrderLog({
@@ -102,13 +149,15 @@ async function appendOutboundOrderLog({
   );
 }
 
-router.get("/", async (_req, res) => {
+router.get("/", async (req, res) => {
   try {
+    const params = [];
     const [rows] = await getPool().query(
       `SELECT id, outbound_no, client_id, warehouse_id, order_date, sales_channel, order_no, tracking_no, status, packed_at, shipped_at, created_by, created_at, updated_at
        FROM outbound_orders
-       WHERE deleted_at IS NULL
-       ORDER BY id DESC`
+       WHERE deleted_at IS NULL${tenantClause(req, "client_id", params)}
+       ORDER BY id DESC`,
+      params
     );
     res.json({ ok: true, data: rows });
   } catch (error) {
@@ -118,11 +167,12 @@ router.get("/", async (_req, res) => {
 
 router.get("/:id", async (req, res) => {
   try {
+    const params = [req.params.id];
     const [rows] = await getPool().query(
       `SELECT id, outbound_no, client_id, warehouse_id, order_date, sales_channel, order_no, tracking_no, status, packed_at, shipped_at, created_by, created_at, updated_at
        FROM outbound_orders
-       WHERE id = ? AND deleted_at IS NULL`,
-      [req.params.id]
+       WHERE id = ? AND deleted_at IS NULL${tenantClause(req, "client_id", params)}`,
+      params
     );
     if (rows.length === 0) {
       return res.status(404).json({ ok: false, message: "Outbound order not found" });
@@ -135,6 +185,9 @@ router.get("/:id", async (req, res) => {
 
 router.get("/:id/logs", async (req, res) => {
   try {
+    if (!(await isTenantRow(req, "outbound_orders", req.params.id))) {
+      return res.status(404).json({ ok: false, message: "Outbound order not found" });
+    }
     await ensureOutboundOrderLogsTable();
     const [rows] = await getPool().query(
       `SELECT l.id, l.outbound_order_id, l.action, l.from_status, l.to_status, l.note, l.actor_user_id,
@@ -166,6 +219,14 @@ router.post("/", validate(outboundOrderSchema), async (req, res) => {
     created_by
   } = req.body;
 
+  if (status !== "draft") {
+    return res.status(409).json({
+      ok: false,
+      code: "INVALID_TRANSITION",
+      message: "New outbound orders start as draft; use the action endpoints to move them forward"
+    });
+  }
+
   try {
     const [result] = await getPool().query(
       `INSERT INTO outbound_orders (outbound_no, client_id, warehouse_id, order_date, sales_channel, order_no, tracking_no, status, packed_at, shipped_at, created_by)
@@ -226,36 +287,53 @@ router.put("/:id", validate(outboundOrderSchema), async (req, res) => {
   } = req.body;
 
   try {
-    const [existingRows] = await getPool().query(
-      `SELECT id, status
-       FROM outbound_orders
-       WHERE id = ? AND deleted_at IS NULL`,
-      [req.params.id]
-    );
-    if (existingRows.length === 0) {
-      return res.status(404).json({ ok: false, message: "Outbound order not found" });
-    }
-    const previousStatus = existingRows[0].status;
+    const previousStatus = await withTransaction(async (conn) => {
+      const [existingRows] = await conn.query(
+        `SELECT id, client_id, warehouse_id, order_date, status, created_by
+         FROM outbound_orders
+         WHERE id = ? AND deleted_at IS NULL
+         FOR UPDATE`,
+        [req.params.id]
+      );
+      if (existingRows.length === 0) return null;
+      if (status && status !== existingRows[0].status) {
+        throw new StockError(
+          "INVALID_TRANSITION",
+          `Status cannot be changed with PUT; use POST /outbound-orders/${req.params.id}/{${allowedOutboundActions(existingRows[0].status).join("|")}}`
+        );
+      }
 
-    const [result] = await getPool().query(
-      `UPDATE outbound_orders
-       SET outbound_no = ?, client_id = ?, warehouse_id = ?, order_date = ?, sales_channel = ?, order_no = ?, tracking_no = ?, status = ?, packed_at = ?, shipped_at = ?, created_by = ?
-       WHERE id = ? AND deleted_at IS NULL`,
-      [
-        outbound_no,
+      await conn.query(
+        `UPDATE outbound_orders
+         SET outbound_no = ?, client_id = ?, warehouse_id = ?, order_date = ?, sales_channel = ?, order_no = ?, tracking_no = ?, packed_at = ?, shipped_at = ?, created_by = ?
+         WHERE id = ? AND deleted_at IS NULL`,
+        [
+          outbound_no,
+          client_id,
+          warehouse_id,
+          order_date,
+          sales_channel || null,
+          order_no || null,
+          tracking_no || null,
+          toMysqlDateTime(packed_at),
+          toMysqlDateTime(shipped_at),
+          created_by,
+          req.params.id
+        ]
+      );
+      await syncOutboundOrderStock(conn, existingRows[0], {
+        id: Number(req.params.id),
         client_id,
         warehouse_id,
         order_date,
-        sales_channel || null,
-        order_no || null,
-        tracking_no || null,
-        status,
-        toMysqlDateTime(packed_at),
-        toMysqlDateTime(shipped_at),
-        created_by,
-        req.params.id
-      ]
-    );
+        status: existingRows[0].status,
+        created_by
+      });
+      return existingRows[0].status;
+    });
+    if (!previousStatus) {
+      return res.status(404).json({ ok: false, message: "Outbound order not found" });
+    }
 
     const [rows] = await getPool().query(
       `SELECT id, outbound_no, client_id, warehouse_id, order_date, sales_channel, order_no, tracking_no, status, packed_at, shipped_at, created_by, created_at, updated_at
@@ -265,10 +343,10 @@ router.put("/:id", validate(outboundOrderSchema), async (req, res) => {
     );
     await appendOutboundOrderLog({
       outboundOrderId: Number(req.params.id),
-      action: deriveOutboundAction(previousStatus, status),
+      action: "update",
       fromStatus: previousStatus,
-      toStatus: status,
-      note: previousStatus !== status ? `${previousStatus} -> ${status}` : "Outbound order updated",
+      toStatus: previousStatus,
+      note: "Outbound order updated",
       actorUserId: resolveActorUserId(req, created_by)
     });
     res.json({ ok: true, data: rows[0] });
@@ -279,37 +357,128 @@ router.put("/:id", validate(outboundOrderSchema), async (req, res) => {
     if (isMysqlForeignKey(error)) {
       return res.status(400).json({ ok: false, message: "Invalid client_id, warehouse_id or created_by" });
     }
+    if (error instanceof StockError) {
+      const statusCode = error.code === "INVALID_TRANSITION" ? 409 : 400;
+      return res.status(statusCode).json({ ok: false, code: error.code, message: error.message });
+    }
     res.status(500).json({ ok: false, message: error.message });
   }
 });
 
-router.delete("/:id", async (req, res) => {
+router.post("/:id/:action(confirm|allocate|pick|pack|ship|deliver|cancel)", validate(outboundActionSchema), async (req, res) => {
+  const { action } = req.params;
+  const toStatus = OUTBOUND_ACTION_STATUS[action];
+  const { note = null } = req.body;
+
   try {
-    const [existingRows] = await getPool().query(
-      `SELECT id, status
+    const fromStatus = await withTransaction(async (conn) => {
+      const [existingRows] = await conn.query(
+        `SELECT id, client_id, warehouse_id, order_date, status, tracking_no, created_by
+         FROM outbound_orders
+         WHERE id = ? AND deleted_at IS NULL
+         FOR UPDATE`,
+        [req.params.id]
+      );
+      if (existingRows.length === 0) {
+        throw new StockError("NOT_FOUND", "Outbound order not found");
+      }
+      const order = existingRows[0];
+
+      if (!(OUTBOUND_TRANSITIONS[order.status] || []).includes(toStatus)) {
+        const allowed = allowedOutboundActions(order.status);
+        throw new StockError(
+          "INVALID_TRANSITION",
+          `Cannot ${action} an order in ${order.status} status (allowed: ${allowed.length > 0 ? allowed.join(", ") : "none"})`
+        );
+      }
+
+      const trackingNo = req.body.tracking_no || order.tracking_no;
+      await assertOutboundActionReady(conn, action, order, trackingNo);
+
+      const sets = ["status = ?"];
+      const params = [toStatus];
+      if (action === "pack") sets.push("packed_at = NOW()");
+      if (action === "ship") {
+        sets.push("shipped_at = NOW()", "tracking_no = ?");
+        params.push(trackingNo);
+      }
+      params.push(order.id);
+      await conn.query(`UPDATE outbound_orders SET ${sets.join(", ")} WHERE id = ?`, params);
+
+      if ((action === "pack" || action === "ship") && (await countOutboundBoxes(conn, order.id)) > 0) {
+        await conn.query(
+          `UPDATE outbound_boxes
+           SET status = ?
+           WHERE outbound_order_id = ? AND deleted_at IS NULL AND status <> 'shipped'`,
+          [action === "pack" ? "packed" : "shipped", order.id]
+        );
+      }
+
+      await syncOutboundOrderStock(conn, order, { ...order, status: toStatus });
+      return order.status;
+    });
+
+    const [rows] = await getPool().query(
+      `SELECT id, outbound_no, client_id, warehouse_id, order_date, sales_channel, order_no, tracking_no, status, packed_at, shipped_at, created_by, created_at, updated_at
        FROM outbound_orders
-       WHERE id = ? AND deleted_at IS NULL`,
+       WHERE id = ?`,
       [req.params.id]
     );
-    if (existingRows.length === 0) {
-      return res.status(404).json({ ok: false, message: "Outbound order not found" });
+    await appendOutboundOrderLog({
+      outboundOrderId: Number(req.params.id),
+      action,
+      fromStatus,
+      toStatus,
+      note: note || `${fromStatus} -> ${toStatus}`,
+      actorUserId: resolveActorUserId(req, null)
+    });
+    res.json({ ok: true, data: rows[0] });
+  } catch (error) {
+    if (error instanceof StockError) {
+      const statusCode = error.code === "NOT_FOUND" ? 404 : error.code === "INVALID_TRANSITION" ? 409 : 400;
+      return res.status(statusCode).json({ ok: false, code: error.code, message: error.message });
     }
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
 
-    const [result] = await getPool().query(
-      "UPDATE outbound_orders SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL",
-      [req.params.id]
-    );
-    if (result.affectedRows === 0) return res.status(404).json({ ok: false, message: "Outbound order not found" });
+router.delete("/:id", async (req, res) => {
+  try {
+    const existing = await withTransaction(async (conn) => {
+      const [existingRows] = await conn.query(
+        `SELECT id, client_id, warehouse_id, order_date, status, created_by
+         FROM outbound_orders
+         WHERE id = ? AND deleted_at IS NULL
+         FOR UPDATE`,
+        [req.params.id]
+      );
+      if (existingRows.length === 0) return null;
+
+      // Reserved stock must go back to available before the order disappears.
+      if (getOutboundStockPhase(existingRows[0].status) === "reserved") {
+        await syncOutboundOrderStock(conn, existingRows[0], { ...existingRows[0], status: "draft" });
+      }
+      await conn.query("UPDATE outbound_orders SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL", [
+        req.params.id
+      ]);
+      return existingRows[0];
+    });
+    if (!existing) {
+      return res.status(404).json({ ok: false, message: "Outbound order not found" });
+    }
     await appendOutboundOrderLog({
       outboundOrderId: Number(req.params.id),
       action: "delete",
-      fromStatus: existingRows[0].status,
+      fromStatus: existing.status,
       toStatus: null,
       note: "Outbound order deleted",
       actorUserId: resolveActorUserId(req, null)
     });
     res.json({ ok: true });
   } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(400).json({ ok: false, code: error.code, message: error.message });
+    }
     res.status(500).json({ ok: false, message: error.message });
   }
 });
@@ -1,5 +1,6 @@
 const express = require("express");
 const { getPool } = require("../db");
+const { tenantClause } = require("../middleware/tenantScope");
 
 const router = express.Router();
 
@@ -38,12 +39,13 @@ router.get("/", async (req, res) => {
 
 router.get("/:id", async (req, res) => {
   try {
+    const params = [req.params.id];
     const [rows] = await getPool().query(
       `SELECT pl.id, pl.product_id, pl.lot_no, pl.expiry_date, pl.mfg_date, pl.status, pl.created_at, pl.updated_at
        FROM product_lots pl
        JOIN products p ON p.id = pl.product_id
-       WHERE pl.id = ? AND pl.deleted_at IS NULL AND p.deleted_at IS NULL`,
-      [req.params.id]
+       WHERE pl.id = ? AND pl.deleted_at IS NULL AND p.deleted_at IS NULL${tenantClause(req, "p.client_id", params)}`,
+      params
     );
 
     if (rows.length === 0) {
@@ -2,6 +2,8 @@ const express = require("express");
 const { z } = require("zod");
 const { getPool } = require("../db");
 const { validate } = require("../middleware/validate");
+const { getAuditSnapshot, recordAudit } = require("../services/auditLog");
+const { tenantClause } = require("../middleware/tenantScope");
 
 const router = express.Router();
 
@@ -29,13 +31,15 @@ function isMysqlForeignKey(error) {
   return error && error.code === "ER_NO_REFERENCED_ROW_2";
 }
 
-router.get("/", async (_req, res) => {
+router.get("/", async (req, res) => {
   try {
+    const params = [];
     const [rows] = await getPool().query(
       `SELECT id, client_id, sku_code, barcode_raw, barcode_full, name_kr, name_en, volume_ml, unit, status, created_at, updated_at
        FROM products
-       WHERE deleted_at IS NULL
-       ORDER BY id DESC`
+       WHERE deleted_at IS NULL${tenantClause(req, "client_id", params)}
+       ORDER BY id DESC`,
+      params
     );
     res.json({ ok: true, data: rows });
   } catch (error) {
@@ -45,11 +49,12 @@ router.get("/", async (_req, res) => {
 
 router.get("/:id", async (req, res) => {
   try {
+    const params = [req.params.id];
     const [rows] = await getPool().query(
       `SELECT id, client_id, sku_code, barcode_raw, barcode_full, name_kr, name_en, volume_ml, unit, status, created_at, updated_at
        FROM products
-       WHERE id = ? AND deleted_at IS NULL`,
-      [req.params.id]
+       WHERE id = ? AND deleted_at IS NULL${tenantClause(req, "client_id", params)}`,
+      params
     );
     if (rows.length === 0) {
       return res.status(404).json({ ok: false, message: "Product not found" });
@@ -93,6 +98,12 @@ router.post("/", validate(productCreateSchema), async (req, res) => {
        WHERE id = ?`,
       [result.insertId]
     );
+    await recordAudit(req, {
+      entityType: "product",
+      entityId: result.insertId,
+      action: "create",
+      after: await getAuditSnapshot("products", result.insertId)
+    });
     res.status(201).json({ ok: true, data: rows[0] });
   } catch (error) {
     if (isMysqlDuplicate(error)) {
@@ -126,6 +137,7 @@ router.put("/:id", validate(productUpdateSchema), async (req, res) => {
   }
 
   try {
+    const before = await getAuditSnapshot("products", req.params.id);
     const [result] = await getPool().query(
       `UPDATE products
        SET client_id = ?, sku_code = ?, barcode_raw = ?, barcode_full = ?, name_kr = ?, name_en = ?, volume_ml = ?, unit = ?, status = ?
@@ -143,6 +155,13 @@ router.put("/:id", validate(productUpdateSchema), async (req, res) => {
        WHERE id = ?`,
       [req.params.id]
     );
+    await recordAudit(req, {
+      entityType: "product",
+      entityId: req.params.id,
+      action: "update",
+      before,
+      after: await getAuditSnapshot("products", req.params.id)
+    });
     res.json({ ok: true, data: rows[0] });
   } catch (error) {
     if (isMysqlDuplicate(error)) {
@@ -157,6 +176,7 @@ router.put("/:id", validate(productUpdateSchema), async (req, res) => {
 
 router.delete("/:id", async (req, res) => {
   try {
+    const before = await getAuditSnapshot("products", req.params.id);
     const [result] = await getPool().query(
       "UPDATE products SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL",
       [req.params.id]
@@ -164,6 +184,13 @@ router.delete("/:id", async (req, res) => {
     if (result.affectedRows === 0) {
       return res.status(404).json({ ok: false, message: "Product not found" });
     }
+    await recordAudit(req, {
+      entityType: "product",
+      entityId: req.params.id,
+      action: "delete",
+      before,
+      after: await getAuditSnapshot("products", req.params.id)
+    });
     res.json({ ok: true });
   } catch (error) {
     res.status(500).json({ ok: false, message: error.message });
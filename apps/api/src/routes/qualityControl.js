@@ -0,0 +1,156 @@
+const express = require("express");
+const { z } = require("zod");
+const { getPool } = require("../db");
+const { validate } = require("../middleware/validate");
+const { tenantClause } = require("../middleware/tenantScope");
+const { StockError, withTransaction } = require("../services/stock");
+const { recordAudit } = require("../services/auditLog");
+const {
+  ensureQcSchema,
+  holdLotStock,
+  inspectQcHold,
+  getQcHoldDetail
+} = require("../services/qualityControl");
+
+const router = express.Router();
+
+const lotHoldSchema = z.object({
+  warehouse_id: z.coerce.number().int().positive().nullable().optional(),
+  reason: z.string().min(1).max(500)
+});
+
+const inspectionSchema = z.object({
+  result: z.enum(["pass", "partial", "fail"]),
+  passed_qty: z.coerce.number().int().min(0).optional(),
+  failed_qty: z.coerce.number().int().min(0).optional(),
+  reason: z.string().max(500).nullable().optional(),
+  file_ids: z.array(z.coerce.number().int().positive()).max(20).default([])
+});
+
+function sendStockError(res, error) {
+  const status = error.code === "NOT_FOUND" ? 404 : error.code === "QC_HOLD_CLOSED" ? 409 : 400;
+  return res.status(status).json({ ok: false, code: error.code, message: error.message });
+}
+
+router.get("/holds", async (req, res) => {
+  const { status, lot_id, client_id, warehouse_id, inbound_order_id } = req.query;
+
+  try {
+    await ensureQcSchema();
+    const params = [];
+    let query = `SELECT h.id, h.client_id, h.product_id, p.sku_code, p.name_kr AS product_name, h.lot_id, pl.lot_no,
+                        h.warehouse_id, h.location_id, h.source_type, h.source_id, ii.inbound_order_id,
+                        h.hold_qty, h.released_qty, h.quarantined_qty,
+                        (h.hold_qty - h.released_qty - h.quarantined_qty) AS remaining_qty,
+                        h.status, h.reason, h.created_by, h.closed_at, h.created_at, h.updated_at
+                 FROM qc_holds h
+                 LEFT JOIN products p ON p.id = h.product_id
+                 LEFT JOIN product_lots pl ON pl.id = h.lot_id
+                 LEFT JOIN inbound_items ii ON h.source_type = 'inbound_item' AND ii.id = h.source_id
+                 WHERE 1 = 1${tenantClause(req, "h.client_id", params)}`;
+
+    if (status) {
+      query += " AND h.status = ?";
+      params.push(status);
+    }
+    if (lot_id) {
+      query += " AND h.lot_id = ?";
+      params.push(lot_id);
+    }
+    if (client_id) {
+      query += " AND h.client_id = ?";
+      params.push(client_id);
+    }
+    if (warehouse_id) {
+      query += " AND h.warehouse_id = ?";
+      params.push(warehouse_id);
+    }
+    if (inbound_order_id) {
+      query += " AND ii.inbound_order_id = ?";
+      params.push(inbound_order_id);
+    }
+    query += " ORDER BY h.id DESC";
+
+    const [rows] = await getPool().query(query, params);
+    return res.json({ ok: true, data: rows });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/holds/:id", async (req, res) => {
+  try {
+    await ensureQcSchema();
+    const hold = await getQcHoldDetail(getPool(), req.params.id);
+    if (!hold || (req.tenantClientId && Number(hold.client_id) !== Number(req.tenantClientId))) {
+      return res.status(404).json({ ok: false, message: "QC hold not found" });
+    }
+    return res.json({ ok: true, data: hold });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/lots/:lotId/hold", validate(lotHoldSchema), async (req, res) => {
+  const { warehouse_id = null, reason } = req.body;
+
+  try {
+    await ensureQcSchema();
+    const holdIds = await withTransaction((conn) =>
+      holdLotStock(conn, {
+        lotId: Number(req.params.lotId),
+        warehouseId: warehouse_id,
+        reason,
+        createdBy: Number(req.user?.sub || 0) || null
+      })
+    );
+    await recordAudit(req, {
+      entityType: "product_lot",
+      entityId: req.params.lotId,
+      action: "qc_hold",
+      after: { status: "hold", reason, warehouse_id, qc_hold_ids: holdIds }
+    });
+    return res.status(201).json({ ok: true, data: { lot_id: Number(req.params.lotId), qc_hold_ids: holdIds } });
+  } catch (error) {
+    if (error instanceof StockError) return sendStockError(res, error);
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/holds/:id/inspections", validate(inspectionSchema), async (req, res) => {
+  const { result, passed_qty, failed_qty, reason = null, file_ids } = req.body;
+
+  try {
+    await ensureQcSchema();
+    const hold = await withTransaction(async (conn) => {
+      await inspectQcHold(conn, req.params.id, {
+        result,
+        passedQty: passed_qty,
+        failedQty: failed_qty,
+        reason,
+        fileIds: file_ids,
+        inspectedBy: Number(req.user?.sub || 0) || null
+      });
+      return getQcHoldDetail(conn, req.params.id);
+    });
+    const inspection = hold.inspections[hold.inspections.length - 1];
+    await recordAudit(req, {
+      entityType: "qc_hold",
+      entityId: hold.id,
+      action: "inspect",
+      after: {
+        result: inspection.result,
+        passed_qty: inspection.passed_qty,
+        failed_qty: inspection.failed_qty,
+        reason: inspection.reason,
+        status: hold.status
+      }
+    });
+    return res.status(201).json({ ok: true, data: hold });
+  } catch (error) {
+    if (error instanceof StockError) return sendStockError(res, error);
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+module.exports = router;
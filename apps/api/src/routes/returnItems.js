@@ -2,6 +2,7 @@ const express = require("express");
 const { z } = require("zod");
 const { getPool } = require("../db");
 const { validate } = require("../middleware/validate");
+const { tenantClause } = require("../middleware/tenantScope");
 const {
   StockError,
   withTransaction,
@@ -58,10 +59,10 @@ async function getReturnItemWithContext(conn, itemId) {
 router.get("/", async (req, res) => {
   const returnOrderId = req.query.return_order_id;
   try {
+    const params = [];
     let query = `SELECT id, return_order_id, product_id, lot_id, location_id, qty_received, qty_restocked, qty_disposed, disposition_reason, created_at, updated_at
                  FROM return_items
-                 WHERE deleted_at IS NULL`;
-    const params = [];
+                 WHERE deleted_at IS NULL${tenantClause(req, "(SELECT o.client_id FROM return_orders o WHERE o.id = return_items.return_order_id)", params)}`;
     if (returnOrderId) {
       query += " AND return_order_id = ?";
       params.push(returnOrderId);
@@ -76,11 +77,12 @@ router.get("/", async (req, res) => {
 
 router.get("/:id", async (req, res) => {
   try {
+    const params = [req.params.id];
     const [rows] = await getPool().query(
       `SELECT id, return_order_id, product_id, lot_id, location_id, qty_received, qty_restocked, qty_disposed, disposition_reason, created_at, updated_at
        FROM return_items
-       WHERE id = ? AND deleted_at IS NULL`,
-      [req.params.id]
+       WHERE id = ? AND deleted_at IS NULL${tenantClause(req, "(SELECT o.client_id FROM return_orders o WHERE o.id = return_items.return_order_id)", params)}`,
+      params
     );
     if (rows.length === 0) {
       return res.status(404).json({ ok: false, message: "Return item not found" });
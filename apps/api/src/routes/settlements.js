@@ -2,6 +2,8 @@ const express = require("express");
 const { z } = require("zod");
 const { getPool } = require("../db");
 const { validate } = require("../middleware/validate");
+const { requirePermission } = require("../middleware/rbac");
+const { isTenantRow } = require("../middleware/tenantScope");
 const { withTransaction } = require("../services/stock");
 
 const router = express.Router();
@@ -71,7 +73,7 @@ async function resolveFx(conn, payload, rangeTo) {
   return rows[0] || null;
 }
 
-router.post("/settlement-batches/generate", validate(generateSchema), async (req, res) => {
+router.post("/settlement-batches/generate", requirePermission("settlement:write"), validate(generateSchema), async (req, res) => {
   try {
     const result = await withTransaction(async (conn) => {
       const payload = req.body;
@@ -190,6 +192,9 @@ router.post("/settlement-batches/generate", validate(generateSchema), async (req
 
 router.get("/settlement-batches/:id", async (req, res) => {
   try {
+    if (!(await isTenantRow(req, "settlement_batches", req.params.id))) {
+      return res.status(404).json({ ok: false, message: "Settlement batch not found" });
+    }
     const [batchRows] = await getPool().query(
       `SELECT id, client_id, billing_month, exchange_rate_id, status, is_provisional, krw_subtotal, thb_subtotal, total_krw, created_at, updated_at
        FROM settlement_batches
@@ -220,7 +225,7 @@ router.get("/settlement-batches/:id", async (req, res) => {
   }
 });
 
-router.post("/invoices/issue", validate(issueInvoiceSchema), async (req, res) => {
+router.post("/invoices/issue", requirePermission("billing:issue"), validate(issueInvoiceSchema), async (req, res) => {
   try {
     const result = await withTransaction(async (conn) => {
       const payload = req.body;
@@ -358,6 +363,9 @@ router.post("/invoices/issue", validate(issueInvoiceSchema), async (req, res) =>
 
 router.get("/invoices/:id", async (req, res) => {
   try {
+    if (!(await isTenantRow(req, "invoices", req.params.id))) {
+      return res.status(404).json({ ok: false, message: "Invoice not found" });
+    }
     const [invoiceRows] = await getPool().query(
       `SELECT id, settlement_batch_id, client_id, invoice_no, status, issue_date, due_date, recipient_email, currency, total_amount, created_at, updated_at
        FROM invoices
@@ -390,6 +398,7 @@ router.get("/invoices/:id", async (req, res) => {
 
 router.post(
   "/settlement-batches/:id/close",
+  requirePermission("settlement:close"),
   validate(closeBatchSchema),
   async (req, res) => {
     try {
@@ -465,6 +474,7 @@ router.post(
 
 router.post(
   "/settlement-batches/:id/reopen-requests",
+  requirePermission("settlement:request-reopen"),
   validate(reopenRequestSchema),
   async (req, res) => {
     try {
@@ -539,6 +549,9 @@ router.post(
 
 router.get("/settlement-batches/:id/reopen-requests", async (req, res) => {
   try {
+    if (!(await isTenantRow(req, "settlement_batches", req.params.id))) {
+      return res.status(404).json({ ok: false, message: "Settlement batch not found" });
+    }
     const [rows] = await getPool().query(
       `SELECT id, settlement_batch_id, requested_by, reason, status, approved_by, approved_at, created_at, updated_at
        FROM settlement_reopen_requests
@@ -554,6 +567,7 @@ router.get("/settlement-batches/:id/reopen-requests", async (req, res) => {
 
 router.post(
   "/settlement-reopen-requests/:id/approve",
+  requirePermission("settlement:approve-reopen"),
   validate(reopenDecisionSchema),
   async (req, res) => {
     try {
@@ -632,6 +646,7 @@ router.post(
 
 router.post(
   "/settlement-reopen-requests/:id/reject",
+  requirePermission("settlement:approve-reopen"),
   validate(reopenDecisionSchema),
   async (req, res) => {
     try {
@@ -691,6 +706,9 @@ router.post(
 
 router.get("/settlement-batches/:id/reopen-logs", async (req, res) => {
   try {
+    if (!(await isTenantRow(req, "settlement_batches", req.params.id))) {
+      return res.status(404).json({ ok: false, message: "Settlement batch not found" });
+    }
     const [rows] = await getPool().query(
       `SELECT id, settlement_batch_id, request_id, actor_id, action, reason, acted_at, created_at, updated_at
        FROM settlement_reopen_logs
@@ -0,0 +1,296 @@
+const express = require("express");
+const { z } = require("zod");
+const { getPool } = require("../db");
+const { validate } = require("../middleware/validate");
+const { requirePermission, getUserPermissions } = require("../middleware/rbac");
+const { tenantClause } = require("../middleware/tenantScope");
+const { StockError, withTransaction } = require("../services/stock");
+const { recordAudit } = require("../services/auditLog");
+const {
+  ensureStockAdjustmentTables,
+  getApprovalThreshold,
+  getAdjustmentReasons,
+  validateAdjustmentLines,
+  replaceAdjustmentLines,
+  getStockAdjustment,
+  getStockAdjustmentDetail,
+  postStockAdjustment
+} = require("../services/stockAdjustments");
+
+const router = express.Router();
+
+const reasonSchema = z.object({
+  code: z.string().regex(/^[a-z0-9_]{2,40}$/),
+  name: z.string().min(1).max(120),
+  direction: z.enum(["increase", "decrease", "either"]).default("either"),
+  status: z.enum(["active", "inactive"]).default("active")
+});
+
+const reasonUpdateSchema = reasonSchema.omit({ code: true });
+
+const adjustmentLineSchema = z.object({
+  product_id: z.coerce.number().int().positive(),
+  lot_id: z.coerce.number().int().positive(),
+  location_id: z.coerce.number().int().positive().nullable().optional(),
+  qty_delta: z.coerce
+    .number()
+    .int()
+    .refine((value) => value !== 0, "qty_delta must not be 0"),
+  reason_code: z.string().min(1).max(40),
+  note: z.string().max(500).nullable().optional()
+});
+
+const adjustmentSchema = z.object({
+  client_id: z.coerce.number().int().positive(),
+  warehouse_id: z.coerce.number().int().positive(),
+  memo: z.string().max(1000).nullable().optional(),
+  lines: z.array(adjustmentLineSchema).min(1).max(500)
+});
+
+const adjustmentActionSchema = z.object({
+  note: z.string().max(500).nullable().optional()
+});
+
+function sendStockError(res, error) {
+  if (error.code === "FORBIDDEN") {
+    return res.status(403).json({
+      ok: false,
+      code: error.code,
+      message: error.message,
+      required_permission: "stock:adjust:approve"
+    });
+  }
+  const status = error.code === "NOT_FOUND" ? 404 : error.code === "INVALID_TRANSITION" ? 409 : 400;
+  return res.status(status).json({ ok: false, code: error.code, message: error.message });
+}
+
+function resolveUserId(req) {
+  return Number(req.user?.sub || 0) || null;
+}
+
+async function lockDraftAdjustment(conn, adjustmentId, action) {
+  const adjustment = await getStockAdjustment(conn, adjustmentId, { forUpdate: true });
+  if (!adjustment) {
+    throw new StockError("NOT_FOUND", "Stock adjustment not found");
+  }
+  if (adjustment.status !== "draft") {
+    throw new StockError("INVALID_TRANSITION", `Cannot ${action} an adjustment in ${adjustment.status} status`);
+  }
+  return adjustment;
+}
+
+router.use(async (_req, res, next) => {
+  try {
+    await ensureStockAdjustmentTables();
+    return next();
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/reasons", async (_req, res) => {
+  try {
+    const rows = await getAdjustmentReasons(getPool());
+    return res.json({ ok: true, data: rows });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/reasons", requirePermission("stock:adjust:approve"), validate(reasonSchema), async (req, res) => {
+  const { code, name, direction, status } = req.body;
+  try {
+    const [result] = await getPool().query(
+      "INSERT INTO stock_adjustment_reasons (code, name, direction, status) VALUES (?, ?, ?, ?)",
+      [code, name, direction, status]
+    );
+    const [rows] = await getPool().query("SELECT * FROM stock_adjustment_reasons WHERE id = ?", [result.insertId]);
+    await recordAudit(req, { entityType: "stock_adjustment_reason", entityId: result.insertId, action: "create", after: rows[0] });
+    return res.status(201).json({ ok: true, data: rows[0] });
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ ok: false, message: "Duplicate reason code" });
+    }
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.put("/reasons/:code", requirePermission("stock:adjust:approve"), validate(reasonUpdateSchema), async (req, res) => {
+  const { name, direction, status } = req.body;
+  try {
+    const [beforeRows] = await getPool().query("SELECT * FROM stock_adjustment_reasons WHERE code = ?", [req.params.code]);
+    if (beforeRows.length === 0) {
+      return res.status(404).json({ ok: false, message: "Reason not found" });
+    }
+    await getPool().query(
+      "UPDATE stock_adjustment_reasons SET name = ?, direction = ?, status = ? WHERE id = ?",
+      [name, direction, status, beforeRows[0].id]
+    );
+    const [rows] = await getPool().query("SELECT * FROM stock_adjustment_reasons WHERE id = ?", [beforeRows[0].id]);
+    await recordAudit(req, {
+      entityType: "stock_adjustment_reason",
+      entityId: beforeRows[0].id,
+      action: "update",
+      before: beforeRows[0],
+      after: rows[0]
+    });
+    return res.json({ ok: true, data: rows[0] });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/", async (req, res) => {
+  const { status, client_id, warehouse_id } = req.query;
+
+  try {
+    const params = [];
+    let query = `SELECT a.id, a.client_id, c.name_kr AS client_name, a.warehouse_id, w.code AS warehouse_code, a.status,
+                        a.memo, a.total_abs_qty, COUNT(l.id) AS line_count, a.created_by, a.approved_by, a.approved_at,
+                        a.cancelled_at, a.created_at, a.updated_at
+                 FROM stock_adjustments a
+                 LEFT JOIN clients c ON c.id = a.client_id
+                 LEFT JOIN warehouses w ON w.id = a.warehouse_id
+                 LEFT JOIN stock_adjustment_lines l ON l.stock_adjustment_id = a.id
+                 WHERE a.deleted_at IS NULL${tenantClause(req, "a.client_id", params)}`;
+
+    if (status) {
+      query += " AND a.status = ?";
+      params.push(status);
+    }
+    if (client_id) {
+      query += " AND a.client_id = ?";
+      params.push(client_id);
+    }
+    if (warehouse_id) {
+      query += " AND a.warehouse_id = ?";
+      params.push(warehouse_id);
+    }
+    query += " GROUP BY a.id ORDER BY a.id DESC";
+
+    const [rows] = await getPool().query(query, params);
+    const threshold = getApprovalThreshold();
+    return res.json({
+      ok: true,
+      data: rows.map((row) => ({ ...row, requires_manager_approval: Number(row.total_abs_qty) > threshold }))
+    });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const adjustment = await getStockAdjustmentDetail(getPool(), req.params.id);
+    if (!adjustment || (req.tenantClientId && Number(adjustment.client_id) !== Number(req.tenantClientId))) {
+      return res.status(404).json({ ok: false, message: "Stock adjustment not found" });
+    }
+    return res.json({ ok: true, data: adjustment });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/", validate(adjustmentSchema), async (req, res) => {
+  const { client_id, warehouse_id, memo = null, lines } = req.body;
+  const createdBy = resolveUserId(req);
+  if (!createdBy) {
+    return res.status(403).json({ ok: false, code: "USER_REQUIRED", message: "Adjustments require a user session" });
+  }
+
+  try {
+    const adjustment = await withTransaction(async (conn) => {
+      await validateAdjustmentLines(conn, { clientId: client_id, warehouseId: warehouse_id, lines });
+      const [result] = await conn.query(
+        "INSERT INTO stock_adjustments (client_id, warehouse_id, status, memo, created_by) VALUES (?, ?, 'draft', ?, ?)",
+        [client_id, warehouse_id, memo, createdBy]
+      );
+      await replaceAdjustmentLines(conn, result.insertId, lines);
+      return getStockAdjustmentDetail(conn, result.insertId);
+    });
+    await recordAudit(req, { entityType: "stock_adjustment", entityId: adjustment.id, action: "create", after: adjustment });
+    return res.status(201).json({ ok: true, data: adjustment });
+  } catch (error) {
+    if (error instanceof StockError) return sendStockError(res, error);
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.put("/:id", validate(adjustmentSchema), async (req, res) => {
+  const { client_id, warehouse_id, memo = null, lines } = req.body;
+
+  try {
+    const before = await getStockAdjustmentDetail(getPool(), req.params.id);
+    const adjustment = await withTransaction(async (conn) => {
+      const current = await lockDraftAdjustment(conn, req.params.id, "edit");
+      await validateAdjustmentLines(conn, { clientId: client_id, warehouseId: warehouse_id, lines });
+      await conn.query(
+        "UPDATE stock_adjustments SET client_id = ?, warehouse_id = ?, memo = ? WHERE id = ?",
+        [client_id, warehouse_id, memo, current.id]
+      );
+      await replaceAdjustmentLines(conn, current.id, lines);
+      return getStockAdjustmentDetail(conn, current.id);
+    });
+    await recordAudit(req, { entityType: "stock_adjustment", entityId: adjustment.id, action: "update", before, after: adjustment });
+    return res.json({ ok: true, data: adjustment });
+  } catch (error) {
+    if (error instanceof StockError) return sendStockError(res, error);
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/:id/approve", validate(adjustmentActionSchema), async (req, res) => {
+  const approvedBy = resolveUserId(req);
+  if (!approvedBy) {
+    return res.status(403).json({ ok: false, code: "USER_REQUIRED", message: "Approvals require a user session" });
+  }
+
+  try {
+    const adjustment = await withTransaction(async (conn) => {
+      const current = await lockDraftAdjustment(conn, req.params.id, "approve");
+      const threshold = getApprovalThreshold();
+      if (Number(current.total_abs_qty) > threshold && !getUserPermissions(req.user).includes("stock:adjust:approve")) {
+        throw new StockError(
+          "FORBIDDEN",
+          `Adjustments above ${threshold} units need a manager approval (stock:adjust:approve)`
+        );
+      }
+      await postStockAdjustment(conn, current, { approvedBy });
+      return getStockAdjustmentDetail(conn, current.id);
+    });
+    await recordAudit(req, {
+      entityType: "stock_adjustment",
+      entityId: adjustment.id,
+      action: "approve",
+      before: { status: "draft" },
+      after: { status: adjustment.status, total_abs_qty: adjustment.total_abs_qty, note: req.body.note || null }
+    });
+    return res.json({ ok: true, data: adjustment });
+  } catch (error) {
+    if (error instanceof StockError) return sendStockError(res, error);
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/:id/cancel", validate(adjustmentActionSchema), async (req, res) => {
+  try {
+    const adjustment = await withTransaction(async (conn) => {
+      const current = await lockDraftAdjustment(conn, req.params.id, "cancel");
+      await conn.query("UPDATE stock_adjustments SET status = 'cancelled', cancelled_at = NOW() WHERE id = ?", [current.id]);
+      return getStockAdjustmentDetail(conn, current.id);
+    });
+    await recordAudit(req, {
+      entityType: "stock_adjustment",
+      entityId: adjustment.id,
+      action: "cancel",
+      before: { status: "draft" },
+      after: { status: adjustment.status, note: req.body.note || null }
+    });
+    return res.json({ ok: true, data: adjustment });
+  } catch (error) {
+    if (error instanceof StockError) return sendStockError(res, error);
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require("express");
+const { z } = require("zod");
+const { getPool } = require("../db");
+const { validate } = require("../middleware/validate");
+const { withTransaction } = require("../services/stock");
+const { recordAudit } = require("../services/auditLog");
+const {
+  ensureStockIntegrityTables,
+  runIntegrityCheck,
+  previewLedgerRepair,
+  repairLedger,
+  getIntegrityRun
+} = require("../services/stockIntegrity");
+
+const router = express.Router();
+
+const integrityFilterSchema = z.object({
+  client_id: z.coerce.number().int().positive().nullable().optional(),
+  product_id: z.coerce.number().int().positive().nullable().optional(),
+  lot_id: z.coerce.number().int().positive().nullable().optional(),
+  warehouse_id: z.coerce.number().int().positive().nullable().optional(),
+  location_id: z.coerce.number().int().positive().nullable().optional()
+});
+
+const repairSchema = integrityFilterSchema.extend({
+  void_orphans: z.boolean().default(false),
+  note: z.string().max(500).nullable().optional()
+});
+
+function resolveIntegrityFilters(body) {
+  return {
+    clientId: body.client_id || null,
+    productId: body.product_id || null,
+    lotId: body.lot_id || null,
+    warehouseId: body.warehouse_id || null,
+    locationId: body.location_id || null
+  };
+}
+
+function resolveUserId(req) {
+  return Number(req.user?.sub || 0) || null;
+}
+
+router.use(async (_req, res, next) => {
+  try {
+    await ensureStockIntegrityTables();
+    return next();
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/runs", async (req, res) => {
+  const { run_type } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit || 50), 1), 200);
+
+  try {
+    const params = [];
+    let query = `SELECT id, run_type, triggered_by, mismatch_count, negative_count, orphan_count, repaired_count,
+                        created_by, created_at
+                 FROM stock_integrity_runs
+                 WHERE 1 = 1`;
+    if (run_type) {
+      query += " AND run_type = ?";
+      params.push(run_type);
+    }
+    query += " ORDER BY id DESC LIMIT ?";
+    params.push(limit);
+
+    const [rows] = await getPool().query(query, params);
+    return res.json({ ok: true, data: rows });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/runs/:id", async (req, res) => {
+  try {
+    const run = await getIntegrityRun(getPool(), req.params.id);
+    if (!run) {
+      return res.status(404).json({ ok: false, code: "NOT_FOUND", message: "Integrity run not found" });
+    }
+    return res.json({ ok: true, data: run });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/check", validate(integrityFilterSchema), async (req, res) => {
+  try {
+    const run = await runIntegrityCheck({
+      triggeredBy: "manual",
+      createdBy: resolveUserId(req),
+      filters: resolveIntegrityFilters(req.body)
+    });
+    return res.status(201).json({ ok: true, data: run });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/repair/preview", validate(repairSchema), async (req, res) => {
+  try {
+    const preview = await previewLedgerRepair(resolveIntegrityFilters(req.body), {
+      voidOrphans: req.body.void_orphans
+    });
+    return res.json({ ok: true, data: preview });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+// Repairs post approved `ledger_repair` adjustments to the ledger only; stock_balances stay as they are.
+router.post("/repair/apply", validate(repairSchema), async (req, res) => {
+  const approvedBy = resolveUserId(req);
+  if (!approvedBy) {
+    return res.status(403).json({ ok: false, code: "USER_REQUIRED", message: "Ledger repairs require a user session" });
+  }
+
+  try {
+    const run = await withTransaction((conn) =>
+      repairLedger(conn, resolveIntegrityFilters(req.body), { voidOrphans: req.body.void_orphans, approvedBy })
+    );
+    await recordAudit(req, {
+      entityType: "stock_integrity_run",
+      entityId: run.id,
+      action: "repair",
+      before: {
+        mismatch_count: run.mismatch_count,
+        negative_count: run.negative_count,
+        orphan_count: run.orphan_count
+      },
+      after: {
+        repaired_count: run.repaired_count,
+        stock_adjustment_ids: run.stock_adjustment_ids,
+        voided_transaction_ids: run.voided_transaction_ids,
+        note: req.body.note || null
+      }
+    });
+    return res.status(201).json({ ok: true, data: run });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require("express");
+const { z } = require("zod");
+const { getPool } = require("../db");
+const { validate } = require("../middleware/validate");
+const { tenantClause } = require("../middleware/tenantScope");
+const { StockError, withTransaction } = require("../services/stock");
+const { recordAudit } = require("../services/auditLog");
+const { ensureQcSchema } = require("../services/qualityControl");
+const { ensureStockMovesTable, moveStock, getStockMoves } = require("../services/stockMoves");
+
+const router = express.Router();
+
+const moveSchema = z.object({
+  client_id: z.coerce.number().int().positive(),
+  product_id: z.coerce.number().int().positive(),
+  lot_id: z.coerce.number().int().positive(),
+  warehouse_id: z.coerce.number().int().positive(),
+  from_location_id: z.coerce.number().int().positive().nullable().optional(),
+  to_location_id: z.coerce.number().int().positive(),
+  qty: z.coerce.number().int().positive(),
+  note: z.string().max(1000).nullable().optional(),
+  billable: z.boolean().default(false),
+  service_id: z.coerce.number().int().positive().nullable().optional()
+});
+
+const stockMoveRequestSchema = z.union([
+  z.object({ moves: z.array(moveSchema).min(1).max(200) }),
+  moveSchema
+]);
+
+function sendStockError(res, error) {
+  const status = error.code === "NOT_FOUND" ? 404 : 400;
+  return res.status(status).json({ ok: false, code: error.code, message: error.message });
+}
+
+router.get("/", async (req, res) => {
+  const { client_id, product_id, lot_id, warehouse_id, location_id, date_from, date_to } = req.query;
+
+  try {
+    await ensureStockMovesTable();
+    const params = [];
+    let query = `SELECT m.id
+                 FROM stock_moves m
+                 WHERE 1 = 1${tenantClause(req, "m.client_id", params)}`;
+
+    if (client_id) {
+      query += " AND m.client_id = ?";
+      params.push(client_id);
+    }
+    if (product_id) {
+      query += " AND m.product_id = ?";
+      params.push(product_id);
+    }
+    if (lot_id) {
+      query += " AND m.lot_id = ?";
+      params.push(lot_id);
+    }
+    if (warehouse_id) {
+      query += " AND m.warehouse_id = ?";
+      params.push(warehouse_id);
+    }
+    if (location_id) {
+      query += " AND (m.from_location_id = ? OR m.to_location_id = ?)";
+      params.push(location_id, location_id);
+    }
+    if (date_from) {
+      query += " AND m.created_at >= ?";
+      params.push(date_from);
+    }
+    if (date_to) {
+      query += " AND m.created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+      params.push(date_to);
+    }
+    query += " ORDER BY m.id DESC LIMIT 500";
+
+    const [idRows] = await getPool().query(query, params);
+    const rows = await getStockMoves(getPool(), idRows.map((row) => row.id));
+    return res.json({ ok: true, data: rows.reverse() });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/", validate(stockMoveRequestSchema), async (req, res) => {
+  const batch = Array.isArray(req.body.moves);
+  const moves = batch ? req.body.moves : [req.body];
+  const createdBy = Number(req.user?.sub || 0);
+  if (!createdBy) {
+    return res.status(403).json({ ok: false, code: "USER_REQUIRED", message: "Stock moves require a user session" });
+  }
+
+  try {
+    await ensureQcSchema();
+    await ensureStockMovesTable();
+    const rows = await withTransaction(async (conn) => {
+      const moveIds = [];
+      for (const [index, move] of moves.entries()) {
+        try {
+          moveIds.push(await moveStock(conn, move, { createdBy }));
+        } catch (error) {
+          if (batch && error instanceof StockError) {
+            error.message = `moves[${index}]: ${error.message}`;
+          }
+          throw error;
+        }
+      }
+      return getStockMoves(conn, moveIds);
+    });
+
+    for (const row of rows) {
+      await recordAudit(req, {
+        entityType: "stock_move",
+        entityId: row.id,
+        action: "create",
+        after: row
+      });
+    }
+    return res.status(201).json({ ok: true, data: batch ? rows : rows[0] });
+  } catch (error) {
+    if (error instanceof StockError) return sendStockError(res, error);
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+module.exports = router;
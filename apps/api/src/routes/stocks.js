@@ -1,5 +1,10 @@
 const express = require("express");
 const { getPool } = require("../db");
+const { requirePermission } = require("../middleware/rbac");
+const { recordAudit } = require("../services/auditLog");
+const { ensureQcSchema } = require("../services/qualityControl");
+const { expireLots, getExpiryReport } = require("../services/lotExpiry");
+const { rebuildBalances, reconcileBalances } = require("../services/stockLedger");
 
 const router = express.Router();
 
@@ -7,7 +12,8 @@ router.get("/stock-balances", async (req, res) => {
   const { client_id, product_id, lot_id, warehouse_id, location_id } = req.query;
 
   try {
-    let query = `SELECT id, client_id, product_id, lot_id, warehouse_id, location_id, available_qty, reserved_qty, created_at, updated_at
+    await ensureQcSchema();
+    let query = `SELECT id, client_id, product_id, lot_id, warehouse_id, location_id, available_qty, reserved_qty, hold_qty, created_at, updated_at
                  FROM stock_balances
                  WHERE deleted_at IS NULL`;
     const params = [];
@@ -41,11 +47,70 @@ router.get("/stock-balances", async (req, res) => {
   }
 });
 
+// Accepts YYYY-MM (end of month), YYYY-MM-DD (end of day) or YYYY-MM-DD HH:MM[:SS].
+function resolveAsOf(input) {
+  if (typeof input !== "string") return null;
+  const value = input.trim().replace("T", " ");
+  if (/^\d{4}-\d{2}$/.test(value)) {
+    const [year, month] = value.split("-").map(Number);
+    if (month < 1 || month > 12) return null;
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return `${value}-${String(lastDay).padStart(2, "0")} 23:59:59`;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return `${value} 23:59:59`;
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/.test(value)) return `${value}:59`;
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) return value;
+  return null;
+}
+
+function resolveLedgerFilters(query) {
+  return {
+    clientId: query.client_id ? Number(query.client_id) : null,
+    productId: query.product_id ? Number(query.product_id) : null,
+    lotId: query.lot_id ? Number(query.lot_id) : null,
+    warehouseId: query.warehouse_id ? Number(query.warehouse_id) : null,
+    locationId: query.location_id ? Number(query.location_id) : null
+  };
+}
+
+router.get("/stock-balances/as-of", async (req, res) => {
+  const asOf = resolveAsOf(req.query.as_of);
+  if (!asOf) {
+    return res.status(400).json({
+      ok: false,
+      message: "as_of is required (YYYY-MM, YYYY-MM-DD or YYYY-MM-DD HH:MM:SS)"
+    });
+  }
+
+  try {
+    await ensureQcSchema();
+    const rows = await rebuildBalances(getPool(), { ...resolveLedgerFilters(req.query), asOf });
+    const includeZero = req.query.include_zero === "1" || req.query.include_zero === "true";
+    return res.json({
+      ok: true,
+      as_of: asOf,
+      data: includeZero ? rows : rows.filter((row) => row.on_hand_qty !== 0 || row.hold_qty !== 0)
+    });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/stock-balances/reconciliation", async (req, res) => {
+  try {
+    await ensureQcSchema();
+    const result = await reconcileBalances(getPool(), resolveLedgerFilters(req.query));
+    return res.json({ ok: true, data: result });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
 router.get("/stock-transactions", async (req, res) => {
   const { client_id, product_id, lot_id, ref_type, ref_id, txn_type, date_from, date_to } = req.query;
 
   try {
-    let query = `SELECT id, client_id, product_id, lot_id, warehouse_id, location_id, txn_type, txn_date, qty_in, qty_out, ref_type, ref_id, note, created_by, created_at, updated_at
+    let query = `SELECT id, client_id, product_id, lot_id, warehouse_id, location_id, from_location_id, to_location_id, txn_type, txn_date, qty_in, qty_out, ref_type, ref_id, note, created_by, created_at, updated_at
                  FROM stock_transactions
                  WHERE deleted_at IS NULL`;
     const params = [];
@@ -91,4 +156,36 @@ router.get("/stock-transactions", async (req, res) => {
   }
 });
 
+router.get("/inventory/expiry-report", async (req, res) => {
+  const { client_id, warehouse_id } = req.query;
+
+  try {
+    await ensureQcSchema();
+    const report = await getExpiryReport(getPool(), {
+      clientId: client_id ? Number(client_id) : null,
+      warehouseId: warehouse_id ? Number(warehouse_id) : null
+    });
+    res.json({ ok: true, data: report });
+  } catch (error) {
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+// Same as the nightly job: expires lots of every client, so it needs its own permission.
+router.post("/inventory/expiry/run", requirePermission("stock:expire"), async (req, res) => {
+  try {
+    const lotIds = await expireLots();
+    const runDate = new Date().toISOString().slice(0, 10);
+    await recordAudit(req, {
+      entityType: "lot_expiry",
+      entityId: runDate,
+      action: "run",
+      after: { expired_count: lotIds.length, lot_ids: lotIds }
+    });
+    res.json({ ok: true, data: { run_date: runDate, expired_count: lotIds.length, lot_ids: lotIds } });
+  } catch (error) {
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,223 @@
+const crypto = require("crypto");
+const express = require("express");
+const { z } = require("zod");
+const { getPool } = require("../db");
+const { validate } = require("../middleware/validate");
+const { MIN_PASSWORD_LENGTH, hashPassword } = require("../services/password");
+const { revokeUserSessions } = require("../services/authSessions");
+const { getAuditSnapshot, recordAudit } = require("../services/auditLog");
+
+const router = express.Router();
+
+const USER_ROLES = ["admin", "manager", "warehouse", "client_viewer"];
+const USER_STATUSES = ["active", "inactive"];
+
+const userCreateSchema = z.object({
+  email: z.string().email().max(255),
+  name: z.string().min(1).max(100),
+  role: z.enum(USER_ROLES),
+  client_id: z.coerce.number().int().positive().nullable().optional(),
+  password: z.string().min(MIN_PASSWORD_LENGTH).max(200).optional()
+});
+
+const userUpdateSchema = z.object({
+  name: z.string().min(1).max(100),
+  role: z.enum(USER_ROLES),
+  client_id: z.coerce.number().int().positive().nullable().optional(),
+  status: z.enum(USER_STATUSES)
+});
+
+const USER_SELECT = `SELECT u.id, u.client_id, c.name_kr AS client_name, u.email, u.name, u.role, u.status,
+       u.last_login_at, u.created_at, u.updated_at
+     FROM users u
+     LEFT JOIN clients c ON c.id = u.client_id`;
+
+function isMysqlDuplicate(error) {
+  return error && error.code === "ER_DUP_ENTRY";
+}
+
+function generateTemporaryPassword() {
+  return crypto.randomBytes(9).toString("base64url");
+}
+
+async function findUser(id) {
+  const [rows] = await getPool().query(`${USER_SELECT} WHERE u.id = ? AND u.deleted_at IS NULL`, [id]);
+  return rows[0] || null;
+}
+
+// client_viewer must be bound to a live client; staff roles are never client-bound.
+async function resolveClientBinding(role, clientId) {
+  if (role !== "client_viewer") return { ok: true, clientId: null };
+  if (!clientId) {
+    return { ok: false, code: "CLIENT_REQUIRED", message: "client_id is required for client_viewer" };
+  }
+  const [rows] = await getPool().query(
+    "SELECT id FROM clients WHERE id = ? AND deleted_at IS NULL LIMIT 1",
+    [clientId]
+  );
+  if (rows.length === 0) {
+    return { ok: false, code: "CLIENT_NOT_FOUND", message: "Client not found" };
+  }
+  return { ok: true, clientId };
+}
+
+function isSelf(req, id) {
+  return Number(req.user?.sub || 0) === Number(id);
+}
+
+router.get("/", async (req, res) => {
+  try {
+    const where = ["u.deleted_at IS NULL"];
+    const params = [];
+    if (USER_ROLES.includes(req.query.role)) {
+      where.push("u.role = ?");
+      params.push(req.query.role);
+    }
+    if (USER_STATUSES.includes(req.query.status)) {
+      where.push("u.status = ?");
+      params.push(req.query.status);
+    }
+    if (req.query.client_id) {
+      where.push("u.client_id = ?");
+      params.push(req.query.client_id);
+    }
+    if (req.query.q) {
+      where.push("(u.email LIKE ? OR u.name LIKE ?)");
+      params.push(`%${req.query.q}%`, `%${req.query.q}%`);
+    }
+
+    const [rows] = await getPool().query(
+      `${USER_SELECT}
+       WHERE ${where.join(" AND ")}
+       ORDER BY u.id DESC`,
+      params
+    );
+    res.json({ ok: true, data: rows });
+  } catch (error) {
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) {
+      return res.status(404).json({ ok: false, message: "User not found" });
+    }
+    res.json({ ok: true, data: user });
+  } catch (error) {
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/", validate(userCreateSchema), async (req, res) => {
+  const { email, name, role, client_id = null, password } = req.body;
+
+  try {
+    const binding = await resolveClientBinding(role, client_id);
+    if (!binding.ok) return res.status(400).json(binding);
+
+    const temporaryPassword = password ? null : generateTemporaryPassword();
+    const [result] = await getPool().query(
+      `INSERT INTO users (client_id, email, password_hash, name, role, status)
+       VALUES (?, ?, ?, ?, ?, 'active')`,
+      [binding.clientId, email, await hashPassword(password || temporaryPassword), name, role]
+    );
+
+    const created = await findUser(result.insertId);
+    await recordAudit(req, {
+      entityType: "user",
+      entityId: result.insertId,
+      action: "create",
+      after: await getAuditSnapshot("users", result.insertId)
+    });
+    res.status(201).json({
+      ok: true,
+      data: temporaryPassword ? { ...created, temporary_password: temporaryPassword } : created
+    });
+  } catch (error) {
+    if (isMysqlDuplicate(error)) {
+      return res.status(409).json({ ok: false, message: "Duplicate email" });
+    }
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.put("/:id", validate(userUpdateSchema), async (req, res) => {
+  const { name, role, client_id = null, status } = req.body;
+
+  try {
+    const current = await findUser(req.params.id);
+    if (!current) {
+      return res.status(404).json({ ok: false, message: "User not found" });
+    }
+    if (isSelf(req, req.params.id) && (role !== current.role || status !== "active")) {
+      return res.status(400).json({
+        ok: false,
+        code: "SELF_LOCKOUT",
+        message: "You cannot change your own role or deactivate yourself"
+      });
+    }
+
+    const binding = await resolveClientBinding(role, client_id);
+    if (!binding.ok) return res.status(400).json(binding);
+
+    const before = await getAuditSnapshot("users", req.params.id);
+    await getPool().query(
+      `UPDATE users
+       SET name = ?, role = ?, client_id = ?, status = ?
+       WHERE id = ? AND deleted_at IS NULL`,
+      [name, role, binding.clientId, status, req.params.id]
+    );
+    if (status === "inactive" && current.status !== "inactive") {
+      await revokeUserSessions(Number(req.params.id), "user_deactivated");
+    }
+    await recordAudit(req, {
+      entityType: "user",
+      entityId: req.params.id,
+      action: "update",
+      before,
+      after: await getAuditSnapshot("users", req.params.id)
+    });
+
+    res.json({ ok: true, data: await findUser(req.params.id) });
+  } catch (error) {
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  if (isSelf(req, req.params.id)) {
+    return res.status(400).json({
+      ok: false,
+      code: "SELF_LOCKOUT",
+      message: "You cannot delete yourself"
+    });
+  }
+
+  try {
+    const before = await getAuditSnapshot("users", req.params.id);
+    const [result] = await getPool().query(
+      `UPDATE users
+       SET deleted_at = NOW(), status = 'inactive', email = LEFT(CONCAT(email, '#DEL', id), 255)
+       WHERE id = ? AND deleted_at IS NULL`,
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ ok: false, message: "User not found" });
+    }
+    await revokeUserSessions(Number(req.params.id), "user_deleted");
+    await recordAudit(req, {
+      entityType: "user",
+      entityId: req.params.id,
+      action: "delete",
+      before,
+      after: await getAuditSnapshot("users", req.params.id)
+    });
+    res.json({ ok: true, data: { id: Number(req.params.id) } });
+  } catch (error) {
+    res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,451 @@
+const express = require("express");
+const { z } = require("zod");
+const { getPool } = require("../db");
+const { validate } = require("../middleware/validate");
+const { withTransaction } = require("../services/stock");
+const { getAuditSnapshot, recordAudit } = require("../services/auditLog");
+const { ensureQcSchema } = require("../services/qualityControl");
+const { renderCode128Svg, escapeXml } = require("../services/barcode");
+const {
+  LOCATION_TYPES,
+  ensureWarehouseLocationColumns,
+  normalizeLocationCode,
+  isValidLocationCode,
+  parseLocationCsv,
+  getLocationOnHandQty
+} = require("../services/warehouseLocations");
+
+const router = express.Router({ mergeParams: true });
+
+const LOCATION_SELECT = `SELECT id, warehouse_id, location_code, zone, location_type, max_qty, max_cbm, max_weight_kg,
+                                status, created_at, updated_at
+                         FROM warehouse_locations`;
+
+const locationSchema = z.object({
+  location_code: z.string().min(1).max(100),
+  zone: z.string().max(100).nullable().optional(),
+  location_type: z.enum(LOCATION_TYPES).default("pick"),
+  max_qty: z.coerce.number().int().min(0).nullable().optional(),
+  max_cbm: z.coerce.number().min(0).nullable().optional(),
+  max_weight_kg: z.coerce.number().min(0).nullable().optional(),
+  status: z.enum(["active", "inactive"]).default("active")
+});
+
+const importSchema = z.object({
+  csv: z.string().min(1).max(1024 * 1024),
+  dry_run: z.boolean().default(false)
+});
+
+function sendImportErrors(res, message, errors) {
+  const preview = errors
+    .slice(0, 5)
+    .map((error) => `line ${error.line}: ${error.message}`)
+    .join("; ");
+  return res.status(400).json({
+    ok: false,
+    code: "INVALID_CSV",
+    message: preview ? `${message} (${preview}${errors.length > 5 ? "; ..." : ""})` : message,
+    errors
+  });
+}
+
+function isMysqlDuplicate(error) {
+  return error && error.code === "ER_DUP_ENTRY";
+}
+
+async function ensureLocationSchema() {
+  await ensureWarehouseLocationColumns();
+  await ensureQcSchema();
+}
+
+async function findWarehouse(warehouseId) {
+  const [rows] = await getPool().query(
+    "SELECT id, code, name FROM warehouses WHERE id = ? AND deleted_at IS NULL",
+    [warehouseId]
+  );
+  return rows[0] || null;
+}
+
+async function findLocation(conn, warehouseId, locationId) {
+  const [rows] = await conn.query(
+    `${LOCATION_SELECT}
+     WHERE id = ? AND warehouse_id = ? AND deleted_at IS NULL`,
+    [locationId, warehouseId]
+  );
+  return rows[0] || null;
+}
+
+function readLocationBody(body) {
+  const locationCode = normalizeLocationCode(body.location_code);
+  if (!isValidLocationCode(locationCode)) return null;
+  return {
+    location_code: locationCode,
+    zone: body.zone ? body.zone.trim() || null : null,
+    location_type: body.location_type || "pick",
+    max_qty: body.max_qty ?? null,
+    max_cbm: body.max_cbm ?? null,
+    max_weight_kg: body.max_weight_kg ?? null,
+    status: body.status || "active"
+  };
+}
+
+function sendInvalidCode(res) {
+  return res.status(400).json({
+    ok: false,
+    code: "INVALID_LOCATION_CODE",
+    message: "location_code may only contain A-Z, 0-9, '.', '_', '-', '/'"
+  });
+}
+
+function sendLocationInUse(res, onHandQty) {
+  return res.status(409).json({
+    ok: false,
+    code: "LOCATION_IN_USE",
+    message: `Location still holds ${onHandQty} units of stock`
+  });
+}
+
+router.use(async (req, res, next) => {
+  try {
+    await ensureLocationSchema();
+    const warehouse = await findWarehouse(req.params.warehouseId);
+    if (!warehouse) {
+      return res.status(404).json({ ok: false, message: "Warehouse not found" });
+    }
+    req.warehouse = warehouse;
+    return next();
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/", async (req, res) => {
+  const { status, zone, location_type, q } = req.query;
+
+  try {
+    const params = [req.warehouse.id];
+    let query = `SELECT l.id, l.warehouse_id, l.location_code, l.zone, l.location_type, l.max_qty, l.max_cbm,
+                        l.max_weight_kg, l.status, l.created_at, l.updated_at,
+                        COALESCE(SUM(sb.available_qty + sb.reserved_qty + sb.hold_qty), 0) AS on_hand_qty
+                 FROM warehouse_locations l
+                 LEFT JOIN stock_balances sb ON sb.location_id = l.id
+                 WHERE l.warehouse_id = ? AND l.deleted_at IS NULL`;
+
+    if (status) {
+      query += " AND l.status = ?";
+      params.push(status);
+    }
+    if (zone) {
+      query += " AND l.zone = ?";
+      params.push(zone);
+    }
+    if (location_type) {
+      query += " AND l.location_type = ?";
+      params.push(location_type);
+    }
+    if (q) {
+      query += " AND l.location_code LIKE ?";
+      params.push(`%${String(q).trim().toUpperCase()}%`);
+    }
+    query += " GROUP BY l.id ORDER BY l.location_code ASC";
+
+    const [rows] = await getPool().query(query, params);
+    return res.json({ ok: true, data: rows });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/labels", async (req, res) => {
+  const ids = String(req.query.ids || "")
+    .split(",")
+    .map((value) => Number(value.trim()))
+    .filter((value) => Number.isInteger(value) && value > 0);
+
+  try {
+    const params = [req.warehouse.id];
+    let query = `${LOCATION_SELECT}
+                 WHERE warehouse_id = ? AND deleted_at IS NULL`;
+    if (ids.length > 0) {
+      query += ` AND id IN (${ids.map(() => "?").join(", ")})`;
+      params.push(...ids);
+    } else {
+      query += " AND status = 'active'";
+    }
+    query += " ORDER BY location_code ASC";
+
+    const [rows] = await getPool().query(query, params);
+    if (rows.length === 0) {
+      return res.status(404).json({ ok: false, message: "No locations to print" });
+    }
+
+    const labels = rows
+      .map(
+        (row) => `<div class="label">
+  <div class="code">${escapeXml(row.location_code)}</div>
+  ${renderCode128Svg(row.location_code)}
+  <div class="meta">${escapeXml(req.warehouse.code)}${row.zone ? ` · ${escapeXml(row.zone)}` : ""} · ${escapeXml(row.location_type)}</div>
+</div>`
+      )
+      .join("\n");
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res.send(`<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(req.warehouse.code)} location labels</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 8mm; }
+  .sheet { display: flex; flex-wrap: wrap; gap: 4mm; }
+  .label { width: 90mm; border: 1px dashed #999; padding: 3mm; text-align: center; break-inside: avoid; }
+  .label svg { max-width: 100%; height: 18mm; }
+  .code { font-size: 20px; font-weight: bold; letter-spacing: 1px; }
+  .meta { font-size: 11px; color: #444; }
+  @media print { .label { border-color: #ccc; } }
+</style>
+</head>
+<body>
+<div class="sheet">
+${labels}
+</div>
+</body>
+</html>`);
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.get("/:locationId", async (req, res) => {
+  try {
+    const location = await findLocation(getPool(), req.warehouse.id, req.params.locationId);
+    if (!location) {
+      return res.status(404).json({ ok: false, message: "Location not found" });
+    }
+    location.on_hand_qty = await getLocationOnHandQty(getPool(), location.id);
+    return res.json({ ok: true, data: location });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/", validate(locationSchema), async (req, res) => {
+  const location = readLocationBody(req.body);
+  if (!location) return sendInvalidCode(res);
+
+  try {
+    const [result] = await getPool().query(
+      `INSERT INTO warehouse_locations
+        (warehouse_id, location_code, zone, location_type, max_qty, max_cbm, max_weight_kg, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.warehouse.id,
+        location.location_code,
+        location.zone,
+        location.location_type,
+        location.max_qty,
+        location.max_cbm,
+        location.max_weight_kg,
+        location.status
+      ]
+    );
+    await recordAudit(req, {
+      entityType: "warehouse_location",
+      entityId: result.insertId,
+      action: "create",
+      after: await getAuditSnapshot("warehouse_locations", result.insertId)
+    });
+    return res.status(201).json({ ok: true, data: await findLocation(getPool(), req.warehouse.id, result.insertId) });
+  } catch (error) {
+    if (isMysqlDuplicate(error)) {
+      return res.status(409).json({ ok: false, message: "Duplicate location code" });
+    }
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.put("/:locationId", validate(locationSchema), async (req, res) => {
+  const location = readLocationBody(req.body);
+  if (!location) return sendInvalidCode(res);
+
+  try {
+    const current = await findLocation(getPool(), req.warehouse.id, req.params.locationId);
+    if (!current) {
+      return res.status(404).json({ ok: false, message: "Location not found" });
+    }
+    if (current.status === "active" && location.status === "inactive") {
+      const onHandQty = await getLocationOnHandQty(getPool(), current.id);
+      if (onHandQty > 0) return sendLocationInUse(res, onHandQty);
+    }
+
+    const before = await getAuditSnapshot("warehouse_locations", current.id);
+    await getPool().query(
+      `UPDATE warehouse_locations
+       SET location_code = ?, zone = ?, location_type = ?, max_qty = ?, max_cbm = ?, max_weight_kg = ?, status = ?
+       WHERE id = ? AND deleted_at IS NULL`,
+      [
+        location.location_code,
+        location.zone,
+        location.location_type,
+        location.max_qty,
+        location.max_cbm,
+        location.max_weight_kg,
+        location.status,
+        current.id
+      ]
+    );
+    await recordAudit(req, {
+      entityType: "warehouse_location",
+      entityId: current.id,
+      action: "update",
+      before,
+      after: await getAuditSnapshot("warehouse_locations", current.id)
+    });
+    return res.json({ ok: true, data: await findLocation(getPool(), req.warehouse.id, current.id) });
+  } catch (error) {
+    if (isMysqlDuplicate(error)) {
+      return res.status(409).json({ ok: false, message: "Duplicate location code" });
+    }
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.delete("/:locationId", async (req, res) => {
+  try {
+    const current = await findLocation(getPool(), req.warehouse.id, req.params.locationId);
+    if (!current) {
+      return res.status(404).json({ ok: false, message: "Location not found" });
+    }
+    const onHandQty = await getLocationOnHandQty(getPool(), current.id);
+    if (onHandQty > 0) return sendLocationInUse(res, onHandQty);
+
+    const before = await getAuditSnapshot("warehouse_locations", current.id);
+    // Soft-deleted codes are renamed so the unique (warehouse_id, location_code) key can be reused.
+    await getPool().query(
+      `UPDATE warehouse_locations
+       SET deleted_at = NOW(), status = 'inactive', location_code = LEFT(CONCAT(location_code, '#DEL', id), 100)
+       WHERE id = ? AND deleted_at IS NULL`,
+      [current.id]
+    );
+    await recordAudit(req, {
+      entityType: "warehouse_location",
+      entityId: current.id,
+      action: "delete",
+      before,
+      after: await getAuditSnapshot("warehouse_locations", current.id)
+    });
+    return res.json({ ok: true, data: { id: current.id } });
+  } catch (error) {
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+router.post("/import", validate(importSchema), async (req, res) => {
+  const { csv, dry_run } = req.body;
+  const { rows, errors } = parseLocationCsv(csv);
+  if (errors.length > 0) {
+    return sendImportErrors(res, "CSV has invalid rows", errors);
+  }
+  if (rows.length === 0) {
+    return sendImportErrors(res, "CSV has no location rows", []);
+  }
+
+  try {
+    const result = await withTransaction(async (conn) => {
+      const [existingRows] = await conn.query(
+        `${LOCATION_SELECT}
+         WHERE warehouse_id = ? AND deleted_at IS NULL
+         FOR UPDATE`,
+        [req.warehouse.id]
+      );
+      const existingByCode = new Map(existingRows.map((row) => [row.location_code, row]));
+      const summary = { created: 0, updated: 0, unchanged: 0, dry_run, errors: [] };
+      const audits = [];
+
+      for (const row of rows) {
+        const existing = existingByCode.get(row.location_code);
+        if (!existing) {
+          summary.created += 1;
+          if (!dry_run) {
+            const [insert] = await conn.query(
+              `INSERT INTO warehouse_locations
+                (warehouse_id, location_code, zone, location_type, max_qty, max_cbm, max_weight_kg, status)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+              [
+                req.warehouse.id,
+                row.location_code,
+                row.zone,
+                row.location_type,
+                row.max_qty,
+                row.max_cbm,
+                row.max_weight_kg,
+                row.status
+              ]
+            );
+            audits.push({ entityId: insert.insertId, action: "create", before: null });
+          }
+          continue;
+        }
+
+        const changed =
+          (existing.zone || null) !== row.zone ||
+          existing.location_type !== row.location_type ||
+          (existing.max_qty === null ? null : Number(existing.max_qty)) !== row.max_qty ||
+          (existing.max_cbm === null ? null : Number(existing.max_cbm)) !== row.max_cbm ||
+          (existing.max_weight_kg === null ? null : Number(existing.max_weight_kg)) !== row.max_weight_kg ||
+          existing.status !== row.status;
+        if (!changed) {
+          summary.unchanged += 1;
+          continue;
+        }
+        if (existing.status === "active" && row.status === "inactive") {
+          const onHandQty = await getLocationOnHandQty(conn, existing.id);
+          if (onHandQty > 0) {
+            summary.errors.push({
+              line: row.line,
+              message: `${row.location_code} still holds ${onHandQty} units and cannot be deactivated`
+            });
+            continue;
+          }
+        }
+        summary.updated += 1;
+        if (!dry_run) {
+          const before = await getAuditSnapshot("warehouse_locations", existing.id, { conn });
+          await conn.query(
+            `UPDATE warehouse_locations
+             SET zone = ?, location_type = ?, max_qty = ?, max_cbm = ?, max_weight_kg = ?, status = ?
+             WHERE id = ?`,
+            [row.zone, row.location_type, row.max_qty, row.max_cbm, row.max_weight_kg, row.status, existing.id]
+          );
+          audits.push({ entityId: existing.id, action: "update", before });
+        }
+      }
+
+      if (summary.errors.length > 0) {
+        const error = new Error("CSV has rows that cannot be applied");
+        error.importErrors = summary.errors;
+        throw error;
+      }
+      return { summary, audits };
+    });
+
+    for (const audit of result.audits) {
+      await recordAudit(req, {
+        entityType: "warehouse_location",
+        entityId: audit.entityId,
+        action: audit.action,
+        before: audit.before,
+        after: await getAuditSnapshot("warehouse_locations", audit.entityId)
+      });
+    }
+    const { errors: _errors, ...summary } = result.summary;
+    return res.json({ ok: true, data: summary });
+  } catch (error) {
+    if (error.importErrors) {
+      return sendImportErrors(res, error.message, error.importErrors);
+    }
+    return res.status(500).json({ ok: false, message: error.message });
+  }
+});
+
+module.exports = router;
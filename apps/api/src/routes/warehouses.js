@@ -2,6 +2,7 @@ const express = require("express");
 const { z } = require("zod");
 const { getPool } = require("../db");
 const { validate } = require("../middleware/validate");
+const { getAuditSnapshot, recordAudit } = require("../services/auditLog");
 
 const router = express.Router();
 
@@ -77,6 +78,12 @@ router.post("/", validate(warehouseSchema), async (req, res) => {
        WHERE id = ?`,
       [result.insertId]
     );
+    await recordAudit(req, {
+      entityType: "warehouse",
+      entityId: result.insertId,
+      action: "create",
+      after: await getAuditSnapshot("warehouses", result.insertId)
+    });
     res.status(201).json({ ok: true, data: rows[0] });
   } catch (error) {
     if (isMysqlDuplicate(error)) {
@@ -97,6 +104,7 @@ router.put("/:id", validate(warehouseSchema), async (req, res) => {
   }
 
   try {
+    const before = await getAuditSnapshot("warehouses", req.params.id);
     const [result] = await getPool().query(
       `UPDATE warehouses
        SET code = ?, name = ?, country = ?, timezone = ?, status = ?
@@ -114,6 +122,13 @@ router.put("/:id", validate(warehouseSchema), async (req, res) => {
        WHERE id = ?`,
       [req.params.id]
     );
+    await recordAudit(req, {
+      entityType: "warehouse",
+      entityId: req.params.id,
+      action: "update",
+      before,
+      after: await getAuditSnapshot("warehouses", req.params.id)
+    });
     res.json({ ok: true, data: rows[0] });
   } catch (error) {
     if (isMysqlDuplicate(error)) {
@@ -125,6 +140,7 @@ router.put("/:id", validate(warehouseSchema), async (req, res) => {
 
 router.delete("/:id", async (req, res) => {
   try {
+    const before = await getAuditSnapshot("warehouses", req.params.id);
     const [result] = await getPool().query(
       "UPDATE warehouses SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL",
       [req.params.id]
@@ -132,6 +148,13 @@ router.delete("/:id", async (req, res) => {
     if (result.affectedRows === 0) {
       return res.status(404).json({ ok: false, message: "Warehouse not found" });
     }
+    await recordAudit(req, {
+      entityType: "warehouse",
+      entityId: req.params.id,
+      action: "delete",
+      before,
+      after: await getAuditSnapshot("warehouses", req.params.id)
+    });
     res.json({ ok: true });
   } catch (error) {
     res.status(500).json({ ok: false, message: error.message });
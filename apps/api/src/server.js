@@ -2,32 +2,54 @@ const express = require("express");
 const dotenv = require("dotenv");
 const swaggerUi = require("swagger-ui-express");
 const { pingDb } = require("./db");
-const { authenticateToken } = require("./middleware/auth");
-const { enforceWriteAccess } = require("./middleware/rbac");
+const { authenticateRequest } = require("./middleware/auth");
+const { requirePermission, requireWritePermission } = require("./middleware/rbac");
+const { enforceTenantScope, tenantWriteGuard } = require("./middleware/tenantScope");
+const { assignRequestId } = require("./middleware/requestId");
 const authRouter = require("./routes/auth");
 const productsRouter = require("./routes/products");
 const productLotsRouter = require("./routes/productLots");
 const warehousesRouter = require("./routes/warehouses");
+const warehouseLocationsRouter = require("./routes/warehouseLocations");
 const clientsRouter = require("./routes/clients");
 const inboundOrdersRouter = require("./routes/inboundOrders");
 const inboundItemsRouter = require("./routes/inboundItems");
 const outboundOrdersRouter = require("./routes/outboundOrders");
 const outboundItemsRouter = require("./routes/outboundItems");
 const outboundBoxesRouter = require("./routes/outboundBoxes");
+const allocationRulesRouter = require("./routes/allocationRules");
 const returnOrdersRouter = require("./routes/returnOrders");
 const returnItemsRouter = require("./routes/returnItems");
 const stocksRouter = require("./routes/stocks");
+const stockMovesRouter = require("./routes/stockMoves");
+const stockAdjustmentsRouter = require("./routes/stockAdjustments");
+const cycleCountsRouter = require("./routes/cycleCounts");
+const stockIntegrityRouter = require("./routes/stockIntegrity");
 const serviceEventsRouter = require("./routes/serviceEvents");
 const settlementsRouter = require("./routes/settlements");
 const billingEngineRouter = require("./routes/billingEngine");
+const invoicePaymentsRouter = require("./routes/invoicePayments");
+const usersRouter = require("./routes/users");
+const apiKeysRouter = require("./routes/apiKeys");
+const auditLogsRouter = require("./routes/auditLogs");
+const qualityControlRouter = require("./routes/qualityControl");
+const filesRouter = require("./routes/files");
 const { router: dashboardRouter } = require("./routes/dashboard");
 const { startStorageSnapshotSchedule } = require("./jobs/storageSnapshots");
+const { startLotExpirySchedule } = require("./jobs/lotExpiry");
+const { startStockIntegritySchedule } = require("./jobs/stockIntegrity");
+const { startStorageBillingSchedule } = require("./jobs/storageBilling");
 const openapi = require("./openapi.json");
 
 dotenv.config();
 
 const app = express();
 const port = Number(process.env.PORT || 3100);
+// Login throttling keys on req.ip; the web proxy forwards the client address nginx puts in X-Real-IP.
+app.set("trust proxy", process.env.TRUST_PROXY || "loopback");
+app.use(assignRequestId);
+// File uploads carry base64 content; the default 100kb JSON limit applies everywhere else.
+app.use("/files", express.json({ limit: process.env.FILE_UPLOAD_JSON_LIMIT || "8mb" }));
 app.use(express.json());
 app.use("/auth", authRouter);
 
@@ -37,6 +59,7 @@ function isPublicPath(pathname) {
     pathname === "/health/db" ||
     pathname === "/auth/login" ||
     pathname === "/auth/login/" ||
+    pathname === "/auth/refresh" ||
     pathname.startsWith("/docs")
   );
 }
@@ -69,32 +92,93 @@ app.use((req, res, next) => {
   if (isPublicPath(req.path)) {
     return next();
   }
-  return authenticateToken(req, res, next);
+  return authenticateRequest(req, res, next);
 });
 
 app.use((req, res, next) => {
   if (isPublicPath(req.path)) {
     return next();
   }
-  return enforceWriteAccess(req, res, next);
+  return enforceTenantScope(req, res, next);
 });
 
-app.use("/products", productsRouter);
+app.use(
+  "/products",
+  requireWritePermission("products:write"),
+  tenantWriteGuard({ table: "products" }),
+  productsRouter
+);
 app.use("/product-lots", productLotsRouter);
-app.use("/warehouses", warehousesRouter);
-app.use("/clients", clientsRouter);
-app.use("/inbound-orders", inboundOrdersRouter);
-app.use("/inbound-items", inboundItemsRouter);
-app.use("/outbound-orders", outboundOrdersRouter);
-app.use("/outbound-orders", outboundBoxesRouter);
-app.use("/outbound-items", outboundItemsRouter);
-app.use("/return-orders", returnOrdersRouter);
-app.use("/return-items", returnItemsRouter);
+app.use(
+  "/warehouses/:warehouseId/locations",
+  requireWritePermission("warehouses:write"),
+  warehouseLocationsRouter
+);
+app.use("/warehouses", requireWritePermission("warehouses:write"), warehousesRouter);
+app.use("/clients", requireWritePermission("clients:write"), clientsRouter);
+app.use(
+  "/inbound-orders",
+  requireWritePermission("inbound:write"),
+  tenantWriteGuard({ table: "inbound_orders" }),
+  inboundOrdersRouter
+);
+app.use(
+  "/inbound-items",
+  requireWritePermission("inbound:write"),
+  tenantWriteGuard({ table: "inbound_items", parentTable: "inbound_orders", parentColumn: "inbound_order_id" }),
+  inboundItemsRouter
+);
+app.use(
+  "/outbound-orders",
+  requireWritePermission("outbound:write"),
+  tenantWriteGuard({ table: "outbound_orders" }),
+  outboundOrdersRouter
+);
+app.use(
+  "/outbound-orders",
+  requireWritePermission("outbound:write"),
+  tenantWriteGuard({ table: "outbound_orders" }),
+  outboundBoxesRouter
+);
+app.use(
+  "/outbound-items",
+  requireWritePermission("outbound:write"),
+  tenantWriteGuard({ table: "outbound_items", parentTable: "outbound_orders", parentColumn: "outbound_order_id" }),
+  outboundItemsRouter
+);
+app.use(
+  "/allocation-rules",
+  requireWritePermission("outbound:write"),
+  tenantWriteGuard({ table: "allocation_rules" }),
+  allocationRulesRouter
+);
+app.use(
+  "/return-orders",
+  requireWritePermission("returns:write"),
+  tenantWriteGuard({ table: "return_orders" }),
+  returnOrdersRouter
+);
+app.use(
+  "/return-items",
+  requireWritePermission("returns:write"),
+  tenantWriteGuard({ table: "return_items", parentTable: "return_orders", parentColumn: "return_order_id" }),
+  returnItemsRouter
+);
+app.use("/qc", requireWritePermission("qc:write"), qualityControlRouter);
+app.use("/files", requireWritePermission("files:write"), filesRouter);
+app.use("/stock-moves", requireWritePermission("stock:move"), stockMovesRouter);
+app.use("/stock-adjustments", requireWritePermission("stock:adjust"), stockAdjustmentsRouter);
+app.use("/cycle-counts", requireWritePermission("stock:count"), cycleCountsRouter);
+app.use("/stock-integrity", requirePermission("stock:integrity"), stockIntegrityRouter);
+app.use("/users", requirePermission("users:manage"), usersRouter);
+app.use("/api-keys", requirePermission("api-keys:manage"), apiKeysRouter);
+app.use("/audit-logs", requirePermission("audit:read"), auditLogsRouter);
 app.use("/", stocksRouter);
 app.use("/", serviceEventsRouter);
 app.use("/", settlementsRouter);
 app.use("/", billingEngineRouter);
-app.use("/api/dashboard", dashboardRouter);
+app.use("/", invoicePaymentsRouter);
+app.use("/api/dashboard", requireWritePermission("storage:snapshot"), dashboardRouter);
 app.use("/docs", swaggerUi.serve, swaggerUi.setup(openapi));
 
 app.use((_req, res) => {
@@ -115,5 +199,8 @@ app.use((error, _req, res, _next) => {
 
 app.listen(port, () => {
   startStorageSnapshotSchedule();
+  startLotExpirySchedule();
+  startStockIntegritySchedule();
+  startStorageBillingSchedule();
   console.log(`wms-api listening on http://localhost:${port}`);
 });
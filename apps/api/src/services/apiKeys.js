@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const { getPool } = require("../db");
+
+const API_KEY_PREFIX = "kb3pl_";
+const API_KEY_SCOPES = ["read", "products:write", "inbound:write", "outbound:write", "returns:write"];
+
+let apiKeysTableReady = null;
+
+function ensureApiKeysTable() {
+  if (!apiKeysTableReady) {
+    apiKeysTableReady = getPool()
+      .query(
+        `CREATE TABLE IF NOT EXISTS api_keys (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          client_id BIGINT UNSIGNED NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          key_prefix VARCHAR(20) NOT NULL,
+          key_hash CHAR(64) NOT NULL,
+          scopes VARCHAR(500) NOT NULL,
+          expires_at DATETIME NULL,
+          last_used_at DATETIME NULL,
+          last_used_ip VARCHAR(64) NULL,
+          created_by BIGINT UNSIGNED NULL,
+          revoked_at DATETIME NULL,
+          revoked_by BIGINT UNSIGNED NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (id),
+          UNIQUE KEY uk_api_keys_key_hash (key_hash),
+          KEY idx_api_keys_client_revoked (client_id, revoked_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+      )
+      .catch((error) => {
+        apiKeysTableReady = null;
+        throw error;
+      });
+  }
+  return apiKeysTableReady;
+}
+
+function hashApiKey(rawKey) {
+  return crypto.createHash("sha256").update(String(rawKey)).digest("hex");
+}
+
+function parseScopes(value) {
+  return String(value || "")
+    .split(",")
+    .map((scope) => scope.trim())
+    .filter(Boolean);
+}
+
+function mapApiKeyRow(row) {
+  const { scopes, ...rest } = row;
+  return { ...rest, scopes: parseScopes(scopes) };
+}
+
+const API_KEY_SELECT = `SELECT k.id, k.client_id, c.name_kr AS client_name, k.name, k.key_prefix, k.scopes, k.expires_at,
+       k.last_used_at, k.last_used_ip, k.created_by, k.revoked_at, k.revoked_by, k.created_at
+     FROM api_keys k
+     LEFT JOIN clients c ON c.id = k.client_id`;
+
+async function createApiKey({ clientId, name, scopes, expiresAt = null, createdBy = null }) {
+  await ensureApiKeysTable();
+  const rawKey = `${API_KEY_PREFIX}${crypto.randomBytes(30).toString("base64url")}`;
+  const [result] = await getPool().query(
+    `INSERT INTO api_keys (client_id, name, key_prefix, key_hash, scopes, expires_at, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [clientId, name, rawKey.slice(0, 14), hashApiKey(rawKey), scopes.join(","), expiresAt, createdBy]
+  );
+  const created = await getApiKey(result.insertId);
+  return { ...created, api_key: rawKey };
+}
+
+async function getApiKey(id) {
+  await ensureApiKeysTable();
+  const [rows] = await getPool().query(`${API_KEY_SELECT} WHERE k.id = ?`, [id]);
+  return rows[0] ? mapApiKeyRow(rows[0]) : null;
+}
+
+async function listApiKeys({ clientId = null, includeRevoked = false } = {}) {
+  await ensureApiKeysTable();
+  const where = ["1 = 1"];
+  const params = [];
+  if (clientId) {
+    where.push("k.client_id = ?");
+    params.push(clientId);
+  }
+  if (!includeRevoked) where.push("k.revoked_at IS NULL");
+
+  const [rows] = await getPool().query(
+    `${API_KEY_SELECT}
+     WHERE ${where.join(" AND ")}
+     ORDER BY k.id DESC`,
+    params
+  );
+  return rows.map(mapApiKeyRow);
+}
+
+async function revokeApiKey(id, revokedBy) {
+  await ensureApiKeysTable();
+  const [result] = await getPool().query(
+    "UPDATE api_keys SET revoked_at = NOW(), revoked_by = ? WHERE id = ? AND revoked_at IS NULL",
+    [revokedBy, id]
+  );
+  return result.affectedRows > 0;
+}
+
+// Returns the key row when usable, otherwise { error } with the rejection code.
+async function resolveApiKey(rawKey, ipAddress) {
+  await ensureApiKeysTable();
+  const [rows] = await getPool().query(
+    `SELECT k.id, k.client_id, k.scopes, k.expires_at, k.revoked_at, c.status AS client_status
+     FROM api_keys k
+     JOIN clients c ON c.id = k.client_id AND c.deleted_at IS NULL
+     WHERE k.key_hash = ?
+     LIMIT 1`,
+    [hashApiKey(rawKey)]
+  );
+  const key = rows[0];
+  if (!key || key.revoked_at) return { error: "INVALID_API_KEY" };
+  if (key.expires_at && new Date(key.expires_at).getTime() <= Date.now()) return { error: "API_KEY_EXPIRED" };
+  if (key.client_status !== "active") return { error: "CLIENT_INACTIVE" };
+
+  await getPool().query("UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?", [
+    ipAddress,
+    key.id
+  ]);
+  return { id: key.id, client_id: key.client_id, scopes: parseScopes(key.scopes) };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  resolveApiKey
+};
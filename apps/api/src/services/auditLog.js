@@ -0,0 +1,152 @@
+const { getPool } = require("../db");
+
+const IGNORED_FIELDS = ["created_at", "updated_at", "password_hash", "key_hash", "refresh_token_hash"];
+
+let auditLogsTableReady = null;
+
+function ensureAuditLogsTable() {
+  if (!auditLogsTableReady) {
+    auditLogsTableReady = getPool()
+      .query(
+        `CREATE TABLE IF NOT EXISTS audit_logs (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          entity_type VARCHAR(50) NOT NULL,
+          entity_id VARCHAR(64) NOT NULL,
+          action VARCHAR(30) NOT NULL,
+          actor_user_id BIGINT UNSIGNED NULL,
+          actor_api_key_id BIGINT UNSIGNED NULL,
+          actor_role VARCHAR(30) NULL,
+          request_id VARCHAR(64) NULL,
+          ip_address VARCHAR(64) NULL,
+          before_json JSON NULL,
+          after_json JSON NULL,
+          diff_json JSON NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (id),
+          KEY idx_audit_logs_entity (entity_type, entity_id, id),
+          KEY idx_audit_logs_created (created_at),
+          KEY idx_audit_logs_actor (actor_user_id, created_at),
+          KEY idx_audit_logs_request (request_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+      )
+      .catch((error) => {
+        auditLogsTableReady = null;
+        throw error;
+      });
+  }
+  return auditLogsTableReady;
+}
+
+function toAuditValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString("base64");
+  return value === undefined ? null : value;
+}
+
+function sanitizeSnapshot(row) {
+  if (!row) return null;
+  const snapshot = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (!IGNORED_FIELDS.includes(key)) snapshot[key] = toAuditValue(value);
+  }
+  return snapshot;
+}
+
+function diffSnapshots(before, after) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    const from = before ? toAuditValue(before[key]) : null;
+    const to = after ? toAuditValue(after[key]) : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) diff[key] = { before: from, after: to };
+  }
+  return diff;
+}
+
+// Reads the full row (including soft-deleted ones) so before/after snapshots are comparable.
+async function getAuditSnapshot(tableName, id, { column = "id", conn = getPool() } = {}) {
+  const [rows] = await conn.query(`SELECT * FROM ${tableName} WHERE ${column} = ? LIMIT 1`, [id]);
+  return rows[0] || null;
+}
+
+async function recordAudit(req, { entityType, entityId, action, before = null, after = null }, conn = getPool()) {
+  const beforeSnapshot = sanitizeSnapshot(before);
+  const afterSnapshot = sanitizeSnapshot(after);
+  const diff = diffSnapshots(beforeSnapshot, afterSnapshot);
+  if (action === "update" && Object.keys(diff).length === 0) return;
+
+  await ensureAuditLogsTable();
+  await conn.query(
+    `INSERT INTO audit_logs
+      (entity_type, entity_id, action, actor_user_id, actor_api_key_id, actor_role, request_id, ip_address,
+       before_json, after_json, diff_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entityType,
+      String(entityId),
+      action,
+      Number(req.user?.sub || 0) || null,
+      req.user?.api_key_id || null,
+      req.user?.role || null,
+      req.requestId || null,
+      req.ip || null,
+      beforeSnapshot ? JSON.stringify(beforeSnapshot) : null,
+      afterSnapshot ? JSON.stringify(afterSnapshot) : null,
+      JSON.stringify(diff)
+    ]
+  );
+}
+
+async function listAuditLogs({ entityType, entityId, action, actorUserId, requestId, dateFrom, dateTo, limit = 100 }) {
+  await ensureAuditLogsTable();
+  const where = ["1 = 1"];
+  const params = [];
+  if (entityType) {
+    where.push("a.entity_type = ?");
+    params.push(entityType);
+  }
+  if (entityId) {
+    where.push("a.entity_id = ?");
+    params.push(String(entityId));
+  }
+  if (action) {
+    where.push("a.action = ?");
+    params.push(action);
+  }
+  if (actorUserId) {
+    where.push("a.actor_user_id = ?");
+    params.push(actorUserId);
+  }
+  if (requestId) {
+    where.push("a.request_id = ?");
+    params.push(requestId);
+  }
+  if (dateFrom) {
+    where.push("a.created_at >= ?");
+    params.push(`${dateFrom} 00:00:00`);
+  }
+  if (dateTo) {
+    where.push("a.created_at <= ?");
+    params.push(`${dateTo} 23:59:59`);
+  }
+  params.push(limit);
+
+  const [rows] = await getPool().query(
+    `SELECT a.id, a.entity_type, a.entity_id, a.action, a.actor_user_id, u.email AS actor_email, u.name AS actor_name,
+            a.actor_api_key_id, a.actor_role, a.request_id, a.ip_address, a.before_json, a.after_json, a.diff_json,
+            a.created_at
+     FROM audit_logs a
+     LEFT JOIN users u ON u.id = a.actor_user_id
+     WHERE ${where.join(" AND ")}
+     ORDER BY a.id DESC
+     LIMIT ?`,
+    params
+  );
+  return rows;
+}
+
+module.exports = {
+  getAuditSnapshot,
+  recordAudit,
+  listAuditLogs
+};
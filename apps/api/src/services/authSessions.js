@@ -0,0 +1,220 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { getPool } = require("../db");
+const { withTransaction } = require("./stock");
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || "30m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 14);
+const REFRESH_REUSE_GRACE_SECONDS = Number(process.env.REFRESH_REUSE_GRACE_SECONDS || 30);
+
+let authSessionsTableReady = null;
+
+function ensureAuthSessionsTable() {
+  if (!authSessionsTableReady) {
+    authSessionsTableReady = getPool()
+      .query(
+        `CREATE TABLE IF NOT EXISTS auth_sessions (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          user_id BIGINT UNSIGNED NOT NULL,
+          refresh_token_hash CHAR(64) NOT NULL,
+          expires_at DATETIME NOT NULL,
+          revoked_at DATETIME NULL,
+          revoked_reason VARCHAR(40) NULL,
+          replaced_by_session_id BIGINT UNSIGNED NULL,
+          user_agent VARCHAR(255) NULL,
+          ip_address VARCHAR(64) NULL,
+          last_used_at DATETIME NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (id),
+          UNIQUE KEY uk_auth_sessions_refresh_token_hash (refresh_token_hash),
+          KEY idx_auth_sessions_user_revoked (user_id, revoked_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+      )
+      .catch((error) => {
+        authSessionsTableReady = null;
+        throw error;
+      });
+  }
+  return authSessionsTableReady;
+}
+
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash("sha256").update(String(refreshToken)).digest("hex");
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      sub: String(user.id),
+      sid: String(sessionId),
+      email: user.email,
+      role: user.role,
+      client_id: user.client_id
+    },
+    process.env.JWT_SECRET || "dev-secret",
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function createSession(conn, user, req) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const [result] = await conn.query(
+    `INSERT INTO auth_sessions (user_id, refresh_token_hash, expires_at, user_agent, ip_address)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      user.id,
+      hashRefreshToken(refreshToken),
+      expiresAt,
+      String(req.headers["user-agent"] || "").slice(0, 255) || null,
+      req.ip || null
+    ]
+  );
+  return { sessionId: result.insertId, refreshToken, expiresAt };
+}
+
+function buildTokenResponse(user, session) {
+  return {
+    token: signAccessToken(user, session.sessionId),
+    tokenType: "Bearer",
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken: session.refreshToken,
+    refreshExpiresAt: session.expiresAt.toISOString()
+  };
+}
+
+async function issueSession(user, req) {
+  await ensureAuthSessionsTable();
+  const session = await createSession(getPool(), user, req);
+  return buildTokenResponse(user, session);
+}
+
+async function getGraceSuccessor(conn, current) {
+  if (!current.replaced_by_session_id || current.status !== "active" || current.deleted_at) return null;
+  const [rows] = await conn.query(
+    "SELECT id, expires_at FROM auth_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW() LIMIT 1",
+    [current.replaced_by_session_id]
+  );
+  if (rows.length === 0) return null;
+  const user = { id: current.user_id, email: current.email, role: current.role, client_id: current.client_id };
+  return {
+    token: signAccessToken(user, rows[0].id),
+    tokenType: "Bearer",
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresAt: new Date(rows[0].expires_at).toISOString()
+  };
+}
+
+async function rotateRefreshToken(refreshToken, req) {
+  await ensureAuthSessionsTable();
+  return withTransaction(async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT s.id, s.user_id, s.expires_at, s.revoked_at, s.revoked_reason, s.replaced_by_session_id,
+              TIMESTAMPDIFF(SECOND, s.revoked_at, NOW()) AS revoked_seconds_ago,
+              u.email, u.role, u.client_id, u.status, u.deleted_at
+       FROM auth_sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.refresh_token_hash = ?
+       LIMIT 1
+       FOR UPDATE`,
+      [hashRefreshToken(refreshToken)]
+    );
+    if (rows.length === 0) {
+      return { ok: false, code: "INVALID_REFRESH_TOKEN", message: "Refresh token is invalid" };
+    }
+
+    const current = rows[0];
+    if (current.revoked_at) {
+      // Parallel requests refreshing with the same token right after a rotation get an access token for the
+      // successor session; the refresh cookie set by the first rotation stays the one to use.
+      if (current.revoked_reason === "rotated" && Number(current.revoked_seconds_ago) <= REFRESH_REUSE_GRACE_SECONDS) {
+        const successor = await getGraceSuccessor(conn, current);
+        if (successor) return { ok: true, data: successor };
+      }
+      // A rotated token coming back means it leaked; kill every session of that user.
+      if (current.revoked_reason === "rotated") {
+        await revokeUserSessions(current.user_id, "refresh_reuse", { conn });
+        return { ok: false, code: "REFRESH_TOKEN_REUSED", message: "Refresh token was already used" };
+      }
+      return { ok: false, code: "SESSION_REVOKED", message: "Session has been revoked" };
+    }
+    if (new Date(current.expires_at).getTime() <= Date.now()) {
+      return { ok: false, code: "REFRESH_TOKEN_EXPIRED", message: "Refresh token has expired" };
+    }
+    if (current.status !== "active" || current.deleted_at) {
+      await revokeUserSessions(current.user_id, "user_inactive", { conn });
+      return { ok: false, code: "USER_INACTIVE", message: "User is not active" };
+    }
+
+    const user = {
+      id: current.user_id,
+      email: current.email,
+      role: current.role,
+      client_id: current.client_id
+    };
+    const next = await createSession(conn, user, req);
+    await conn.query(
+      `UPDATE auth_sessions
+       SET revoked_at = NOW(), revoked_reason = 'rotated', replaced_by_session_id = ?, last_used_at = NOW()
+       WHERE id = ?`,
+      [next.sessionId, current.id]
+    );
+    return { ok: true, data: buildTokenResponse(user, next) };
+  });
+}
+
+async function revokeSession(sessionId, reason, { conn = getPool() } = {}) {
+  await ensureAuthSessionsTable();
+  const [result] = await conn.query(
+    `UPDATE auth_sessions
+     SET revoked_at = NOW(), revoked_reason = ?
+     WHERE id = ? AND revoked_at IS NULL`,
+    [reason, sessionId]
+  );
+  return result.affectedRows;
+}
+
+async function revokeUserSessions(userId, reason, { conn = getPool(), exceptSessionId = null } = {}) {
+  await ensureAuthSessionsTable();
+  const [result] = await conn.query(
+    `UPDATE auth_sessions
+     SET revoked_at = NOW(), revoked_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND id <> ?`,
+    [reason, userId, exceptSessionId || 0]
+  );
+  return result.affectedRows;
+}
+
+async function revokeAllSessions(reason, { conn = getPool(), exceptSessionId = null } = {}) {
+  await ensureAuthSessionsTable();
+  const [result] = await conn.query(
+    `UPDATE auth_sessions
+     SET revoked_at = NOW(), revoked_reason = ?
+     WHERE revoked_at IS NULL AND id <> ?`,
+    [reason, exceptSessionId || 0]
+  );
+  return result.affectedRows;
+}
+
+async function getActiveSession(sessionId, userId) {
+  await ensureAuthSessionsTable();
+  const [rows] = await getPool().query(
+    `SELECT s.id, s.revoked_at, s.expires_at, u.status, u.role, u.client_id
+     FROM auth_sessions s
+     JOIN users u ON u.id = s.user_id AND u.deleted_at IS NULL
+     WHERE s.id = ? AND s.user_id = ?
+     LIMIT 1`,
+    [sessionId, userId]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  ensureAuthSessionsTable,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  revokeAllSessions,
+  getActiveSession
+};
@@ -114,7 +114,71 @@ async function softDeleteOutboundServiceEvent(conn, stockTransactionId) {
   );
 }
 
+async function resolveServicePricePolicy(conn, clientId, serviceId, eventDate) {
+  const [rows] = await conn.query(
+    `SELECT pp.id, pp.service_id, pp.unit_price, pp.currency, sc.billing_basis
+     FROM price_policies pp
+     JOIN service_catalog sc ON sc.id = pp.service_id
+     WHERE pp.client_id = ?
+       AND pp.service_id = ?
+       AND pp.status = 'active'
+       AND pp.deleted_at IS NULL
+       AND sc.status = 'active'
+       AND sc.deleted_at IS NULL
+       AND pp.effective_from <= ?
+       AND (pp.effective_to IS NULL OR pp.effective_to >= ?)
+     ORDER BY pp.effective_from DESC, pp.id DESC
+     LIMIT 1`,
+    [clientId, serviceId, eventDate, eventDate]
+  );
+  return rows[0] || null;
+}
+
+async function findServiceIdByCode(conn, serviceCode) {
+  const [rows] = await conn.query(
+    `SELECT id
+     FROM service_catalog
+     WHERE service_code = ? AND status = 'active' AND deleted_at IS NULL
+     LIMIT 1`,
+    [serviceCode]
+  );
+  return rows[0] ? rows[0].id : null;
+}
+
+// Returns null when the client has no active price for the service; the caller decides whether that is an error.
+async function insertLocationMoveServiceEvent(conn, params) {
+  const { clientId, serviceId, stockTransactionId, eventDate, qty, remark } = params;
+
+  const policy = await resolveServicePricePolicy(conn, clientId, serviceId, eventDate);
+  if (!policy) {
+    return null;
+  }
+
+  const { qty: qtyApplied, basisUnits } = calcAmountByBasis(policy.billing_basis, { qty, boxCount: 0 });
+  const unitPrice = Number(policy.unit_price);
+  const amount = Number((unitPrice * basisUnits).toFixed(4));
+  const [result] = await conn.query(
+    `INSERT INTO service_events
+      (client_id, service_id, outbound_order_id, stock_transaction_id, event_date, source_type, basis_applied, qty, box_count, unit_price, amount, currency, remark)
+     VALUES (?, ?, NULL, ?, NOW(), 'location_move', ?, ?, 0, ?, ?, ?, ?)`,
+    [
+      clientId,
+      policy.service_id,
+      stockTransactionId,
+      policy.billing_basis,
+      qtyApplied,
+      unitPrice,
+      amount,
+      policy.currency,
+      remark || null
+    ]
+  );
+  return result.insertId;
+}
+
 module.exports = {
   upsertOutboundServiceEvent,
-  softDeleteOutboundServiceEvent
+  softDeleteOutboundServiceEvent,
+  findServiceIdByCode,
+  insertLocationMoveServiceEvent
 };
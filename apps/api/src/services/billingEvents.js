@@ -1,4 +1,5 @@
 const { getPool } = require("../db");
+const { resolveServiceRate, billableQty, priceBillingEvent } = require("./billingPricing");
 
 async function getOutboundOrderForBilling(conn, outboundOrderId) {
   const [rows] = await conn.query(
@@ -22,123 +23,133 @@ async function getInboundOrderForBilling(conn, inboundOrderId) {
   return rows[0] || null;
 }
 
-async function syncOutboundOrderBillingEvent(conn, outboundOrderId) {
-  const order = await getOutboundOrderForBilling(conn, outboundOrderId);
-  if (!order) return null;
-
-  const [qtyRows] = await conn.query(
-    `SELECT COALESCE(SUM(qty), 0) AS qty
-     FROM outbound_items
-     WHERE outbound_order_id = ? AND deleted_at IS NULL`,
-    [outboundOrderId]
-  );
-  const totalQty = Number(qtyRows[0]?.qty || 0);
-
-  if (totalQty <= 0) {
-    await conn.query(
-      `UPDATE billing_events
-       SET deleted_at = NOW()
-       WHERE reference_type = 'OUTBOUND'
-         AND reference_id = ?
-         AND service_code = 'OUTBOUND_FEE'
-         AND deleted_at IS NULL`,
-      [String(outboundOrderId)]
-    );
-    return null;
-  }
-
+// Upserts the live event for a reference/service and prices it. An invoiced event keeps the qty and price it was
+// invoiced with and is returned untouched, and so is a manually priced one unless `repriceManual` is set.
+async function upsertBillingEvent(
+  conn,
+  { clientId, warehouseId, serviceCode, referenceType, referenceId, eventDate, qty, repriceManual = false }
+) {
   const [existing] = await conn.query(
-    `SELECT id
+    `SELECT id, status, price_source
      FROM billing_events
-     WHERE reference_type = 'OUTBOUND'
+     WHERE reference_type = ?
        AND reference_id = ?
-       AND service_code = 'OUTBOUND_FEE'
+       AND service_code = ?
        AND deleted_at IS NULL
      ORDER BY id DESC
      LIMIT 1`,
-    [String(outboundOrderId)]
+    [referenceType, referenceId, serviceCode]
   );
+  if (existing.length > 0 && existing[0].status !== "PENDING") {
+    return { id: existing[0].id, status: existing[0].status, created: false };
+  }
+  if (existing.length > 0 && existing[0].price_source === "manual" && !repriceManual) {
+    return { id: existing[0].id, status: existing[0].status, created: false, manual: true };
+  }
 
+  let eventId;
   if (existing.length === 0) {
     const [inserted] = await conn.query(
       `INSERT INTO billing_events
         (client_id, warehouse_id, service_code, reference_type, reference_id, event_date, qty, pricing_policy, unit_price_krw, amount_krw)
-       VALUES (?, ?, 'OUTBOUND_FEE', 'OUTBOUND', ?, ?, ?, 'KRW_FIXED', 0, 0)`,
-      [order.client_id, order.warehouse_id, String(outboundOrderId), order.order_date, totalQty]
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'KRW_FIXED', 0, 0)`,
+      [clientId, warehouseId, serviceCode, referenceType, referenceId, eventDate, qty]
     );
-    return inserted.insertId;
+    eventId = inserted.insertId;
+  } else {
+    eventId = existing[0].id;
+    await conn.query("UPDATE billing_events SET client_id = ?, warehouse_id = ?, event_date = ? WHERE id = ?", [
+      clientId,
+      warehouseId,
+      eventDate,
+      eventId
+    ]);
   }
 
-  await conn.query(
-    `UPDATE billing_events
-     SET client_id = ?, warehouse_id = ?, event_date = ?, qty = ?, pricing_policy = 'KRW_FIXED',
-         unit_price_krw = COALESCE(unit_price_krw, 0), amount_krw = COALESCE(amount_krw, 0), deleted_at = NULL
-     WHERE id = ?`,
-    [order.client_id, order.warehouse_id, order.order_date, totalQty, existing[0].id]
-  );
-
-  return existing[0].id;
+  const priced = await priceBillingEvent(conn, eventId, { qty });
+  return { id: eventId, status: "PENDING", created: existing.length === 0, priced };
 }
 
-async function syncInboundOrderBillingEvent(conn, inboundOrderId) {
-  const order = await getInboundOrderForBilling(conn, inboundOrderId);
-  if (!order) return null;
-
-  const [qtyRows] = await conn.query(
-    `SELECT COALESCE(SUM(qty), 0) AS qty
-     FROM inbound_items
-     WHERE inbound_order_id = ? AND deleted_at IS NULL`,
-    [inboundOrderId]
-  );
-  const totalQty = Number(qtyRows[0]?.qty || 0);
-
-  if (totalQty <= 0) {
+// One fee event per order: removed when the order has no units, otherwise upserted with the billable qty for
+// the service's billing_unit and priced.
+async function syncOrderFeeEvent(conn, { order, referenceType, serviceCode, eventDate, measures, repriceManual }) {
+  const referenceId = String(order.id);
+  if (measures.units <= 0) {
     await conn.query(
       `UPDATE billing_events
        SET deleted_at = NOW()
-       WHERE reference_type = 'INBOUND'
+       WHERE reference_type = ?
          AND reference_id = ?
-         AND service_code = 'INBOUND_FEE'
+         AND service_code = ?
          AND deleted_at IS NULL`,
-      [String(inboundOrderId)]
+      [referenceType, referenceId, serviceCode]
     );
     return null;
   }
 
-  const [existing] = await conn.query(
-    `SELECT id
-     FROM billing_events
-     WHERE reference_type = 'INBOUND'
-       AND reference_id = ?
-       AND service_code = 'INBOUND_FEE'
-       AND deleted_at IS NULL
-     ORDER BY id DESC
-     LIMIT 1`,
-    [String(inboundOrderId)]
+  const resolved = await resolveServiceRate(conn, { clientId: order.client_id, serviceCode, eventDate });
+  const result = await upsertBillingEvent(conn, {
+    clientId: order.client_id,
+    warehouseId: order.warehouse_id,
+    serviceCode,
+    referenceType,
+    referenceId,
+    eventDate,
+    qty: billableQty(resolved ? resolved.billing_unit : null, measures),
+    repriceManual
+  });
+  return result.id;
+}
+
+async function syncOutboundOrderBillingEvent(conn, outboundOrderId, { repriceManual = false } = {}) {
+  const order = await getOutboundOrderForBilling(conn, outboundOrderId);
+  if (!order) return null;
+
+  const [qtyRows] = await conn.query(
+    `SELECT COALESCE(SUM(qty), 0) AS qty, COALESCE(SUM(box_count), 0) AS box_count, COUNT(DISTINCT product_id) AS sku_count
+     FROM outbound_items
+     WHERE outbound_order_id = ? AND deleted_at IS NULL`,
+    [outboundOrderId]
   );
+  const boxes = Number(qtyRows[0]?.box_count || 0);
+
+  return syncOrderFeeEvent(conn, {
+    order,
+    referenceType: "OUTBOUND",
+    serviceCode: "OUTBOUND_FEE",
+    eventDate: order.order_date,
+    measures: {
+      units: Number(qtyRows[0]?.qty || 0),
+      boxes: boxes > 0 ? boxes : null,
+      skus: Number(qtyRows[0]?.sku_count || 0)
+    },
+    repriceManual
+  });
+}
 
-  if (existing.length === 0) {
-    const [inserted] = await conn.query(
-      `INSERT INTO billing_events
-        (client_id, warehouse_id, service_code, reference_type, reference_id, event_date, qty, pricing_policy, unit_price_krw, amount_krw)
-       VALUES (?, ?, 'INBOUND_FEE', 'INBOUND', ?, ?, ?, 'KRW_FIXED', 0, 0)`,
-      [order.client_id, order.warehouse_id, String(inboundOrderId), order.inbound_date, totalQty]
-    );
-    return inserted.insertId;
-  }
+async function syncInboundOrderBillingEvent(conn, inboundOrderId, { repriceManual = false } = {}) {
+  const order = await getInboundOrderForBilling(conn, inboundOrderId);
+  if (!order) return null;
 
-  await conn.query(
-    `UPDATE billing_events
-     SET client_id = ?, warehouse_id = ?, event_date = ?, qty = ?, pricing_policy = 'KRW_FIXED',
-         unit_price_krw = COALESCE(unit_price_krw, 0), amount_krw = COALESCE(amount_krw, 0), deleted_at = NULL
-     WHERE id = ?`,
-    [order.client_id, order.warehouse_id, order.inbound_date, totalQty, existing[0].id]
+  const [qtyRows] = await conn.query(
+    `SELECT COALESCE(SUM(qty), 0) AS qty, COUNT(DISTINCT product_id) AS sku_count
+     FROM inbound_items
+     WHERE inbound_order_id = ? AND deleted_at IS NULL`,
+    [inboundOrderId]
   );
 
-  return existing[0].id;
+  return syncOrderFeeEvent(conn, {
+    order,
+    referenceType: "INBOUND",
+    serviceCode: "INBOUND_FEE",
+    eventDate: order.inbound_date,
+    measures: { units: Number(qtyRows[0]?.qty || 0), skus: Number(qtyRows[0]?.sku_count || 0) },
+    repriceManual
+  });
 }
 
 module.exports = {
+  upsertBillingEvent,
   syncOutboundOrderBillingEvent,
   syncInboundOrderBillingEvent
 };
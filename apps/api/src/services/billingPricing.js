@@ -0,0 +1,170 @@
+const { getPool } = require("../db");
+const { StockError } = require("./stock");
+
+const PRICE_SOURCES = ["contract", "catalog", "manual", "unpriced", "tiered"];
+const POLICY_CURRENCY = { THB_BASED: "THB", KRW_FIXED: "KRW" };
+
+const PRICING_COLUMNS = ["price_source", "contract_rate_id", "priced_at"];
+
+let pricingColumnsReady = null;
+
+// The columns come from sql/patch_billing_event_pricing.sql and the 'tiered' source from
+// sql/patch_client_pricing_rules.sql; this only checks that both have been applied.
+async function checkPricingColumns() {
+  const [rows] = await getPool().query(
+    `SELECT column_name AS column_name, column_type AS column_type
+     FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = 'billing_events'`
+  );
+  const existing = new Map(rows.map((row) => [String(row.column_name || row.COLUMN_NAME), String(row.column_type || row.COLUMN_TYPE)]));
+  const missing = PRICING_COLUMNS.filter((column) => !existing.has(column));
+  if (missing.length > 0) {
+    throw new StockError(
+      "SCHEMA_OUTDATED",
+      `billing_events is missing ${missing.join(", ")}; apply sql/patch_billing_event_pricing.sql`
+    );
+  }
+  if (!existing.get("price_source").includes("'tiered'")) {
+    throw new StockError(
+      "SCHEMA_OUTDATED",
+      "billing_events.price_source has no 'tiered' value; apply sql/patch_client_pricing_rules.sql"
+    );
+  }
+}
+
+async function ensureBillingPricingColumns() {
+  if (!pricingColumnsReady) {
+    pricingColumnsReady = checkPricingColumns().catch((error) => {
+      pricingColumnsReady = null;
+      throw error;
+    });
+  }
+  return pricingColumnsReady;
+}
+
+function trunc100(input) {
+  const value = Number(input || 0);
+  return Math.floor(value / 100) * 100;
+}
+
+// The client's contract rate effective on the event date wins, then the catalog default_rate. Rates are read in
+// the currency of the service's pricing_policy (THB_BASED -> THB, KRW_FIXED -> KRW); contract rates in the other
+// currency are ignored.
+async function resolveServiceRate(conn, { clientId, serviceCode, eventDate }) {
+  const [services] = await conn.query(
+    `SELECT service_code, pricing_policy, billing_unit, default_rate
+     FROM service_catalog
+     WHERE service_code = ? AND deleted_at IS NULL
+     LIMIT 1`,
+    [serviceCode]
+  );
+  if (services.length === 0) return null;
+  const service = services[0];
+  const currency = POLICY_CURRENCY[service.pricing_policy] || "KRW";
+
+  const [contracts] = await conn.query(
+    `SELECT id, custom_rate, effective_date
+     FROM client_contract_rates
+     WHERE client_id = ? AND service_code = ? AND currency = ? AND effective_date <= ? AND deleted_at IS NULL
+     ORDER BY effective_date DESC, id DESC
+     LIMIT 1`,
+    [clientId, serviceCode, currency, eventDate]
+  );
+
+  const base = {
+    service_code: service.service_code,
+    pricing_policy: service.pricing_policy,
+    billing_unit: service.billing_unit,
+    currency
+  };
+  if (contracts.length > 0) {
+    return {
+      ...base,
+      source: "contract",
+      rate: Number(contracts[0].custom_rate),
+      contract_rate_id: contracts[0].id,
+      effective_date: contracts[0].effective_date
+    };
+  }
+  if (service.default_rate !== null && Number(service.default_rate) > 0) {
+    return { ...base, source: "catalog", rate: Number(service.default_rate), contract_rate_id: null, effective_date: null };
+  }
+  return { ...base, source: "unpriced", rate: 0, contract_rate_id: null, effective_date: null };
+}
+
+// Billable quantity per billing_unit. ORDER/EVENT/MONTH bill once per event; SKU bills the distinct products and
+// BOX the box count when the source has them. CBM and PALLET are not measured on orders, so they fall back to units.
+function billableQty(billingUnit, { units = 0, boxes = null, skus = null } = {}) {
+  if (["ORDER", "EVENT", "MONTH"].includes(billingUnit)) return 1;
+  if (billingUnit === "SKU" && skus !== null) return skus;
+  if (billingUnit === "BOX" && boxes !== null) return boxes;
+  return units;
+}
+
+function priceFields(resolved, qty) {
+  if (resolved.pricing_policy === "THB_BASED") {
+    return {
+      pricing_policy: "THB_BASED",
+      unit_price_thb: resolved.rate,
+      amount_thb: Number((resolved.rate * qty).toFixed(4)),
+      unit_price_krw: null,
+      amount_krw: null
+    };
+  }
+  return {
+    pricing_policy: "KRW_FIXED",
+    unit_price_thb: null,
+    amount_thb: null,
+    unit_price_krw: resolved.rate,
+    amount_krw: trunc100(resolved.rate * qty)
+  };
+}
+
+// Stamps policy, unit price and amount onto one event. Unknown services keep a zero KRW price.
+async function priceBillingEvent(conn, eventId, { qty } = {}) {
+  const [rows] = await conn.query(
+    `SELECT id, client_id, service_code, event_date, qty
+     FROM billing_events
+     WHERE id = ? AND deleted_at IS NULL`,
+    [eventId]
+  );
+  if (rows.length === 0) return null;
+  const event = rows[0];
+  const billedQty = qty === undefined ? Number(event.qty) : qty;
+
+  const resolved = (await resolveServiceRate(conn, {
+    clientId: event.client_id,
+    serviceCode: event.service_code,
+    eventDate: event.event_date
+  })) || { pricing_policy: "KRW_FIXED", source: "unpriced", rate: 0, contract_rate_id: null };
+  const fields = priceFields(resolved, billedQty);
+
+  await conn.query(
+    `UPDATE billing_events
+     SET qty = ?, pricing_policy = ?, unit_price_thb = ?, amount_thb = ?, unit_price_krw = ?, amount_krw = ?,
+         price_source = ?, contract_rate_id = ?, priced_at = NOW()
+     WHERE id = ?`,
+    [
+      billedQty,
+      fields.pricing_policy,
+      fields.unit_price_thb,
+      fields.amount_thb,
+      fields.unit_price_krw,
+      fields.amount_krw,
+      resolved.source,
+      resolved.contract_rate_id,
+      event.id
+    ]
+  );
+  return { id: event.id, qty: billedQty, ...fields, price_source: resolved.source, contract_rate_id: resolved.contract_rate_id };
+}
+
+module.exports = {
+  PRICE_SOURCES,
+  ensureBillingPricingColumns,
+  trunc100,
+  resolveServiceRate,
+  billableQty,
+  priceBillingEvent
+};
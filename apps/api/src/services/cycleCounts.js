@@ -0,0 +1,373 @@
+const { getPool } = require("../db");
+const { StockError } = require("./stock");
+const { replaceAdjustmentLines, getStockAdjustment, postStockAdjustment } = require("./stockAdjustments");
+
+const ACTIVE_COUNT_STATUSES = ["counting", "review"];
+const OPEN_TASK_STATUSES = ["pending", "recount"];
+const ABC_LOOKBACK_DAYS = Number(process.env.CYCLE_COUNT_ABC_LOOKBACK_DAYS || 90);
+
+let cycleCountTablesReady = null;
+
+async function createCycleCountTables() {
+  const pool = getPool();
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS cycle_counts (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      warehouse_id BIGINT UNSIGNED NOT NULL,
+      scope_type ENUM('warehouse','zone','location','abc_class') NOT NULL,
+      scope_value VARCHAR(100) NULL,
+      freeze_stock TINYINT(1) NOT NULL DEFAULT 0,
+      tolerance_qty INT UNSIGNED NOT NULL DEFAULT 0,
+      tolerance_pct DECIMAL(5,2) NOT NULL DEFAULT 0,
+      status ENUM('counting','review','approved','cancelled') NOT NULL DEFAULT 'counting',
+      memo VARCHAR(1000) NULL,
+      created_by BIGINT UNSIGNED NOT NULL,
+      approved_by BIGINT UNSIGNED NULL,
+      approved_at DATETIME NULL,
+      cancelled_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_cycle_counts_warehouse_status (warehouse_id, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS cycle_count_tasks (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      cycle_count_id BIGINT UNSIGNED NOT NULL,
+      client_id BIGINT UNSIGNED NOT NULL,
+      product_id BIGINT UNSIGNED NOT NULL,
+      lot_id BIGINT UNSIGNED NOT NULL,
+      location_id BIGINT UNSIGNED NULL,
+      expected_qty INT NOT NULL DEFAULT 0,
+      first_counted_qty INT UNSIGNED NULL,
+      counted_qty INT UNSIGNED NULL,
+      system_qty INT NULL,
+      variance_qty INT NULL,
+      count_round TINYINT UNSIGNED NOT NULL DEFAULT 1,
+      status ENUM('pending','recount','counted','posted') NOT NULL DEFAULT 'pending',
+      counted_by BIGINT UNSIGNED NULL,
+      counted_at DATETIME NULL,
+      stock_adjustment_id BIGINT UNSIGNED NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_cycle_count_task_key (cycle_count_id, client_id, product_id, lot_id, location_id),
+      KEY idx_cycle_count_tasks_location (location_id, status),
+      KEY idx_cycle_count_tasks_lot (product_id, lot_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+async function ensureCycleCountTables() {
+  if (!cycleCountTablesReady) {
+    cycleCountTablesReady = createCycleCountTables().catch((error) => {
+      cycleCountTablesReady = null;
+      throw error;
+    });
+  }
+  return cycleCountTablesReady;
+}
+
+// A = products making up the first 80% of shipped units over the lookback window, B = next 15%, C = the rest.
+async function classifyProductsAbc(conn, warehouseId) {
+  const [rows] = await conn.query(
+    `SELECT product_id, SUM(qty_out) AS shipped_qty
+     FROM stock_transactions
+     WHERE txn_type = 'outbound_ship'
+       AND warehouse_id = ?
+       AND deleted_at IS NULL
+       AND txn_date >= DATE_SUB(NOW(), INTERVAL ? DAY)
+     GROUP BY product_id
+     ORDER BY shipped_qty DESC, product_id ASC`,
+    [warehouseId, ABC_LOOKBACK_DAYS]
+  );
+  const total = rows.reduce((sum, row) => sum + Number(row.shipped_qty), 0);
+  const classes = new Map();
+  let cumulative = 0;
+  for (const row of rows) {
+    const share = total > 0 ? cumulative / total : 1;
+    classes.set(Number(row.product_id), share < 0.8 ? "A" : share < 0.95 ? "B" : "C");
+    cumulative += Number(row.shipped_qty);
+  }
+  return classes;
+}
+
+async function selectScopeBalances(conn, { warehouseId, scopeType, scopeValue }) {
+  const params = [warehouseId];
+  let query = `SELECT sb.client_id, sb.product_id, sb.lot_id, sb.location_id,
+                      (sb.available_qty + sb.reserved_qty + sb.hold_qty) AS on_hand_qty
+               FROM stock_balances sb
+               LEFT JOIN warehouse_locations wl ON wl.id = sb.location_id
+               WHERE sb.warehouse_id = ?
+                 AND sb.deleted_at IS NULL
+                 AND (sb.available_qty + sb.reserved_qty + sb.hold_qty) > 0`;
+  if (scopeType === "zone") {
+    query += " AND wl.zone = ?";
+    params.push(scopeValue);
+  }
+  if (scopeType === "location") {
+    query += " AND sb.location_id = ?";
+    params.push(scopeValue);
+  }
+  query += " ORDER BY wl.location_code ASC, sb.product_id ASC, sb.lot_id ASC";
+  const [rows] = await conn.query(query, params);
+
+  if (scopeType !== "abc_class") return rows;
+  const classes = await classifyProductsAbc(conn, warehouseId);
+  return rows.filter((row) => (classes.get(Number(row.product_id)) || "C") === scopeValue);
+}
+
+async function createCycleCount(conn, { warehouseId, scopeType, scopeValue, freezeStock, toleranceQty, tolerancePct, memo, createdBy }) {
+  if (scopeType === "location") {
+    const [locations] = await conn.query(
+      "SELECT id FROM warehouse_locations WHERE id = ? AND warehouse_id = ? AND deleted_at IS NULL",
+      [scopeValue, warehouseId]
+    );
+    if (locations.length === 0) {
+      throw new StockError("INVALID_LOCATION", `Location ${scopeValue} does not belong to warehouse ${warehouseId}`);
+    }
+  }
+
+  const balances = await selectScopeBalances(conn, { warehouseId, scopeType, scopeValue });
+  if (balances.length === 0) {
+    throw new StockError("EMPTY_SCOPE", "No on-hand stock matches the count scope");
+  }
+
+  const [result] = await conn.query(
+    `INSERT INTO cycle_counts
+      (warehouse_id, scope_type, scope_value, freeze_stock, tolerance_qty, tolerance_pct, memo, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [warehouseId, scopeType, scopeValue, freezeStock ? 1 : 0, toleranceQty, tolerancePct, memo, createdBy]
+  );
+  for (const balance of balances) {
+    await conn.query(
+      `INSERT INTO cycle_count_tasks
+        (cycle_count_id, client_id, product_id, lot_id, location_id, expected_qty)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [result.insertId, balance.client_id, balance.product_id, balance.lot_id, balance.location_id, balance.on_hand_qty]
+    );
+  }
+  return result.insertId;
+}
+
+async function getCycleCount(conn, countId, { forUpdate = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT id, warehouse_id, scope_type, scope_value, freeze_stock, tolerance_qty, tolerance_pct, status, memo,
+            created_by, approved_by, approved_at, cancelled_at, created_at, updated_at
+     FROM cycle_counts
+     WHERE id = ?${forUpdate ? " FOR UPDATE" : ""}`,
+    [countId]
+  );
+  return rows[0] || null;
+}
+
+async function lockCountForStatus(conn, countId, statuses, action) {
+  const count = await getCycleCount(conn, countId, { forUpdate: true });
+  if (!count) {
+    throw new StockError("NOT_FOUND", "Cycle count not found");
+  }
+  if (!statuses.includes(count.status)) {
+    throw new StockError("INVALID_TRANSITION", `Cannot ${action} a cycle count in ${count.status} status`);
+  }
+  return count;
+}
+
+async function getCycleCountTasks(conn, countId) {
+  const [rows] = await conn.query(
+    `SELECT t.id, t.client_id, t.product_id, p.sku_code, p.name_kr AS product_name, t.lot_id, pl.lot_no,
+            t.location_id, wl.location_code, wl.zone, t.expected_qty, t.first_counted_qty, t.counted_qty,
+            t.system_qty, t.variance_qty, t.count_round, t.status, t.counted_by, t.counted_at, t.stock_adjustment_id
+     FROM cycle_count_tasks t
+     LEFT JOIN products p ON p.id = t.product_id
+     LEFT JOIN product_lots pl ON pl.id = t.lot_id
+     LEFT JOIN warehouse_locations wl ON wl.id = t.location_id
+     WHERE t.cycle_count_id = ?
+     ORDER BY wl.location_code ASC, t.id ASC`,
+    [countId]
+  );
+  return rows;
+}
+
+async function getOnHandQty(conn, count, task) {
+  const [rows] = await conn.query(
+    `SELECT COALESCE(SUM(available_qty + reserved_qty + hold_qty), 0) AS on_hand_qty
+     FROM stock_balances
+     WHERE client_id = ? AND product_id = ? AND lot_id = ? AND warehouse_id = ? AND location_id <=> ? AND deleted_at IS NULL`,
+    [task.client_id, task.product_id, task.lot_id, count.warehouse_id, task.location_id]
+  );
+  return Number(rows[0].on_hand_qty);
+}
+
+function exceedsTolerance(count, systemQty, varianceQty) {
+  const allowed = Math.max(Number(count.tolerance_qty), (Math.abs(systemQty) * Number(count.tolerance_pct)) / 100);
+  return Math.abs(varianceQty) > allowed;
+}
+
+// Records counted quantities; a first count outside tolerance asks for one recount, the recount is final.
+async function submitCounts(conn, count, lines, { countedBy }) {
+  const [tasks] = await conn.query(
+    `SELECT id, client_id, product_id, lot_id, location_id, count_round, status
+     FROM cycle_count_tasks
+     WHERE cycle_count_id = ?
+     FOR UPDATE`,
+    [count.id]
+  );
+  const tasksById = new Map(tasks.map((task) => [Number(task.id), task]));
+
+  for (const line of lines) {
+    const task = tasksById.get(Number(line.task_id));
+    if (!task) {
+      throw new StockError("INVALID_LINE", `Task ${line.task_id} does not belong to cycle count ${count.id}`);
+    }
+    if (!OPEN_TASK_STATUSES.includes(task.status)) {
+      throw new StockError("TASK_ALREADY_COUNTED", `Task ${task.id} is already ${task.status}`);
+    }
+
+    const systemQty = await getOnHandQty(conn, count, task);
+    const varianceQty = Number(line.counted_qty) - systemQty;
+    const needsRecount = task.status === "pending" && exceedsTolerance(count, systemQty, varianceQty);
+    await conn.query(
+      `UPDATE cycle_count_tasks
+       SET first_counted_qty = COALESCE(first_counted_qty, ?), counted_qty = ?, system_qty = ?, variance_qty = ?,
+           count_round = ?, status = ?, counted_by = ?, counted_at = NOW()
+       WHERE id = ?`,
+      [
+        line.counted_qty,
+        line.counted_qty,
+        systemQty,
+        varianceQty,
+        task.status === "recount" ? 2 : 1,
+        needsRecount ? "recount" : "counted",
+        countedBy,
+        task.id
+      ]
+    );
+    task.status = needsRecount ? "recount" : "counted";
+  }
+
+  const remaining = tasks.filter((task) => OPEN_TASK_STATUSES.includes(task.status)).length;
+  if (remaining === 0) {
+    await conn.query("UPDATE cycle_counts SET status = 'review' WHERE id = ?", [count.id]);
+  }
+  return remaining;
+}
+
+async function addFoundTask(conn, count, { clientId, productId, lotId, locationId }) {
+  const [lots] = await conn.query(
+    `SELECT pl.id
+     FROM product_lots pl
+     JOIN products p ON p.id = pl.product_id
+     WHERE pl.id = ? AND pl.product_id = ? AND p.client_id = ? AND pl.deleted_at IS NULL`,
+    [lotId, productId, clientId]
+  );
+  if (lots.length === 0) {
+    throw new StockError("INVALID_LINE", `Lot ${lotId} is not a lot of product ${productId} for client ${clientId}`);
+  }
+  if (locationId) {
+    const [locations] = await conn.query(
+      "SELECT id FROM warehouse_locations WHERE id = ? AND warehouse_id = ? AND deleted_at IS NULL",
+      [locationId, count.warehouse_id]
+    );
+    if (locations.length === 0) {
+      throw new StockError("INVALID_LOCATION", `Location ${locationId} does not belong to warehouse ${count.warehouse_id}`);
+    }
+  }
+  const [existing] = await conn.query(
+    `SELECT id
+     FROM cycle_count_tasks
+     WHERE cycle_count_id = ? AND client_id = ? AND product_id = ? AND lot_id = ? AND location_id <=> ?`,
+    [count.id, clientId, productId, lotId, locationId]
+  );
+  if (existing.length > 0) return existing[0].id;
+
+  const [result] = await conn.query(
+    `INSERT INTO cycle_count_tasks (cycle_count_id, client_id, product_id, lot_id, location_id, expected_qty)
+     VALUES (?, ?, ?, ?, ?, 0)`,
+    [count.id, clientId, productId, lotId, locationId]
+  );
+  if (count.status === "review") {
+    await conn.query("UPDATE cycle_counts SET status = 'counting' WHERE id = ?", [count.id]);
+  }
+  return result.insertId;
+}
+
+function sumAbsVariance(tasks) {
+  return tasks.reduce((sum, task) => sum + Math.abs(Number(task.variance_qty || 0)), 0);
+}
+
+// Closes the count, then posts non-zero variances as one approved `recount` adjustment per client. Variances are
+// deltas against the on-hand seen at count time, so approval is refused once that on-hand has moved.
+async function approveCycleCount(conn, count, { approvedBy }) {
+  const [tasks] = await conn.query(
+    `SELECT id, client_id, product_id, lot_id, location_id, system_qty, variance_qty
+     FROM cycle_count_tasks
+     WHERE cycle_count_id = ? AND status = 'counted'
+     ORDER BY id ASC
+     FOR UPDATE`,
+    [count.id]
+  );
+  const changed = [];
+  for (const task of tasks) {
+    if ((await getOnHandQty(conn, count, task)) !== Number(task.system_qty)) changed.push(task.id);
+  }
+  if (changed.length > 0) {
+    throw new StockError(
+      "STOCK_CHANGED",
+      `On-hand stock changed after tasks ${changed.join(", ")} were counted; cancel the count and count again`
+    );
+  }
+  await conn.query(
+    "UPDATE cycle_counts SET status = 'approved', approved_by = ?, approved_at = NOW() WHERE id = ?",
+    [approvedBy, count.id]
+  );
+
+  const byClient = new Map();
+  for (const task of tasks.filter((row) => Number(row.variance_qty) !== 0)) {
+    const list = byClient.get(Number(task.client_id)) || [];
+    list.push(task);
+    byClient.set(Number(task.client_id), list);
+  }
+
+  const adjustmentIds = [];
+  for (const [clientId, clientTasks] of byClient) {
+    const [result] = await conn.query(
+      "INSERT INTO stock_adjustments (client_id, warehouse_id, status, memo, created_by) VALUES (?, ?, 'draft', ?, ?)",
+      [clientId, count.warehouse_id, `Cycle count #${count.id}`, approvedBy]
+    );
+    await replaceAdjustmentLines(
+      conn,
+      result.insertId,
+      clientTasks.map((task) => ({
+        product_id: task.product_id,
+        lot_id: task.lot_id,
+        location_id: task.location_id,
+        qty_delta: Number(task.variance_qty),
+        reason_code: "recount",
+        note: `cycle count task ${task.id}`
+      }))
+    );
+    await postStockAdjustment(conn, await getStockAdjustment(conn, result.insertId), { approvedBy });
+    await conn.query(
+      `UPDATE cycle_count_tasks SET stock_adjustment_id = ? WHERE id IN (${clientTasks.map(() => "?").join(", ")})`,
+      [result.insertId, ...clientTasks.map((task) => task.id)]
+    );
+    adjustmentIds.push(result.insertId);
+  }
+
+  await conn.query("UPDATE cycle_count_tasks SET status = 'posted' WHERE cycle_count_id = ? AND status = 'counted'", [count.id]);
+  return adjustmentIds;
+}
+
+module.exports = {
+  ACTIVE_COUNT_STATUSES,
+  ensureCycleCountTables,
+  createCycleCount,
+  getCycleCount,
+  lockCountForStatus,
+  getCycleCountTasks,
+  submitCounts,
+  addFoundTask,
+  sumAbsVariance,
+  approveCycleCount
+};
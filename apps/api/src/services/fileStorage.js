@@ -0,0 +1,66 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+function getStorageRoot() {
+  return path.resolve(process.env.FILE_STORAGE_DIR || path.join(__dirname, "../../storage/files"));
+}
+
+function toSafeFileName(fileName) {
+  const cleaned = String(fileName || "file")
+    .replace(/[\\/]/g, "_")
+    .replace(/[^\w.\-]+/g, "_")
+    .slice(-120);
+  return cleaned || "file";
+}
+
+function resolveFilePath(fileKey) {
+  const root = getStorageRoot();
+  const filePath = path.resolve(root, fileKey);
+  if (!filePath.startsWith(`${root}${path.sep}`)) {
+    throw new Error("Invalid file key");
+  }
+  return filePath;
+}
+
+// Writes the bytes under FILE_STORAGE_DIR and records them in `files`; returns the new row.
+async function storeFile(conn, { fileName, mimeType, buffer, uploadedBy }) {
+  const now = new Date();
+  const month = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, "0")}`;
+  const fileKey = `${month}/${crypto.randomUUID()}-${toSafeFileName(fileName)}`;
+  const filePath = resolveFilePath(fileKey);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+  try {
+    const [result] = await conn.query(
+      `INSERT INTO files (file_key, file_name, mime_type, size_bytes, uploaded_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [fileKey, fileName, mimeType, buffer.length, uploadedBy]
+    );
+    return { id: result.insertId, file_key: fileKey, file_name: fileName, mime_type: mimeType, size_bytes: buffer.length };
+  } catch (error) {
+    await fs.unlink(filePath).catch(() => {});
+    throw error;
+  }
+}
+
+async function getFileRow(conn, fileId) {
+  const [rows] = await conn.query(
+    `SELECT id, file_key, file_name, mime_type, size_bytes, uploaded_by, created_at
+     FROM files
+     WHERE id = ? AND deleted_at IS NULL`,
+    [fileId]
+  );
+  return rows[0] || null;
+}
+
+async function readStoredFile(fileRow) {
+  return fs.readFile(resolveFilePath(fileRow.file_key));
+}
+
+module.exports = {
+  storeFile,
+  getFileRow,
+  readStoredFile
+};
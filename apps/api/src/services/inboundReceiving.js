@@ -0,0 +1,253 @@
+const { getPool } = require("../db");
+const { StockError, adjustAvailableQty, upsertStockTxn, softDeleteStockTxn } = require("./stock");
+const {
+  isLotOnHold,
+  holdInboundItemStock,
+  reverseInboundItemHold,
+  countOpenInboundHolds
+} = require("./qualityControl");
+
+// Stock is on hand from `qc_hold` (held bucket) onwards; `received` stock is available unless its lot is on hold.
+const POSTED_STATUSES = ["qc_hold", "received"];
+
+let inboundReceiptsTableReady = null;
+
+function isInboundStockPosted(status) {
+  return POSTED_STATUSES.includes(status);
+}
+
+function ensureInboundReceiptsTable() {
+  if (!inboundReceiptsTableReady) {
+    inboundReceiptsTableReady = getPool()
+      .query(
+        `CREATE TABLE IF NOT EXISTS inbound_item_receipts (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          inbound_order_id BIGINT UNSIGNED NOT NULL,
+          inbound_item_id BIGINT UNSIGNED NOT NULL,
+          received_qty INT UNSIGNED NOT NULL DEFAULT 0,
+          damaged_qty INT UNSIGNED NOT NULL DEFAULT 0,
+          note VARCHAR(500) NULL,
+          counted_by BIGINT UNSIGNED NULL,
+          counted_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          PRIMARY KEY (id),
+          UNIQUE KEY uq_inbound_item_receipts_item (inbound_item_id),
+          KEY idx_inbound_item_receipts_order (inbound_order_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+      )
+      .catch((error) => {
+        inboundReceiptsTableReady = null;
+        throw error;
+      });
+  }
+  return inboundReceiptsTableReady;
+}
+
+// `qty` on inbound_items is the expected (ASN) quantity. Lines without a dock count are assumed to match it.
+function summarizeInboundLine(item, receipt) {
+  const expectedQty = Number(item.qty);
+  const counted = Boolean(receipt);
+  const receivedQty = counted ? Number(receipt.received_qty) : expectedQty;
+  const damagedQty = counted ? Number(receipt.damaged_qty) : 0;
+  const shortQty = Math.max(expectedQty - receivedQty, 0);
+  const overQty = Math.max(receivedQty - expectedQty, 0);
+
+  let discrepancy = "matched";
+  if (!counted) discrepancy = "pending";
+  else if (shortQty > 0) discrepancy = "short";
+  else if (overQty > 0) discrepancy = "over";
+  else if (damagedQty > 0) discrepancy = "damaged";
+
+  return {
+    expected_qty: expectedQty,
+    received_qty: receivedQty,
+    damaged_qty: damagedQty,
+    accepted_qty: Math.max(receivedQty - damagedQty, 0),
+    short_qty: shortQty,
+    over_qty: overQty,
+    counted,
+    discrepancy
+  };
+}
+
+async function getInboundReceipt(conn, itemId) {
+  await ensureInboundReceiptsTable();
+  const [rows] = await conn.query(
+    `SELECT id, inbound_order_id, inbound_item_id, received_qty, damaged_qty, note, counted_by, counted_at
+     FROM inbound_item_receipts
+     WHERE inbound_item_id = ?`,
+    [itemId]
+  );
+  return rows[0] || null;
+}
+
+async function upsertInboundReceipt(conn, { inboundOrderId, inboundItemId, receivedQty, damagedQty, note, countedBy }) {
+  await ensureInboundReceiptsTable();
+  await conn.query(
+    `INSERT INTO inbound_item_receipts (inbound_order_id, inbound_item_id, received_qty, damaged_qty, note, counted_by, counted_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE
+      inbound_order_id = VALUES(inbound_order_id), received_qty = VALUES(received_qty), damaged_qty = VALUES(damaged_qty),
+      note = VALUES(note), counted_by = VALUES(counted_by), counted_at = NOW()`,
+    [inboundOrderId, inboundItemId, receivedQty, damagedQty, note || null, countedBy]
+  );
+}
+
+async function getReceiveTxn(conn, itemId) {
+  const [rows] = await conn.query(
+    `SELECT id, client_id, product_id, lot_id, warehouse_id, location_id, qty_in
+     FROM stock_transactions
+     WHERE txn_type = 'inbound_receive' AND ref_type = 'inbound_item' AND ref_id = ? AND deleted_at IS NULL
+     LIMIT 1`,
+    [itemId]
+  );
+  return rows[0] || null;
+}
+
+function isSameStockKey(txn, key) {
+  const toId = (value) => (value === null || value === undefined ? null : Number(value));
+  return (
+    toId(txn.client_id) === toId(key.clientId) &&
+    toId(txn.product_id) === toId(key.productId) &&
+    toId(txn.lot_id) === toId(key.lotId) &&
+    toId(txn.warehouse_id) === toId(key.warehouseId) &&
+    toId(txn.location_id) === toId(key.locationId)
+  );
+}
+
+async function reverseInboundItemStock(conn, item) {
+  const txn = await getReceiveTxn(conn, item.id);
+  if (!txn) return;
+  if (await reverseInboundItemHold(conn, item)) {
+    await softDeleteStockTxn(conn, "inbound_receive", "inbound_item", item.id);
+    return;
+  }
+  await adjustAvailableQty(
+    conn,
+    {
+      clientId: txn.client_id,
+      productId: txn.product_id,
+      lotId: txn.lot_id,
+      warehouseId: txn.warehouse_id,
+      locationId: txn.location_id
+    },
+    -Number(txn.qty_in)
+  );
+  await softDeleteStockTxn(conn, "inbound_receive", "inbound_item", item.id);
+}
+
+// Posts the accepted qty of a line as inbound_receive, replacing any earlier posting for the same line.
+// Lines of an order in QC, or of a lot on hold, are received into the held bucket.
+async function postInboundItemStock(conn, order, item) {
+  const { accepted_qty: acceptedQty } = summarizeInboundLine(item, await getInboundReceipt(conn, item.id));
+  const key = {
+    clientId: order.client_id,
+    productId: item.product_id,
+    lotId: item.lot_id,
+    warehouseId: order.warehouse_id,
+    locationId: item.location_id || null
+  };
+
+  const txn = await getReceiveTxn(conn, item.id);
+  if (txn && Number(txn.qty_in) === acceptedQty && isSameStockKey(txn, key)) return;
+  if (txn) await reverseInboundItemStock(conn, item);
+  if (acceptedQty <= 0) return;
+
+  const held = order.status === "qc_hold" || (await isLotOnHold(conn, item.lot_id));
+  if (held) await holdInboundItemStock(conn, order, item, key, acceptedQty);
+  else await adjustAvailableQty(conn, key, acceptedQty);
+  await upsertStockTxn(conn, {
+    ...key,
+    txnType: "inbound_receive",
+    qtyIn: acceptedQty,
+    qtyOut: 0,
+    refType: "inbound_item",
+    refId: item.id,
+    createdBy: order.created_by,
+    note: held ? `QC hold${item.remark ? `: ${item.remark}` : ""}` : item.remark
+  });
+}
+
+async function syncInboundOrderStock(conn, prevOrder, nextOrder) {
+  const wasPosted = isInboundStockPosted(prevOrder.status);
+  const isPosted = isInboundStockPosted(nextOrder.status);
+  const keyChanged =
+    Number(prevOrder.client_id) !== Number(nextOrder.client_id) ||
+    Number(prevOrder.warehouse_id) !== Number(nextOrder.warehouse_id);
+  if (!isPosted && !wasPosted) return;
+
+  if (wasPosted && isPosted && prevOrder.status !== nextOrder.status) {
+    if (nextOrder.status === "qc_hold") {
+      throw new StockError("INVALID_STATUS", "Received stock cannot return to QC; put the lot on hold instead");
+    }
+    const openHolds = await countOpenInboundHolds(conn, nextOrder.id);
+    if (openHolds > 0) {
+      throw new StockError("QC_PENDING", `${openHolds} QC hold(s) must be inspected before the order is received`);
+    }
+  }
+  if (wasPosted && isPosted && !keyChanged) return;
+
+  const [items] = await conn.query(
+    `SELECT id, inbound_order_id, product_id, lot_id, location_id, qty, remark
+     FROM inbound_items
+     WHERE inbound_order_id = ? AND deleted_at IS NULL
+     ORDER BY id ASC`,
+    [nextOrder.id]
+  );
+  for (const item of items) {
+    if (wasPosted) await reverseInboundItemStock(conn, item);
+    if (isPosted) await postInboundItemStock(conn, nextOrder, item);
+  }
+}
+
+async function getInboundDiscrepancyReport(conn, inboundOrderId) {
+  await ensureInboundReceiptsTable();
+  const [items] = await conn.query(
+    `SELECT ii.id, ii.product_id, p.sku_code, p.name_kr AS product_name, ii.lot_id, pl.lot_no, ii.location_id, ii.qty,
+            ii.remark, r.id AS receipt_id, r.received_qty, r.damaged_qty, r.note AS receipt_note, r.counted_by, r.counted_at
+     FROM inbound_items ii
+     LEFT JOIN products p ON p.id = ii.product_id
+     LEFT JOIN product_lots pl ON pl.id = ii.lot_id
+     LEFT JOIN inbound_item_receipts r ON r.inbound_item_id = ii.id
+     WHERE ii.inbound_order_id = ? AND ii.deleted_at IS NULL
+     ORDER BY ii.id ASC`,
+    [inboundOrderId]
+  );
+
+  const totals = { expected_qty: 0, received_qty: 0, damaged_qty: 0, accepted_qty: 0, short_qty: 0, over_qty: 0 };
+  const lines = items.map((item) => {
+    const summary = summarizeInboundLine(item, item.receipt_id ? item : null);
+    for (const key of Object.keys(totals)) totals[key] += summary[key];
+    return {
+      inbound_item_id: item.id,
+      product_id: item.product_id,
+      sku_code: item.sku_code,
+      product_name: item.product_name,
+      lot_id: item.lot_id,
+      lot_no: item.lot_no,
+      location_id: item.location_id,
+      ...summary,
+      note: item.receipt_note,
+      counted_by: item.counted_by,
+      counted_at: item.counted_at
+    };
+  });
+
+  return {
+    lines,
+    totals,
+    pending_lines: lines.filter((line) => line.discrepancy === "pending").length,
+    discrepancy_lines: lines.filter((line) => !["matched", "pending"].includes(line.discrepancy)).length
+  };
+}
+
+module.exports = {
+  ensureInboundReceiptsTable,
+  isInboundStockPosted,
+  upsertInboundReceipt,
+  getInboundDiscrepancyReport,
+  postInboundItemStock,
+  reverseInboundItemStock,
+  syncInboundOrderStock
+};
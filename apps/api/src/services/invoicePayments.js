@@ -0,0 +1,444 @@
+const { getPool } = require("../db");
+const { getFileRow } = require("./fileStorage");
+
+const PAYMENT_METHODS = ["bank_transfer", "card", "cash", "other"];
+const PAYABLE_STATUSES = ["issued", "sent", "partially_paid"];
+const AGING_BUCKETS = ["current", "days_30", "days_60", "days_90_plus"];
+
+class InvoicePaymentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+let paymentTablesReady = null;
+
+// The ledger tables are created on first use. The invoices columns and the backfill of invoices paid before the
+// ledger come only from sql/patch_invoice_payments.sql.
+async function preparePaymentTables() {
+  const pool = getPool();
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS invoice_payments (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      invoice_id BIGINT UNSIGNED NOT NULL,
+      client_id BIGINT UNSIGNED NOT NULL,
+      payment_date DATE NOT NULL,
+      method ENUM('bank_transfer','card','cash','other','credit') NOT NULL,
+      amount_krw DECIMAL(18,4) NOT NULL,
+      applied_krw DECIMAL(18,4) NOT NULL,
+      credit_krw DECIMAL(18,4) NOT NULL DEFAULT 0,
+      reference VARCHAR(120) NULL,
+      receipt_file_id BIGINT UNSIGNED NULL,
+      note VARCHAR(255) NULL,
+      created_by BIGINT UNSIGNED NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      voided_at DATETIME NULL,
+      voided_by BIGINT UNSIGNED NULL,
+      void_reason VARCHAR(255) NULL,
+      PRIMARY KEY (id),
+      KEY idx_invoice_payments_invoice (invoice_id, voided_at),
+      KEY idx_invoice_payments_client_date (client_id, payment_date),
+      CONSTRAINT fk_invoice_payments_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id),
+      CONSTRAINT fk_invoice_payments_client FOREIGN KEY (client_id) REFERENCES clients(id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS client_credit_ledger (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      client_id BIGINT UNSIGNED NOT NULL,
+      entry_type ENUM('overpayment','applied','reversal') NOT NULL,
+      amount_krw DECIMAL(18,4) NOT NULL,
+      payment_id BIGINT UNSIGNED NULL,
+      invoice_id BIGINT UNSIGNED NULL,
+      created_by BIGINT UNSIGNED NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_client_credit_client (client_id, created_at),
+      KEY idx_client_credit_payment (payment_id),
+      CONSTRAINT fk_client_credit_client FOREIGN KEY (client_id) REFERENCES clients(id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+
+  const [rows] = await pool.query(
+    `SELECT column_name AS column_name
+     FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = 'invoices'
+       AND column_name IN ('paid_krw', 'paid_at')`
+  );
+  const existing = new Set(rows.map((row) => String(row.column_name || row.COLUMN_NAME)));
+  if (!existing.has("paid_krw") || !existing.has("paid_at")) {
+    throw new InvoicePaymentError(
+      "SCHEMA_OUTDATED",
+      "invoices.paid_krw/paid_at are missing; apply sql/patch_invoice_payments.sql"
+    );
+  }
+}
+
+function ensureInvoicePaymentTables() {
+  if (!paymentTablesReady) {
+    paymentTablesReady = preparePaymentTables().catch((error) => {
+      paymentTablesReady = null;
+      throw error;
+    });
+  }
+  return paymentTablesReady;
+}
+
+function roundKrw(value) {
+  return Number(Number(value || 0).toFixed(4));
+}
+
+async function lockInvoice(conn, invoiceId) {
+  const [rows] = await conn.query(
+    `SELECT id, client_id, invoice_no, status, total_krw, paid_krw
+     FROM invoices
+     WHERE id = ? AND deleted_at IS NULL
+     LIMIT 1
+     FOR UPDATE`,
+    [invoiceId]
+  );
+  if (rows.length === 0) throw new InvoicePaymentError("NOT_FOUND", "Invoice not found");
+  const invoice = rows[0];
+  return {
+    ...invoice,
+    status: String(invoice.status).toLowerCase(),
+    total_krw: Number(invoice.total_krw),
+    paid_krw: Number(invoice.paid_krw),
+    outstanding_krw: roundKrw(Number(invoice.total_krw) - Number(invoice.paid_krw))
+  };
+}
+
+function assertPayable(invoice) {
+  if (!PAYABLE_STATUSES.includes(invoice.status)) {
+    throw new InvoicePaymentError("INVALID_STATUS", `Payments can only be recorded on ${PAYABLE_STATUSES.join("/")} invoices`);
+  }
+  if (invoice.outstanding_krw <= 0) {
+    throw new InvoicePaymentError("INVALID_STATUS", "Invoice has no outstanding balance");
+  }
+}
+
+// Credit use is serialized per client by locking the client row.
+async function lockClientCredit(conn, clientId) {
+  await conn.query("SELECT id FROM clients WHERE id = ? FOR UPDATE", [clientId]);
+  return getCreditBalance(conn, clientId);
+}
+
+async function getCreditBalance(conn, clientId) {
+  const [rows] = await conn.query(
+    "SELECT COALESCE(SUM(amount_krw), 0) AS balance FROM client_credit_ledger WHERE client_id = ?",
+    [clientId]
+  );
+  return roundKrw(rows[0].balance);
+}
+
+async function addCreditEntry(conn, { clientId, entryType, amountKrw, paymentId, invoiceId, createdBy }) {
+  await conn.query(
+    `INSERT INTO client_credit_ledger (client_id, entry_type, amount_krw, payment_id, invoice_id, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [clientId, entryType, amountKrw, paymentId, invoiceId, createdBy || null]
+  );
+}
+
+// Paid amount and status always follow the non-voided payments. An invoice with nothing paid goes back to issued.
+async function refreshInvoiceBalance(conn, invoice) {
+  const [rows] = await conn.query(
+    "SELECT COALESCE(SUM(applied_krw), 0) AS paid FROM invoice_payments WHERE invoice_id = ? AND voided_at IS NULL",
+    [invoice.id]
+  );
+  const paidKrw = roundKrw(rows[0].paid);
+  let status = invoice.status;
+  if (status !== "void") {
+    if (paidKrw >= invoice.total_krw) status = "paid";
+    else if (paidKrw > 0) status = "partially_paid";
+    else if (["paid", "partially_paid"].includes(status)) status = "issued";
+  }
+
+  await conn.query(
+    `UPDATE invoices
+     SET paid_krw = ?, status = ?, paid_at = CASE WHEN ? = 'paid' THEN COALESCE(paid_at, NOW()) ELSE NULL END
+     WHERE id = ?`,
+    [paidKrw, status, status, invoice.id]
+  );
+  return { id: invoice.id, status, total_krw: invoice.total_krw, paid_krw: paidKrw, outstanding_krw: roundKrw(invoice.total_krw - paidKrw) };
+}
+
+async function getPayment(conn, paymentId) {
+  const [rows] = await conn.query(
+    `SELECT id, invoice_id, client_id, payment_date, method, amount_krw, applied_krw, credit_krw, reference,
+            receipt_file_id, note, created_by, created_at, voided_at, voided_by, void_reason
+     FROM invoice_payments
+     WHERE id = ?`,
+    [paymentId]
+  );
+  return rows[0] || null;
+}
+
+// Records a payment. Anything above the outstanding balance becomes a client credit for later invoices.
+// `amountKrw: null` pays the outstanding balance in full.
+async function recordPayment(conn, invoiceId, { amountKrw = null, paymentDate, method, reference, receiptFileId, note, createdBy }) {
+  const invoice = await lockInvoice(conn, invoiceId);
+  assertPayable(invoice);
+  if (receiptFileId && !(await getFileRow(conn, receiptFileId))) {
+    throw new InvoicePaymentError("INVALID_FILE", "receipt_file_id does not exist");
+  }
+
+  const amount = roundKrw(amountKrw === null ? invoice.outstanding_krw : amountKrw);
+  const applied = Math.min(amount, invoice.outstanding_krw);
+  const credit = roundKrw(amount - applied);
+
+  const [result] = await conn.query(
+    `INSERT INTO invoice_payments
+      (invoice_id, client_id, payment_date, method, amount_krw, applied_krw, credit_krw, reference, receipt_file_id, note, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      invoice.id,
+      invoice.client_id,
+      paymentDate,
+      method,
+      amount,
+      applied,
+      credit,
+      reference || null,
+      receiptFileId || null,
+      note || null,
+      createdBy || null
+    ]
+  );
+  if (credit > 0) {
+    await addCreditEntry(conn, {
+      clientId: invoice.client_id,
+      entryType: "overpayment",
+      amountKrw: credit,
+      paymentId: result.insertId,
+      invoiceId: invoice.id,
+      createdBy
+    });
+  }
+
+  const balance = await refreshInvoiceBalance(conn, invoice);
+  return { payment: await getPayment(conn, result.insertId), invoice: balance };
+}
+
+// Applies the client's carried-forward credit to the invoice as a `credit` payment. Returns null when there is
+// no credit to apply.
+async function applyClientCredit(conn, invoiceId, { amountKrw = null, paymentDate, createdBy }) {
+  const invoice = await lockInvoice(conn, invoiceId);
+  assertPayable(invoice);
+  const available = await lockClientCredit(conn, invoice.client_id);
+  const amount = roundKrw(Math.min(amountKrw === null ? available : amountKrw, available, invoice.outstanding_krw));
+  if (amount <= 0) return null;
+
+  const [result] = await conn.query(
+    `INSERT INTO invoice_payments
+      (invoice_id, client_id, payment_date, method, amount_krw, applied_krw, credit_krw, created_by)
+     VALUES (?, ?, ?, 'credit', ?, ?, 0, ?)`,
+    [invoice.id, invoice.client_id, paymentDate, amount, amount, createdBy || null]
+  );
+  await addCreditEntry(conn, {
+    clientId: invoice.client_id,
+    entryType: "applied",
+    amountKrw: -amount,
+    paymentId: result.insertId,
+    invoiceId: invoice.id,
+    createdBy
+  });
+
+  const balance = await refreshInvoiceBalance(conn, invoice);
+  return { payment: await getPayment(conn, result.insertId), invoice: balance, credit_balance_krw: roundKrw(available - amount) };
+}
+
+// Voiding reverses the payment's credit effect: an overpayment credit is taken back (only while it is unused),
+// and a credit payment returns its amount to the client's credit.
+async function voidPayment(conn, invoiceId, paymentId, { reason, voidedBy }) {
+  const invoice = await lockInvoice(conn, invoiceId);
+  const [rows] = await conn.query(
+    "SELECT id, invoice_id, client_id, method, applied_krw, credit_krw, voided_at FROM invoice_payments WHERE id = ? AND invoice_id = ? FOR UPDATE",
+    [paymentId, invoice.id]
+  );
+  if (rows.length === 0) throw new InvoicePaymentError("NOT_FOUND", "Payment not found");
+  const payment = rows[0];
+  if (payment.voided_at) throw new InvoicePaymentError("ALREADY_VOIDED", "Payment is already voided");
+
+  const credit = Number(payment.credit_krw);
+  if (credit > 0) {
+    const available = await lockClientCredit(conn, payment.client_id);
+    if (available < credit) {
+      throw new InvoicePaymentError("CREDIT_IN_USE", "The overpayment credit from this payment has already been applied");
+    }
+    await addCreditEntry(conn, {
+      clientId: payment.client_id,
+      entryType: "reversal",
+      amountKrw: -credit,
+      paymentId: payment.id,
+      invoiceId: invoice.id,
+      createdBy: voidedBy
+    });
+  }
+  if (payment.method === "credit") {
+    await lockClientCredit(conn, payment.client_id);
+    await addCreditEntry(conn, {
+      clientId: payment.client_id,
+      entryType: "reversal",
+      amountKrw: Number(payment.applied_krw),
+      paymentId: payment.id,
+      invoiceId: invoice.id,
+      createdBy: voidedBy
+    });
+  }
+
+  await conn.query("UPDATE invoice_payments SET voided_at = NOW(), voided_by = ?, void_reason = ? WHERE id = ?", [
+    voidedBy || null,
+    reason || null,
+    payment.id
+  ]);
+  const balance = await refreshInvoiceBalance(conn, invoice);
+  return { payment: await getPayment(conn, payment.id), invoice: balance };
+}
+
+async function listInvoicePayments(conn, invoiceId) {
+  const [rows] = await conn.query(
+    `SELECT p.id, p.invoice_id, p.client_id, p.payment_date, p.method, p.amount_krw, p.applied_krw, p.credit_krw,
+            p.reference, p.receipt_file_id, f.file_name AS receipt_file_name, p.note, p.created_by, p.created_at,
+            p.voided_at, p.voided_by, p.void_reason
+     FROM invoice_payments p
+     LEFT JOIN files f ON f.id = p.receipt_file_id
+     WHERE p.invoice_id = ?
+     ORDER BY p.payment_date ASC, p.id ASC`,
+    [invoiceId]
+  );
+  return rows;
+}
+
+async function listCreditEntries(conn, clientId) {
+  const [rows] = await conn.query(
+    `SELECT l.id, l.client_id, l.entry_type, l.amount_krw, l.payment_id, l.invoice_id, i.invoice_no, l.created_by, l.created_at
+     FROM client_credit_ledger l
+     LEFT JOIN invoices i ON i.id = l.invoice_id
+     WHERE l.client_id = ?
+     ORDER BY l.id DESC`,
+    [clientId]
+  );
+  return rows;
+}
+
+function agingBucket(daysPastDue) {
+  if (daysPastDue <= 30) return "current";
+  if (daysPastDue <= 60) return "days_30";
+  if (daysPastDue <= 90) return "days_60";
+  return "days_90_plus";
+}
+
+function emptyBuckets() {
+  return Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket, 0]));
+}
+
+// Outstanding balances as of `asOf`, by days past the due date: current (up to 30), 31-60, 61-90 and over 90.
+// Payments dated after `asOf` and voided payments do not count.
+async function getReceivablesAging(conn, { asOf, clientId = null }) {
+  const params = [asOf, asOf, asOf];
+  let where = ` WHERE i.deleted_at IS NULL
+                  AND i.status IN ('issued', 'sent', 'partially_paid', 'paid')
+                  AND i.issue_date <= ?`;
+  if (clientId) {
+    where += " AND i.client_id = ?";
+    params.push(clientId);
+  }
+
+  const [invoices] = await conn.query(
+    `SELECT i.id, i.client_id, c.client_code, c.name_kr, i.invoice_no, i.issue_date, i.due_date, i.total_krw,
+            i.total_krw - COALESCE((
+              SELECT SUM(p.applied_krw)
+              FROM invoice_payments p
+              WHERE p.invoice_id = i.id AND p.voided_at IS NULL AND p.payment_date <= ?
+            ), 0) AS outstanding_krw,
+            DATEDIFF(?, i.due_date) AS days_past_due
+     FROM invoices i
+     JOIN clients c ON c.id = i.client_id
+     ${where}
+     HAVING outstanding_krw > 0
+     ORDER BY c.client_code ASC, i.due_date ASC, i.id ASC`,
+    params
+  );
+
+  const creditParams = [asOf];
+  let creditWhere = " WHERE l.created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+  if (clientId) {
+    creditWhere += " AND l.client_id = ?";
+    creditParams.push(clientId);
+  }
+  const [credits] = await conn.query(
+    `SELECT l.client_id, c.client_code, c.name_kr, SUM(l.amount_krw) AS credit_balance_krw
+     FROM client_credit_ledger l
+     JOIN clients c ON c.id = l.client_id
+     ${creditWhere}
+     GROUP BY l.client_id, c.client_code, c.name_kr
+     HAVING credit_balance_krw <> 0`,
+    creditParams
+  );
+
+  const clients = new Map();
+  const clientEntry = (row) => {
+    if (!clients.has(row.client_id)) {
+      clients.set(row.client_id, {
+        client_id: row.client_id,
+        client_code: row.client_code,
+        name_kr: row.name_kr,
+        ...emptyBuckets(),
+        total_outstanding_krw: 0,
+        credit_balance_krw: 0,
+        invoices: []
+      });
+    }
+    return clients.get(row.client_id);
+  };
+
+  const totals = { ...emptyBuckets(), total_outstanding_krw: 0, credit_balance_krw: 0 };
+  for (const row of invoices) {
+    const entry = clientEntry(row);
+    const outstanding = roundKrw(row.outstanding_krw);
+    const bucket = agingBucket(Number(row.days_past_due));
+    entry[bucket] = roundKrw(entry[bucket] + outstanding);
+    entry.total_outstanding_krw = roundKrw(entry.total_outstanding_krw + outstanding);
+    entry.invoices.push({
+      id: row.id,
+      invoice_no: row.invoice_no,
+      issue_date: row.issue_date,
+      due_date: row.due_date,
+      total_krw: Number(row.total_krw),
+      outstanding_krw: outstanding,
+      days_past_due: Number(row.days_past_due),
+      bucket
+    });
+    totals[bucket] = roundKrw(totals[bucket] + outstanding);
+    totals.total_outstanding_krw = roundKrw(totals.total_outstanding_krw + outstanding);
+  }
+  for (const row of credits) {
+    const entry = clientEntry(row);
+    entry.credit_balance_krw = roundKrw(row.credit_balance_krw);
+    totals.credit_balance_krw = roundKrw(totals.credit_balance_krw + entry.credit_balance_krw);
+  }
+
+  return {
+    as_of: asOf,
+    buckets: AGING_BUCKETS,
+    totals,
+    clients: [...clients.values()].sort((a, b) => String(a.client_code).localeCompare(String(b.client_code)))
+  };
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYABLE_STATUSES,
+  AGING_BUCKETS,
+  InvoicePaymentError,
+  ensureInvoicePaymentTables,
+  getCreditBalance,
+  recordPayment,
+  applyClientCredit,
+  voidPayment,
+  listInvoicePayments,
+  listCreditEntries,
+  getReceivablesAging
+};
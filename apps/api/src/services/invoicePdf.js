@@ -0,0 +1,426 @@
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const { getPool } = require("../db");
+const { storeFile, getFileRow } = require("./fileStorage");
+
+const INVOICE_PDF_LANGS = ["ko", "en", "th"];
+const THAI_PATTERN = /[\u0E00-\u0E7F]+/g;
+const PAGE_MARGIN = 50;
+const TABLE_COLUMNS = [
+  { key: "code", width: 75, align: "left" },
+  { key: "description", width: 180, align: "left" },
+  { key: "qty", width: 60, align: "right" },
+  { key: "unitPrice", width: 90, align: "right" },
+  { key: "amount", width: 90, align: "right" }
+];
+
+const LABELS = {
+  ko: {
+    title: "청구서",
+    billTo: "청구처",
+    contact: "담당자",
+    taxId: "사업자등록번호",
+    invoiceNo: "청구서 번호",
+    invoiceDate: "발행일",
+    dueDate: "지급기한",
+    invoiceMonth: "청구월",
+    code: "코드",
+    description: "내역",
+    qty: "수량",
+    unitPrice: "단가 (KRW)",
+    amount: "금액 (KRW)",
+    subtotal: "공급가액",
+    vat: "부가세 7%",
+    total: "합계",
+    fxNote: (rate) => `* THB 기준 항목은 1 THB = ${rate} KRW 환율로 원화 환산되었습니다.`
+  },
+  en: {
+    title: "INVOICE",
+    billTo: "Bill To",
+    contact: "Attn",
+    taxId: "Tax ID",
+    invoiceNo: "Invoice No.",
+    invoiceDate: "Invoice Date",
+    dueDate: "Due Date",
+    invoiceMonth: "Billing Month",
+    code: "Code",
+    description: "Description",
+    qty: "Qty",
+    unitPrice: "Unit Price (KRW)",
+    amount: "Amount (KRW)",
+    subtotal: "Subtotal",
+    vat: "VAT 7%",
+    total: "Total",
+    fxNote: (rate) => `* THB-based lines were converted to KRW at 1 THB = ${rate} KRW.`
+  },
+  th: {
+    title: "ใบแจ้งหนี้",
+    billTo: "เรียกเก็บเงินจาก",
+    contact: "ผู้ติดต่อ",
+    taxId: "เลขประจำตัวผู้เสียภาษี",
+    invoiceNo: "เลขที่ใบแจ้งหนี้",
+    invoiceDate: "วันที่ออกใบแจ้งหนี้",
+    dueDate: "วันครบกำหนดชำระ",
+    invoiceMonth: "เดือนที่เรียกเก็บ",
+    code: "รหัส",
+    description: "รายการ",
+    qty: "จำนวน",
+    unitPrice: "ราคาต่อหน่วย (KRW)",
+    amount: "จำนวนเงิน (KRW)",
+    subtotal: "ยอดรวมก่อนภาษี",
+    vat: "ภาษีมูลค่าเพิ่ม 7%",
+    total: "ยอดรวมทั้งสิ้น",
+    fxNote: (rate) => `* รายการที่คิดราคาเป็นเงินบาทแปลงเป็น KRW ที่อัตรา 1 THB = ${rate} KRW`
+  }
+};
+
+class InvoicePdfError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+let invoiceDocumentsTableReady = null;
+
+function ensureInvoiceDocumentsTable() {
+  if (!invoiceDocumentsTableReady) {
+    invoiceDocumentsTableReady = getPool()
+      .query(
+        `CREATE TABLE IF NOT EXISTS invoice_documents (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          invoice_id BIGINT UNSIGNED NOT NULL,
+          lang ENUM('ko','en','th') NOT NULL,
+          file_id BIGINT UNSIGNED NOT NULL,
+          created_by BIGINT UNSIGNED NOT NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (id),
+          UNIQUE KEY uq_invoice_documents_invoice_lang (invoice_id, lang),
+          KEY idx_invoice_documents_file (file_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+      )
+      .catch((error) => {
+        invoiceDocumentsTableReady = null;
+        throw error;
+      });
+  }
+  return invoiceDocumentsTableReady;
+}
+
+function resolveInvoicePdfLang(value) {
+  const lang = String(value || process.env.INVOICE_PDF_DEFAULT_LANG || "ko").toLowerCase();
+  return INVOICE_PDF_LANGS.includes(lang) ? lang : null;
+}
+
+function getFontPaths() {
+  const fontDir = path.join(__dirname, "../../assets/fonts");
+  return {
+    ko: path.resolve(process.env.INVOICE_PDF_FONT_KO || path.join(fontDir, "NotoSansKR-Regular.ttf")),
+    th: path.resolve(process.env.INVOICE_PDF_FONT_TH || path.join(fontDir, "NotoSansThai-Regular.ttf"))
+  };
+}
+
+// Thai runs use the Thai font and everything else the Korean font (which also covers Latin), so mixed
+// client names and descriptions render without missing glyphs.
+function splitScriptRuns(text) {
+  const runs = [];
+  let cursor = 0;
+  for (const match of text.matchAll(THAI_PATTERN)) {
+    if (match.index > cursor) runs.push({ font: "ko", text: text.slice(cursor, match.index) });
+    runs.push({ font: "th", text: match[0] });
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < text.length) runs.push({ font: "ko", text: text.slice(cursor) });
+  return runs;
+}
+
+function registerFonts(doc, texts) {
+  const fontPaths = getFontPaths();
+  const needed = new Set(["ko"]);
+  for (const text of texts) {
+    for (const run of splitScriptRuns(String(text || ""))) needed.add(run.font);
+  }
+  for (const font of needed) {
+    if (!fs.existsSync(fontPaths[font])) {
+      throw new InvoicePdfError(
+        "PDF_FONT_MISSING",
+        `Font file for ${font === "ko" ? "Korean" : "Thai"} text not found: ${fontPaths[font]}`
+      );
+    }
+    doc.registerFont(font, fontPaths[font]);
+  }
+}
+
+function writeText(doc, value, x, y, options = {}) {
+  const runs = splitScriptRuns(String(value ?? ""));
+  if (runs.length === 0) return;
+  runs.forEach((run, index) => {
+    doc.font(run.font);
+    const last = index === runs.length - 1;
+    if (index === 0) {
+      doc.text(run.text, x, y, { ...options, continued: !last });
+    } else {
+      doc.text(run.text, { continued: !last });
+    }
+  });
+}
+
+function formatAmount(value) {
+  return Math.trunc(Number(value || 0)).toLocaleString("en-US");
+}
+
+function formatQty(value) {
+  return Number(value || 0).toLocaleString("en-US", { maximumFractionDigits: 4 });
+}
+
+function formatDate(value) {
+  if (!value) return "-";
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+async function loadInvoicePdfData(conn, invoiceId) {
+  const [invoiceRows] = await conn.query(
+    `SELECT i.id, i.invoice_no, i.invoice_month, COALESCE(i.invoice_date, i.issue_date) AS invoice_date, i.due_date,
+            i.currency, i.fx_rate_thbkrw, i.subtotal_krw, i.vat_krw, i.total_krw, i.created_by,
+            c.client_code, c.name_kr, c.name_en, c.contact_name, c.phone, c.email, c.address
+     FROM invoices i
+     JOIN clients c ON c.id = i.client_id
+     WHERE i.id = ? AND i.deleted_at IS NULL`,
+    [invoiceId]
+  );
+  if (invoiceRows.length === 0) return null;
+
+  const [items] = await conn.query(
+    `SELECT id, service_code, description, qty, unit_price_krw, amount_krw
+     FROM invoice_items
+     WHERE invoice_id = ? AND deleted_at IS NULL
+     ORDER BY id ASC`,
+    [invoiceId]
+  );
+  const [thbRows] = await conn.query(
+    `SELECT service_code, SUM(COALESCE(amount_thb, unit_price_thb * qty)) AS amount_thb
+     FROM billing_events
+     WHERE invoice_id = ? AND pricing_policy = 'THB_BASED' AND deleted_at IS NULL
+     GROUP BY service_code`,
+    [invoiceId]
+  );
+
+  return {
+    invoice: invoiceRows[0],
+    items: items.filter((item) => item.service_code !== "VAT_7"),
+    thbByService: new Map(thbRows.map((row) => [row.service_code, Number(row.amount_thb || 0)]))
+  };
+}
+
+function getLetterhead() {
+  return {
+    name: process.env.INVOICE_COMPANY_NAME || "",
+    address: process.env.INVOICE_COMPANY_ADDRESS || "",
+    taxId: process.env.INVOICE_COMPANY_TAX_ID || "",
+    phone: process.env.INVOICE_COMPANY_PHONE || "",
+    email: process.env.INVOICE_COMPANY_EMAIL || ""
+  };
+}
+
+function drawTableHeader(doc, labels, y) {
+  const tableWidth = TABLE_COLUMNS.reduce((sum, column) => sum + column.width, 0);
+  doc.rect(PAGE_MARGIN, y, tableWidth, 20).fill("#f1f5f9").fillColor("#0f172a");
+  let x = PAGE_MARGIN;
+  doc.fontSize(9);
+  for (const column of TABLE_COLUMNS) {
+    writeText(doc, labels[column.key], x + 4, y + 6, { width: column.width - 8, align: column.align, lineBreak: false });
+    x += column.width;
+  }
+  return y + 24;
+}
+
+function drawInvoice(doc, { invoice, items, thbByService }, lang) {
+  const labels = LABELS[lang];
+  const letterhead = getLetterhead();
+  const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+  const clientName = lang === "ko" ? invoice.name_kr : invoice.name_en || invoice.name_kr;
+
+  doc.fillColor("#0f172a").fontSize(16);
+  writeText(doc, letterhead.name, PAGE_MARGIN, PAGE_MARGIN, { width: pageWidth / 2 });
+  doc.fontSize(8).fillColor("#475569");
+  const letterheadLines = [
+    letterhead.address,
+    letterhead.taxId ? `${labels.taxId}: ${letterhead.taxId}` : "",
+    [letterhead.phone, letterhead.email].filter(Boolean).join(" | ")
+  ].filter(Boolean);
+  let y = PAGE_MARGIN + 22;
+  for (const line of letterheadLines) {
+    writeText(doc, line, PAGE_MARGIN, y, { width: pageWidth / 2 });
+    y = doc.y + 2;
+  }
+  doc.fontSize(20).fillColor("#0f172a");
+  writeText(doc, labels.title, PAGE_MARGIN + pageWidth / 2, PAGE_MARGIN, { width: pageWidth / 2, align: "right" });
+
+  y = Math.max(y, PAGE_MARGIN + 50) + 8;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + pageWidth, y).strokeColor("#cbd5e1").stroke();
+  y += 14;
+
+  const blockTop = y;
+  doc.fontSize(9).fillColor("#475569");
+  writeText(doc, labels.billTo, PAGE_MARGIN, y);
+  doc.fontSize(11).fillColor("#0f172a");
+  writeText(doc, `${clientName} (${invoice.client_code})`, PAGE_MARGIN, doc.y + 2, { width: pageWidth / 2 - 10 });
+  doc.fontSize(9);
+  const clientLines = [
+    invoice.address,
+    invoice.contact_name ? `${labels.contact}: ${invoice.contact_name}` : "",
+    [invoice.phone, invoice.email].filter(Boolean).join(" | ")
+  ].filter(Boolean);
+  for (const line of clientLines) {
+    writeText(doc, line, PAGE_MARGIN, doc.y + 2, { width: pageWidth / 2 - 10 });
+  }
+  const billToBottom = doc.y;
+
+  const metaX = PAGE_MARGIN + pageWidth / 2 + 10;
+  const metaWidth = pageWidth / 2 - 10;
+  let metaY = blockTop;
+  for (const [label, value] of [
+    [labels.invoiceNo, invoice.invoice_no],
+    [labels.invoiceDate, formatDate(invoice.invoice_date)],
+    [labels.dueDate, formatDate(invoice.due_date)],
+    [labels.invoiceMonth, invoice.invoice_month || "-"]
+  ]) {
+    doc.fillColor("#475569");
+    writeText(doc, label, metaX, metaY, { width: metaWidth / 2, lineBreak: false });
+    doc.fillColor("#0f172a");
+    writeText(doc, value, metaX + metaWidth / 2, metaY, { width: metaWidth / 2, align: "right", lineBreak: false });
+    metaY += 16;
+  }
+
+  y = drawTableHeader(doc, labels, Math.max(billToBottom, metaY) + 20);
+  doc.fontSize(9).fillColor("#0f172a");
+  let hasThbLines = false;
+  for (const item of items) {
+    const thbAmount = thbByService.get(item.service_code);
+    const isThbBased = thbAmount !== undefined;
+    hasThbLines = hasThbLines || isThbBased;
+    const cells = {
+      code: isThbBased ? `${item.service_code} *` : item.service_code,
+      description: isThbBased ? `${item.description} (THB ${formatQty(thbAmount)})` : item.description,
+      qty: formatQty(item.qty),
+      unitPrice: formatAmount(item.unit_price_krw),
+      amount: formatAmount(item.amount_krw)
+    };
+    const rowHeight = Math.max(16, doc.heightOfString(cells.description, { width: TABLE_COLUMNS[1].width - 8 }) + 6);
+    if (y + rowHeight > doc.page.height - PAGE_MARGIN - 100) {
+      doc.addPage();
+      y = drawTableHeader(doc, labels, PAGE_MARGIN);
+      doc.fontSize(9).fillColor("#0f172a");
+    }
+    let x = PAGE_MARGIN;
+    for (const column of TABLE_COLUMNS) {
+      writeText(doc, cells[column.key], x + 4, y + 3, { width: column.width - 8, align: column.align });
+      x += column.width;
+    }
+    y += rowHeight;
+    doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + pageWidth, y).strokeColor("#e2e8f0").stroke();
+  }
+
+  y += 10;
+  const totalsX = PAGE_MARGIN + pageWidth - 240;
+  for (const [label, value, size] of [
+    [labels.subtotal, invoice.subtotal_krw, 9],
+    [labels.vat, invoice.vat_krw, 9],
+    [labels.total, invoice.total_krw, 12]
+  ]) {
+    doc.fontSize(size);
+    writeText(doc, label, totalsX, y, { width: 120, lineBreak: false });
+    writeText(doc, `${formatAmount(value)} KRW`, totalsX + 120, y, { width: 120, align: "right", lineBreak: false });
+    y += size + 8;
+  }
+
+  if (hasThbLines && invoice.fx_rate_thbkrw !== null) {
+    doc.fontSize(8).fillColor("#475569");
+    writeText(doc, labels.fxNote(Number(invoice.fx_rate_thbkrw).toFixed(4)), PAGE_MARGIN, y + 12, { width: pageWidth });
+  }
+}
+
+function renderInvoicePdf(data, lang) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: PAGE_MARGIN,
+      info: { Title: data.invoice.invoice_no, Author: process.env.INVOICE_COMPANY_NAME || "" }
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    try {
+      registerFonts(doc, [
+        LABELS[lang].title,
+        data.invoice.name_kr,
+        data.invoice.name_en,
+        data.invoice.address,
+        data.invoice.contact_name,
+        process.env.INVOICE_COMPANY_NAME,
+        process.env.INVOICE_COMPANY_ADDRESS,
+        ...data.items.map((item) => item.description)
+      ]);
+      drawInvoice(doc, data, lang);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+async function getInvoiceDocument(conn, invoiceId, lang) {
+  const [rows] = await conn.query(
+    `SELECT id, invoice_id, lang, file_id, created_by, created_at
+     FROM invoice_documents
+     WHERE invoice_id = ? AND lang = ?`,
+    [invoiceId, lang]
+  );
+  return rows[0] || null;
+}
+
+// The first export per invoice and language renders and stores the PDF; later exports return the stored
+// file so re-downloads are byte-identical. Callers lock the invoice row so concurrent exports render once.
+async function getOrCreateInvoicePdf(conn, invoiceId, lang, { createdBy = null } = {}) {
+  const existing = await getInvoiceDocument(conn, invoiceId, lang);
+  if (existing) {
+    const file = await getFileRow(conn, existing.file_id);
+    if (file) return { document: existing, file, reused: true };
+    await conn.query("DELETE FROM invoice_documents WHERE id = ?", [existing.id]);
+  }
+
+  const data = await loadInvoicePdfData(conn, invoiceId);
+  if (!data) throw new InvoicePdfError("NOT_FOUND", "Invoice not found");
+
+  const buffer = await renderInvoicePdf(data, lang);
+  const uploadedBy = createdBy || data.invoice.created_by;
+  const file = await storeFile(conn, {
+    fileName: `${data.invoice.invoice_no}-${lang}.pdf`,
+    mimeType: "application/pdf",
+    buffer,
+    uploadedBy
+  });
+  await conn.query("INSERT INTO invoice_documents (invoice_id, lang, file_id, created_by) VALUES (?, ?, ?, ?)", [
+    invoiceId,
+    lang,
+    file.id,
+    uploadedBy
+  ]);
+  return { document: await getInvoiceDocument(conn, invoiceId, lang), file, reused: false };
+}
+
+module.exports = {
+  INVOICE_PDF_LANGS,
+  InvoicePdfError,
+  ensureInvoiceDocumentsTable,
+  resolveInvoicePdfLang,
+  renderInvoicePdf,
+  getOrCreateInvoicePdf
+};
@@ -0,0 +1,161 @@
+const { getPool } = require("../db");
+
+const MAX_EMAIL_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const MAX_IP_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES || 20);
+const FAILURE_WINDOW_SECONDS = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15) * 60;
+const LOCKOUT_SECONDS = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60;
+const MAX_BACKOFF_SECONDS = 30;
+
+let loginAttemptsTableReady = null;
+
+function ensureLoginAttemptsTable() {
+  if (!loginAttemptsTableReady) {
+    loginAttemptsTableReady = getPool()
+      .query(
+        `CREATE TABLE IF NOT EXISTS auth_login_attempts (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          email VARCHAR(255) NULL,
+          ip_address VARCHAR(64) NULL,
+          user_id BIGINT UNSIGNED NULL,
+          outcome ENUM('success','failure','blocked','unlock') NOT NULL,
+          reason VARCHAR(40) NULL,
+          user_agent VARCHAR(255) NULL,
+          actor_user_id BIGINT UNSIGNED NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (id),
+          KEY idx_auth_login_attempts_email (email, outcome, id),
+          KEY idx_auth_login_attempts_ip (ip_address, outcome, id),
+          KEY idx_auth_login_attempts_created (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+      )
+      .catch((error) => {
+        loginAttemptsTableReady = null;
+        throw error;
+      });
+  }
+  return loginAttemptsTableReady;
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase() || null;
+}
+
+// Failures only count after the last reset row: a success or an admin unlock for
+// the email, and only an admin unlock for the IP (a valid login must not clear a spray).
+async function getFailureState(column, value, resetOutcomes) {
+  const [rows] = await getPool().query(
+    `SELECT COUNT(*) AS failures,
+            TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS seconds_since_last
+     FROM auth_login_attempts
+     WHERE ${column} = ?
+       AND outcome = 'failure'
+       AND created_at >= NOW() - INTERVAL ? SECOND
+       AND id > COALESCE(
+         (SELECT MAX(r.id) FROM auth_login_attempts r WHERE r.${column} = ? AND r.outcome IN (?)),
+         0
+       )`,
+    [value, FAILURE_WINDOW_SECONDS, value, resetOutcomes]
+  );
+  return {
+    failures: Number(rows[0]?.failures || 0),
+    secondsSinceLast: Number(rows[0]?.seconds_since_last || 0)
+  };
+}
+
+function lockedFor(state, maxFailures) {
+  if (state.failures < maxFailures) return 0;
+  return Math.max(0, LOCKOUT_SECONDS - state.secondsSinceLast);
+}
+
+function backoffFor(state) {
+  if (state.failures === 0) return 0;
+  const wait = Math.min(2 ** (state.failures - 1), MAX_BACKOFF_SECONDS);
+  return Math.max(0, wait - state.secondsSinceLast);
+}
+
+async function checkLoginThrottle(email, ipAddress) {
+  await ensureLoginAttemptsTable();
+
+  if (ipAddress) {
+    const ipState = await getFailureState("ip_address", ipAddress, ["unlock"]);
+    const retryAfter = lockedFor(ipState, MAX_IP_FAILURES);
+    if (retryAfter > 0) {
+      return {
+        code: "LOGIN_LOCKED",
+        message: "Too many failed logins from this address",
+        retry_after_seconds: retryAfter
+      };
+    }
+  }
+
+  const emailState = await getFailureState("email", normalizeEmail(email), ["success", "unlock"]);
+  const lockedSeconds = lockedFor(emailState, MAX_EMAIL_FAILURES);
+  if (lockedSeconds > 0) {
+    return {
+      code: "LOGIN_LOCKED",
+      message: "Account is temporarily locked after too many failed logins",
+      retry_after_seconds: lockedSeconds
+    };
+  }
+  const backoffSeconds = backoffFor(emailState);
+  if (backoffSeconds > 0) {
+    return {
+      code: "LOGIN_THROTTLED",
+      message: "Too many login attempts, try again shortly",
+      retry_after_seconds: backoffSeconds
+    };
+  }
+  return null;
+}
+
+async function recordLoginAttempt({ email = null, ipAddress = null, userId = null, outcome, reason = null, userAgent = null, actorUserId = null }) {
+  await ensureLoginAttemptsTable();
+  await getPool().query(
+    `INSERT INTO auth_login_attempts (email, ip_address, user_id, outcome, reason, user_agent, actor_user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      normalizeEmail(email),
+      ipAddress,
+      userId,
+      outcome,
+      reason,
+      userAgent ? String(userAgent).slice(0, 255) : null,
+      actorUserId
+    ]
+  );
+}
+
+async function listLoginAttempts({ email, ipAddress, outcome, limit = 100 }) {
+  await ensureLoginAttemptsTable();
+  const where = ["1 = 1"];
+  const params = [];
+  if (email) {
+    where.push("email = ?");
+    params.push(normalizeEmail(email));
+  }
+  if (ipAddress) {
+    where.push("ip_address = ?");
+    params.push(ipAddress);
+  }
+  if (outcome) {
+    where.push("outcome = ?");
+    params.push(outcome);
+  }
+  params.push(limit);
+
+  const [rows] = await getPool().query(
+    `SELECT id, email, ip_address, user_id, outcome, reason, user_agent, actor_user_id, created_at
+     FROM auth_login_attempts
+     WHERE ${where.join(" AND ")}
+     ORDER BY id DESC
+     LIMIT ?`,
+    params
+  );
+  return rows;
+}
+
+module.exports = {
+  checkLoginThrottle,
+  recordLoginAttempt,
+  listLoginAttempts
+};
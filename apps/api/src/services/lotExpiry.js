@@ -0,0 +1,123 @@
+const { getPool } = require("../db");
+const { StockError } = require("./stock");
+
+const EXPIRY_BUCKET_DAYS = [30, 60, 90];
+
+// Only active lots expire automatically; held lots keep their QC status until released.
+async function expireLots(conn = getPool()) {
+  const [rows] = await conn.query(
+    `SELECT id
+     FROM product_lots
+     WHERE status = 'active' AND expiry_date IS NOT NULL AND expiry_date < CURDATE() AND deleted_at IS NULL`
+  );
+  if (rows.length === 0) return [];
+  const lotIds = rows.map((row) => row.id);
+  await conn.query("UPDATE product_lots SET status = 'expired' WHERE id IN (?) AND status = 'active'", [lotIds]);
+  return lotIds;
+}
+
+async function isLotExpired(conn, lotId) {
+  const [rows] = await conn.query(
+    `SELECT id
+     FROM product_lots
+     WHERE id = ? AND deleted_at IS NULL
+       AND (status = 'expired' OR (expiry_date IS NOT NULL AND expiry_date < CURDATE()))`,
+    [lotId]
+  );
+  return rows.length > 0;
+}
+
+async function assertLotNotExpired(conn, lotId) {
+  if (await isLotExpired(conn, lotId)) {
+    throw new StockError("LOT_EXPIRED", `Lot ${lotId} is expired and cannot be shipped`);
+  }
+}
+
+function bucketColumns(alias) {
+  const onHand = `(${alias}.available_qty + ${alias}.reserved_qty + ${alias}.hold_qty)`;
+  let previous = 0;
+  const columns = [`SUM(CASE WHEN pl.expiry_date < CURDATE() THEN ${onHand} ELSE 0 END) AS expired_qty`];
+  for (const days of EXPIRY_BUCKET_DAYS) {
+    columns.push(
+      `SUM(CASE WHEN DATEDIFF(pl.expiry_date, CURDATE()) BETWEEN ${previous} AND ${days} THEN ${onHand} ELSE 0 END) AS within_${days}_qty`
+    );
+    previous = days + 1;
+  }
+  return columns.join(",\n            ");
+}
+
+// Buckets are disjoint: expired, 0-30, 31-60 and 61-90 days left. Quantities are on-hand (available + reserved + hold).
+async function getExpiryReport(conn, { clientId = null, warehouseId = null } = {}) {
+  const horizon = EXPIRY_BUCKET_DAYS[EXPIRY_BUCKET_DAYS.length - 1];
+  const params = [horizon];
+  let where = `sb.deleted_at IS NULL AND pl.deleted_at IS NULL AND pl.expiry_date IS NOT NULL
+       AND pl.expiry_date <= DATE_ADD(CURDATE(), INTERVAL ? DAY)
+       AND (sb.available_qty + sb.reserved_qty + sb.hold_qty) > 0`;
+  if (clientId) {
+    where += " AND sb.client_id = ?";
+    params.push(clientId);
+  }
+  if (warehouseId) {
+    where += " AND sb.warehouse_id = ?";
+    params.push(warehouseId);
+  }
+
+  const [clients] = await conn.query(
+    `SELECT sb.client_id, c.name_kr AS client_name,
+            ${bucketColumns("sb")}
+     FROM stock_balances sb
+     JOIN product_lots pl ON pl.id = sb.lot_id
+     LEFT JOIN clients c ON c.id = sb.client_id
+     WHERE ${where}
+     GROUP BY sb.client_id, c.name_kr
+     ORDER BY sb.client_id ASC`,
+    params
+  );
+  const [lots] = await conn.query(
+    `SELECT sb.client_id, c.name_kr AS client_name, sb.product_id, p.sku_code, p.name_kr AS product_name,
+            sb.lot_id, pl.lot_no, pl.status AS lot_status, pl.expiry_date,
+            DATEDIFF(pl.expiry_date, CURDATE()) AS days_left,
+            SUM(sb.available_qty + sb.reserved_qty + sb.hold_qty) AS on_hand_qty
+     FROM stock_balances sb
+     JOIN product_lots pl ON pl.id = sb.lot_id
+     LEFT JOIN clients c ON c.id = sb.client_id
+     LEFT JOIN products p ON p.id = sb.product_id
+     WHERE ${where}
+     GROUP BY sb.client_id, c.name_kr, sb.product_id, p.sku_code, p.name_kr, sb.lot_id, pl.lot_no, pl.status, pl.expiry_date
+     ORDER BY pl.expiry_date ASC, sb.client_id ASC, sb.lot_id ASC`,
+    params
+  );
+
+  const bucketKeys = ["expired_qty", ...EXPIRY_BUCKET_DAYS.map((days) => `within_${days}_qty`)];
+  const normalizedClients = clients.map((row) => {
+    const next = { client_id: row.client_id, client_name: row.client_name };
+    for (const key of bucketKeys) next[key] = Number(row[key] || 0);
+    return next;
+  });
+  const totals = Object.fromEntries(
+    bucketKeys.map((key) => [key, normalizedClients.reduce((sum, row) => sum + row[key], 0)])
+  );
+
+  return {
+    buckets: EXPIRY_BUCKET_DAYS,
+    totals,
+    clients: normalizedClients,
+    lots: lots.map((row) => {
+      const daysLeft = Number(row.days_left);
+      return {
+        ...row,
+        days_left: daysLeft,
+        on_hand_qty: Number(row.on_hand_qty),
+        bucket: daysLeft < 0 ? "expired" : `within_${EXPIRY_BUCKET_DAYS.find((days) => daysLeft <= days)}`
+      };
+    })
+  };
+}
+
+module.exports = {
+  EXPIRY_BUCKET_DAYS,
+  expireLots,
+  isLotExpired,
+  assertLotNotExpired,
+  getExpiryReport
+};
@@ -0,0 +1,281 @@
+const { getPool } = require("../db");
+const {
+  StockError,
+  adjustAvailableQty,
+  reserveStock,
+  releaseReservedStock,
+  consumeReservedStock,
+  upsertStockTxn,
+  softDeleteStockTxn
+} = require("./stock");
+const { upsertOutboundServiceEvent, softDeleteOutboundServiceEvent } = require("./billing");
+const { isLotOnHold, assertLotNotOnHold } = require("./qualityControl");
+const { isLotExpired, assertLotNotExpired } = require("./lotExpiry");
+
+const RESERVING_STATUSES = ["confirmed", "allocated", "picking", "packed"];
+const SHIPPED_STATUSES = ["shipped", "delivered"];
+
+let outboundReservationsTableReady = null;
+
+function ensureOutboundReservationsTable() {
+  if (!outboundReservationsTableReady) {
+    outboundReservationsTableReady = getPool()
+      .query(
+        `CREATE TABLE IF NOT EXISTS outbound_reservations (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          outbound_order_id BIGINT UNSIGNED NOT NULL,
+          outbound_item_id BIGINT UNSIGNED NOT NULL,
+          client_id BIGINT UNSIGNED NOT NULL,
+          product_id BIGINT UNSIGNED NOT NULL,
+          lot_id BIGINT UNSIGNED NOT NULL,
+          warehouse_id BIGINT UNSIGNED NOT NULL,
+          location_id BIGINT UNSIGNED NULL,
+          qty INT UNSIGNED NOT NULL,
+          status ENUM('reserved','allocated','shipped','released') NOT NULL DEFAULT 'reserved',
+          stock_transaction_id BIGINT UNSIGNED NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          PRIMARY KEY (id),
+          UNIQUE KEY uq_outbound_reservations_item (outbound_item_id),
+          KEY idx_outbound_reservations_order_status (outbound_order_id, status),
+          KEY idx_outbound_reservations_balance (client_id, product_id, lot_id, warehouse_id, status)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+      )
+      .catch((error) => {
+        outboundReservationsTableReady = null;
+        throw error;
+      });
+  }
+  return outboundReservationsTableReady;
+}
+
+// draft/cancelled hold no stock, confirmed..packed hold a reservation, shipped/delivered have left the warehouse.
+function getOutboundStockPhase(status) {
+  if (SHIPPED_STATUSES.includes(status)) return "shipped";
+  if (RESERVING_STATUSES.includes(status)) return "reserved";
+  return "open";
+}
+
+function reservationKey(reservation) {
+  return {
+    clientId: reservation.client_id,
+    productId: reservation.product_id,
+    lotId: reservation.lot_id,
+    warehouseId: reservation.warehouse_id,
+    locationId: reservation.location_id
+  };
+}
+
+async function getReservation(conn, itemId) {
+  await ensureOutboundReservationsTable();
+  const [rows] = await conn.query(
+    `SELECT id, outbound_order_id, outbound_item_id, client_id, product_id, lot_id, warehouse_id, location_id, qty, status,
+            stock_transaction_id
+     FROM outbound_reservations
+     WHERE outbound_item_id = ?
+     FOR UPDATE`,
+    [itemId]
+  );
+  return rows[0] || null;
+}
+
+// Items created before reservations existed deducted stock and wrote outbound_ship on insert.
+async function getLegacyShipTxnId(conn, itemId) {
+  const [rows] = await conn.query(
+    `SELECT id
+     FROM stock_transactions
+     WHERE txn_type = 'outbound_ship' AND ref_type = 'outbound_item' AND ref_id = ? AND deleted_at IS NULL
+     LIMIT 1`,
+    [itemId]
+  );
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+async function findReservableLocation(conn, order, item) {
+  if (item.location_id) return item.location_id;
+  const [rows] = await conn.query(
+    `SELECT location_id
+     FROM stock_balances
+     WHERE client_id = ? AND product_id = ? AND lot_id = ? AND warehouse_id = ?
+       AND available_qty >= ? AND deleted_at IS NULL
+     ORDER BY location_id IS NOT NULL, id ASC
+     LIMIT 1`,
+    [order.client_id, item.product_id, item.lot_id, order.warehouse_id, item.qty]
+  );
+  if (rows.length === 0) {
+    throw new StockError("INSUFFICIENT_STOCK", "Insufficient stock");
+  }
+  return rows[0].location_id;
+}
+
+async function reserveOutboundItem(conn, order, item) {
+  const existing = await getReservation(conn, item.id);
+  if (existing && existing.status !== "released") {
+    if (existing.status !== "shipped") await assertLotNotOnHold(conn, existing.lot_id);
+    return existing;
+  }
+  if (!existing && (await getLegacyShipTxnId(conn, item.id))) return null;
+  if (await isLotOnHold(conn, item.lot_id)) {
+    throw new StockError("LOT_ON_HOLD", `Lot ${item.lot_id} is on QC hold and cannot be allocated`);
+  }
+  if (await isLotExpired(conn, item.lot_id)) {
+    throw new StockError("LOT_EXPIRED", `Lot ${item.lot_id} is expired and cannot be allocated`);
+  }
+
+  const locationId = await findReservableLocation(conn, order, item);
+  await reserveStock(
+    conn,
+    {
+      clientId: order.client_id,
+      productId: item.product_id,
+      lotId: item.lot_id,
+      warehouseId: order.warehouse_id,
+      locationId
+    },
+    item.qty
+  );
+  await conn.query(
+    `INSERT INTO outbound_reservations
+      (outbound_order_id, outbound_item_id, client_id, product_id, lot_id, warehouse_id, location_id, qty, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'reserved')
+     ON DUPLICATE KEY UPDATE
+      outbound_order_id = VALUES(outbound_order_id), client_id = VALUES(client_id), product_id = VALUES(product_id),
+      lot_id = VALUES(lot_id), warehouse_id = VALUES(warehouse_id), location_id = VALUES(location_id),
+      qty = VALUES(qty), status = 'reserved', stock_transaction_id = NULL`,
+    [order.id, item.id, order.client_id, item.product_id, item.lot_id, order.warehouse_id, locationId, item.qty]
+  );
+  return getReservation(conn, item.id);
+}
+
+async function bindItemLocation(conn, item, reservation) {
+  if (!item.location_id && reservation.location_id) {
+    await conn.query("UPDATE outbound_items SET location_id = ? WHERE id = ?", [reservation.location_id, item.id]);
+  }
+}
+
+async function allocateOutboundItem(conn, order, item) {
+  const reservation = await reserveOutboundItem(conn, order, item);
+  if (!reservation || reservation.status !== "reserved") return reservation;
+
+  await conn.query("UPDATE outbound_reservations SET status = 'allocated' WHERE id = ?", [reservation.id]);
+  await bindItemLocation(conn, item, reservation);
+  return { ...reservation, status: "allocated" };
+}
+
+async function shipOutboundItem(conn, order, item) {
+  const reservation = await reserveOutboundItem(conn, order, item);
+  if (!reservation || reservation.status === "shipped") return reservation;
+
+  await assertLotNotOnHold(conn, reservation.lot_id);
+  await assertLotNotExpired(conn, reservation.lot_id);
+  await consumeReservedStock(conn, reservationKey(reservation), reservation.qty);
+  const stockTxnId = await upsertStockTxn(conn, {
+    clientId: reservation.client_id,
+    productId: reservation.product_id,
+    lotId: reservation.lot_id,
+    warehouseId: reservation.warehouse_id,
+    locationId: reservation.location_id,
+    txnType: "outbound_ship",
+    qtyIn: 0,
+    qtyOut: reservation.qty,
+    refType: "outbound_item",
+    refId: item.id,
+    createdBy: order.created_by,
+    note: item.remark
+  });
+  await upsertOutboundServiceEvent(conn, {
+    clientId: reservation.client_id,
+    outboundOrderId: order.id,
+    stockTransactionId: stockTxnId,
+    orderDate: order.order_date,
+    qty: reservation.qty,
+    boxCount: item.box_count,
+    remark: item.remark
+  });
+  await conn.query("UPDATE outbound_reservations SET status = 'shipped', stock_transaction_id = ? WHERE id = ?", [
+    stockTxnId,
+    reservation.id
+  ]);
+  await bindItemLocation(conn, item, reservation);
+  return { ...reservation, status: "shipped", stock_transaction_id: stockTxnId };
+}
+
+// `order` is the order the item belonged to when its stock was taken (used for legacy items only).
+async function releaseOutboundItem(conn, order, item) {
+  const reservation = await getReservation(conn, item.id);
+  if (reservation) {
+    if (reservation.status === "shipped") {
+      throw new StockError("ORDER_ALREADY_SHIPPED", "Shipped items cannot be released");
+    }
+    if (reservation.status !== "released") {
+      await releaseReservedStock(conn, reservationKey(reservation), reservation.qty);
+      await conn.query("UPDATE outbound_reservations SET status = 'released' WHERE id = ?", [reservation.id]);
+    }
+    return;
+  }
+
+  const legacyTxnId = await getLegacyShipTxnId(conn, item.id);
+  if (!legacyTxnId) return;
+  await adjustAvailableQty(
+    conn,
+    {
+      clientId: order.client_id,
+      productId: item.product_id,
+      lotId: item.lot_id,
+      warehouseId: order.warehouse_id,
+      locationId: item.location_id
+    },
+    Number(item.qty)
+  );
+  await softDeleteOutboundServiceEvent(conn, legacyTxnId);
+  await softDeleteStockTxn(conn, "outbound_ship", "outbound_item", item.id);
+}
+
+// Applies the stock side of an item that was just added to (or moved into) an order.
+async function holdOutboundItemStock(conn, order, item) {
+  const phase = getOutboundStockPhase(order.status);
+  if (phase === "shipped") {
+    throw new StockError("ORDER_ALREADY_SHIPPED", "Items cannot be added to a shipped order");
+  }
+  if (phase !== "reserved") return null;
+  return order.status === "confirmed"
+    ? reserveOutboundItem(conn, order, item)
+    : allocateOutboundItem(conn, order, item);
+}
+
+async function syncOutboundOrderStock(conn, prevOrder, nextOrder) {
+  const fromPhase = getOutboundStockPhase(prevOrder.status);
+  const toPhase = getOutboundStockPhase(nextOrder.status);
+  const keyChanged =
+    Number(prevOrder.client_id) !== Number(nextOrder.client_id) ||
+    Number(prevOrder.warehouse_id) !== Number(nextOrder.warehouse_id);
+
+  if (fromPhase === "shipped" && (toPhase !== "shipped" || keyChanged)) {
+    throw new StockError("ORDER_ALREADY_SHIPPED", "Shipped orders cannot be moved back or re-assigned");
+  }
+
+  const releasing =
+    (fromPhase === "reserved" && (toPhase === "open" || keyChanged)) ||
+    (nextOrder.status === "cancelled" && prevOrder.status !== "cancelled");
+
+  const [items] = await conn.query(
+    `SELECT id, outbound_order_id, product_id, lot_id, location_id, qty, box_count, remark
+     FROM outbound_items
+     WHERE outbound_order_id = ? AND deleted_at IS NULL
+     ORDER BY id ASC`,
+    [nextOrder.id]
+  );
+  for (const item of items) {
+    if (releasing) await releaseOutboundItem(conn, prevOrder, item);
+    if (toPhase === "shipped") await shipOutboundItem(conn, nextOrder, item);
+    else if (toPhase === "reserved") await holdOutboundItemStock(conn, nextOrder, item);
+  }
+}
+
+module.exports = {
+  ensureOutboundReservationsTable,
+  getOutboundStockPhase,
+  holdOutboundItemStock,
+  releaseOutboundItem,
+  syncOutboundOrderStock
+};
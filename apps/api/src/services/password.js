@@ -0,0 +1,62 @@
+const crypto = require("crypto");
+
+const HASH_PREFIX = "scrypt";
+const KEY_LENGTH = 64;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const MIN_PASSWORD_LENGTH = 8;
+
+function scryptAsync(password, salt, keyLength, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, params, (error, derivedKey) => {
+      if (error) return reject(error);
+      return resolve(derivedKey);
+    });
+  });
+}
+
+function isHashedPassword(stored) {
+  return typeof stored === "string" && stored.startsWith(`${HASH_PREFIX}$`);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const derived = await scryptAsync(String(password), salt, KEY_LENGTH, { N, r, p });
+  return [HASH_PREFIX, N, r, p, salt.toString("base64"), derived.toString("base64")].join("$");
+}
+
+function safeEqual(left, right) {
+  if (left.length !== right.length) return false;
+  return crypto.timingSafeEqual(left, right);
+}
+
+// Returns { valid, needsRehash }. Legacy rows store the password as plaintext;
+// they still verify so the caller can upgrade them to a hash on success.
+async function verifyPassword(password, stored) {
+  if (!stored) return { valid: false, needsRehash: false };
+
+  if (!isHashedPassword(stored)) {
+    const valid = safeEqual(Buffer.from(String(password)), Buffer.from(String(stored)));
+    return { valid, needsRehash: valid };
+  }
+
+  const [, nRaw, rRaw, pRaw, saltB64, hashB64] = stored.split("$");
+  const N = Number(nRaw);
+  const r = Number(rRaw);
+  const p = Number(pRaw);
+  if (!N || !r || !p || !saltB64 || !hashB64) return { valid: false, needsRehash: false };
+
+  const expected = Buffer.from(hashB64, "base64");
+  const derived = await scryptAsync(String(password), Buffer.from(saltB64, "base64"), expected.length, { N, r, p });
+  const valid = safeEqual(derived, expected);
+  const needsRehash =
+    valid && (N !== SCRYPT_PARAMS.N || r !== SCRYPT_PARAMS.r || p !== SCRYPT_PARAMS.p || expected.length !== KEY_LENGTH);
+  return { valid, needsRehash };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  isHashedPassword,
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,155 @@
+const { getPool } = require("../db");
+const { trunc100 } = require("./billingPricing");
+
+const MIN_TOPUP_SERVICE_CODE = "MIN_TOPUP";
+const MAX_CAP_SERVICE_CODE = "MAX_CAP";
+const POLICY_CURRENCY = { THB_BASED: "THB", KRW_FIXED: "KRW" };
+
+let pricingRulesTableReady = null;
+
+function ensureClientPricingRulesTable() {
+  if (!pricingRulesTableReady) {
+    pricingRulesTableReady = getPool()
+      .query(
+        `CREATE TABLE IF NOT EXISTS client_pricing_rules (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          client_id BIGINT UNSIGNED NOT NULL,
+          service_code VARCHAR(80) NOT NULL,
+          currency ENUM('THB','KRW') NOT NULL,
+          tiers JSON NULL,
+          min_charge DECIMAL(18,4) NULL,
+          max_charge DECIMAL(18,4) NULL,
+          effective_date DATE NOT NULL,
+          created_by BIGINT UNSIGNED NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          deleted_at DATETIME NULL,
+          PRIMARY KEY (id),
+          KEY idx_pricing_rules_client_service (client_id, service_code, effective_date, deleted_at),
+          CONSTRAINT fk_pricing_rules_client FOREIGN KEY (client_id) REFERENCES clients(id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+      )
+      .catch((error) => {
+        pricingRulesTableReady = null;
+        throw error;
+      });
+  }
+  return pricingRulesTableReady;
+}
+
+function parseTiers(value) {
+  if (value === null || value === undefined) return null;
+  const tiers = typeof value === "string" ? JSON.parse(value) : value;
+  return Array.isArray(tiers) && tiers.length > 0 ? tiers : null;
+}
+
+function toRule(row) {
+  return {
+    ...row,
+    tiers: parseTiers(row.tiers),
+    min_charge: row.min_charge === null ? null : Number(row.min_charge),
+    max_charge: row.max_charge === null ? null : Number(row.max_charge)
+  };
+}
+
+// The latest rule per service effective before `beforeDate` (the first day of the next month for invoices).
+async function getEffectivePricingRules(conn, clientId, beforeDate) {
+  const [rows] = await conn.query(
+    `SELECT id, client_id, service_code, currency, tiers, min_charge, max_charge, effective_date
+     FROM client_pricing_rules
+     WHERE client_id = ? AND effective_date < ? AND deleted_at IS NULL
+     ORDER BY service_code ASC, effective_date DESC, id DESC`,
+    [clientId, beforeDate]
+  );
+  const rules = new Map();
+  for (const row of rows) {
+    if (!rules.has(row.service_code)) rules.set(row.service_code, toRule(row));
+  }
+  return rules;
+}
+
+// Graduated tiers: each unit is priced by the tier its position in the month falls into. `up_to` is the
+// cumulative qty where a tier ends; the last tier has `up_to: null`.
+function tieredAmount(tiers, startQty, qty) {
+  let position = startQty;
+  let remaining = qty;
+  let amount = 0;
+  for (const tier of tiers) {
+    if (remaining <= 0) break;
+    const upper = tier.up_to === null || tier.up_to === undefined ? Infinity : Number(tier.up_to);
+    if (position >= upper) continue;
+    const taken = Math.min(remaining, upper - position);
+    amount += taken * Number(tier.rate);
+    position += taken;
+    remaining -= taken;
+  }
+  return amount;
+}
+
+// Re-prices the month's events of one service along the rule's tiers, in event date order. Only events priced in
+// the rule's currency take part; manually priced events keep their price. Re-priced events get `price_source =
+// 'tiered'`, so /billing/events/reprice brings back the flat rate once the rule is gone. Mutates `events` so the
+// caller's totals use the tiered prices.
+async function applyTieredPricing(conn, rule, events) {
+  const eligible = events
+    .filter((event) => POLICY_CURRENCY[event.pricing_policy] === rule.currency && event.price_source !== "manual")
+    .sort((a, b) => new Date(a.event_date).getTime() - new Date(b.event_date).getTime() || a.id - b.id);
+
+  let cumulative = 0;
+  for (const event of eligible) {
+    const qty = Number(event.qty || 0);
+    const rawAmount = tieredAmount(rule.tiers, cumulative, qty);
+    // KRW amounts follow the flat-rate rule of truncating to 100 won.
+    const amount = rule.currency === "KRW" ? trunc100(rawAmount) : Number(rawAmount.toFixed(4));
+    const unitPrice = qty > 0 ? Number((amount / qty).toFixed(4)) : 0;
+    cumulative += qty;
+
+    if (rule.currency === "THB") {
+      event.unit_price_thb = unitPrice;
+      event.amount_thb = amount;
+      await conn.query(
+        "UPDATE billing_events SET unit_price_thb = ?, amount_thb = ?, price_source = 'tiered', priced_at = NOW() WHERE id = ?",
+        [unitPrice, amount, event.id]
+      );
+    } else {
+      event.unit_price_krw = unitPrice;
+      event.amount_krw = amount;
+      await conn.query(
+        "UPDATE billing_events SET unit_price_krw = ?, amount_krw = ?, price_source = 'tiered', priced_at = NOW() WHERE id = ?",
+        [unitPrice, amount, event.id]
+      );
+    }
+    event.price_source = "tiered";
+  }
+  return eligible.length;
+}
+
+// Compares a service's invoiced KRW amount with the rule's monthly minimum and cap. Returns the adjustment line
+// to add (positive top-up or negative cap), or null.
+function evaluateChargeLimits(rule, amountKrw, fx) {
+  const toKrw = (value) => trunc100(rule.currency === "THB" ? value * fx : value);
+  if (rule.min_charge !== null) {
+    const minimumKrw = toKrw(rule.min_charge);
+    if (amountKrw < minimumKrw) {
+      return { type: "min_topup", service_code: MIN_TOPUP_SERVICE_CODE, limit_krw: minimumKrw, amount_krw: minimumKrw - amountKrw };
+    }
+  }
+  if (rule.max_charge !== null) {
+    const maximumKrw = toKrw(rule.max_charge);
+    if (amountKrw > maximumKrw) {
+      return { type: "max_cap", service_code: MAX_CAP_SERVICE_CODE, limit_krw: maximumKrw, amount_krw: maximumKrw - amountKrw };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  MIN_TOPUP_SERVICE_CODE,
+  MAX_CAP_SERVICE_CODE,
+  ensureClientPricingRulesTable,
+  toRule,
+  getEffectivePricingRules,
+  tieredAmount,
+  applyTieredPricing,
+  evaluateChargeLimits
+};
@@ -0,0 +1,410 @@
+const { getPool } = require("../db");
+const {
+  StockError,
+  adjustHeldQty,
+  holdAvailableStock,
+  releaseHeldStock,
+  upsertStockTxn,
+  softDeleteStockTxn
+} = require("./stock");
+
+const STOCK_TXN_TYPES = [
+  "inbound_receive",
+  "outbound_ship",
+  "return_restock",
+  "return_dispose",
+  "adjustment",
+  "move_location",
+  "qc_hold",
+  "qc_release",
+  "qc_quarantine"
+];
+const STOCK_REF_TYPES = [
+  "inbound_item",
+  "outbound_item",
+  "return_item",
+  "manual_adjustment",
+  "location_move",
+  "qc_hold",
+  "qc_inspection"
+];
+
+let qcSchemaReady = null;
+
+async function getColumnType(conn, tableName, columnName) {
+  const [rows] = await conn.query(
+    `SELECT column_type
+     FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = ?
+       AND column_name = ?`,
+    [tableName, columnName]
+  );
+  return rows[0] ? String(rows[0].column_type || rows[0].COLUMN_TYPE) : null;
+}
+
+function includesAll(columnType, values) {
+  return Boolean(columnType) && values.every((value) => columnType.includes(`'${value}'`));
+}
+
+async function prepareQcSchema() {
+  const pool = getPool();
+  const holdQty = await getColumnType(pool, "stock_balances", "hold_qty");
+  const txnType = await getColumnType(pool, "stock_transactions", "txn_type");
+  const refType = await getColumnType(pool, "stock_transactions", "ref_type");
+  if (!holdQty || !includesAll(txnType, STOCK_TXN_TYPES) || !includesAll(refType, STOCK_REF_TYPES)) {
+    throw new StockError(
+      "SCHEMA_OUTDATED",
+      "stock_balances.hold_qty or the QC stock transaction types are missing; apply sql/patch_qc_holds.sql"
+    );
+  }
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS qc_holds (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      client_id BIGINT UNSIGNED NOT NULL,
+      product_id BIGINT UNSIGNED NOT NULL,
+      lot_id BIGINT UNSIGNED NOT NULL,
+      warehouse_id BIGINT UNSIGNED NOT NULL,
+      location_id BIGINT UNSIGNED NULL,
+      source_type ENUM('inbound_item','lot') NOT NULL,
+      source_id BIGINT UNSIGNED NOT NULL,
+      hold_qty INT UNSIGNED NOT NULL,
+      released_qty INT UNSIGNED NOT NULL DEFAULT 0,
+      quarantined_qty INT UNSIGNED NOT NULL DEFAULT 0,
+      status ENUM('open','closed','cancelled') NOT NULL DEFAULT 'open',
+      reason VARCHAR(500) NULL,
+      created_by BIGINT UNSIGNED NULL,
+      closed_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_qc_holds_source (source_type, source_id),
+      KEY idx_qc_holds_lot_status (lot_id, status),
+      KEY idx_qc_holds_client_status (client_id, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS qc_inspections (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      qc_hold_id BIGINT UNSIGNED NOT NULL,
+      result ENUM('pass','partial','fail') NOT NULL,
+      passed_qty INT UNSIGNED NOT NULL DEFAULT 0,
+      failed_qty INT UNSIGNED NOT NULL DEFAULT 0,
+      reason VARCHAR(500) NULL,
+      inspected_by BIGINT UNSIGNED NULL,
+      inspected_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_qc_inspections_hold (qc_hold_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS qc_inspection_files (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      qc_inspection_id BIGINT UNSIGNED NOT NULL,
+      file_id BIGINT UNSIGNED NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_qc_inspection_files (qc_inspection_id, file_id),
+      KEY idx_qc_inspection_files_file (file_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+// Creates the QC tables on first use; the stock table changes come only from sql/patch_qc_holds.sql.
+// Runs DDL, so call it before opening a transaction.
+function ensureQcSchema() {
+  if (!qcSchemaReady) {
+    qcSchemaReady = prepareQcSchema().catch((error) => {
+      qcSchemaReady = null;
+      throw error;
+    });
+  }
+  return qcSchemaReady;
+}
+
+function holdKey(hold) {
+  return {
+    clientId: hold.client_id,
+    productId: hold.product_id,
+    lotId: hold.lot_id,
+    warehouseId: hold.warehouse_id,
+    locationId: hold.location_id
+  };
+}
+
+function remainingHoldQty(hold) {
+  return Number(hold.hold_qty) - Number(hold.released_qty) - Number(hold.quarantined_qty);
+}
+
+async function isLotOnHold(conn, lotId) {
+  const [rows] = await conn.query("SELECT status FROM product_lots WHERE id = ? AND deleted_at IS NULL", [lotId]);
+  return rows.length > 0 && rows[0].status === "hold";
+}
+
+// Reserved stock keeps its bucket when a lot is held, so shipping and reusing a reservation check the lot too.
+async function assertLotNotOnHold(conn, lotId) {
+  if (await isLotOnHold(conn, lotId)) {
+    throw new StockError("LOT_ON_HOLD", `Lot ${lotId} is on QC hold and cannot be shipped`);
+  }
+}
+
+async function getQcHold(conn, holdId, { forUpdate = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT id, client_id, product_id, lot_id, warehouse_id, location_id, source_type, source_id, hold_qty, released_qty,
+            quarantined_qty, status, reason, created_by, closed_at, created_at, updated_at
+     FROM qc_holds
+     WHERE id = ?${forUpdate ? " FOR UPDATE" : ""}`,
+    [holdId]
+  );
+  return rows[0] || null;
+}
+
+// Received qty of an inbound line goes to the held bucket instead of available. A `qc_hold` row (in = out) records
+// the move into hold, so the ledger rebuilds the same hold_qty as stock_balances.
+async function holdInboundItemStock(conn, order, item, key, qty) {
+  await adjustHeldQty(conn, key, qty);
+  const [result] = await conn.query(
+    `INSERT INTO qc_holds
+      (client_id, product_id, lot_id, warehouse_id, location_id, source_type, source_id, hold_qty, status, reason, created_by)
+     VALUES (?, ?, ?, ?, ?, 'inbound_item', ?, ?, 'open', ?, ?)`,
+    [
+      key.clientId,
+      key.productId,
+      key.lotId,
+      key.warehouseId,
+      key.locationId,
+      item.id,
+      qty,
+      order.status === "qc_hold" ? "Inbound order in QC" : "Lot on hold",
+      order.created_by
+    ]
+  );
+  await upsertStockTxn(conn, {
+    ...key,
+    txnType: "qc_hold",
+    qtyIn: qty,
+    qtyOut: qty,
+    refType: "qc_hold",
+    refId: result.insertId,
+    createdBy: order.created_by,
+    note: "inbound receipt -> hold"
+  });
+}
+
+// Returns true when the line's receipt was held (and has now been removed from the held bucket).
+async function reverseInboundItemHold(conn, item) {
+  const [rows] = await conn.query(
+    `SELECT id, client_id, product_id, lot_id, warehouse_id, location_id, hold_qty, released_qty, quarantined_qty
+     FROM qc_holds
+     WHERE source_type = 'inbound_item' AND source_id = ? AND status <> 'cancelled'
+     ORDER BY id DESC
+     LIMIT 1
+     FOR UPDATE`,
+    [item.id]
+  );
+  const hold = rows[0];
+  if (!hold) return false;
+  if (Number(hold.released_qty) > 0 || Number(hold.quarantined_qty) > 0) {
+    throw new StockError("QC_ALREADY_INSPECTED", "Inspected inbound items cannot be reversed");
+  }
+  await adjustHeldQty(conn, holdKey(hold), -Number(hold.hold_qty));
+  await conn.query("UPDATE qc_holds SET status = 'cancelled', closed_at = NOW() WHERE id = ?", [hold.id]);
+  await softDeleteStockTxn(conn, "qc_hold", "qc_hold", hold.id);
+  return true;
+}
+
+async function countOpenInboundHolds(conn, inboundOrderId) {
+  const [rows] = await conn.query(
+    `SELECT COUNT(*) AS cnt
+     FROM qc_holds h
+     JOIN inbound_items ii ON ii.id = h.source_id
+     WHERE h.source_type = 'inbound_item' AND h.status = 'open' AND ii.inbound_order_id = ? AND ii.deleted_at IS NULL`,
+    [inboundOrderId]
+  );
+  return Number(rows[0]?.cnt || 0);
+}
+
+async function holdLotStock(conn, { lotId, warehouseId = null, reason, createdBy }) {
+  const [lots] = await conn.query(
+    "SELECT id, status FROM product_lots WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+    [lotId]
+  );
+  if (lots.length === 0) {
+    throw new StockError("NOT_FOUND", "Product lot not found");
+  }
+  if (["expired", "inactive"].includes(lots[0].status)) {
+    throw new StockError("INVALID_LOT_STATUS", `A ${lots[0].status} lot cannot be put on hold`);
+  }
+
+  const params = [lotId];
+  let query = `SELECT id, client_id, product_id, lot_id, warehouse_id, location_id, available_qty
+               FROM stock_balances
+               WHERE lot_id = ? AND available_qty > 0 AND deleted_at IS NULL`;
+  if (warehouseId) {
+    query += " AND warehouse_id = ?";
+    params.push(warehouseId);
+  }
+  query += " ORDER BY id ASC FOR UPDATE";
+  const [balances] = await conn.query(query, params);
+
+  await conn.query("UPDATE product_lots SET status = 'hold' WHERE id = ?", [lotId]);
+
+  const holdIds = [];
+  for (const balance of balances) {
+    const key = holdKey(balance);
+    const qty = Number(balance.available_qty);
+    await holdAvailableStock(conn, key, qty);
+    const [result] = await conn.query(
+      `INSERT INTO qc_holds
+        (client_id, product_id, lot_id, warehouse_id, location_id, source_type, source_id, hold_qty, status, reason, created_by)
+       VALUES (?, ?, ?, ?, ?, 'lot', ?, ?, 'open', ?, ?)`,
+      [key.clientId, key.productId, key.lotId, key.warehouseId, key.locationId, lotId, qty, reason, createdBy]
+    );
+    await upsertStockTxn(conn, {
+      ...key,
+      txnType: "qc_hold",
+      qtyIn: qty,
+      qtyOut: qty,
+      refType: "qc_hold",
+      refId: result.insertId,
+      createdBy,
+      note: `available -> hold: ${reason}`
+    });
+    holdIds.push(result.insertId);
+  }
+  return holdIds;
+}
+
+function resolveInspectionQty(hold, { result, passedQty, failedQty }) {
+  const remaining = remainingHoldQty(hold);
+  if (result === "pass") return { passed: passedQty ?? remaining, failed: 0 };
+  if (result === "fail") return { passed: 0, failed: failedQty ?? remaining };
+  if (!passedQty || !failedQty) {
+    throw new StockError("INVALID_QTY", "A partial result needs both passed_qty and failed_qty");
+  }
+  return { passed: passedQty, failed: failedQty };
+}
+
+async function inspectQcHold(conn, holdId, { result, passedQty, failedQty, reason, fileIds = [], inspectedBy }) {
+  const hold = await getQcHold(conn, holdId, { forUpdate: true });
+  if (!hold) {
+    throw new StockError("NOT_FOUND", "QC hold not found");
+  }
+  if (hold.status !== "open") {
+    throw new StockError("QC_HOLD_CLOSED", `QC hold is already ${hold.status}`);
+  }
+  if (result !== "pass" && !reason) {
+    throw new StockError("REASON_REQUIRED", "A reason is required for partial or failed inspections");
+  }
+
+  const { passed, failed } = resolveInspectionQty(hold, { result, passedQty, failedQty });
+  const remaining = remainingHoldQty(hold);
+  if (passed + failed <= 0 || passed + failed > remaining) {
+    throw new StockError("INVALID_QTY", `Inspected qty must be between 1 and the held qty (${remaining})`);
+  }
+
+  if (fileIds.length > 0) {
+    const [files] = await conn.query("SELECT id FROM files WHERE id IN (?) AND deleted_at IS NULL", [fileIds]);
+    if (files.length !== new Set(fileIds).size) {
+      throw new StockError("INVALID_FILE", "One or more file_ids do not exist");
+    }
+  }
+
+  const [inserted] = await conn.query(
+    `INSERT INTO qc_inspections (qc_hold_id, result, passed_qty, failed_qty, reason, inspected_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [hold.id, result, passed, failed, reason || null, inspectedBy]
+  );
+  const inspectionId = inserted.insertId;
+  for (const fileId of new Set(fileIds)) {
+    await conn.query("INSERT INTO qc_inspection_files (qc_inspection_id, file_id) VALUES (?, ?)", [inspectionId, fileId]);
+  }
+
+  const key = holdKey(hold);
+  const txnBase = { ...key, refType: "qc_inspection", refId: inspectionId, createdBy: inspectedBy || hold.created_by };
+  if (passed > 0) {
+    await releaseHeldStock(conn, key, passed);
+    await upsertStockTxn(conn, { ...txnBase, txnType: "qc_release", qtyIn: passed, qtyOut: passed, note: "hold -> available" });
+  }
+  if (failed > 0) {
+    await adjustHeldQty(conn, key, -failed);
+    await upsertStockTxn(conn, {
+      ...txnBase,
+      txnType: "qc_quarantine",
+      qtyIn: 0,
+      qtyOut: failed,
+      note: `quarantined: ${reason}`
+    });
+  }
+
+  const closing = passed + failed === remaining;
+  await conn.query(
+    `UPDATE qc_holds
+     SET released_qty = released_qty + ?, quarantined_qty = quarantined_qty + ?,
+         status = IF(?, 'closed', 'open'), closed_at = IF(?, NOW(), NULL)
+     WHERE id = ?`,
+    [passed, failed, closing, closing, hold.id]
+  );
+
+  // A lot put on hold becomes allocatable again once all of its holds are inspected.
+  if (closing && hold.source_type === "lot") {
+    const [openHolds] = await conn.query(
+      "SELECT COUNT(*) AS cnt FROM qc_holds WHERE lot_id = ? AND source_type = 'lot' AND status = 'open'",
+      [hold.lot_id]
+    );
+    if (Number(openHolds[0].cnt) === 0) {
+      await conn.query("UPDATE product_lots SET status = 'active' WHERE id = ? AND status = 'hold'", [hold.lot_id]);
+    }
+  }
+
+  return inspectionId;
+}
+
+async function getQcHoldDetail(conn, holdId) {
+  const hold = await getQcHold(conn, holdId);
+  if (!hold) return null;
+  const [inspections] = await conn.query(
+    `SELECT i.id, i.result, i.passed_qty, i.failed_qty, i.reason, i.inspected_by, u.name AS inspected_by_name, i.inspected_at
+     FROM qc_inspections i
+     LEFT JOIN users u ON u.id = i.inspected_by
+     WHERE i.qc_hold_id = ?
+     ORDER BY i.id ASC`,
+    [holdId]
+  );
+  const [files] = inspections.length
+    ? await conn.query(
+        `SELECT qf.qc_inspection_id, f.id, f.file_name, f.mime_type, f.size_bytes
+         FROM qc_inspection_files qf
+         JOIN files f ON f.id = qf.file_id AND f.deleted_at IS NULL
+         WHERE qf.qc_inspection_id IN (?)
+         ORDER BY qf.id ASC`,
+        [inspections.map((inspection) => inspection.id)]
+      )
+    : [[]];
+
+  return {
+    ...hold,
+    remaining_qty: remainingHoldQty(hold),
+    inspections: inspections.map((inspection) => ({
+      ...inspection,
+      files: files
+        .filter((file) => Number(file.qc_inspection_id) === Number(inspection.id))
+        .map((file) => ({ id: file.id, file_name: file.file_name, mime_type: file.mime_type, size_bytes: file.size_bytes }))
+    }))
+  };
+}
+
+module.exports = {
+  ensureQcSchema,
+  isLotOnHold,
+  assertLotNotOnHold,
+  holdInboundItemStock,
+  reverseInboundItemHold,
+  countOpenInboundHolds,
+  holdLotStock,
+  inspectQcHold,
+  getQcHoldDetail,
+  remainingHoldQty
+};
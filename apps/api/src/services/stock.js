@@ -24,7 +24,7 @@ async function withTransaction(work) {
 
 async function getInboundOrderContext(conn, inboundOrderId) {
   const [rows] = await conn.query(
-    `SELECT id, client_id, warehouse_id, created_by
+    `SELECT id, client_id, warehouse_id, status, created_by
      FROM inbound_orders
      WHERE id = ? AND deleted_at IS NULL`,
     [inboundOrderId]
@@ -34,7 +34,7 @@ async function getInboundOrderContext(conn, inboundOrderId) {
 
 async function getOutboundOrderContext(conn, outboundOrderId) {
   const [rows] = await conn.query(
-    `SELECT id, client_id, warehouse_id, order_date, created_by
+    `SELECT id, client_id, warehouse_id, order_date, status, created_by
      FROM outbound_orders
      WHERE id = ? AND deleted_at IS NULL`,
     [outboundOrderId]
@@ -52,8 +52,33 @@ async function getReturnOrderContext(conn, returnOrderId) {
   return rows[0] || null;
 }
 
+// Bins covered by a cycle count with freeze_stock reject on-hand changes until the count is approved or cancelled.
+async function assertStockNotFrozen(conn, key) {
+  let rows;
+  try {
+    [rows] = await conn.query(
+      `SELECT c.id
+       FROM cycle_count_tasks t
+       JOIN cycle_counts c ON c.id = t.cycle_count_id
+       WHERE c.freeze_stock = 1
+         AND c.status IN ('counting','review')
+         AND c.warehouse_id = ?
+         AND t.location_id <=> ?
+       LIMIT 1`,
+      [key.warehouseId, key.locationId]
+    );
+  } catch (error) {
+    if (error.code === "ER_NO_SUCH_TABLE") return;
+    throw error;
+  }
+  if (rows.length > 0) {
+    throw new StockError("STOCK_FROZEN", `Location is frozen by cycle count ${rows[0].id}`);
+  }
+}
+
 async function adjustAvailableQty(conn, key, delta) {
   const { clientId, productId, lotId, warehouseId, locationId } = key;
+  await assertStockNotFrozen(conn, key);
   const [rows] = await conn.query(
     `SELECT id, available_qty
      FROM stock_balances
@@ -91,6 +116,117 @@ async function adjustAvailableQty(conn, key, delta) {
   );
 }
 
+async function lockStockBalance(conn, key) {
+  const { clientId, productId, lotId, warehouseId, locationId } = key;
+  const [rows] = await conn.query(
+    `SELECT id, available_qty, reserved_qty
+     FROM stock_balances
+     WHERE client_id = ?
+       AND product_id = ?
+       AND lot_id = ?
+       AND warehouse_id = ?
+       AND location_id <=> ?
+       AND deleted_at IS NULL
+     FOR UPDATE`,
+    [clientId, productId, lotId, warehouseId, locationId]
+  );
+  return rows[0] || null;
+}
+
+// Moves qty from available into reserved; on-hand (available + reserved) is unchanged.
+async function reserveStock(conn, key, qty) {
+  const balance = await lockStockBalance(conn, key);
+  if (!balance || Number(balance.available_qty) < Number(qty)) {
+    throw new StockError("INSUFFICIENT_STOCK", "Insufficient stock");
+  }
+  await conn.query(
+    "UPDATE stock_balances SET available_qty = available_qty - ?, reserved_qty = reserved_qty + ? WHERE id = ?",
+    [qty, qty, balance.id]
+  );
+}
+
+async function releaseReservedStock(conn, key, qty) {
+  const balance = await lockStockBalance(conn, key);
+  if (!balance || Number(balance.reserved_qty) < Number(qty)) {
+    throw new StockError("RESERVATION_MISMATCH", "Reserved stock is lower than the reservation being released");
+  }
+  await conn.query(
+    "UPDATE stock_balances SET available_qty = available_qty + ?, reserved_qty = reserved_qty - ? WHERE id = ?",
+    [qty, qty, balance.id]
+  );
+}
+
+// Removes reserved qty from on-hand when the reservation leaves the warehouse.
+async function consumeReservedStock(conn, key, qty) {
+  await assertStockNotFrozen(conn, key);
+  const balance = await lockStockBalance(conn, key);
+  if (!balance || Number(balance.reserved_qty) < Number(qty)) {
+    throw new StockError("RESERVATION_MISMATCH", "Reserved stock is lower than the quantity being shipped");
+  }
+  await conn.query("UPDATE stock_balances SET reserved_qty = reserved_qty - ? WHERE id = ?", [qty, balance.id]);
+}
+
+async function lockHeldBalance(conn, key) {
+  const { clientId, productId, lotId, warehouseId, locationId } = key;
+  const [rows] = await conn.query(
+    `SELECT id, available_qty, hold_qty
+     FROM stock_balances
+     WHERE client_id = ?
+       AND product_id = ?
+       AND lot_id = ?
+       AND warehouse_id = ?
+       AND location_id <=> ?
+       AND deleted_at IS NULL
+     FOR UPDATE`,
+    [clientId, productId, lotId, warehouseId, locationId]
+  );
+  return rows[0] || null;
+}
+
+// hold_qty is on-hand but never allocatable; reservations only draw from available_qty.
+async function adjustHeldQty(conn, key, delta) {
+  await assertStockNotFrozen(conn, key);
+  const balance = await lockHeldBalance(conn, key);
+  if (!balance) {
+    if (delta < 0) {
+      throw new StockError("INSUFFICIENT_HELD_STOCK", "Held stock is lower than the quantity requested");
+    }
+    await conn.query(
+      `INSERT INTO stock_balances
+        (client_id, product_id, lot_id, warehouse_id, location_id, available_qty, reserved_qty, hold_qty)
+       VALUES (?, ?, ?, ?, ?, 0, 0, ?)`,
+      [key.clientId, key.productId, key.lotId, key.warehouseId, key.locationId, delta]
+    );
+    return;
+  }
+  if (Number(balance.hold_qty) + Number(delta) < 0) {
+    throw new StockError("INSUFFICIENT_HELD_STOCK", "Held stock is lower than the quantity requested");
+  }
+  await conn.query("UPDATE stock_balances SET hold_qty = hold_qty + ? WHERE id = ?", [delta, balance.id]);
+}
+
+async function holdAvailableStock(conn, key, qty) {
+  const balance = await lockHeldBalance(conn, key);
+  if (!balance || Number(balance.available_qty) < Number(qty)) {
+    throw new StockError("INSUFFICIENT_STOCK", "Insufficient stock");
+  }
+  await conn.query(
+    "UPDATE stock_balances SET available_qty = available_qty - ?, hold_qty = hold_qty + ? WHERE id = ?",
+    [qty, qty, balance.id]
+  );
+}
+
+async function releaseHeldStock(conn, key, qty) {
+  const balance = await lockHeldBalance(conn, key);
+  if (!balance || Number(balance.hold_qty) < Number(qty)) {
+    throw new StockError("INSUFFICIENT_HELD_STOCK", "Held stock is lower than the quantity requested");
+  }
+  await conn.query(
+    "UPDATE stock_balances SET available_qty = available_qty + ?, hold_qty = hold_qty - ? WHERE id = ?",
+    [qty, qty, balance.id]
+  );
+}
+
 async function upsertStockTxn(conn, payload) {
   const {
     clientId,
@@ -98,6 +234,8 @@ async function upsertStockTxn(conn, payload) {
     lotId,
     warehouseId,
     locationId,
+    fromLocationId = null,
+    toLocationId = null,
     txnType,
     qtyIn,
     qtyOut,
@@ -119,13 +257,15 @@ async function upsertStockTxn(conn, payload) {
     const [result] = await conn.query(
       `INSERT INTO stock_transactions
         (client_id, product_id, lot_id, warehouse_id, location_id, from_location_id, to_location_id, txn_type, txn_date, qty_in, qty_out, ref_type, ref_id, note, created_by)
-       VALUES (?, ?, ?, ?, ?, NULL, NULL, ?, NOW(), ?, ?, ?, ?, ?, ?)`,
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?)`,
       [
         clientId,
         productId,
         lotId,
         warehouseId,
         locationId,
+        fromLocationId,
+        toLocationId,
         txnType,
         qtyIn,
         qtyOut,
@@ -141,6 +281,7 @@ async function upsertStockTxn(conn, payload) {
   await conn.query(
     `UPDATE stock_transactions
      SET client_id = ?, product_id = ?, lot_id = ?, warehouse_id = ?, location_id = ?,
+         from_location_id = ?, to_location_id = ?,
          qty_in = ?, qty_out = ?, note = ?, created_by = ?, txn_date = NOW(), deleted_at = NULL
      WHERE id = ?`,
     [
@@ -149,6 +290,8 @@ async function upsertStockTxn(conn, payload) {
       lotId,
       warehouseId,
       locationId,
+      fromLocationId,
+      toLocationId,
       qtyIn,
       qtyOut,
       note || null,
@@ -185,7 +328,14 @@ module.exports = {
   getInboundOrderContext,
   getOutboundOrderContext,
   getReturnOrderContext,
+  assertStockNotFrozen,
   adjustAvailableQty,
+  reserveStock,
+  releaseReservedStock,
+  consumeReservedStock,
+  adjustHeldQty,
+  holdAvailableStock,
+  releaseHeldStock,
   upsertStockTxn,
   getStockTxnId,
   softDeleteStockTxn
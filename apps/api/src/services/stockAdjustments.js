@@ -0,0 +1,248 @@
+const { getPool } = require("../db");
+const { StockError, adjustAvailableQty, upsertStockTxn } = require("./stock");
+const { isLotOnHold } = require("./qualityControl");
+
+const DEFAULT_REASONS = [
+  ["damage", "Damaged", "decrease"],
+  ["found", "Found stock", "increase"],
+  ["lost", "Lost stock", "decrease"],
+  ["recount", "Recount correction", "either"]
+];
+
+let adjustmentTablesReady = null;
+
+async function createAdjustmentTables() {
+  const pool = getPool();
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS stock_adjustment_reasons (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      code VARCHAR(40) NOT NULL,
+      name VARCHAR(120) NOT NULL,
+      direction ENUM('increase','decrease','either') NOT NULL DEFAULT 'either',
+      status ENUM('active','inactive') NOT NULL DEFAULT 'active',
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_stock_adjustment_reason_code (code)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+  await pool.query(
+    `INSERT IGNORE INTO stock_adjustment_reasons (code, name, direction)
+     VALUES ${DEFAULT_REASONS.map(() => "(?, ?, ?)").join(", ")}`,
+    DEFAULT_REASONS.flat()
+  );
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS stock_adjustments (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      client_id BIGINT UNSIGNED NOT NULL,
+      warehouse_id BIGINT UNSIGNED NOT NULL,
+      status ENUM('draft','approved','cancelled') NOT NULL DEFAULT 'draft',
+      memo VARCHAR(1000) NULL,
+      total_abs_qty INT UNSIGNED NOT NULL DEFAULT 0,
+      created_by BIGINT UNSIGNED NOT NULL,
+      approved_by BIGINT UNSIGNED NULL,
+      approved_at DATETIME NULL,
+      cancelled_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      deleted_at DATETIME NULL,
+      PRIMARY KEY (id),
+      KEY idx_stock_adjustments_client_status (client_id, status, deleted_at),
+      KEY idx_stock_adjustments_warehouse (warehouse_id, deleted_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS stock_adjustment_lines (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      stock_adjustment_id BIGINT UNSIGNED NOT NULL,
+      product_id BIGINT UNSIGNED NOT NULL,
+      lot_id BIGINT UNSIGNED NOT NULL,
+      location_id BIGINT UNSIGNED NULL,
+      qty_delta INT NOT NULL,
+      reason_code VARCHAR(40) NOT NULL,
+      note VARCHAR(500) NULL,
+      stock_transaction_id BIGINT UNSIGNED NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_stock_adjustment_lines_doc (stock_adjustment_id),
+      KEY idx_stock_adjustment_lines_lot (product_id, lot_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+async function ensureStockAdjustmentTables() {
+  if (!adjustmentTablesReady) {
+    adjustmentTablesReady = createAdjustmentTables().catch((error) => {
+      adjustmentTablesReady = null;
+      throw error;
+    });
+  }
+  return adjustmentTablesReady;
+}
+
+function getApprovalThreshold() {
+  const threshold = Number(process.env.STOCK_ADJUSTMENT_APPROVAL_THRESHOLD);
+  return Number.isFinite(threshold) && threshold >= 0 ? threshold : 50;
+}
+
+async function getAdjustmentReasons(conn, { activeOnly = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT id, code, name, direction, status, created_at, updated_at
+     FROM stock_adjustment_reasons
+     ${activeOnly ? "WHERE status = 'active'" : ""}
+     ORDER BY code ASC`
+  );
+  return rows;
+}
+
+// Checks lines against the client, warehouse and reason codes before a draft is saved.
+async function validateAdjustmentLines(conn, { clientId, warehouseId, lines }) {
+  const reasons = new Map((await getAdjustmentReasons(conn, { activeOnly: true })).map((row) => [row.code, row]));
+
+  for (const [index, line] of lines.entries()) {
+    const label = `lines[${index}]`;
+    const reason = reasons.get(line.reason_code);
+    if (!reason) {
+      throw new StockError("INVALID_REASON", `${label}: unknown or inactive reason_code ${line.reason_code}`);
+    }
+    if (reason.direction === "increase" && line.qty_delta < 0) {
+      throw new StockError("INVALID_REASON", `${label}: ${reason.code} only allows positive qty_delta`);
+    }
+    if (reason.direction === "decrease" && line.qty_delta > 0) {
+      throw new StockError("INVALID_REASON", `${label}: ${reason.code} only allows negative qty_delta`);
+    }
+
+    const [lotRows] = await conn.query(
+      `SELECT pl.id
+       FROM product_lots pl
+       JOIN products p ON p.id = pl.product_id
+       WHERE pl.id = ? AND pl.product_id = ? AND p.client_id = ? AND pl.deleted_at IS NULL AND p.deleted_at IS NULL`,
+      [line.lot_id, line.product_id, clientId]
+    );
+    if (lotRows.length === 0) {
+      throw new StockError("INVALID_LINE", `${label}: lot ${line.lot_id} is not a lot of product ${line.product_id} for this client`);
+    }
+
+    if (line.location_id) {
+      const [locationRows] = await conn.query(
+        "SELECT id FROM warehouse_locations WHERE id = ? AND warehouse_id = ? AND deleted_at IS NULL",
+        [line.location_id, warehouseId]
+      );
+      if (locationRows.length === 0) {
+        throw new StockError("INVALID_LOCATION", `${label}: location ${line.location_id} does not belong to warehouse ${warehouseId}`);
+      }
+    }
+  }
+}
+
+async function replaceAdjustmentLines(conn, adjustmentId, lines) {
+  await conn.query("DELETE FROM stock_adjustment_lines WHERE stock_adjustment_id = ?", [adjustmentId]);
+  for (const line of lines) {
+    await conn.query(
+      `INSERT INTO stock_adjustment_lines
+        (stock_adjustment_id, product_id, lot_id, location_id, qty_delta, reason_code, note)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [adjustmentId, line.product_id, line.lot_id, line.location_id || null, line.qty_delta, line.reason_code, line.note || null]
+    );
+  }
+  const totalAbsQty = lines.reduce((sum, line) => sum + Math.abs(line.qty_delta), 0);
+  await conn.query("UPDATE stock_adjustments SET total_abs_qty = ? WHERE id = ?", [totalAbsQty, adjustmentId]);
+}
+
+async function getStockAdjustment(conn, adjustmentId, { forUpdate = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT id, client_id, warehouse_id, status, memo, total_abs_qty, created_by, approved_by, approved_at,
+            cancelled_at, created_at, updated_at
+     FROM stock_adjustments
+     WHERE id = ? AND deleted_at IS NULL${forUpdate ? " FOR UPDATE" : ""}`,
+    [adjustmentId]
+  );
+  return rows[0] || null;
+}
+
+async function getStockAdjustmentDetail(conn, adjustmentId) {
+  const adjustment = await getStockAdjustment(conn, adjustmentId);
+  if (!adjustment) return null;
+  const [lines] = await conn.query(
+    `SELECT l.id, l.product_id, p.sku_code, p.name_kr AS product_name, l.lot_id, pl.lot_no, l.location_id,
+            wl.location_code, l.qty_delta, l.reason_code, r.name AS reason_name, l.note, l.stock_transaction_id
+     FROM stock_adjustment_lines l
+     LEFT JOIN products p ON p.id = l.product_id
+     LEFT JOIN product_lots pl ON pl.id = l.lot_id
+     LEFT JOIN warehouse_locations wl ON wl.id = l.location_id
+     LEFT JOIN stock_adjustment_reasons r ON r.code = l.reason_code
+     WHERE l.stock_adjustment_id = ?
+     ORDER BY l.id ASC`,
+    [adjustmentId]
+  );
+  return {
+    ...adjustment,
+    requires_manager_approval: Number(adjustment.total_abs_qty) > getApprovalThreshold(),
+    lines
+  };
+}
+
+// Posts every line as a signed `adjustment` transaction (qty_in for gains, qty_out for losses).
+async function postStockAdjustment(conn, adjustment, { approvedBy }) {
+  const [lines] = await conn.query(
+    `SELECT id, product_id, lot_id, location_id, qty_delta, reason_code, note
+     FROM stock_adjustment_lines
+     WHERE stock_adjustment_id = ?
+     ORDER BY id ASC
+     FOR UPDATE`,
+    [adjustment.id]
+  );
+  if (lines.length === 0) {
+    throw new StockError("EMPTY_ADJUSTMENT", "Adjustment has no lines");
+  }
+
+  for (const line of lines) {
+    const delta = Number(line.qty_delta);
+    if (delta > 0 && (await isLotOnHold(conn, line.lot_id))) {
+      throw new StockError("LOT_ON_HOLD", `Lot ${line.lot_id} is on QC hold; found stock must go through QC`);
+    }
+    const key = {
+      clientId: adjustment.client_id,
+      productId: line.product_id,
+      lotId: line.lot_id,
+      warehouseId: adjustment.warehouse_id,
+      locationId: line.location_id
+    };
+    try {
+      await adjustAvailableQty(conn, key, delta);
+    } catch (error) {
+      if (error instanceof StockError && error.code === "INSUFFICIENT_STOCK") {
+        throw new StockError("INSUFFICIENT_STOCK", `Line ${line.id}: not enough available stock to remove ${-delta}`);
+      }
+      throw error;
+    }
+    const stockTransactionId = await upsertStockTxn(conn, {
+      ...key,
+      txnType: "adjustment",
+      qtyIn: Math.max(delta, 0),
+      qtyOut: Math.max(-delta, 0),
+      refType: "manual_adjustment",
+      refId: line.id,
+      createdBy: approvedBy,
+      note: [line.reason_code, line.note].filter(Boolean).join(": ")
+    });
+    await conn.query("UPDATE stock_adjustment_lines SET stock_transaction_id = ? WHERE id = ?", [stockTransactionId, line.id]);
+  }
+
+  await conn.query(
+    "UPDATE stock_adjustments SET status = 'approved', approved_by = ?, approved_at = NOW() WHERE id = ?",
+    [approvedBy, adjustment.id]
+  );
+}
+
+module.exports = {
+  ensureStockAdjustmentTables,
+  getApprovalThreshold,
+  getAdjustmentReasons,
+  validateAdjustmentLines,
+  replaceAdjustmentLines,
+  getStockAdjustment,
+  getStockAdjustmentDetail,
+  postStockAdjustment
+};
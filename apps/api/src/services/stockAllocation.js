@@ -0,0 +1,179 @@
+const { getPool } = require("../db");
+const { StockError } = require("./stock");
+
+const ALLOCATION_STRATEGIES = ["fefo", "fifo"];
+
+let allocationRulesTableReady = null;
+
+function ensureAllocationRulesTable() {
+  if (!allocationRulesTableReady) {
+    allocationRulesTableReady = getPool()
+      .query(
+        `CREATE TABLE IF NOT EXISTS allocation_rules (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          client_id BIGINT UNSIGNED NOT NULL,
+          product_id BIGINT UNSIGNED NULL,
+          strategy ENUM('fefo','fifo') NOT NULL DEFAULT 'fefo',
+          min_shelf_life_days INT UNSIGNED NOT NULL DEFAULT 0,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          deleted_at DATETIME NULL,
+          PRIMARY KEY (id),
+          KEY idx_allocation_rules_client_product (client_id, product_id, deleted_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+      )
+      .catch((error) => {
+        allocationRulesTableReady = null;
+        throw error;
+      });
+  }
+  return allocationRulesTableReady;
+}
+
+function getDefaultRule() {
+  const strategy = String(process.env.ALLOCATION_DEFAULT_STRATEGY || "fefo").toLowerCase();
+  return {
+    id: null,
+    client_id: null,
+    product_id: null,
+    strategy: ALLOCATION_STRATEGIES.includes(strategy) ? strategy : "fefo",
+    min_shelf_life_days: 0,
+    source: "default"
+  };
+}
+
+// A product rule wins over the client rule; without either the env default applies.
+async function resolveAllocationRule(conn, clientId, productId) {
+  const [rows] = await conn.query(
+    `SELECT id, client_id, product_id, strategy, min_shelf_life_days
+     FROM allocation_rules
+     WHERE client_id = ? AND (product_id = ? OR product_id IS NULL) AND deleted_at IS NULL
+     ORDER BY product_id IS NULL ASC, id DESC
+     LIMIT 1`,
+    [clientId, productId]
+  );
+  if (rows.length === 0) return getDefaultRule();
+  return { ...rows[0], source: rows[0].product_id ? "product" : "client" };
+}
+
+// Lines of draft orders already point at a lot and bin but reserve nothing until the order is confirmed.
+async function getOpenAllocatedQty(conn, { clientId, productId, warehouseId }) {
+  const [rows] = await conn.query(
+    `SELECT oi.lot_id, oi.location_id, SUM(oi.qty) AS qty
+     FROM outbound_items oi
+     JOIN outbound_orders oo ON oo.id = oi.outbound_order_id
+     WHERE oo.client_id = ? AND oo.warehouse_id = ? AND oi.product_id = ?
+       AND oo.status = 'draft' AND oo.deleted_at IS NULL AND oi.deleted_at IS NULL
+     GROUP BY oi.lot_id, oi.location_id`,
+    [clientId, warehouseId, productId]
+  );
+  const allocated = new Map();
+  for (const row of rows) allocated.set(`${row.lot_id}:${row.location_id ?? ""}`, Number(row.qty));
+  return allocated;
+}
+
+// Allocatable stock skips lots that are not active (hold, expired, inactive), lots expiring inside the
+// minimum shelf life, and quarantine or inactive bins, less what open draft lines already claim.
+async function getAllocationCandidates(conn, { clientId, productId, warehouseId, minShelfLifeDays }) {
+  const [rows] = await conn.query(
+    `SELECT sb.lot_id, pl.lot_no, pl.expiry_date, sb.location_id, wl.location_code, wl.location_type, sb.available_qty,
+            COALESCE(
+              (SELECT MIN(st.txn_date)
+               FROM stock_transactions st
+               WHERE st.lot_id = sb.lot_id AND st.warehouse_id = sb.warehouse_id
+                 AND st.txn_type IN ('inbound_receive','return_restock') AND st.deleted_at IS NULL),
+              pl.created_at
+            ) AS received_at
+     FROM stock_balances sb
+     JOIN product_lots pl ON pl.id = sb.lot_id
+     LEFT JOIN warehouse_locations wl ON wl.id = sb.location_id
+     WHERE sb.client_id = ? AND sb.product_id = ? AND sb.warehouse_id = ?
+       AND sb.available_qty > 0 AND sb.deleted_at IS NULL
+       AND pl.status = 'active' AND pl.deleted_at IS NULL
+       AND (pl.expiry_date IS NULL OR pl.expiry_date >= DATE_ADD(CURDATE(), INTERVAL ? DAY))
+       AND (sb.location_id IS NULL OR (wl.status = 'active' AND wl.location_type <> 'quarantine' AND wl.deleted_at IS NULL))`,
+    [clientId, productId, warehouseId, minShelfLifeDays]
+  );
+  const openAllocated = await getOpenAllocatedQty(conn, { clientId, productId, warehouseId });
+  return rows
+    .map((row) => ({
+      ...row,
+      available_qty: Number(row.available_qty) - (openAllocated.get(`${row.lot_id}:${row.location_id ?? ""}`) || 0)
+    }))
+    .filter((row) => row.available_qty > 0);
+}
+
+function compareDates(left, right) {
+  if (left === right) return 0;
+  if (left === null || left === undefined) return 1;
+  if (right === null || right === undefined) return -1;
+  return new Date(left).getTime() - new Date(right).getTime();
+}
+
+// FEFO sorts by expiry (no expiry last) then receipt; FIFO by receipt only. Pick bins go before
+// reserve bins inside a lot so replenishment stock is touched last.
+function sortCandidates(candidates, strategy) {
+  const binRank = (row) => (row.location_type === "pick" ? 0 : row.location_id === null ? 2 : 1);
+  return [...candidates].sort(
+    (left, right) =>
+      (strategy === "fefo" ? compareDates(left.expiry_date, right.expiry_date) : 0) ||
+      compareDates(left.received_at, right.received_at) ||
+      Number(left.lot_id) - Number(right.lot_id) ||
+      binRank(left) - binRank(right) ||
+      Number(left.location_id || 0) - Number(right.location_id || 0)
+  );
+}
+
+async function proposeAllocation(conn, { clientId, productId, warehouseId, qty }) {
+  const rule = await resolveAllocationRule(conn, clientId, productId);
+  const candidates = await getAllocationCandidates(conn, {
+    clientId,
+    productId,
+    warehouseId,
+    minShelfLifeDays: Number(rule.min_shelf_life_days)
+  });
+
+  const picks = [];
+  let remaining = Number(qty);
+  for (const candidate of sortCandidates(candidates, rule.strategy)) {
+    if (remaining <= 0) break;
+    const pickQty = Math.min(remaining, Number(candidate.available_qty));
+    picks.push({
+      lot_id: candidate.lot_id,
+      lot_no: candidate.lot_no,
+      expiry_date: candidate.expiry_date,
+      received_at: candidate.received_at,
+      location_id: candidate.location_id,
+      location_code: candidate.location_code,
+      qty: pickQty
+    });
+    remaining -= pickQty;
+  }
+
+  return {
+    strategy: rule.strategy,
+    min_shelf_life_days: Number(rule.min_shelf_life_days),
+    rule_source: rule.source,
+    requested_qty: Number(qty),
+    allocated_qty: Number(qty) - remaining,
+    shortfall_qty: remaining,
+    picks
+  };
+}
+
+function assertFullyAllocated(allocation) {
+  if (allocation.shortfall_qty > 0) {
+    throw new StockError(
+      "INSUFFICIENT_STOCK",
+      `Only ${allocation.allocated_qty} of ${allocation.requested_qty} units are allocatable by ${allocation.strategy.toUpperCase()}`
+    );
+  }
+}
+
+module.exports = {
+  ALLOCATION_STRATEGIES,
+  ensureAllocationRulesTable,
+  resolveAllocationRule,
+  proposeAllocation,
+  assertFullyAllocated
+};
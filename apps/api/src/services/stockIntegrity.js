@@ -0,0 +1,287 @@
+const { getPool } = require("../db");
+const { upsertStockTxn } = require("./stock");
+const { ensureQcSchema } = require("./qualityControl");
+const { ensureStockMovesTable } = require("./stockMoves");
+const { ensureStockAdjustmentTables } = require("./stockAdjustments");
+const { rebuildBalances, reconcileBalances } = require("./stockLedger");
+
+const LEDGER_REPAIR_REASON = "ledger_repair";
+
+let integrityTablesReady = null;
+
+async function createIntegrityTables() {
+  await ensureQcSchema();
+  await ensureStockMovesTable();
+  await ensureStockAdjustmentTables();
+  const pool = getPool();
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS stock_integrity_runs (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      run_type ENUM('check','repair') NOT NULL,
+      triggered_by ENUM('schedule','manual') NOT NULL DEFAULT 'manual',
+      mismatch_count INT UNSIGNED NOT NULL DEFAULT 0,
+      negative_count INT UNSIGNED NOT NULL DEFAULT 0,
+      orphan_count INT UNSIGNED NOT NULL DEFAULT 0,
+      repaired_count INT UNSIGNED NOT NULL DEFAULT 0,
+      result_json JSON NULL,
+      created_by BIGINT UNSIGNED NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_stock_integrity_runs_created (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+  await pool.query(
+    "INSERT IGNORE INTO stock_adjustment_reasons (code, name, direction) VALUES (?, 'Ledger repair', 'either')",
+    [LEDGER_REPAIR_REASON]
+  );
+}
+
+async function ensureStockIntegrityTables() {
+  if (!integrityTablesReady) {
+    integrityTablesReady = createIntegrityTables().catch((error) => {
+      integrityTablesReady = null;
+      throw error;
+    });
+  }
+  return integrityTablesReady;
+}
+
+function appendKeyFilters(alias, { clientId, productId, lotId, warehouseId, locationId }, params) {
+  let where = "";
+  for (const [column, value] of [
+    ["client_id", clientId],
+    ["product_id", productId],
+    ["lot_id", lotId],
+    ["warehouse_id", warehouseId],
+    ["location_id", locationId]
+  ]) {
+    if (value) {
+      where += ` AND ${alias}.${column} = ?`;
+      params.push(value);
+    }
+  }
+  return where;
+}
+
+async function findNegativeBalances(conn, filters = {}) {
+  const params = [];
+  const [rows] = await conn.query(
+    `SELECT sb.id AS stock_balance_id, sb.client_id, sb.product_id, sb.lot_id, sb.warehouse_id, sb.location_id,
+            sb.available_qty, sb.reserved_qty, sb.hold_qty
+     FROM stock_balances sb
+     WHERE sb.deleted_at IS NULL
+       AND (sb.available_qty < 0 OR sb.reserved_qty < 0 OR sb.hold_qty < 0)${appendKeyFilters("sb", filters, params)}
+     ORDER BY sb.id ASC`,
+    params
+  );
+  return rows;
+}
+
+// A live transaction is orphaned when the document line it was posted for is gone or soft-deleted.
+async function findOrphanedTransactions(conn, filters = {}) {
+  const params = [];
+  const [rows] = await conn.query(
+    `SELECT st.id, st.txn_type, st.ref_type, st.ref_id, st.client_id, st.product_id, st.lot_id, st.warehouse_id,
+            st.location_id, st.qty_in, st.qty_out, st.txn_date
+     FROM stock_transactions st
+     LEFT JOIN inbound_items ii ON st.ref_type = 'inbound_item' AND ii.id = st.ref_id
+     LEFT JOIN outbound_items oi ON st.ref_type = 'outbound_item' AND oi.id = st.ref_id
+     LEFT JOIN return_items ri ON st.ref_type = 'return_item' AND ri.id = st.ref_id
+     LEFT JOIN stock_adjustment_lines sal ON st.ref_type = 'manual_adjustment' AND sal.id = st.ref_id
+     LEFT JOIN stock_adjustments sa ON sa.id = sal.stock_adjustment_id
+     LEFT JOIN stock_moves sm ON st.ref_type = 'location_move' AND sm.id = st.ref_id
+     LEFT JOIN qc_holds qh ON st.ref_type = 'qc_hold' AND qh.id = st.ref_id
+     LEFT JOIN qc_inspections qi ON st.ref_type = 'qc_inspection' AND qi.id = st.ref_id
+     WHERE st.deleted_at IS NULL
+       AND (
+         (st.ref_type = 'inbound_item' AND (ii.id IS NULL OR ii.deleted_at IS NOT NULL))
+         OR (st.ref_type = 'outbound_item' AND (oi.id IS NULL OR oi.deleted_at IS NOT NULL))
+         OR (st.ref_type = 'return_item' AND (ri.id IS NULL OR ri.deleted_at IS NOT NULL))
+         OR (st.ref_type = 'manual_adjustment' AND (sal.id IS NULL OR sa.status <> 'approved' OR sa.deleted_at IS NOT NULL))
+         OR (st.ref_type = 'location_move' AND sm.id IS NULL)
+         OR (st.ref_type = 'qc_hold' AND qh.id IS NULL)
+         OR (st.ref_type = 'qc_inspection' AND qi.id IS NULL)
+       )${appendKeyFilters("st", { ...filters, locationId: null }, params)}
+     ORDER BY st.id ASC`,
+    params
+  );
+  return rows;
+}
+
+async function checkLedgerIntegrity(conn, filters = {}) {
+  const reconciliation = await reconcileBalances(conn, filters);
+  const negativeBalances = await findNegativeBalances(conn, filters);
+  const negativeLedger = (await rebuildBalances(conn, { ...filters, asOf: null })).filter(
+    (row) => row.on_hand_qty < 0 || row.hold_qty < 0
+  );
+  const orphanedTransactions = await findOrphanedTransactions(conn, filters);
+
+  return {
+    checked_keys: reconciliation.checked_keys,
+    mismatch_count: reconciliation.drift_count,
+    negative_count: negativeBalances.length + negativeLedger.length,
+    orphan_count: orphanedTransactions.length,
+    mismatches: reconciliation.drift,
+    negative_balances: negativeBalances,
+    negative_ledger: negativeLedger,
+    orphaned_transactions: orphanedTransactions
+  };
+}
+
+async function saveIntegrityRun(conn, { runType, triggeredBy, result, repairedCount = 0, createdBy = null }) {
+  const [inserted] = await conn.query(
+    `INSERT INTO stock_integrity_runs
+      (run_type, triggered_by, mismatch_count, negative_count, orphan_count, repaired_count, result_json, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      runType,
+      triggeredBy,
+      result.mismatch_count,
+      result.negative_count,
+      result.orphan_count,
+      repairedCount,
+      JSON.stringify(result),
+      createdBy
+    ]
+  );
+  return inserted.insertId;
+}
+
+async function runIntegrityCheck({ triggeredBy = "manual", createdBy = null, filters = {} } = {}) {
+  await ensureStockIntegrityTables();
+  const pool = getPool();
+  const result = await checkLedgerIntegrity(pool, filters);
+  const runId = await saveIntegrityRun(pool, { runType: "check", triggeredBy, result, createdBy });
+  return { id: runId, ...result };
+}
+
+// Only on-hand drift is repairable: an `adjustment` line for balance minus ledger makes the ledger agree with
+// stock_balances without touching balances. Hold drift has no ledger document to correct it and stays a finding.
+function planLedgerRepair(mismatches) {
+  const groups = new Map();
+  for (const row of mismatches) {
+    if (row.on_hand_drift_qty === 0) continue;
+    const groupKey = `${row.client_id}:${row.warehouse_id}`;
+    const group = groups.get(groupKey) || { client_id: row.client_id, warehouse_id: row.warehouse_id, lines: [] };
+    group.lines.push({
+      product_id: row.product_id,
+      lot_id: row.lot_id,
+      location_id: row.location_id,
+      qty_delta: row.on_hand_drift_qty,
+      reason_code: LEDGER_REPAIR_REASON,
+      note: `ledger ${row.ledger_on_hand_qty} -> balance ${row.balance_on_hand_qty}`
+    });
+    groups.set(groupKey, group);
+  }
+  return {
+    adjustments: [...groups.values()],
+    unrepairable: mismatches.filter((row) => row.hold_drift_qty !== 0)
+  };
+}
+
+async function voidOrphanedTransactions(conn, orphans) {
+  if (orphans.length === 0) return;
+  await conn.query("UPDATE stock_transactions SET deleted_at = NOW() WHERE id IN (?) AND deleted_at IS NULL", [
+    orphans.map((row) => row.id)
+  ]);
+}
+
+async function applyLedgerRepair(conn, plan, { runId, approvedBy }) {
+  const adjustmentIds = [];
+  for (const group of plan.adjustments) {
+    const totalAbsQty = group.lines.reduce((sum, line) => sum + Math.abs(line.qty_delta), 0);
+    const [created] = await conn.query(
+      `INSERT INTO stock_adjustments
+        (client_id, warehouse_id, status, memo, total_abs_qty, created_by, approved_by, approved_at)
+       VALUES (?, ?, 'approved', ?, ?, ?, ?, NOW())`,
+      [group.client_id, group.warehouse_id, `Ledger repair run #${runId}`, totalAbsQty, approvedBy, approvedBy]
+    );
+    for (const line of group.lines) {
+      const [insertedLine] = await conn.query(
+        `INSERT INTO stock_adjustment_lines
+          (stock_adjustment_id, product_id, lot_id, location_id, qty_delta, reason_code, note)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [created.insertId, line.product_id, line.lot_id, line.location_id, line.qty_delta, line.reason_code, line.note]
+      );
+      const stockTransactionId = await upsertStockTxn(conn, {
+        clientId: group.client_id,
+        productId: line.product_id,
+        lotId: line.lot_id,
+        warehouseId: group.warehouse_id,
+        locationId: line.location_id,
+        txnType: "adjustment",
+        qtyIn: Math.max(line.qty_delta, 0),
+        qtyOut: Math.max(-line.qty_delta, 0),
+        refType: "manual_adjustment",
+        refId: insertedLine.insertId,
+        createdBy: approvedBy,
+        note: `${LEDGER_REPAIR_REASON}: ${line.note}`
+      });
+      await conn.query("UPDATE stock_adjustment_lines SET stock_transaction_id = ? WHERE id = ?", [
+        stockTransactionId,
+        insertedLine.insertId
+      ]);
+    }
+    adjustmentIds.push(created.insertId);
+  }
+  return adjustmentIds;
+}
+
+async function buildRepairPlan(conn, filters, voidOrphans) {
+  const before = await checkLedgerIntegrity(conn, filters);
+  if (voidOrphans) await voidOrphanedTransactions(conn, before.orphaned_transactions);
+  const after = voidOrphans ? await checkLedgerIntegrity(conn, filters) : before;
+  return { before, plan: planLedgerRepair(after.mismatches) };
+}
+
+// Voiding orphans changes the drift the repair has to cover, so the preview voids them in a transaction
+// that is always rolled back.
+async function previewLedgerRepair(filters = {}, { voidOrphans = false } = {}) {
+  await ensureStockIntegrityTables();
+  const conn = await getPool().getConnection();
+  try {
+    await conn.beginTransaction();
+    const { before, plan } = await buildRepairPlan(conn, filters, voidOrphans);
+    return { ...before, void_orphans: voidOrphans, plan };
+  } finally {
+    await conn.rollback();
+    conn.release();
+  }
+}
+
+async function repairLedger(conn, filters, { voidOrphans = false, approvedBy }) {
+  const { before, plan } = await buildRepairPlan(conn, filters, voidOrphans);
+  const result = { ...before, void_orphans: voidOrphans, plan };
+  const runId = await saveIntegrityRun(conn, { runType: "repair", triggeredBy: "manual", result, createdBy: approvedBy });
+  const adjustmentIds = await applyLedgerRepair(conn, plan, { runId, approvedBy });
+  const repairedCount = plan.adjustments.reduce((sum, group) => sum + group.lines.length, 0);
+  await conn.query("UPDATE stock_integrity_runs SET repaired_count = ? WHERE id = ?", [repairedCount, runId]);
+  return {
+    id: runId,
+    ...result,
+    voided_transaction_ids: voidOrphans ? before.orphaned_transactions.map((row) => row.id) : [],
+    repaired_count: repairedCount,
+    stock_adjustment_ids: adjustmentIds
+  };
+}
+
+async function getIntegrityRun(conn, id) {
+  const [rows] = await conn.query(
+    `SELECT id, run_type, triggered_by, mismatch_count, negative_count, orphan_count, repaired_count, result_json,
+            created_by, created_at
+     FROM stock_integrity_runs
+     WHERE id = ?`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  LEDGER_REPAIR_REASON,
+  ensureStockIntegrityTables,
+  checkLedgerIntegrity,
+  runIntegrityCheck,
+  previewLedgerRepair,
+  repairLedger,
+  getIntegrityRun
+};
@@ -0,0 +1,170 @@
+const BALANCE_KEY_COLUMNS = ["client_id", "product_id", "lot_id", "warehouse_id", "location_id"];
+
+function balanceKey(row) {
+  return BALANCE_KEY_COLUMNS.map((column) => (row[column] == null ? "-" : Number(row[column]))).join(":");
+}
+
+function ledgerFilter(alias, { asOf, clientId, productId, lotId, warehouseId }, params) {
+  let where = `${alias}.txn_type <> 'return_dispose'`;
+  if (asOf) {
+    where += ` AND ${alias}.txn_date <= ? AND (${alias}.deleted_at IS NULL OR ${alias}.deleted_at > ?)`;
+    params.push(asOf, asOf);
+  } else {
+    where += ` AND ${alias}.deleted_at IS NULL`;
+  }
+  for (const [column, value] of [
+    ["client_id", clientId],
+    ["product_id", productId],
+    ["lot_id", lotId],
+    ["warehouse_id", warehouseId]
+  ]) {
+    if (value) {
+      where += ` AND ${alias}.${column} = ?`;
+      params.push(value);
+    }
+  }
+  return where;
+}
+
+// Signed on-hand and hold effect of every ledger row:
+// - move_location rows carry both sides, so they are split into -qty at from_location_id and +qty at
+//   to_location_id (rows without to_location_id predate paired moves and count at location_id);
+// - qc_hold/qc_release keep on-hand (in = out) and only shift hold; qc_quarantine removes held stock;
+// - return_dispose never entered stock and is skipped.
+async function rebuildBalances(conn, filters = {}) {
+  const params = [];
+  const parts = [
+    `SELECT st.client_id, st.product_id, st.lot_id, st.warehouse_id, st.location_id,
+            CAST(st.qty_in AS SIGNED) - CAST(st.qty_out AS SIGNED) AS on_hand_delta,
+            CASE st.txn_type
+              WHEN 'qc_hold' THEN CAST(st.qty_in AS SIGNED)
+              WHEN 'qc_release' THEN -CAST(st.qty_out AS SIGNED)
+              WHEN 'qc_quarantine' THEN -CAST(st.qty_out AS SIGNED)
+              ELSE 0
+            END AS hold_delta
+     FROM stock_transactions st
+     WHERE st.txn_type <> 'move_location' AND ${ledgerFilter("st", filters, params)}`,
+    `SELECT st.client_id, st.product_id, st.lot_id, st.warehouse_id, COALESCE(st.to_location_id, st.location_id) AS location_id,
+            CASE WHEN st.to_location_id IS NULL
+              THEN CAST(st.qty_in AS SIGNED) - CAST(st.qty_out AS SIGNED)
+              ELSE CAST(st.qty_in AS SIGNED)
+            END AS on_hand_delta,
+            0 AS hold_delta
+     FROM stock_transactions st
+     WHERE st.txn_type = 'move_location' AND ${ledgerFilter("st", filters, params)}`,
+    `SELECT st.client_id, st.product_id, st.lot_id, st.warehouse_id, st.from_location_id AS location_id,
+            -CAST(st.qty_out AS SIGNED) AS on_hand_delta,
+            0 AS hold_delta
+     FROM stock_transactions st
+     WHERE st.txn_type = 'move_location' AND st.to_location_id IS NOT NULL AND ${ledgerFilter("st", filters, params)}`
+  ];
+
+  let query = `SELECT l.client_id, c.name_kr AS client_name, l.product_id, p.sku_code, p.name_kr AS product_name,
+                      l.lot_id, pl.lot_no, l.warehouse_id, w.code AS warehouse_code, l.location_id, wl.location_code,
+                      CAST(SUM(l.on_hand_delta) AS SIGNED) AS on_hand_qty, CAST(SUM(l.hold_delta) AS SIGNED) AS hold_qty
+               FROM (${parts.join("\n               UNION ALL\n               ")}) l
+               LEFT JOIN clients c ON c.id = l.client_id
+               LEFT JOIN products p ON p.id = l.product_id
+               LEFT JOIN product_lots pl ON pl.id = l.lot_id
+               LEFT JOIN warehouses w ON w.id = l.warehouse_id
+               LEFT JOIN warehouse_locations wl ON wl.id = l.location_id`;
+  if (filters.locationId) {
+    query += " WHERE l.location_id = ?";
+    params.push(filters.locationId);
+  }
+  query += ` GROUP BY l.client_id, c.name_kr, l.product_id, p.sku_code, p.name_kr, l.lot_id, pl.lot_no,
+                      l.warehouse_id, w.code, l.location_id, wl.location_code
+             ORDER BY l.client_id ASC, l.product_id ASC, l.lot_id ASC, l.warehouse_id ASC, l.location_id ASC`;
+
+  const [rows] = await conn.query(query, params);
+  return rows.map((row) => ({ ...row, on_hand_qty: Number(row.on_hand_qty), hold_qty: Number(row.hold_qty) }));
+}
+
+async function getCurrentBalances(conn, { clientId, productId, lotId, warehouseId, locationId }) {
+  const params = [];
+  let query = `SELECT id, client_id, product_id, lot_id, warehouse_id, location_id, available_qty, reserved_qty, hold_qty
+               FROM stock_balances
+               WHERE deleted_at IS NULL`;
+  for (const [column, value] of [
+    ["client_id", clientId],
+    ["product_id", productId],
+    ["lot_id", lotId],
+    ["warehouse_id", warehouseId],
+    ["location_id", locationId]
+  ]) {
+    if (value) {
+      query += ` AND ${column} = ?`;
+      params.push(value);
+    }
+  }
+  const [rows] = await conn.query(query, params);
+  return rows;
+}
+
+// Compares the ledger rebuilt to now with stock_balances; every key where on-hand or hold differs is drift.
+async function reconcileBalances(conn, filters = {}) {
+  const ledgerRows = await rebuildBalances(conn, { ...filters, asOf: null });
+  const balances = await getCurrentBalances(conn, filters);
+
+  const byKey = new Map();
+  for (const row of ledgerRows) {
+    byKey.set(balanceKey(row), { ledger: row, balance: null });
+  }
+  for (const balance of balances) {
+    const key = balanceKey(balance);
+    const entry = byKey.get(key) || { ledger: null, balance: null };
+    if (entry.balance) {
+      entry.balance = {
+        ...entry.balance,
+        available_qty: Number(entry.balance.available_qty) + Number(balance.available_qty),
+        reserved_qty: Number(entry.balance.reserved_qty) + Number(balance.reserved_qty),
+        hold_qty: Number(entry.balance.hold_qty) + Number(balance.hold_qty)
+      };
+    } else {
+      entry.balance = balance;
+    }
+    byKey.set(key, entry);
+  }
+
+  const drift = [];
+  for (const { ledger, balance } of byKey.values()) {
+    const ledgerOnHand = ledger ? ledger.on_hand_qty : 0;
+    const ledgerHold = ledger ? ledger.hold_qty : 0;
+    const balanceOnHand = balance
+      ? Number(balance.available_qty) + Number(balance.reserved_qty) + Number(balance.hold_qty)
+      : 0;
+    const balanceHold = balance ? Number(balance.hold_qty) : 0;
+    if (ledgerOnHand === balanceOnHand && ledgerHold === balanceHold) continue;
+
+    const source = ledger || balance;
+    drift.push({
+      client_id: source.client_id,
+      product_id: source.product_id,
+      lot_id: source.lot_id,
+      warehouse_id: source.warehouse_id,
+      location_id: source.location_id,
+      sku_code: ledger ? ledger.sku_code : null,
+      lot_no: ledger ? ledger.lot_no : null,
+      location_code: ledger ? ledger.location_code : null,
+      stock_balance_id: balance ? balance.id : null,
+      ledger_on_hand_qty: ledgerOnHand,
+      balance_on_hand_qty: balanceOnHand,
+      on_hand_drift_qty: balanceOnHand - ledgerOnHand,
+      ledger_hold_qty: ledgerHold,
+      balance_hold_qty: balanceHold,
+      hold_drift_qty: balanceHold - ledgerHold
+    });
+  }
+
+  return {
+    checked_keys: byKey.size,
+    drift_count: drift.length,
+    drift
+  };
+}
+
+module.exports = {
+  balanceKey,
+  rebuildBalances,
+  reconcileBalances
+};
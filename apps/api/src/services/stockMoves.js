@@ -0,0 +1,176 @@
+const { getPool } = require("../db");
+const { StockError, adjustAvailableQty, upsertStockTxn } = require("./stock");
+const { findServiceIdByCode, insertLocationMoveServiceEvent } = require("./billing");
+
+const LOCATION_MOVE_SERVICE_CODE = process.env.LOCATION_MOVE_SERVICE_CODE || "LOCATION_MOVE";
+
+let stockMovesTableReady = null;
+
+async function ensureStockMovesTable() {
+  if (!stockMovesTableReady) {
+    stockMovesTableReady = getPool()
+      .query(
+        `CREATE TABLE IF NOT EXISTS stock_moves (
+          id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+          client_id BIGINT UNSIGNED NOT NULL,
+          product_id BIGINT UNSIGNED NOT NULL,
+          lot_id BIGINT UNSIGNED NOT NULL,
+          warehouse_id BIGINT UNSIGNED NOT NULL,
+          from_location_id BIGINT UNSIGNED NULL,
+          to_location_id BIGINT UNSIGNED NOT NULL,
+          qty INT UNSIGNED NOT NULL,
+          stock_transaction_id BIGINT UNSIGNED NULL,
+          service_event_id BIGINT UNSIGNED NULL,
+          note VARCHAR(1000) NULL,
+          created_by BIGINT UNSIGNED NOT NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (id),
+          KEY idx_stock_moves_client_date (client_id, created_at),
+          KEY idx_stock_moves_lot (product_id, lot_id),
+          KEY idx_stock_moves_from (from_location_id),
+          KEY idx_stock_moves_to (to_location_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+      )
+      .catch((error) => {
+        stockMovesTableReady = null;
+        throw error;
+      });
+  }
+  return stockMovesTableReady;
+}
+
+async function getMoveLocation(conn, warehouseId, locationId) {
+  const [rows] = await conn.query(
+    `SELECT id, warehouse_id, location_code, status, max_qty
+     FROM warehouse_locations
+     WHERE id = ? AND deleted_at IS NULL`,
+    [locationId]
+  );
+  const location = rows[0];
+  if (!location || Number(location.warehouse_id) !== Number(warehouseId)) {
+    throw new StockError("INVALID_LOCATION", `Location ${locationId} does not belong to warehouse ${warehouseId}`);
+  }
+  return location;
+}
+
+async function assertLocationCapacity(conn, location, incomingQty) {
+  if (location.max_qty === null || location.max_qty === undefined) return;
+  const [rows] = await conn.query(
+    `SELECT COALESCE(SUM(available_qty + reserved_qty + hold_qty), 0) AS on_hand_qty
+     FROM stock_balances
+     WHERE location_id = ? AND deleted_at IS NULL`,
+    [location.id]
+  );
+  const nextQty = Number(rows[0].on_hand_qty) + Number(incomingQty);
+  if (nextQty > Number(location.max_qty)) {
+    throw new StockError(
+      "LOCATION_CAPACITY_EXCEEDED",
+      `${location.location_code} holds at most ${location.max_qty} units (would be ${nextQty})`
+    );
+  }
+}
+
+// Moves available qty between two bins of one warehouse and writes a single move_location
+// transaction carrying both sides: qty_out from from_location_id, qty_in to to_location_id.
+async function moveStock(conn, move, { createdBy }) {
+  const {
+    client_id: clientId,
+    product_id: productId,
+    lot_id: lotId,
+    warehouse_id: warehouseId,
+    from_location_id: fromLocationId = null,
+    to_location_id: toLocationId,
+    qty,
+    note = null,
+    billable = false,
+    service_id: requestedServiceId = null
+  } = move;
+
+  if (fromLocationId !== null && Number(fromLocationId) === Number(toLocationId)) {
+    throw new StockError("SAME_LOCATION", "from_location_id and to_location_id must differ");
+  }
+  if (fromLocationId !== null) {
+    await getMoveLocation(conn, warehouseId, fromLocationId);
+  }
+  const target = await getMoveLocation(conn, warehouseId, toLocationId);
+  if (target.status !== "active") {
+    throw new StockError("INVALID_LOCATION", `${target.location_code} is inactive`);
+  }
+
+  const key = { clientId, productId, lotId, warehouseId };
+  await adjustAvailableQty(conn, { ...key, locationId: fromLocationId }, -qty);
+  await assertLocationCapacity(conn, target, qty);
+  await adjustAvailableQty(conn, { ...key, locationId: toLocationId }, qty);
+
+  const [result] = await conn.query(
+    `INSERT INTO stock_moves
+      (client_id, product_id, lot_id, warehouse_id, from_location_id, to_location_id, qty, note, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [clientId, productId, lotId, warehouseId, fromLocationId, toLocationId, qty, note, createdBy]
+  );
+  const moveId = result.insertId;
+
+  const stockTransactionId = await upsertStockTxn(conn, {
+    ...key,
+    locationId: toLocationId,
+    fromLocationId,
+    toLocationId,
+    txnType: "move_location",
+    qtyIn: qty,
+    qtyOut: qty,
+    refType: "location_move",
+    refId: moveId,
+    createdBy,
+    note
+  });
+
+  let serviceEventId = null;
+  if (billable) {
+    const serviceId = requestedServiceId || (await findServiceIdByCode(conn, LOCATION_MOVE_SERVICE_CODE));
+    if (!serviceId) {
+      throw new StockError("SERVICE_NOT_FOUND", `No active service ${LOCATION_MOVE_SERVICE_CODE} for billable moves`);
+    }
+    serviceEventId = await insertLocationMoveServiceEvent(conn, {
+      clientId,
+      serviceId,
+      stockTransactionId,
+      eventDate: new Date().toISOString().slice(0, 10),
+      qty,
+      remark: note
+    });
+    if (!serviceEventId) {
+      throw new StockError("PRICE_POLICY_NOT_FOUND", `Client ${clientId} has no active price for service ${serviceId}`);
+    }
+  }
+
+  await conn.query(
+    "UPDATE stock_moves SET stock_transaction_id = ?, service_event_id = ? WHERE id = ?",
+    [stockTransactionId, serviceEventId, moveId]
+  );
+  return moveId;
+}
+
+async function getStockMoves(conn, moveIds) {
+  if (moveIds.length === 0) return [];
+  const [rows] = await conn.query(
+    `SELECT m.id, m.client_id, m.product_id, p.sku_code, m.lot_id, pl.lot_no, m.warehouse_id,
+            m.from_location_id, fl.location_code AS from_location_code,
+            m.to_location_id, tl.location_code AS to_location_code,
+            m.qty, m.stock_transaction_id, m.service_event_id, m.note, m.created_by, m.created_at
+     FROM stock_moves m
+     LEFT JOIN products p ON p.id = m.product_id
+     LEFT JOIN product_lots pl ON pl.id = m.lot_id
+     LEFT JOIN warehouse_locations fl ON fl.id = m.from_location_id
+     LEFT JOIN warehouse_locations tl ON tl.id = m.to_location_id
+     WHERE m.id IN (?)
+     ORDER BY m.id ASC`,
+    [moveIds]
+  );
+  return rows;
+}
+
+module.exports = {
+  ensureStockMovesTable,
+  moveStock,
+  getStockMoves
+};
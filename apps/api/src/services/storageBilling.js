@@ -0,0 +1,198 @@
+const { getPool } = require("../db");
+const { ensureBillingPricingColumns, resolveServiceRate } = require("./billingPricing");
+const { upsertBillingEvent } = require("./billingEvents");
+
+const STORAGE_REFERENCE_TYPE = "STORAGE";
+const STORAGE_BILLING_UNITS = ["CBM", "PALLET", "MONTH"];
+const STORAGE_BASES = ["average", "daily"];
+
+function getMonthRange(month) {
+  const [year, monthIndex] = month.split("-").map(Number);
+  const days = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+  return { start: `${month}-01`, end: `${month}-${String(days).padStart(2, "0")}`, days };
+}
+
+function getPreviousMonth(date = new Date()) {
+  const previous = new Date(Date.UTC(date.getFullYear(), date.getMonth() - 1, 1));
+  return previous.toISOString().slice(0, 7);
+}
+
+// Clients share warehouses, so the client is part of the key.
+function storageReferenceId(clientId, warehouseId, month) {
+  return `${clientId}:${warehouseId}:${month}`;
+}
+
+function getStorageServiceCodes() {
+  return String(process.env.STORAGE_BILLING_SERVICE_CODES || "")
+    .split(",")
+    .map((code) => code.trim())
+    .filter(Boolean);
+}
+
+// Only the services listed in STORAGE_BILLING_SERVICE_CODES are storage charges; other CBM/PALLET/MONTH services
+// (handling fees, monthly subscriptions) are billed from their own events.
+async function listStorageServices(conn) {
+  const codes = getStorageServiceCodes();
+  if (codes.length === 0) return [];
+  const [rows] = await conn.query(
+    `SELECT service_code, billing_unit
+     FROM service_catalog
+     WHERE service_code IN (?) AND billing_unit IN (?) AND status = 'active' AND deleted_at IS NULL
+     ORDER BY service_code ASC`,
+    [codes, STORAGE_BILLING_UNITS]
+  );
+  return rows;
+}
+
+async function hasContractForService(conn, { clientId, serviceCode, eventDate }) {
+  const [rows] = await conn.query(
+    `SELECT id
+     FROM client_contract_rates
+     WHERE client_id = ? AND service_code = ? AND effective_date <= ? AND deleted_at IS NULL
+     LIMIT 1`,
+    [clientId, serviceCode, eventDate]
+  );
+  return rows.length > 0;
+}
+
+async function getMonthlyOccupancy(conn, month, { clientId = null, warehouseId = null } = {}) {
+  const params = [month, month];
+  let where = " WHERE ss.snapshot_date >= CONCAT(?, '-01') AND ss.snapshot_date < DATE_ADD(CONCAT(?, '-01'), INTERVAL 1 MONTH)";
+  if (clientId) {
+    where += " AND ss.client_id = ?";
+    params.push(clientId);
+  }
+  if (warehouseId) {
+    where += " AND ss.warehouse_id = ?";
+    params.push(warehouseId);
+  }
+
+  const [rows] = await conn.query(
+    `SELECT
+      ss.client_id,
+      ss.warehouse_id,
+      COUNT(DISTINCT ss.snapshot_date) AS days_count,
+      SUM(ss.total_cbm) AS cbm_days,
+      SUM(ss.total_pallet) AS pallet_days
+     FROM storage_snapshots ss
+     ${where}
+     GROUP BY ss.client_id, ss.warehouse_id
+     ORDER BY ss.client_id ASC, ss.warehouse_id ASC`,
+    params
+  );
+  return rows;
+}
+
+// `average` divides by the days that have a snapshot (like the dashboard preview); `daily` divides by the calendar
+// days of the month, so days without stock count as empty.
+function storageQty(billingUnit, occupancy, { basis, days }) {
+  if (billingUnit === "MONTH") return 1;
+  const total = Number(billingUnit === "PALLET" ? occupancy.pallet_days : occupancy.cbm_days) || 0;
+  const divisor = basis === "daily" ? days : Number(occupancy.days_count);
+  if (!divisor) return 0;
+  return Number((total / divisor).toFixed(4));
+}
+
+async function removePendingStorageEvent(conn, { clientId, referenceId, serviceCode }) {
+  const [result] = await conn.query(
+    `UPDATE billing_events
+     SET deleted_at = NOW()
+     WHERE reference_type = ?
+       AND client_id = ?
+       AND reference_id = ?
+       AND service_code = ?
+       AND status = 'PENDING'
+       AND deleted_at IS NULL`,
+    [STORAGE_REFERENCE_TYPE, clientId, referenceId, serviceCode]
+  );
+  return result.affectedRows;
+}
+
+// Posts one STORAGE event per client, warehouse, month and storage service. A service is billed only to clients
+// with a contract for it; the catalog default rate applies when that contract has no rate in the service's
+// currency. Re-running a month updates the pending events in place; invoiced events are left as they are.
+async function runStorageBilling(conn, { month, clientId = null, warehouseId = null, basis = "average" }) {
+  const range = getMonthRange(month);
+  const services = await listStorageServices(conn);
+  const occupancies = await getMonthlyOccupancy(conn, month, { clientId, warehouseId });
+
+  const lines = [];
+  const summary = { created: 0, updated: 0, removed: 0, invoiced: 0, skipped: 0 };
+  for (const occupancy of occupancies) {
+    const referenceId = storageReferenceId(occupancy.client_id, occupancy.warehouse_id, month);
+    for (const service of services) {
+      const line = {
+        client_id: occupancy.client_id,
+        warehouse_id: occupancy.warehouse_id,
+        service_code: service.service_code,
+        billing_unit: service.billing_unit,
+        reference_id: referenceId,
+        days_count: Number(occupancy.days_count),
+        qty: storageQty(service.billing_unit, occupancy, { basis, days: range.days })
+      };
+
+      const rateKey = { clientId: occupancy.client_id, serviceCode: service.service_code, eventDate: range.end };
+      const resolved = (await hasContractForService(conn, rateKey)) ? await resolveServiceRate(conn, rateKey) : null;
+      if (!resolved || resolved.source === "unpriced" || line.qty <= 0) {
+        const removed = await removePendingStorageEvent(conn, {
+          clientId: occupancy.client_id,
+          referenceId,
+          serviceCode: service.service_code
+        });
+        if (removed > 0) summary.removed += removed;
+        else summary.skipped += 1;
+        lines.push({ ...line, result: removed > 0 ? "removed" : "skipped", price_source: resolved ? resolved.source : null });
+        continue;
+      }
+
+      const event = await upsertBillingEvent(conn, {
+        clientId: occupancy.client_id,
+        warehouseId: occupancy.warehouse_id,
+        serviceCode: service.service_code,
+        referenceType: STORAGE_REFERENCE_TYPE,
+        referenceId,
+        eventDate: range.end,
+        qty: line.qty
+      });
+      const result = event.status !== "PENDING" ? "invoiced" : event.manual ? "skipped" : event.created ? "created" : "updated";
+      summary[result] += 1;
+      lines.push({
+        ...line,
+        result,
+        billing_event_id: event.id,
+        price_source: resolved.source,
+        rate: resolved.rate,
+        currency: resolved.currency,
+        amount_thb: event.priced ? event.priced.amount_thb : null,
+        amount_krw: event.priced ? event.priced.amount_krw : null
+      });
+    }
+  }
+
+  return { invoice_month: month, event_date: range.end, basis, days_in_month: range.days, ...summary, lines };
+}
+
+async function previewStorageBilling(options) {
+  await ensureBillingPricingColumns();
+  const conn = await getPool().getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await runStorageBilling(conn, options);
+    return {
+      ...result,
+      lines: result.lines.map((line) => (line.result === "created" ? { ...line, billing_event_id: null } : line))
+    };
+  } finally {
+    await conn.rollback();
+    conn.release();
+  }
+}
+
+module.exports = {
+  STORAGE_REFERENCE_TYPE,
+  STORAGE_BILLING_UNITS,
+  STORAGE_BASES,
+  getPreviousMonth,
+  runStorageBilling,
+  previewStorageBilling
+};
@@ -0,0 +1,191 @@
+const { getPool } = require("../db");
+const { StockError } = require("./stock");
+
+const LOCATION_TYPES = ["pick", "reserve", "staging", "quarantine"];
+const LOCATION_STATUSES = ["active", "inactive"];
+const LOCATION_CODE_PATTERN = /^[A-Z0-9][A-Z0-9._\-/]*$/;
+const IMPORT_COLUMNS = ["location_code", "zone", "location_type", "max_qty", "max_cbm", "max_weight_kg", "status"];
+
+const LOCATION_COLUMNS = ["location_type", "max_qty", "max_cbm", "max_weight_kg"];
+
+let locationColumnsReady = null;
+
+// The columns come from sql/patch_warehouse_locations.sql; this only checks that it has been applied.
+async function checkLocationColumns() {
+  const [rows] = await getPool().query(
+    `SELECT column_name AS column_name
+     FROM information_schema.columns
+     WHERE table_schema = DATABASE()
+       AND table_name = 'warehouse_locations'`
+  );
+  const existing = new Set(rows.map((row) => String(row.column_name || row.COLUMN_NAME)));
+  const missing = LOCATION_COLUMNS.filter((column) => !existing.has(column));
+  if (missing.length > 0) {
+    throw new StockError(
+      "SCHEMA_OUTDATED",
+      `warehouse_locations is missing ${missing.join(", ")}; apply sql/patch_warehouse_locations.sql`
+    );
+  }
+}
+
+async function ensureWarehouseLocationColumns() {
+  if (!locationColumnsReady) {
+    locationColumnsReady = checkLocationColumns().catch((error) => {
+      locationColumnsReady = null;
+      throw error;
+    });
+  }
+  return locationColumnsReady;
+}
+
+function normalizeLocationCode(value) {
+  return String(value || "").trim().toUpperCase();
+}
+
+function isValidLocationCode(code) {
+  return code.length > 0 && code.length <= 100 && LOCATION_CODE_PATTERN.test(code);
+}
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF/LF line endings.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const source = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (inQuotes) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+function parseOptionalNumber(raw, { integer = false } = {}) {
+  const text = String(raw ?? "").trim();
+  if (text === "") return { value: null };
+  const value = Number(text);
+  if (!Number.isFinite(value) || value < 0 || (integer && !Number.isInteger(value))) {
+    return { error: integer ? "must be a non-negative integer" : "must be a non-negative number" };
+  }
+  return { value };
+}
+
+// Turns CSV text into location rows; every problem is reported with its 1-based line number.
+function parseLocationCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    return { rows: [], errors: [{ line: 1, message: "CSV is empty" }] };
+  }
+
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  const errors = [];
+  if (!header.includes("location_code")) {
+    errors.push({ line: 1, message: "Header must include location_code" });
+  }
+  const unknown = header.filter((column) => !IMPORT_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    errors.push({ line: 1, message: `Unknown columns: ${unknown.join(", ")}` });
+  }
+  if (errors.length > 0) return { rows: [], errors };
+
+  const parsed = [];
+  const seen = new Map();
+  rows.slice(1).forEach((cells, index) => {
+    const line = index + 2;
+    const record = Object.fromEntries(header.map((column, columnIndex) => [column, (cells[columnIndex] ?? "").trim()]));
+    const code = normalizeLocationCode(record.location_code);
+    const lineErrors = [];
+
+    if (!isValidLocationCode(code)) {
+      lineErrors.push("location_code must be 1-100 characters of A-Z, 0-9, '.', '_', '-', '/'");
+    } else if (seen.has(code)) {
+      lineErrors.push(`duplicate location_code (also on line ${seen.get(code)})`);
+    } else {
+      seen.set(code, line);
+    }
+
+    const locationType = record.location_type ? record.location_type.toLowerCase() : "pick";
+    if (!LOCATION_TYPES.includes(locationType)) {
+      lineErrors.push(`location_type must be one of ${LOCATION_TYPES.join(", ")}`);
+    }
+    const status = record.status ? record.status.toLowerCase() : "active";
+    if (!LOCATION_STATUSES.includes(status)) {
+      lineErrors.push(`status must be one of ${LOCATION_STATUSES.join(", ")}`);
+    }
+    if ((record.zone || "").length > 100) {
+      lineErrors.push("zone must be at most 100 characters");
+    }
+
+    const maxQty = parseOptionalNumber(record.max_qty, { integer: true });
+    const maxCbm = parseOptionalNumber(record.max_cbm);
+    const maxWeight = parseOptionalNumber(record.max_weight_kg);
+    if (maxQty.error) lineErrors.push(`max_qty ${maxQty.error}`);
+    if (maxCbm.error) lineErrors.push(`max_cbm ${maxCbm.error}`);
+    if (maxWeight.error) lineErrors.push(`max_weight_kg ${maxWeight.error}`);
+
+    if (lineErrors.length > 0) {
+      lineErrors.forEach((message) => errors.push({ line, message }));
+      return;
+    }
+    parsed.push({
+      line,
+      location_code: code,
+      zone: record.zone || null,
+      location_type: locationType,
+      max_qty: maxQty.value,
+      max_cbm: maxCbm.value,
+      max_weight_kg: maxWeight.value,
+      status
+    });
+  });
+
+  return { rows: parsed, errors };
+}
+
+async function getLocationOnHandQty(conn, locationId) {
+  const [rows] = await conn.query(
+    `SELECT COALESCE(SUM(available_qty + reserved_qty + hold_qty), 0) AS on_hand_qty
+     FROM stock_balances
+     WHERE location_id = ?`,
+    [locationId]
+  );
+  return Number(rows[0]?.on_hand_qty || 0);
+}
+
+module.exports = {
+  LOCATION_TYPES,
+  LOCATION_STATUSES,
+  IMPORT_COLUMNS,
+  ensureWarehouseLocationColumns,
+  normalizeLocationCode,
+  isValidLocationCode,
+  parseLocationCsv,
+  getLocationOnHandQty
+};
@@ -0,0 +1,5 @@
+import { ReceivablesAgingPage } from "@/features/billing/ReceivablesAgingPage";
+
+export default function Page() {
+  return <ReceivablesAgingPage />;
+}
@@ -6,13 +6,15 @@ import { DataTable } from "@/components/ui/DataTable";
 import { Badge } from "@/components/ui/badge";
 import { ErrorState } from "@/components/ui/ErrorState";
 import { AUTH_COOKIE_KEY } from "@/lib/auth";
-import { getStockBalances, getStockTransactions } from "@/features/inventory/api";
+import { getCycleCountHistory, getQcHolds, getStockBalances, getStockTransactions } from "@/features/inventory/api";
 import type { InventoryTab } from "@/features/inventory/types";
 import { ApiError } from "@/features/outbound/api";
 
 const tabs: Array<{ label: string; value: InventoryTab }> = [
   { label: "재고", value: "balances" },
   { label: "거래이력", value: "transactions" },
+  { label: "QC 보류", value: "qc" },
+  { label: "실사 이력", value: "counts" },
 ];
 
 const txnTypeFilter = [
@@ -20,8 +22,18 @@ const txnTypeFilter = [
   { label: "입고 확정", value: "inbound_receive" },
   { label: "출고 확정", value: "outbound_ship" },
   { label: "반품 입고", value: "return_receive" },
+  { label: "QC 보류", value: "qc_hold" },
+  { label: "QC 해제", value: "qc_release" },
+  { label: "QC 격리", value: "qc_quarantine" },
+  { label: "재고 조정", value: "adjustment" },
 ];
 
+const qcStatusLabel: Record<string, { label: string; variant: "default" | "warning" | "success" }> = {
+  open: { label: "보류중", variant: "warning" },
+  closed: { label: "검사완료", variant: "success" },
+  cancelled: { label: "취소", variant: "default" },
+};
+
 export default async function InventoryPage({
   searchParams,
 }: {
@@ -34,11 +46,17 @@ export default async function InventoryPage({
 
   let balances = [] as Awaited<ReturnType<typeof getStockBalances>>;
   let transactions = [] as Awaited<ReturnType<typeof getStockTransactions>>;
+  let qcHolds = [] as Awaited<ReturnType<typeof getQcHolds>>;
+  let countHistory = [] as Awaited<ReturnType<typeof getCycleCountHistory>>;
   let loadError: string | null = null;
 
   try {
     if (currentTab === "balances") {
       balances = await getStockBalances({ q }, { token });
+    } else if (currentTab === "qc") {
+      qcHolds = await getQcHolds({ q }, { token });
+    } else if (currentTab === "counts") {
+      countHistory = await getCycleCountHistory({ q }, { token });
     } else {
       transactions = await getStockTransactions({ q, txn_type }, { token });
     }
@@ -64,6 +82,65 @@ export default async function InventoryPage({
           { key: "location", label: "로케이션", render: (row) => row.location },
           { key: "available_qty", label: "가용수량", className: "tabular-nums", render: (row) => row.available_qty },
           { key: "reserved_qty", label: "예약수량", className: "tabular-nums", render: (row) => row.reserved_qty },
+          { key: "hold_qty", label: "보류수량", className: "tabular-nums", render: (row) => row.hold_qty },
+        ]}
+      />
+    ) : currentTab === "qc" ? (
+      <DataTable
+        rows={qcHolds}
+        emptyText="QC 보류 내역이 없습니다."
+        columns={[
+          { key: "created_at", label: "보류일시", className: "tabular-nums", render: (row) => row.created_at },
+          { key: "client", label: "고객사", render: (row) => row.client },
+          { key: "product", label: "상품", render: (row) => row.product },
+          { key: "lot", label: "LOT", render: (row) => row.lot },
+          { key: "source", label: "출처", render: (row) => row.source },
+          { key: "hold_qty", label: "보류", className: "tabular-nums", render: (row) => row.hold_qty },
+          { key: "released_qty", label: "해제", className: "tabular-nums", render: (row) => row.released_qty },
+          { key: "quarantined_qty", label: "격리", className: "tabular-nums", render: (row) => row.quarantined_qty },
+          { key: "remaining_qty", label: "잔여", className: "tabular-nums", render: (row) => row.remaining_qty },
+          {
+            key: "status",
+            label: "상태",
+            render: (row) => (
+              <Badge variant={qcStatusLabel[row.status]?.variant ?? "default"}>
+                {qcStatusLabel[row.status]?.label ?? row.status}
+              </Badge>
+            ),
+          },
+          { key: "reason", label: "사유", render: (row) => row.reason },
+        ]}
+      />
+    ) : currentTab === "counts" ? (
+      <DataTable
+        rows={countHistory}
+        emptyText="실사 이력이 없습니다."
+        columns={[
+          { key: "location", label: "로케이션", render: (row) => row.location },
+          { key: "counted_at", label: "실사일시", className: "tabular-nums", render: (row) => row.counted_at },
+          { key: "cycle_count_id", label: "실사번호", className: "tabular-nums", render: (row) => `#${row.cycle_count_id}` },
+          { key: "client", label: "고객사", render: (row) => row.client },
+          { key: "product", label: "상품", render: (row) => row.product },
+          { key: "lot", label: "LOT", render: (row) => row.lot },
+          { key: "system_qty", label: "전산수량", className: "tabular-nums", render: (row) => row.system_qty },
+          {
+            key: "counted_qty",
+            label: "실사수량",
+            className: "tabular-nums",
+            render: (row) =>
+              row.count_round > 1 ? `${row.counted_qty} (1차 ${row.first_counted_qty ?? "-"})` : row.counted_qty,
+          },
+          {
+            key: "variance_qty",
+            label: "차이",
+            className: "tabular-nums",
+            render: (row) => (
+              <Badge variant={row.variance_qty === 0 ? "success" : "warning"}>
+                {row.variance_qty > 0 ? `+${row.variance_qty}` : row.variance_qty}
+              </Badge>
+            ),
+          },
+          { key: "adjustment", label: "조정", render: (row) => row.adjustment },
         ]}
       />
     ) : (
@@ -0,0 +1,5 @@
+import { UsersSettingsPage } from "@/features/settings/users/UsersSettingsPage";
+
+export default function Page() {
+  return <UsersSettingsPage />;
+}
@@ -1,6 +1,7 @@
 import { cookies } from "next/headers";
 import { NextRequest } from "next/server";
-import { AUTH_COOKIE_KEY } from "@/lib/auth";
+import { AUTH_COOKIE_KEY, REFRESH_COOKIE_KEY } from "@/lib/auth";
+import { appendSessionCookies, sendWithRefresh } from "@/lib/session";
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL ?? "http://localhost:3100";
 
@@ -9,7 +10,9 @@ function buildTargets(joinedPath: string, query: string) {
 }
 
 async function forward(request: NextRequest, params: { path: string[] }) {
-  const token = (await cookies()).get(AUTH_COOKIE_KEY)?.value;
+  const cookieStore = await cookies();
+  const token = cookieStore.get(AUTH_COOKIE_KEY)?.value;
+  const refreshToken = cookieStore.get(REFRESH_COOKIE_KEY)?.value;
   const joinedPath = params.path.join("/");
   const query = request.nextUrl.search || "";
   const targets = buildTargets(joinedPath, query);
@@ -23,27 +26,28 @@ async function forward(request: NextRequest, params: { path: string[] }) {
 
   const body = request.method === "GET" || request.method === "HEAD" ? undefined : await request.text();
 
-  let response: Response | null = null;
-  for (const target of targets) {
-    response = await fetch(target, {
-      method: request.method,
-      headers,
-      cache: "no-store",
-      body,
-    });
-    if (response.status !== 404) break;
-  }
-
-  if (!response) {
-    return Response.json({ ok: false, message: "Dashboard proxy request failed" }, { status: 502 });
-  }
+  const { response, refreshed } = await sendWithRefresh(headers, refreshToken, async () => {
+    let last: Response | null = null;
+    for (const target of targets) {
+      last = await fetch(target, {
+        method: request.method,
+        headers,
+        cache: "no-store",
+        body,
+      });
+      if (last.status !== 404) break;
+    }
+    return last ?? Response.json({ ok: false, message: "Dashboard proxy request failed" }, { status: 502 });
+  });
 
   const text = await response.text();
+  const resHeaders = new Headers({
+    "content-type": response.headers.get("content-type") ?? "application/json",
+  });
+  if (refreshed) appendSessionCookies(resHeaders, refreshed);
   return new Response(text, {
     status: response.status,
-    headers: {
-      "content-type": response.headers.get("content-type") ?? "application/json",
-    },
+    headers: resHeaders,
   });
 }
 
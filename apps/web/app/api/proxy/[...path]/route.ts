@@ -1,11 +1,21 @@
 import { cookies } from "next/headers";
 import { NextRequest } from "next/server";
-import { AUTH_COOKIE_KEY } from "@/lib/auth";
+import { AUTH_COOKIE_KEY, REFRESH_COOKIE_KEY } from "@/lib/auth";
+import {
+  appendClearedSessionCookies,
+  appendSessionCookies,
+  readTokenPair,
+  sendWithRefresh,
+  stripRefreshToken,
+} from "@/lib/session";
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL ?? "http://localhost:3100";
+const SESSION_PATHS = ["auth/login", "auth/refresh"];
 
 async function forward(request: NextRequest, params: { path: string[] }) {
-  const token = (await cookies()).get(AUTH_COOKIE_KEY)?.value;
+  const cookieStore = await cookies();
+  const token = cookieStore.get(AUTH_COOKIE_KEY)?.value;
+  const refreshToken = cookieStore.get(REFRESH_COOKIE_KEY)?.value;
   const joinedPath = params.path.join("/");
   const query = request.nextUrl.search || "";
   const target = `${API_BASE_URL}/${joinedPath}${query}`;
@@ -13,7 +23,11 @@ async function forward(request: NextRequest, params: { path: string[] }) {
   const headers = new Headers();
   const contentType = request.headers.get("content-type");
   const incomingAuth = request.headers.get("authorization");
+  // Login throttling keys on this address. The browser's own x-forwarded-for is never passed on; X-Real-IP is
+  // overwritten with the peer address by the nginx in front of this app, which is the only way in (DEPLOYMENT.md).
+  const clientIp = request.headers.get("x-real-ip");
   if (contentType) headers.set("content-type", contentType);
+  if (clientIp) headers.set("x-forwarded-for", clientIp);
   if (incomingAuth) headers.set("authorization", incomingAuth);
   else if (token) headers.set("authorization", `Bearer ${token}`);
 
@@ -22,32 +36,43 @@ async function forward(request: NextRequest, params: { path: string[] }) {
       ? undefined
       : await request.text();
 
-  const response = await fetch(target, {
-    method: request.method,
-    headers,
-    body,
-    cache: "no-store",
-  });
+  const isAuthPath = joinedPath.startsWith("auth/") && joinedPath !== "auth/me";
+  const { response, refreshed } = await sendWithRefresh(headers, isAuthPath ? undefined : refreshToken, () =>
+    fetch(target, {
+      method: request.method,
+      headers,
+      body,
+      cache: "no-store",
+    })
+  );
 
-  const text = await response.text();
-  const resHeaders = new Headers({
-    "content-type": response.headers.get("content-type") ?? "application/json",
-  });
+  const responseType = response.headers.get("content-type") ?? "application/json";
+  const resHeaders = new Headers({ "content-type": responseType });
+
+  // Binary payloads (invoice PDFs) must not go through text(), which would corrupt the bytes.
+  if (!/json|text/.test(responseType)) {
+    const disposition = response.headers.get("content-disposition");
+    if (disposition) resHeaders.set("content-disposition", disposition);
+    const noSniff = response.headers.get("x-content-type-options");
+    if (noSniff) resHeaders.set("x-content-type-options", noSniff);
+    if (refreshed) appendSessionCookies(resHeaders, refreshed);
+    return new Response(await response.arrayBuffer(), {
+      status: response.status,
+      headers: resHeaders,
+    });
+  }
+
+  let text = await response.text();
 
-  // On successful login, also set server cookie so next SSR/RSC requests always see token.
-  if (joinedPath === "auth/login" && response.ok) {
-    try {
-      const parsed = JSON.parse(text) as { data?: { token?: string } };
-      const token = parsed?.data?.token;
-      if (token) {
-        resHeaders.append(
-          "set-cookie",
-          `${AUTH_COOKIE_KEY}=${encodeURIComponent(token)}; Path=/; Max-Age=28800; SameSite=Lax; Secure`
-        );
-      }
-    } catch {
-      // ignore malformed JSON
-    }
+  // On successful login/refresh, also set server cookies so next SSR/RSC requests always see token.
+  if (SESSION_PATHS.includes(joinedPath) && response.ok) {
+    const pair = readTokenPair(text);
+    if (pair) appendSessionCookies(resHeaders, pair);
+    text = stripRefreshToken(text);
+  } else if (joinedPath === "auth/logout") {
+    appendClearedSessionCookies(resHeaders);
+  } else if (refreshed) {
+    appendSessionCookies(resHeaders, refreshed);
   }
 
   return new Response(text, {
@@ -7,6 +7,7 @@ import { cn } from "@/lib/utils";
 const tabs = [
   { href: "/billing", label: "정산서" },
   { href: "/billing/events", label: "정산 이벤트" },
+  { href: "/billing/receivables", label: "미수금" },
 ];
 
 export function BillingTabs() {
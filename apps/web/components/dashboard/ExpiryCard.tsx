@@ -0,0 +1,65 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { getExpiryDashboard, type ExpiryBucketTotals } from "@/features/dashboard/api";
+import { useI18n } from "@/lib/i18n/I18nProvider";
+
+const buckets: Array<{
+  key: keyof ExpiryBucketTotals;
+  label: string;
+  variant: "danger" | "warning" | "info" | "default";
+}> = [
+  { key: "expired_qty", label: "dashboard.expiryExpired", variant: "danger" },
+  { key: "within_30_qty", label: "dashboard.expiryWithin30", variant: "warning" },
+  { key: "within_60_qty", label: "dashboard.expiryWithin60", variant: "info" },
+  { key: "within_90_qty", label: "dashboard.expiryWithin90", variant: "default" },
+];
+
+export function ExpiryCard() {
+  const { t } = useI18n();
+  const [totals, setTotals] = useState<ExpiryBucketTotals | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let active = true;
+    getExpiryDashboard()
+      .then((response) => {
+        if (active) setTotals(response.totals);
+      })
+      .catch((loadError: unknown) => {
+        if (active) setError(loadError instanceof Error ? loadError.message : t("dashboard.expiryLoadError"));
+      });
+    return () => {
+      active = false;
+    };
+  }, [t]);
+
+  return (
+    <Card className="h-full">
+      <CardHeader>
+        <CardTitle>{t("dashboard.expiryTitle")}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <p className="mb-3 text-sm text-slate-600">{t("dashboard.expiryDesc")}</p>
+        {error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : (
+          <dl className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+            {buckets.map((bucket) => (
+              <div key={bucket.key}>
+                <dt>
+                  <Badge variant={bucket.variant}>{t(bucket.label)}</Badge>
+                </dt>
+                <dd className="mt-1 text-lg font-semibold tabular-nums">
+                  {totals ? totals[bucket.key].toLocaleString() : "-"}
+                </dd>
+              </div>
+            ))}
+          </dl>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
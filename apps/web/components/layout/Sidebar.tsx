@@ -22,8 +22,8 @@ export function Sidebar() {
     { href: "/settings", label: t("nav.settings"), icon: Settings },
   ];
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     pushToast({ title: "Signed out", variant: "info" });
     router.push("/login");
   };
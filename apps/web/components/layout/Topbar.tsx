@@ -38,8 +38,8 @@ export function Topbar() {
     router.push(`${nextPath}?${params.toString()}`);
   };
 
-  const onLogout = () => {
-    logout();
+  const onLogout = async () => {
+    await logout();
     pushToast({ title: "Signed out", variant: "info" });
     router.push("/login");
   };
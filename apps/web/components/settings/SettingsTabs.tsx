@@ -11,6 +11,7 @@ const tabs = [
   { href: "/settings/service-rates", label: "서비스 요율" },
   { href: "/settings/contract-rates", label: "계약 요율" },
   { href: "/settings/exchange-rates", label: "환율" },
+  { href: "/settings/users", label: "사용자" },
 ];
 
 export function SettingsTabs() {
@@ -4,7 +4,7 @@ module.exports = {
       name: "3pl-web",
       cwd: "/var/www/3pl/apps/web",
       script: "npm",
-      args: "run start -- -p 3000",
+      args: "run start -- -p 3000 -H 127.0.0.1",
       env: {
         NODE_ENV: "production",
         PORT: "3000",
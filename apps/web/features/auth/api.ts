@@ -10,6 +10,7 @@ type LoginResponse = {
   token: string;
   tokenType: string;
   expiresIn: string;
+  refreshExpiresAt: string;
 };
 
 type MeResponse = {
@@ -47,18 +48,23 @@ export async function login(payload: LoginPayload): Promise<{ token: string; ema
   });
 
   const token = data.token;
-  document.cookie = `${AUTH_COOKIE_KEY}=${encodeURIComponent(token)}; path=/; max-age=28800; samesite=lax; secure`;
+  const maxAge = Math.max(0, Math.floor((new Date(data.refreshExpiresAt).getTime() - Date.now()) / 1000));
+  document.cookie = `${AUTH_COOKIE_KEY}=${encodeURIComponent(token)}; path=/; max-age=${maxAge}; samesite=lax; secure`;
   localStorage.setItem(AUTH_COOKIE_KEY, token);
   localStorage.setItem("kb3pl_user_email", payload.email);
 
   return { token, email: payload.email };
 }
 
-export async function getMe(): Promise<MeResponse> {
+function readTokenCookie() {
   const tokenCookie = document.cookie
     .split("; ")
     .find((entry) => entry.startsWith(`${AUTH_COOKIE_KEY}=`));
-  const token = tokenCookie ? decodeURIComponent(tokenCookie.split("=")[1]) : "";
+  return tokenCookie ? decodeURIComponent(tokenCookie.split("=")[1]) : "";
+}
+
+export async function getMe(): Promise<MeResponse> {
+  const token = readTokenCookie();
   if (!token) throw new ApiError("Missing auth token", 401);
 
   return requestJson<MeResponse>("/auth/me", {
@@ -68,7 +74,15 @@ export async function getMe(): Promise<MeResponse> {
   });
 }
 
-export function logout() {
+export async function logout() {
+  const token = readTokenCookie();
+  if (token) {
+    // Revoke the session server-side; the proxy also clears the refresh cookie.
+    await fetch("/api/proxy/auth/logout", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+    }).catch(() => undefined);
+  }
   document.cookie = `${AUTH_COOKIE_KEY}=; path=/; max-age=0; samesite=lax`;
   localStorage.removeItem(AUTH_COOKIE_KEY);
   localStorage.removeItem("kb3pl_user_email");
@@ -13,6 +13,8 @@ import {
   billingEventsCsvUrl,
   listBillingEvents,
   markBillingEventsPending,
+  repriceBillingEvents,
+  runStorageBilling,
   type BillingEvent,
 } from "@/features/billing/api";
 
@@ -89,6 +91,45 @@ export function BillingEventsPage() {
     }
   };
 
+  const onReprice = async () => {
+    if (!clientId) {
+      pushToast({ title: "재계산할 고객사 ID를 입력해 주세요.", variant: "info" });
+      return;
+    }
+    try {
+      const result = await repriceBillingEvents({
+        client_id: Number(clientId),
+        invoice_month: month || undefined,
+        service_code: serviceCode || undefined,
+      });
+      pushToast({ title: `대기 이벤트 ${result.checked}건 중 ${result.repriced}건의 단가를 재계산했습니다.`, variant: "success" });
+      await reload();
+    } catch (e) {
+      pushToast({ title: "단가 재계산 실패", description: e instanceof Error ? e.message : "", variant: "error" });
+    }
+  };
+
+  const onRunStorageBilling = async () => {
+    if (!month) {
+      pushToast({ title: "보관료를 정산할 월을 선택해 주세요.", variant: "info" });
+      return;
+    }
+    try {
+      const result = await runStorageBilling({
+        invoice_month: month,
+        client_id: clientId ? Number(clientId) : undefined,
+      });
+      pushToast({
+        title: `${result.invoice_month} 보관료: 생성 ${result.created}건, 갱신 ${result.updated}건, 삭제 ${result.removed}건`,
+        description: result.invoiced ? `청구 완료 ${result.invoiced}건은 변경하지 않았습니다.` : undefined,
+        variant: "success",
+      });
+      await reload();
+    } catch (e) {
+      pushToast({ title: "보관료 정산 실패", description: e instanceof Error ? e.message : "", variant: "error" });
+    }
+  };
+
   return (
     <section>
       <PageHeader
@@ -112,6 +153,12 @@ export function BillingEventsPage() {
         </div>
         <div className="mt-3 flex flex-wrap gap-2">
           <a href={csvHref} className="inline-flex items-center rounded-md border px-3 py-2 text-sm hover:bg-slate-50">CSV 내보내기</a>
+          <Button variant="secondary" onClick={() => void onReprice()}>
+            대기 이벤트 단가 재계산
+          </Button>
+          <Button variant="secondary" onClick={() => void onRunStorageBilling()}>
+            월 보관료 정산
+          </Button>
           {isAdmin && (
             <Button variant="secondary" onClick={() => void onBulkMarkPending()}>
               대기 상태로 변경 (관리자)
@@ -142,6 +189,7 @@ export function BillingEventsPage() {
               { key: "client", label: "Client", render: (row) => `${row.client_code} (${row.client_id})` },
               { key: "service_code", label: "Service", render: (row) => row.service_code },
               { key: "qty", label: "Qty", render: (row) => Number(row.qty).toLocaleString() },
+              { key: "price_source", label: "Price", render: (row) => row.price_source ?? "-" },
               { key: "amount_thb", label: "Amount THB", render: (row) => (row.amount_thb == null ? "-" : Number(row.amount_thb).toLocaleString()) },
               { key: "fx_rate_thbkrw", label: "FX", render: (row) => (row.fx_rate_thbkrw == null ? "-" : Number(row.fx_rate_thbkrw).toFixed(4)) },
               { key: "amount_krw", label: "Amount KRW", render: (row) => (row.amount_krw == null ? "-" : Number(row.amount_krw).toLocaleString()) },
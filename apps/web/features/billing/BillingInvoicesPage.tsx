@@ -85,8 +85,12 @@ export function BillingInvoicesPage() {
   const onIssue = async (id: number) => {
     setActingId(id);
     try {
-      await issueBillingInvoice(id);
-      pushToast({ title: "정산서를 발행했습니다.", variant: "success" });
+      const issued = await issueBillingInvoice(id);
+      pushToast({
+        title: "정산서를 발행했습니다.",
+        description: issued.credit_applied_krw ? `선수금 ${Number(issued.credit_applied_krw).toLocaleString()} KRW를 적용했습니다.` : undefined,
+        variant: "success",
+      });
       await reload();
     } catch (e) {
       pushToast({ title: "발행 실패", description: e instanceof Error ? e.message : "", variant: "error" });
@@ -126,6 +130,7 @@ export function BillingInvoicesPage() {
             <option value="">전체 상태</option>
             <option value="draft">draft</option>
             <option value="issued">issued</option>
+            <option value="partially_paid">partially_paid</option>
             <option value="paid">paid</option>
           </select>
           <Button variant="secondary" onClick={() => void reload()}>조회</Button>
@@ -152,6 +157,11 @@ export function BillingInvoicesPage() {
               { key: "subtotal", label: "Subtotal", render: (row) => Number(row.subtotal_krw).toLocaleString() },
               { key: "vat", label: "VAT 7%", render: (row) => Number(row.vat_krw).toLocaleString() },
               { key: "total", label: "Total KRW", render: (row) => <span className="font-semibold">{Number(row.total_krw).toLocaleString()}</span> },
+              {
+                key: "outstanding",
+                label: "Outstanding",
+                render: (row) => (row.outstanding_krw === undefined ? "-" : Number(row.outstanding_krw).toLocaleString()),
+              },
               { key: "status", label: "Status", render: (row) => row.status },
               {
                 key: "actions",
@@ -163,7 +173,7 @@ export function BillingInvoicesPage() {
                         Issue
                       </Button>
                     )}
-                    {row.status === "issued" && (
+                    {(row.status === "issued" || row.status === "sent" || row.status === "partially_paid") && (
                       <Button size="sm" variant="secondary" onClick={() => void onMarkPaid(row.id)} disabled={actingId === row.id}>
                         Mark Paid
                       </Button>
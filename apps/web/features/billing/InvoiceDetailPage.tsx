@@ -8,6 +8,7 @@ import { ErrorState } from "@/components/ui/ErrorState";
 import { useToast } from "@/components/ui/toast";
 import { getMe } from "@/features/auth/api";
 import { BillingTabs } from "@/components/billing/BillingTabs";
+import { InvoicePaymentsPanel } from "@/features/billing/InvoicePaymentsPanel";
 import {
   duplicateBillingInvoiceAdmin,
   exportBillingInvoicePdf,
@@ -16,8 +17,15 @@ import {
   markBillingInvoicePaid,
   type BillingInvoice,
   type BillingInvoiceItem,
+  type InvoicePdfLang,
 } from "@/features/billing/api";
 
+const PDF_LANG_OPTIONS: { value: InvoicePdfLang; label: string }[] = [
+  { value: "ko", label: "한국어" },
+  { value: "en", label: "English" },
+  { value: "th", label: "ภาษาไทย" },
+];
+
 export function InvoiceDetailPage({ invoiceId }: { invoiceId: string }) {
   const { pushToast } = useToast();
   const [invoice, setInvoice] = useState<BillingInvoice | null>(null);
@@ -26,6 +34,8 @@ export function InvoiceDetailPage({ invoiceId }: { invoiceId: string }) {
   const [loading, setLoading] = useState(false);
   const [isAdmin, setIsAdmin] = useState(false);
   const [acting, setActing] = useState(false);
+  const [pdfLang, setPdfLang] = useState<InvoicePdfLang>("ko");
+  const [exporting, setExporting] = useState(false);
 
   const load = async () => {
     setLoading(true);
@@ -49,19 +59,36 @@ export function InvoiceDetailPage({ invoiceId }: { invoiceId: string }) {
   }, []);
 
   const runExport = async () => {
+    // Opened before the await so popup blockers treat it as part of the click.
+    const popup = window.open("", "_blank");
+    if (popup) popup.opener = null;
+    setExporting(true);
     try {
-      const result = await exportBillingInvoicePdf(invoiceId);
-      pushToast({ title: "PDF 내보내기", description: result.message, variant: "info" });
+      const result = await exportBillingInvoicePdf(invoiceId, pdfLang);
+      if (popup) popup.location.href = `/api/proxy${result.download_url}`;
+      else window.location.assign(`/api/proxy${result.download_url}`);
+      pushToast({
+        title: "PDF 내보내기",
+        description: result.reused ? `${result.file_name} (저장된 PDF)` : result.file_name,
+        variant: "info",
+      });
     } catch (e) {
+      popup?.close();
       pushToast({ title: "내보내기 실패", description: e instanceof Error ? e.message : "", variant: "error" });
+    } finally {
+      setExporting(false);
     }
   };
 
   const runIssue = async () => {
     setActing(true);
     try {
-      await issueBillingInvoice(invoiceId);
-      pushToast({ title: "정산서를 발행했습니다.", variant: "success" });
+      const issued = await issueBillingInvoice(invoiceId);
+      pushToast({
+        title: "정산서를 발행했습니다.",
+        description: issued.credit_applied_krw ? `선수금 ${Number(issued.credit_applied_krw).toLocaleString()} KRW를 적용했습니다.` : undefined,
+        variant: "success",
+      });
       await load();
     } catch (e) {
       pushToast({ title: "발행 실패", description: e instanceof Error ? e.message : "", variant: "error" });
@@ -107,9 +134,21 @@ export function InvoiceDetailPage({ invoiceId }: { invoiceId: string }) {
         subtitle={invoice ? `고객사 ${invoice.client_code} | ${invoice.invoice_month}` : "불러오는 중..."}
         rightSlot={
           <div className="flex gap-2">
-            <Button variant="secondary" onClick={() => void runExport()}>PDF 내보내기</Button>
+            <select
+              className="h-9 rounded-md border px-3 text-sm"
+              value={pdfLang}
+              onChange={(e) => setPdfLang(e.target.value as InvoicePdfLang)}
+              aria-label="PDF 언어"
+            >
+              {PDF_LANG_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <Button variant="secondary" onClick={() => void runExport()} disabled={exporting}>PDF 내보내기</Button>
             {invoice?.status === "draft" && <Button onClick={() => void runIssue()} disabled={acting}>발행</Button>}
-            {invoice?.status === "issued" && <Button onClick={() => void runMarkPaid()} disabled={acting}>수금완료</Button>}
+            {(invoice?.status === "issued" || invoice?.status === "sent" || invoice?.status === "partially_paid") && (
+              <Button onClick={() => void runMarkPaid()} disabled={acting}>수금완료</Button>
+            )}
             {isAdmin && invoice?.status !== "draft" && (
               <Button variant="secondary" onClick={() => void runDuplicateAdmin()} disabled={acting}>
                 복제 (관리자)
@@ -142,6 +181,8 @@ export function InvoiceDetailPage({ invoiceId }: { invoiceId: string }) {
           ]}
         />
       </div>
+
+      {invoice && invoice.status !== "draft" && <InvoicePaymentsPanel key={invoice.status} invoiceId={invoiceId} onChanged={load} />}
     </section>
   );
 }
@@ -0,0 +1,204 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { DataTable } from "@/components/ui/DataTable";
+import { Input } from "@/components/ui/input";
+import { useToast } from "@/components/ui/toast";
+import {
+  applyInvoiceCredit,
+  listInvoicePayments,
+  recordInvoicePayment,
+  voidInvoicePayment,
+  type InvoicePaymentSummary,
+  type PaymentMethod,
+} from "@/features/billing/api";
+
+const METHOD_OPTIONS: { value: PaymentMethod; label: string }[] = [
+  { value: "bank_transfer", label: "계좌이체" },
+  { value: "card", label: "카드" },
+  { value: "cash", label: "현금" },
+  { value: "other", label: "기타" },
+];
+
+const PAYABLE_STATUSES = ["issued", "sent", "partially_paid"];
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export function InvoicePaymentsPanel({ invoiceId, onChanged }: { invoiceId: string; onChanged: () => Promise<void> }) {
+  const { pushToast } = useToast();
+  const [summary, setSummary] = useState<InvoicePaymentSummary | null>(null);
+  const [amount, setAmount] = useState("");
+  const [paymentDate, setPaymentDate] = useState(today());
+  const [method, setMethod] = useState<PaymentMethod>("bank_transfer");
+  const [reference, setReference] = useState("");
+  const [receiptFileId, setReceiptFileId] = useState("");
+  const [voidReason, setVoidReason] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const load = async () => {
+    try {
+      setSummary(await listInvoicePayments(invoiceId));
+    } catch (e) {
+      pushToast({ title: "입금 내역을 불러오지 못했습니다.", description: e instanceof Error ? e.message : "", variant: "error" });
+    }
+  };
+
+  useEffect(() => {
+    void load();
+  }, [invoiceId]);
+
+  const refresh = async () => {
+    await load();
+    await onChanged();
+  };
+
+  const onRecord = async () => {
+    if (!Number(amount)) {
+      pushToast({ title: "입금액을 입력해 주세요.", variant: "info" });
+      return;
+    }
+    setSaving(true);
+    try {
+      const result = await recordInvoicePayment(invoiceId, {
+        amount_krw: Number(amount),
+        payment_date: paymentDate || undefined,
+        method,
+        reference: reference || undefined,
+        receipt_file_id: receiptFileId ? Number(receiptFileId) : undefined,
+      });
+      const credit = Number(result.payment.credit_krw);
+      pushToast({
+        title: "입금을 등록했습니다.",
+        description: credit > 0 ? `초과 입금 ${credit.toLocaleString()} KRW는 선수금으로 이월됩니다.` : undefined,
+        variant: "success",
+      });
+      setAmount("");
+      setReference("");
+      setReceiptFileId("");
+      await refresh();
+    } catch (e) {
+      pushToast({ title: "입금 등록 실패", description: e instanceof Error ? e.message : "", variant: "error" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const onApplyCredit = async () => {
+    setSaving(true);
+    try {
+      const result = await applyInvoiceCredit(invoiceId);
+      pushToast({ title: `선수금 ${Number(result.payment.applied_krw).toLocaleString()} KRW를 적용했습니다.`, variant: "success" });
+      await refresh();
+    } catch (e) {
+      pushToast({ title: "선수금 적용 실패", description: e instanceof Error ? e.message : "", variant: "error" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const onVoid = async (paymentId: number) => {
+    if (!voidReason.trim()) {
+      pushToast({ title: "취소 사유를 입력해 주세요.", variant: "info" });
+      return;
+    }
+    setSaving(true);
+    try {
+      await voidInvoicePayment(invoiceId, paymentId, voidReason.trim());
+      pushToast({ title: "입금을 취소했습니다.", variant: "success" });
+      setVoidReason("");
+      await refresh();
+    } catch (e) {
+      pushToast({ title: "입금 취소 실패", description: e instanceof Error ? e.message : "", variant: "error" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const invoice = summary?.invoice;
+  const payable = invoice ? PAYABLE_STATUSES.includes(invoice.status) && Number(invoice.outstanding_krw) > 0 : false;
+
+  return (
+    <div className="mt-4 rounded-xl border bg-white p-6">
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-base font-semibold">입금 내역</h2>
+        {invoice && (
+          <p className="text-sm text-slate-600">
+            입금 {Number(invoice.paid_krw).toLocaleString()} KRW · 미수 {Number(invoice.outstanding_krw).toLocaleString()} KRW · 선수금{" "}
+            {Number(summary?.credit_balance_krw ?? 0).toLocaleString()} KRW
+          </p>
+        )}
+      </div>
+
+      {payable && (
+        <div className="mb-4 grid gap-3 md:grid-cols-6">
+          <Input type="number" placeholder="입금액 (KRW)" value={amount} onChange={(e) => setAmount(e.target.value)} />
+          <Input type="date" value={paymentDate} onChange={(e) => setPaymentDate(e.target.value)} />
+          <select
+            className="h-9 rounded-md border px-3 text-sm"
+            value={method}
+            onChange={(e) => setMethod(e.target.value as PaymentMethod)}
+            aria-label="입금 방법"
+          >
+            {METHOD_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <Input placeholder="참조 번호" value={reference} onChange={(e) => setReference(e.target.value)} />
+          <Input type="number" placeholder="영수증 파일 ID" value={receiptFileId} onChange={(e) => setReceiptFileId(e.target.value)} />
+          <div className="flex gap-2">
+            <Button onClick={() => void onRecord()} disabled={saving}>입금 등록</Button>
+            {Number(summary?.credit_balance_krw ?? 0) > 0 && (
+              <Button variant="secondary" onClick={() => void onApplyCredit()} disabled={saving}>선수금 적용</Button>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="mb-3 max-w-sm">
+        <Input placeholder="입금 취소 사유" value={voidReason} onChange={(e) => setVoidReason(e.target.value)} />
+      </div>
+      <DataTable
+        rows={summary?.payments ?? []}
+        emptyText="입금 내역이 없습니다."
+        columns={[
+          { key: "payment_date", label: "Date", render: (row) => String(row.payment_date).slice(0, 10) },
+          { key: "method", label: "Method", render: (row) => row.method },
+          { key: "amount_krw", label: "Amount KRW", render: (row) => Number(row.amount_krw).toLocaleString() },
+          {
+            key: "credit_krw",
+            label: "Credit KRW",
+            render: (row) => (Number(row.credit_krw) > 0 ? Number(row.credit_krw).toLocaleString() : "-"),
+          },
+          { key: "reference", label: "Reference", render: (row) => row.reference ?? "-" },
+          {
+            key: "receipt",
+            label: "Receipt",
+            render: (row) =>
+              row.receipt_file_id ? (
+                <a href={`/api/proxy/files/${row.receipt_file_id}/content`} target="_blank" rel="noreferrer" className="hover:underline">
+                  {row.receipt_file_name ?? `#${row.receipt_file_id}`}
+                </a>
+              ) : (
+                "-"
+              ),
+          },
+          {
+            key: "status",
+            label: "Status",
+            render: (row) =>
+              row.voided_at ? (
+                <span className="text-slate-400">취소됨 ({row.void_reason})</span>
+              ) : (
+                <Button size="sm" variant="ghost" onClick={() => void onVoid(row.id)} disabled={saving}>
+                  취소
+                </Button>
+              ),
+          },
+        ]}
+      />
+    </div>
+  );
+}
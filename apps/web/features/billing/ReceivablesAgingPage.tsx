@@ -0,0 +1,101 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { PageHeader } from "@/components/ui/PageHeader";
+import { DataTable } from "@/components/ui/DataTable";
+import { ErrorState } from "@/components/ui/ErrorState";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { BillingTabs } from "@/components/billing/BillingTabs";
+import { getReceivablesAging, type ReceivablesAging } from "@/features/billing/api";
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function krw(value: number) {
+  return Number(value || 0).toLocaleString();
+}
+
+export function ReceivablesAgingPage() {
+  const [report, setReport] = useState<ReceivablesAging | null>(null);
+  const [asOf, setAsOf] = useState(today());
+  const [clientId, setClientId] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const reload = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setReport(
+        await getReceivablesAging({
+          as_of: asOf || undefined,
+          client_id: clientId ? Number(clientId) : undefined,
+        })
+      );
+    } catch (e) {
+      setError(e instanceof Error ? e.message : "미수금 현황을 불러오지 못했습니다.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    void reload();
+  }, []);
+
+  return (
+    <section>
+      <PageHeader
+        breadcrumbs={[{ label: "정산" }, { label: "미수금 연령" }]}
+        title="미수금 연령 분석"
+        subtitle="기준일 현재 고객사별 미수금을 만기 경과일로 구분합니다."
+      />
+      <BillingTabs />
+
+      <div className="mb-4 rounded-xl border bg-white p-4">
+        <div className="grid gap-3 md:grid-cols-4">
+          <Input type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+          <Input placeholder="고객사 ID" value={clientId} onChange={(e) => setClientId(e.target.value)} />
+          <Button variant="secondary" onClick={() => void reload()}>조회</Button>
+        </div>
+      </div>
+
+      {report && (
+        <div className="mb-4 grid gap-3 rounded-xl border bg-white p-4 md:grid-cols-6">
+          <div><p className="text-xs text-slate-500">0-30일</p><p className="font-semibold">{krw(report.totals.current)}</p></div>
+          <div><p className="text-xs text-slate-500">31-60일</p><p className="font-semibold">{krw(report.totals.days_30)}</p></div>
+          <div><p className="text-xs text-slate-500">61-90일</p><p className="font-semibold">{krw(report.totals.days_60)}</p></div>
+          <div><p className="text-xs text-slate-500">90일 초과</p><p className="font-semibold">{krw(report.totals.days_90_plus)}</p></div>
+          <div><p className="text-xs text-slate-500">미수 합계</p><p className="font-semibold">{krw(report.totals.total_outstanding_krw)} KRW</p></div>
+          <div><p className="text-xs text-slate-500">선수금</p><p className="font-semibold">{krw(report.totals.credit_balance_krw)} KRW</p></div>
+        </div>
+      )}
+
+      <div className="rounded-xl border bg-white p-6">
+        {error ? (
+          <ErrorState title="미수금 현황을 불러오지 못했습니다." message={error} onRetry={() => void reload()} />
+        ) : (
+          <DataTable
+            rows={report?.clients ?? []}
+            emptyText={loading ? "불러오는 중..." : "미수금이 없습니다."}
+            columns={[
+              { key: "client", label: "Client", render: (row) => `${row.client_code} (${row.client_id})` },
+              { key: "current", label: "Current", render: (row) => krw(row.current) },
+              { key: "days_30", label: "30", render: (row) => krw(row.days_30) },
+              { key: "days_60", label: "60", render: (row) => krw(row.days_60) },
+              { key: "days_90_plus", label: "90+", render: (row) => krw(row.days_90_plus) },
+              {
+                key: "total",
+                label: "Outstanding KRW",
+                render: (row) => <span className="font-semibold">{krw(row.total_outstanding_krw)}</span>,
+              },
+              { key: "credit", label: "Credit KRW", render: (row) => krw(row.credit_balance_krw) },
+            ]}
+          />
+        )}
+      </div>
+    </section>
+  );
+}
@@ -45,6 +45,8 @@ export type BillingInvoice = {
   subtotal_krw: number;
   vat_krw: number;
   total_krw: number;
+  paid_krw?: number;
+  outstanding_krw?: number;
   status: string;
 };
 
@@ -68,9 +70,13 @@ export type BillingEvent = {
   name_kr: string;
   service_code: string;
   qty: number;
+  pricing_policy?: "THB_BASED" | "KRW_FIXED";
+  unit_price_thb?: number | null;
   amount_thb: number | null;
   fx_rate_thbkrw: number | null;
+  unit_price_krw?: number | null;
   amount_krw: number | null;
+  price_source?: "contract" | "catalog" | "manual" | "unpriced" | "tiered" | null;
   reference_type: string;
   reference_id: string | null;
   status: "PENDING" | "INVOICED";
@@ -195,6 +201,53 @@ export async function markBillingEventsPending(ids: number[], options?: RequestO
   );
 }
 
+export type BillingEventRepriceResult = {
+  checked: number;
+  repriced: number;
+  changes: { id: number; service_code: string }[];
+};
+
+export async function repriceBillingEvents(
+  input: { client_id: number; invoice_month?: string; service_code?: string },
+  options?: RequestOptions
+) {
+  return requestJson<BillingEventRepriceResult>(
+    "/billing/events/reprice",
+    { method: "POST", body: JSON.stringify(input) },
+    options
+  );
+}
+
+export type StorageBillingRun = {
+  invoice_month: string;
+  event_date: string;
+  basis: "average" | "daily";
+  days_in_month: number;
+  created: number;
+  updated: number;
+  removed: number;
+  invoiced: number;
+  skipped: number;
+  lines: {
+    client_id: number;
+    warehouse_id: number;
+    service_code: string;
+    billing_unit: "CBM" | "PALLET" | "MONTH";
+    qty: number;
+    result: "created" | "updated" | "removed" | "invoiced" | "skipped";
+    billing_event_id?: number | null;
+    amount_thb?: number | null;
+    amount_krw?: number | null;
+  }[];
+};
+
+export async function runStorageBilling(
+  input: { invoice_month: string; client_id?: number; warehouse_id?: number; basis?: "average" | "daily" },
+  options?: RequestOptions
+) {
+  return requestJson<StorageBillingRun>("/billing/storage/run", { method: "POST", body: JSON.stringify(input) }, options);
+}
+
 export function billingEventsCsvUrl(query?: {
   client_id?: number;
   invoice_month?: string;
@@ -241,22 +294,126 @@ export async function getBillingInvoice(id: string | number, options?: RequestOp
   );
 }
 
-export async function exportBillingInvoicePdf(id: string | number, options?: RequestOptions) {
-  return requestJson<{ status: string; message: string }>(`/billing/invoices/${id}/export-pdf`, undefined, options);
+export type InvoicePdfLang = "ko" | "en" | "th";
+
+export type InvoicePdfExport = {
+  invoice_id: number;
+  lang: InvoicePdfLang;
+  status: "ready";
+  reused: boolean;
+  file_id: number;
+  file_name: string;
+  size_bytes: number;
+  generated_at: string;
+  download_url: string;
+};
+
+export async function exportBillingInvoicePdf(id: string | number, lang: InvoicePdfLang, options?: RequestOptions) {
+  return requestJson<InvoicePdfExport>(`/billing/invoices/${id}/export-pdf?lang=${lang}`, undefined, options);
 }
 
 export async function issueBillingInvoice(id: string | number, options?: RequestOptions) {
-  return requestJson<{ id: number; status: "issued" }>(`/billing/invoices/${id}/issue`, { method: "POST" }, options);
+  return requestJson<{ id: number; status: string; credit_applied_krw: number }>(`/billing/invoices/${id}/issue`, { method: "POST" }, options);
 }
 
 export async function markBillingInvoicePaid(id: string | number, options?: RequestOptions) {
-  return requestJson<{ id: number; status: "paid" }>(
+  return requestJson<{ id: number; status: string; payment: InvoicePayment }>(
     `/billing/invoices/${id}/mark-paid`,
     { method: "POST" },
     options
   );
 }
 
+export type PaymentMethod = "bank_transfer" | "card" | "cash" | "other";
+
+export type InvoicePayment = {
+  id: number;
+  invoice_id: number;
+  client_id: number;
+  payment_date: string;
+  method: PaymentMethod | "credit";
+  amount_krw: number;
+  applied_krw: number;
+  credit_krw: number;
+  reference: string | null;
+  receipt_file_id: number | null;
+  receipt_file_name?: string | null;
+  note: string | null;
+  created_at: string;
+  voided_at: string | null;
+  void_reason: string | null;
+};
+
+export type InvoicePaymentSummary = {
+  invoice: { id: number; client_id: number; status: string; total_krw: number; paid_krw: number; outstanding_krw: number };
+  payments: InvoicePayment[];
+  credit_balance_krw: number;
+};
+
+export async function listInvoicePayments(id: string | number, options?: RequestOptions) {
+  return requestJson<InvoicePaymentSummary>(`/billing/invoices/${id}/payments`, undefined, options);
+}
+
+export async function recordInvoicePayment(
+  id: string | number,
+  input: {
+    amount_krw: number;
+    payment_date?: string;
+    method: PaymentMethod;
+    reference?: string;
+    receipt_file_id?: number;
+    note?: string;
+  },
+  options?: RequestOptions
+) {
+  return requestJson<{ payment: InvoicePayment; invoice: InvoicePaymentSummary["invoice"] }>(
+    `/billing/invoices/${id}/payments`,
+    { method: "POST", body: JSON.stringify(input) },
+    options
+  );
+}
+
+export async function voidInvoicePayment(id: string | number, paymentId: number, reason: string, options?: RequestOptions) {
+  return requestJson<{ payment: InvoicePayment; invoice: InvoicePaymentSummary["invoice"] }>(
+    `/billing/invoices/${id}/payments/${paymentId}/void`,
+    { method: "POST", body: JSON.stringify({ reason }) },
+    options
+  );
+}
+
+export async function applyInvoiceCredit(id: string | number, options?: RequestOptions) {
+  return requestJson<{ payment: InvoicePayment; invoice: InvoicePaymentSummary["invoice"]; credit_balance_krw: number }>(
+    `/billing/invoices/${id}/apply-credit`,
+    { method: "POST", body: JSON.stringify({}) },
+    options
+  );
+}
+
+export type AgingBucket = "current" | "days_30" | "days_60" | "days_90_plus";
+
+export type ReceivablesAgingClient = Record<AgingBucket, number> & {
+  client_id: number;
+  client_code: string;
+  name_kr: string;
+  total_outstanding_krw: number;
+  credit_balance_krw: number;
+};
+
+export type ReceivablesAging = {
+  as_of: string;
+  buckets: AgingBucket[];
+  totals: Record<AgingBucket, number> & { total_outstanding_krw: number; credit_balance_krw: number };
+  clients: ReceivablesAgingClient[];
+};
+
+export async function getReceivablesAging(query?: { as_of?: string; client_id?: number }, options?: RequestOptions) {
+  const params = new URLSearchParams();
+  if (query?.as_of) params.set("as_of", query.as_of);
+  if (query?.client_id) params.set("client_id", String(query.client_id));
+  const suffix = params.toString() ? `?${params.toString()}` : "";
+  return requestJson<ReceivablesAging>(`/billing/receivables/aging${suffix}`, undefined, options);
+}
+
 export async function duplicateBillingInvoiceAdmin(id: string | number, options?: RequestOptions) {
   return requestJson<BillingInvoice>(`/billing/invoices/${id}/duplicate-admin`, { method: "POST" }, options);
 }
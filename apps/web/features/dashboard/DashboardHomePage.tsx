@@ -4,6 +4,7 @@ import Link from "next/link";
 import { PageHeader } from "@/components/ui/PageHeader";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { DashboardTabs } from "@/components/dashboard/DashboardTabs";
+import { ExpiryCard } from "@/components/dashboard/ExpiryCard";
 import { GenerateSnapshotsButton } from "@/components/dashboard/GenerateSnapshotsButton";
 import { DemoModeBanner, DemoModeToggle } from "@/components/dashboard/DemoModeToggle";
 import { useDemoMode } from "@/features/dashboard/useDemoMode";
@@ -60,6 +61,10 @@ export function DashboardHomePage() {
           </Link>
         ))}
       </div>
+
+      <div className="mt-4">
+        <ExpiryCard />
+      </div>
     </section>
   );
 }
@@ -67,6 +67,21 @@ export type StorageCapacityResponse = {
   }>;
 };
 
+export type ExpiryBucketTotals = {
+  expired_qty: number;
+  within_30_qty: number;
+  within_60_qty: number;
+  within_90_qty: number;
+};
+
+export type ExpiryDashboardResponse = {
+  ok: true;
+  date: string;
+  buckets: number[];
+  totals: ExpiryBucketTotals;
+  clients: Array<ExpiryBucketTotals & { client_id: number; client_name: string | null }>;
+};
+
 export type GenerateSnapshotsResponse = {
   ok: true;
   data: {
@@ -168,6 +183,10 @@ export function getStorageCapacity(query: { date?: string; warehouseId?: number
   return requestDashboard<StorageCapacityResponse>("storage/capacity", query);
 }
 
+export function getExpiryDashboard(query?: { warehouseId?: number; clientId?: number }) {
+  return requestDashboard<ExpiryDashboardResponse>("expiry", query);
+}
+
 export function generateStorageSnapshots(query: { date?: string; warehouseId?: number; clientId?: number }) {
   return requestDashboardPost<GenerateSnapshotsResponse>("storage/snapshots/generate", query);
 }
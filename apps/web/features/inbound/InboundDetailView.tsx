@@ -1,6 +1,6 @@
 "use client";
 
-import { useMemo, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { usePathname, useRouter, useSearchParams } from "next/navigation";
 import { Loader2 } from "lucide-react";
 import { Button } from "@/components/ui/button";
@@ -9,12 +9,19 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { PageHeader } from "@/components/ui/PageHeader";
 import { Badge } from "@/components/ui/badge";
 import { DataTable } from "@/components/ui/DataTable";
-import type { InboundAction, InboundOrder, InboundStatus } from "@/features/inbound/types";
+import { Input } from "@/components/ui/input";
+import type {
+  InboundAction,
+  InboundDiscrepancy,
+  InboundOrder,
+  InboundReceiptLine,
+  InboundStatus,
+} from "@/features/inbound/types";
 import { ApiError } from "@/features/outbound/api";
-import { transitionInboundStatus } from "@/features/inbound/api";
+import { getInboundReceiptLines, saveInboundReceipts, transitionInboundStatus } from "@/features/inbound/api";
 import { useToast } from "@/components/ui/toast";
 
-const tabs = ["overview", "items", "timeline"] as const;
+const tabs = ["overview", "items", "receiving", "timeline"] as const;
 type TabValue = (typeof tabs)[number];
 
 function normalizeTab(tab?: string): TabValue {
@@ -48,6 +55,29 @@ function statusBadge(status: InboundStatus) {
   return <Badge variant={current.variant}>{current.label}</Badge>;
 }
 
+function discrepancyBadge(discrepancy: InboundDiscrepancy) {
+  const map: Record<InboundDiscrepancy, { label: string; variant: "default" | "info" | "warning" | "success" }> = {
+    pending: { label: "미검수", variant: "default" },
+    matched: { label: "일치", variant: "success" },
+    short: { label: "부족", variant: "warning" },
+    over: { label: "초과", variant: "info" },
+    damaged: { label: "파손", variant: "warning" },
+  };
+  const current = map[discrepancy];
+  return <Badge variant={current.variant}>{current.label}</Badge>;
+}
+
+type CountDraft = Record<string, { received_qty: string; damaged_qty: string }>;
+
+function toCountDraft(lines: InboundReceiptLine[]): CountDraft {
+  return Object.fromEntries(
+    lines.map((line) => [
+      line.inbound_item_id,
+      { received_qty: String(line.received_qty), damaged_qty: String(line.damaged_qty) },
+    ])
+  );
+}
+
 export function InboundDetailView({ order: initialOrder, initialTab }: { order: InboundOrder; initialTab?: string }) {
   const router = useRouter();
   const pathname = usePathname();
@@ -57,7 +87,30 @@ export function InboundDetailView({ order: initialOrder, initialTab }: { order:
   const [order, setOrder] = useState(initialOrder);
   const [tab, setTab] = useState<TabValue>(normalizeTab(initialTab));
   const [loading, setLoading] = useState(false);
+  const [receiptLines, setReceiptLines] = useState<InboundReceiptLine[] | null>(null);
+  const [countDraft, setCountDraft] = useState<CountDraft>({});
+  const [savingCount, setSavingCount] = useState(false);
   const currentAction = actionByStatus(order.status);
+  const countEditable = order.status !== "received" && order.status !== "cancelled";
+
+  useEffect(() => {
+    if (tab !== "receiving") return;
+    let active = true;
+    getInboundReceiptLines(order)
+      .then((lines) => {
+        if (!active) return;
+        setReceiptLines(lines);
+        setCountDraft(toCountDraft(lines));
+      })
+      .catch((error) => {
+        if (!active) return;
+        const message = error instanceof ApiError ? error.message : "검수 내역을 불러오지 못했습니다.";
+        pushToast({ title: "조회 실패", description: message, variant: "error" });
+      });
+    return () => {
+      active = false;
+    };
+  }, [tab, order, pushToast]);
 
   const setTabWithQuery = (nextTab: string) => {
     const normalized = normalizeTab(nextTab);
@@ -86,6 +139,96 @@ export function InboundDetailView({ order: initialOrder, initialTab }: { order:
     }
   };
 
+  const saveCount = async () => {
+    if (!receiptLines) return;
+    const lines = receiptLines.map((line) => ({
+      inbound_item_id: line.inbound_item_id,
+      received_qty: Number(countDraft[line.inbound_item_id]?.received_qty ?? line.received_qty),
+      damaged_qty: Number(countDraft[line.inbound_item_id]?.damaged_qty ?? line.damaged_qty),
+    }));
+    const invalid = lines.find(
+      (line) =>
+        !Number.isInteger(line.received_qty) ||
+        !Number.isInteger(line.damaged_qty) ||
+        line.received_qty < 0 ||
+        line.damaged_qty < 0 ||
+        line.damaged_qty > line.received_qty
+    );
+    if (invalid) {
+      pushToast({ title: "입력 확인", description: "파손 수량은 0 이상, 실입고 수량 이하로 입력하세요.", variant: "error" });
+      return;
+    }
+    setSavingCount(true);
+    try {
+      const saved = await saveInboundReceipts(order, lines);
+      setReceiptLines(saved);
+      setCountDraft(toCountDraft(saved));
+      const discrepancies = saved.filter((line) => line.discrepancy !== "matched" && line.discrepancy !== "pending").length;
+      pushToast({
+        title: "검수 저장 완료",
+        description: discrepancies > 0 ? `차이 ${discrepancies}건이 있습니다.` : "예정 수량과 일치합니다.",
+        variant: "success",
+      });
+    } catch (error) {
+      const message = error instanceof ApiError ? error.message : "저장에 실패했습니다.";
+      pushToast({ title: "처리 실패", description: message, variant: "error" });
+    } finally {
+      setSavingCount(false);
+    }
+  };
+
+  const updateCountDraft = (itemId: string, field: "received_qty" | "damaged_qty", value: string) => {
+    setCountDraft((prev) => ({
+      ...prev,
+      [itemId]: { ...(prev[itemId] ?? { received_qty: "0", damaged_qty: "0" }), [field]: value },
+    }));
+  };
+
+  const receiptColumns = [
+    { key: "barcode_full", label: "바코드", render: (row: InboundReceiptLine) => row.barcode_full },
+    { key: "product_name", label: "상품명", render: (row: InboundReceiptLine) => row.product_name },
+    { key: "lot", label: "LOT", render: (row: InboundReceiptLine) => row.lot },
+    { key: "expected_qty", label: "예정", className: "tabular-nums", render: (row: InboundReceiptLine) => row.expected_qty },
+    {
+      key: "received_qty",
+      label: "실입고",
+      className: "tabular-nums",
+      render: (row: InboundReceiptLine) =>
+        countEditable ? (
+          <Input
+            type="number"
+            min={0}
+            className="h-8 w-24"
+            value={countDraft[row.inbound_item_id]?.received_qty ?? ""}
+            onChange={(e) => updateCountDraft(row.inbound_item_id, "received_qty", e.target.value)}
+          />
+        ) : (
+          row.received_qty
+        ),
+    },
+    {
+      key: "damaged_qty",
+      label: "파손",
+      className: "tabular-nums",
+      render: (row: InboundReceiptLine) =>
+        countEditable ? (
+          <Input
+            type="number"
+            min={0}
+            className="h-8 w-24"
+            value={countDraft[row.inbound_item_id]?.damaged_qty ?? ""}
+            onChange={(e) => updateCountDraft(row.inbound_item_id, "damaged_qty", e.target.value)}
+          />
+        ) : (
+          row.damaged_qty
+        ),
+    },
+    { key: "accepted_qty", label: "가용입고", className: "tabular-nums", render: (row: InboundReceiptLine) => row.accepted_qty },
+    { key: "short_qty", label: "부족", className: "tabular-nums", render: (row: InboundReceiptLine) => row.short_qty },
+    { key: "over_qty", label: "초과", className: "tabular-nums", render: (row: InboundReceiptLine) => row.over_qty },
+    { key: "discrepancy", label: "결과", render: (row: InboundReceiptLine) => discrepancyBadge(row.discrepancy) },
+  ];
+
   const itemColumns = useMemo(
     () => [
       { key: "barcode_full", label: "바코드", render: (row: InboundOrder["items"][number]) => row.barcode_full },
@@ -126,6 +269,7 @@ export function InboundDetailView({ order: initialOrder, initialTab }: { order:
         <TabsList className="mb-6">
           <TabsTrigger value="overview">개요</TabsTrigger>
           <TabsTrigger value="items">품목</TabsTrigger>
+          <TabsTrigger value="receiving">검수</TabsTrigger>
           <TabsTrigger value="timeline">이력</TabsTrigger>
         </TabsList>
 
@@ -151,6 +295,25 @@ export function InboundDetailView({ order: initialOrder, initialTab }: { order:
           <DataTable rows={order.items} columns={itemColumns} emptyText="입고 품목이 없습니다." />
         </TabsContent>
 
+        <TabsContent value="receiving" className="space-y-4">
+          {receiptLines === null ? (
+            <div className="rounded-xl border bg-white px-6 py-8 text-center text-sm text-slate-500">
+              <Loader2 className="mx-auto h-4 w-4 animate-spin" />
+            </div>
+          ) : (
+            <>
+              <DataTable rows={receiptLines} columns={receiptColumns} emptyText="입고 품목이 없습니다." />
+              {countEditable && receiptLines.length > 0 && (
+                <div className="flex justify-end">
+                  <Button onClick={saveCount} disabled={savingCount}>
+                    {savingCount ? <Loader2 className="h-4 w-4 animate-spin" /> : "검수 저장"}
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+        </TabsContent>
+
         <TabsContent value="timeline">
           {order.timeline.length === 0 ? (
             <div className="rounded-xl border bg-white px-6 py-8 text-center text-sm text-slate-500">이력 로그가 없습니다.</div>
@@ -4,6 +4,8 @@ import type {
   InboundItem,
   InboundListQuery,
   InboundOrder,
+  InboundReceiptInput,
+  InboundReceiptLine,
   InboundStatus,
   InboundTimeline,
 } from "@/features/inbound/types";
@@ -55,6 +57,25 @@ type RawInboundLog = {
   created_at: string;
 };
 
+type RawInboundDiscrepancyLine = {
+  inbound_item_id: number;
+  product_id: number;
+  sku_code: string | null;
+  product_name: string | null;
+  lot_no: string | null;
+  expected_qty: number;
+  received_qty: number;
+  damaged_qty: number;
+  accepted_qty: number;
+  short_qty: number;
+  over_qty: number;
+  counted: boolean;
+  discrepancy: InboundReceiptLine["discrepancy"];
+  note: string | null;
+};
+
+type RawInboundDiscrepancyReport = { lines: RawInboundDiscrepancyLine[] };
+
 type RawClient = { id: number; name_kr: string };
 type RawProduct = { id: number; barcode_full: string; name_kr: string };
 type RawLot = { id: number; lot_no: string };
@@ -202,6 +223,7 @@ function mapInboundLogTitle(log: RawInboundLog): string {
   if (log.action === "create") return "Inbound Created";
   if (log.action === "status_change") return "Status Changed";
   if (log.action === "delete") return "Inbound Deleted";
+  if (log.action === "count") return "Dock Count Recorded";
   return "Inbound Updated";
 }
 
@@ -257,6 +279,55 @@ function mapItems(rawItems: RawInboundItem[], products: RawProduct[], lots: RawL
   }));
 }
 
+function summarizeMockLine(item: InboundItem, input?: InboundReceiptInput): InboundReceiptLine {
+  const receivedQty = input ? input.received_qty : item.qty;
+  const damagedQty = input ? input.damaged_qty : 0;
+  const shortQty = Math.max(item.qty - receivedQty, 0);
+  const overQty = Math.max(receivedQty - item.qty, 0);
+  let discrepancy: InboundReceiptLine["discrepancy"] = "matched";
+  if (!input) discrepancy = "pending";
+  else if (shortQty > 0) discrepancy = "short";
+  else if (overQty > 0) discrepancy = "over";
+  else if (damagedQty > 0) discrepancy = "damaged";
+  return {
+    inbound_item_id: item.id,
+    barcode_full: item.barcode_full,
+    product_name: item.product_name,
+    lot: item.lot,
+    expected_qty: item.qty,
+    received_qty: receivedQty,
+    damaged_qty: damagedQty,
+    accepted_qty: Math.max(receivedQty - damagedQty, 0),
+    short_qty: shortQty,
+    over_qty: overQty,
+    counted: Boolean(input),
+    discrepancy,
+    note: input?.note ?? null,
+  };
+}
+
+function mapReceiptLines(report: RawInboundDiscrepancyReport, items: InboundItem[]): InboundReceiptLine[] {
+  const itemMap = new Map(items.map((item) => [item.id, item]));
+  return report.lines.map((line) => {
+    const item = itemMap.get(String(line.inbound_item_id));
+    return {
+      inbound_item_id: String(line.inbound_item_id),
+      barcode_full: item?.barcode_full ?? line.sku_code ?? `P-${line.product_id}`,
+      product_name: line.product_name ?? item?.product_name ?? `Product #${line.product_id}`,
+      lot: line.lot_no ?? item?.lot ?? "-",
+      expected_qty: Number(line.expected_qty),
+      received_qty: Number(line.received_qty),
+      damaged_qty: Number(line.damaged_qty),
+      accepted_qty: Number(line.accepted_qty),
+      short_qty: Number(line.short_qty),
+      over_qty: Number(line.over_qty),
+      counted: Boolean(line.counted),
+      discrepancy: line.discrepancy,
+      note: line.note,
+    };
+  });
+}
+
 const mockDb: InboundOrder[] = inboundOrdersMock.map((order) => cloneOrder(order));
 
 export async function getInboundOrders(query?: InboundListQuery, options?: RequestOptions): Promise<InboundOrder[]> {
@@ -364,3 +435,49 @@ export async function transitionInboundStatus(
   if (!updated) throw new ApiError("Inbound order not found", 404);
   return updated;
 }
+
+const mockReceipts = new Map<string, InboundReceiptInput>();
+
+export async function getInboundReceiptLines(order: InboundOrder, options?: RequestOptions): Promise<InboundReceiptLine[]> {
+  if (USE_MOCK) {
+    await delay(LATENCY_MS);
+    return order.items.map((item) => summarizeMockLine(item, mockReceipts.get(item.id)));
+  }
+  const report = await requestJson<RawInboundDiscrepancyReport>(
+    `/inbound-orders/${order.id}/discrepancies`,
+    undefined,
+    options
+  );
+  return mapReceiptLines(report, order.items);
+}
+
+export async function saveInboundReceipts(
+  order: InboundOrder,
+  lines: InboundReceiptInput[],
+  options?: RequestOptions
+): Promise<InboundReceiptLine[]> {
+  if (USE_MOCK) {
+    await delay(LATENCY_MS);
+    if (order.status === "received" || order.status === "cancelled") {
+      throw new ApiError("Dock counts cannot be changed on this order", 400);
+    }
+    lines.forEach((line) => mockReceipts.set(line.inbound_item_id, line));
+    return order.items.map((item) => summarizeMockLine(item, mockReceipts.get(item.id)));
+  }
+  const report = await requestJson<RawInboundDiscrepancyReport>(
+    `/inbound-orders/${order.id}/receipts`,
+    {
+      method: "PUT",
+      body: JSON.stringify({
+        lines: lines.map((line) => ({
+          inbound_item_id: Number(line.inbound_item_id),
+          received_qty: line.received_qty,
+          damaged_qty: line.damaged_qty,
+          note: line.note ?? null,
+        })),
+      }),
+    },
+    options
+  );
+  return mapReceiptLines(report, order.items);
+}
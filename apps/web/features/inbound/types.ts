@@ -47,3 +47,28 @@ export type InboundListQuery = {
   q?: string;
   status?: InboundListStatus;
 };
+
+export type InboundDiscrepancy = "pending" | "matched" | "short" | "over" | "damaged";
+
+export type InboundReceiptLine = {
+  inbound_item_id: string;
+  barcode_full: string;
+  product_name: string;
+  lot: string;
+  expected_qty: number;
+  received_qty: number;
+  damaged_qty: number;
+  accepted_qty: number;
+  short_qty: number;
+  over_qty: number;
+  counted: boolean;
+  discrepancy: InboundDiscrepancy;
+  note: string | null;
+};
+
+export type InboundReceiptInput = {
+  inbound_item_id: string;
+  received_qty: number;
+  damaged_qty: number;
+  note?: string | null;
+};
@@ -1,5 +1,11 @@
 import { ApiError } from "@/features/outbound/api";
-import type { InventoryQuery, StockBalanceRow, StockTransactionRow } from "@/features/inventory/types";
+import type {
+  CycleCountHistoryRow,
+  InventoryQuery,
+  QcHoldRow,
+  StockBalanceRow,
+  StockTransactionRow,
+} from "@/features/inventory/types";
 import { AUTH_COOKIE_KEY } from "@/lib/auth";
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL ?? "http://localhost:3100";
@@ -24,6 +30,28 @@ type RawBalance = {
   location_id: number | null;
   available_qty: number;
   reserved_qty: number;
+  hold_qty?: number;
+};
+
+type RawQcHold = {
+  id: number;
+  client_id: number;
+  sku_code: string | null;
+  product_name: string | null;
+  product_id: number;
+  lot_id: number;
+  lot_no: string | null;
+  warehouse_id: number;
+  source_type: "inbound_item" | "lot";
+  source_id: number;
+  inbound_order_id: number | null;
+  hold_qty: number;
+  released_qty: number;
+  quarantined_qty: number;
+  remaining_qty: number;
+  status: QcHoldRow["status"];
+  reason: string | null;
+  created_at: string;
 };
 
 type RawTxn = {
@@ -42,6 +70,29 @@ type RawTxn = {
   note: string | null;
 };
 
+type RawCycleCountHistory = {
+  task_id: number;
+  cycle_count_id: number;
+  warehouse_id: number;
+  warehouse_code: string | null;
+  location_id: number | null;
+  location_code: string | null;
+  client_id: number;
+  client_name: string | null;
+  product_id: number;
+  sku_code: string | null;
+  product_name: string | null;
+  lot_id: number;
+  lot_no: string | null;
+  system_qty: number;
+  first_counted_qty: number | null;
+  counted_qty: number;
+  variance_qty: number;
+  count_round: number;
+  stock_adjustment_id: number | null;
+  counted_at: string | null;
+};
+
 const mockBalances: StockBalanceRow[] = [
   {
     id: "mb-1",
@@ -52,6 +103,7 @@ const mockBalances: StockBalanceRow[] = [
     location: "LOC-101",
     available_qty: 120,
     reserved_qty: 18,
+    hold_qty: 0,
   },
   {
     id: "mb-2",
@@ -62,6 +114,60 @@ const mockBalances: StockBalanceRow[] = [
     location: "LOC-202",
     available_qty: 42,
     reserved_qty: 9,
+    hold_qty: 24,
+  },
+];
+
+const mockQcHolds: QcHoldRow[] = [
+  {
+    id: "mq-1",
+    client: "Blue Retail",
+    product: "Vitamin C 500mg",
+    lot: "LOT-2402-B",
+    warehouse: "WH-1",
+    source: "inbound:104",
+    hold_qty: 24,
+    released_qty: 0,
+    quarantined_qty: 0,
+    remaining_qty: 24,
+    status: "open",
+    reason: "Inbound order in QC",
+    created_at: "2026-02-19 10:05",
+  },
+];
+
+const mockCycleCountHistory: CycleCountHistoryRow[] = [
+  {
+    id: "mc-1",
+    cycle_count_id: 7,
+    counted_at: "2026-02-17 16:20",
+    warehouse: "WH-1",
+    location: "LOC-202",
+    client: "Blue Retail",
+    product: "Vitamin C 500mg",
+    lot: "LOT-2402-B",
+    system_qty: 77,
+    first_counted_qty: 71,
+    counted_qty: 75,
+    variance_qty: -2,
+    count_round: 2,
+    adjustment: "adjustment:31",
+  },
+  {
+    id: "mc-2",
+    cycle_count_id: 7,
+    counted_at: "2026-02-17 16:05",
+    warehouse: "WH-1",
+    location: "LOC-101",
+    client: "ACME Korea",
+    product: "Protein Bar 40g",
+    lot: "LOT-2402-A",
+    system_qty: 138,
+    first_counted_qty: 138,
+    counted_qty: 138,
+    variance_qty: 0,
+    count_round: 1,
+    adjustment: "-",
   },
 ];
 
@@ -163,6 +269,7 @@ export async function getStockBalances(query?: InventoryQuery, options?: Request
       location: row.location_id ? `LOC-${row.location_id}` : "-",
       available_qty: Number(row.available_qty),
       reserved_qty: Number(row.reserved_qty),
+      hold_qty: Number(row.hold_qty ?? 0),
     }));
 
     return mapped.filter((row) => includesQ(row.client, row.product, row.lot, row.warehouse, row.location)(query?.q));
@@ -228,3 +335,74 @@ export async function getStockTransactions(
     throw error;
   }
 }
+
+export async function getQcHolds(query?: InventoryQuery, options?: RequestOptions): Promise<QcHoldRow[]> {
+  const token = await resolveToken(options?.token);
+  try {
+    const [holds, clients] = await Promise.all([
+      requestJson<RawQcHold[]>("/qc/holds", undefined, options),
+      requestJson<RawClient[]>("/clients", undefined, options),
+    ]);
+    const clientMap = new Map(clients.map((item) => [item.id, item.name_kr]));
+
+    const mapped = holds.map((row) => ({
+      id: String(row.id),
+      client: clientMap.get(row.client_id) ?? `Client #${row.client_id}`,
+      product: row.product_name ?? `Product #${row.product_id}`,
+      lot: row.lot_no ?? `LOT-${row.lot_id}`,
+      warehouse: `WH-${row.warehouse_id}`,
+      source: row.source_type === "inbound_item" ? `inbound:${row.inbound_order_id ?? row.source_id}` : "lot hold",
+      hold_qty: Number(row.hold_qty),
+      released_qty: Number(row.released_qty),
+      quarantined_qty: Number(row.quarantined_qty),
+      remaining_qty: Number(row.remaining_qty),
+      status: row.status,
+      reason: row.reason ?? "-",
+      created_at: row.created_at?.slice(0, 16).replace("T", " ") ?? "-",
+    }));
+
+    return mapped.filter((row) => includesQ(row.client, row.product, row.lot, row.source, row.reason)(query?.q));
+  } catch (error) {
+    if (shouldUseFallback(token)) {
+      return mockQcHolds.filter((row) => includesQ(row.client, row.product, row.lot, row.source, row.reason)(query?.q));
+    }
+    throw error;
+  }
+}
+
+export async function getCycleCountHistory(
+  query?: InventoryQuery,
+  options?: RequestOptions
+): Promise<CycleCountHistoryRow[]> {
+  const token = await resolveToken(options?.token);
+  const params = new URLSearchParams();
+  if (query?.q) params.set("q", query.q);
+  const path = `/cycle-counts/history${params.toString() ? `?${params.toString()}` : ""}`;
+
+  try {
+    const rows = await requestJson<RawCycleCountHistory[]>(path, undefined, options);
+    return rows.map((row) => ({
+      id: String(row.task_id),
+      cycle_count_id: row.cycle_count_id,
+      counted_at: row.counted_at?.slice(0, 16).replace("T", " ") ?? "-",
+      warehouse: row.warehouse_code ?? `WH-${row.warehouse_id}`,
+      location: row.location_code ?? (row.location_id ? `LOC-${row.location_id}` : "-"),
+      client: row.client_name ?? `Client #${row.client_id}`,
+      product: row.product_name ?? row.sku_code ?? `Product #${row.product_id}`,
+      lot: row.lot_no ?? `LOT-${row.lot_id}`,
+      system_qty: Number(row.system_qty),
+      first_counted_qty: row.first_counted_qty === null ? null : Number(row.first_counted_qty),
+      counted_qty: Number(row.counted_qty),
+      variance_qty: Number(row.variance_qty),
+      count_round: Number(row.count_round),
+      adjustment: row.stock_adjustment_id ? `adjustment:${row.stock_adjustment_id}` : "-",
+    }));
+  } catch (error) {
+    if (shouldUseFallback(token)) {
+      return mockCycleCountHistory.filter((row) =>
+        includesQ(row.location, row.product, row.lot, row.client)(query?.q)
+      );
+    }
+    throw error;
+  }
+}
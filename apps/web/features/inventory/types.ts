@@ -1,4 +1,4 @@
-export type InventoryTab = "balances" | "transactions";
+export type InventoryTab = "balances" | "transactions" | "qc" | "counts";
 
 export type StockBalanceRow = {
   id: string;
@@ -9,6 +9,7 @@ export type StockBalanceRow = {
   location: string;
   available_qty: number;
   reserved_qty: number;
+  hold_qty: number;
 };
 
 export type StockTransactionRow = {
@@ -26,6 +27,39 @@ export type StockTransactionRow = {
   note: string;
 };
 
+export type QcHoldRow = {
+  id: string;
+  client: string;
+  product: string;
+  lot: string;
+  warehouse: string;
+  source: string;
+  hold_qty: number;
+  released_qty: number;
+  quarantined_qty: number;
+  remaining_qty: number;
+  status: "open" | "closed" | "cancelled";
+  reason: string;
+  created_at: string;
+};
+
+export type CycleCountHistoryRow = {
+  id: string;
+  cycle_count_id: number;
+  counted_at: string;
+  warehouse: string;
+  location: string;
+  client: string;
+  product: string;
+  lot: string;
+  system_qty: number;
+  first_counted_qty: number | null;
+  counted_qty: number;
+  variance_qty: number;
+  count_round: number;
+  adjustment: string;
+};
+
 export type InventoryQuery = {
   q?: string;
   txn_type?: string;
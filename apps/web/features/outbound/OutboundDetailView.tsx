@@ -33,16 +33,27 @@ function normalizeTab(tab?: string): TabValue {
 }
 
 function actionByStatus(status: OutboundOrder["status"]): OutboundAction | null {
-  if (status === "draft") return "allocate";
-  if (status === "allocated" || status === "picking") return "pack";
+  if (status === "draft") return "confirm";
+  if (status === "confirmed") return "allocate";
+  if (status === "allocated") return "pick";
+  if (status === "picking") return "pack";
   if (status === "packing" || status === "packed") return "ship";
+  if (status === "shipped") return "deliver";
   return null;
 }
 
+function canCancel(status: OutboundOrder["status"]) {
+  return ["draft", "confirmed", "allocated", "picking", "packing", "packed"].includes(status);
+}
+
 function actionLabel(action: OutboundAction) {
+  if (action === "confirm") return "확정";
   if (action === "allocate") return "할당";
+  if (action === "pick") return "피킹";
   if (action === "pack") return "포장";
-  return "출고";
+  if (action === "ship") return "출고";
+  if (action === "deliver") return "배송완료";
+  return "출고취소";
 }
 
 export function OutboundDetailView({
@@ -79,9 +90,9 @@ export function OutboundDetailView({
     router.replace(`${pathname}?${params.toString()}`);
   };
 
-  const openActionConfirm = () => {
-    if (!currentAction) return;
-    setPendingAction(currentAction);
+  const openActionConfirm = (action: OutboundAction | null) => {
+    if (!action) return;
+    setPendingAction(action);
     setConfirmOpen(true);
   };
 
@@ -196,8 +207,13 @@ export function OutboundDetailView({
         rightSlot={
           <div className="flex items-center gap-2">
             <StatusBadge status={order.status} />
+            {canCancel(order.status) && (
+              <Button variant="secondary" onClick={() => openActionConfirm("cancel")} disabled={loading}>
+                {actionLabel("cancel")}
+              </Button>
+            )}
             {currentAction && (
-              <Button onClick={openActionConfirm} disabled={loading}>
+              <Button onClick={() => openActionConfirm(currentAction)} disabled={loading}>
                 {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : actionLabel(currentAction)}
               </Button>
             )}
@@ -49,6 +49,7 @@ type RawOutboundItem = {
   box_type: string | null;
   box_count: number;
   remark: string | null;
+  reservation_status?: "reserved" | "allocated" | "shipped" | "released" | null;
   created_at: string;
   updated_at: string;
 };
@@ -119,26 +120,6 @@ function delay(ms: number) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function toDateOnly(value: string | null | undefined): string {
-  if (!value) return new Date().toISOString().slice(0, 10);
-  const trimmed = value.trim();
-  const matched = trimmed.match(/^(\d{4}-\d{2}-\d{2})/);
-  if (matched) return matched[1];
-
-  const parsed = new Date(trimmed);
-  if (Number.isNaN(parsed.getTime())) {
-    return new Date().toISOString().slice(0, 10);
-  }
-  return parsed.toISOString().slice(0, 10);
-}
-
-function toIsoDateTime(value: string | null | undefined): string | null {
-  if (!value) return null;
-  const parsed = new Date(value);
-  if (Number.isNaN(parsed.getTime())) return null;
-  return parsed.toISOString();
-}
-
 async function resolveToken(input?: string): Promise<string | undefined> {
   if (input) return input;
   if (typeof window !== "undefined") {
@@ -206,10 +187,22 @@ function applyListFilter(orders: OutboundOrder[], query?: OutboundListQuery): Ou
   });
 }
 
-function mapMockActionStatus(action: OutboundAction): OutboundStatus {
+const ACTION_STATUS: Record<OutboundAction, OutboundStatus> = {
+  confirm: "confirmed",
+  allocate: "allocated",
+  pick: "picking",
+  pack: "packed",
+  ship: "shipped",
+  deliver: "delivered",
+  cancel: "cancelled",
+};
+
+function mapMockTimelineType(action: OutboundAction): OutboundTimeline["type"] {
   if (action === "allocate") return "allocated";
   if (action === "pack") return "packed";
-  return "shipped";
+  if (action === "ship") return "shipped";
+  if (action === "cancel") return "cancelled";
+  return "updated";
 }
 
 function buildTimeline(order: RawOutboundOrder): OutboundTimeline[] {
@@ -271,9 +264,12 @@ function mapOutboundLogType(log: RawOutboundLog): OutboundTimeline["type"] {
 }
 
 function mapOutboundLogTitle(log: RawOutboundLog): string {
+  if (log.action === "confirm") return "Order Confirmed";
   if (log.action === "allocate") return "Stock Allocated";
+  if (log.action === "pick") return "Picking Started";
   if (log.action === "pack") return "Packing Completed";
   if (log.action === "ship") return "Shipment Completed";
+  if (log.action === "deliver") return "Delivered";
   if (log.action === "cancel") return "Outbound Cancelled";
   if (log.action === "create") return "Order Created";
   if (log.action === "status_change") return "Status Changed";
@@ -353,7 +349,10 @@ function mapItems(
   );
 
   return rawItems.map((item) => {
-    const available = balanceMap.get(toKey(item.product_id, item.lot_id, item.location_id)) ?? 0;
+    // A held reservation already covers the item, so it no longer shows up in available_qty.
+    const held = item.reservation_status === "reserved" || item.reservation_status === "allocated";
+    const free = balanceMap.get(toKey(item.product_id, item.lot_id, item.location_id)) ?? 0;
+    const available = free + (held ? Number(item.qty) : 0);
     const picked = ["packed", "shipped", "delivered"].includes(orderStatus) ? Number(item.qty) : 0;
     return {
       id: String(item.id),
@@ -454,12 +453,12 @@ export async function transitionOutboundStatus(
     const current = mockDb[idx];
     const updated: OutboundOrder = {
       ...current,
-      status: mapMockActionStatus(action),
+      status: ACTION_STATUS[action],
       timeline: [
         ...current.timeline,
         {
           id: `TL-${Date.now()}`,
-          type: action === "allocate" ? "allocated" : action === "pack" ? "packed" : "shipped",
+          type: mapMockTimelineType(action),
           title: `${action.toUpperCase()} completed`,
           at: new Date().toISOString().slice(0, 16).replace("T", " "),
           actor: "admin.demo",
@@ -476,27 +475,18 @@ export async function transitionOutboundStatus(
     if (!found) throw new ApiError("Outbound order not found", 404);
     return found;
   })();
-  const nextStatus: OutboundStatus =
-    action === "allocate" ? "allocated" : action === "pack" ? "packed" : "shipped";
-  const nowIso = new Date().toISOString();
+  // The API requires a tracking number to ship; fall back to the first box that has one.
+  let trackingNo: string | null = null;
+  if (action === "ship" && !current.tracking_no) {
+    const boxes = await requestJson<RawOutboundBox[]>(`/outbound-orders/${current.id}/boxes`, undefined, options);
+    trackingNo = boxes.find((box) => box.tracking_no)?.tracking_no ?? null;
+  }
 
   await requestJson<RawOutboundOrder>(
-    `/outbound-orders/${current.id}`,
+    `/outbound-orders/${current.id}/${action}`,
     {
-      method: "PUT",
-      body: JSON.stringify({
-        outbound_no: current.outbound_no,
-        client_id: current.client_id,
-        warehouse_id: current.warehouse_id,
-        order_date: toDateOnly(current.order_date),
-        sales_channel: current.sales_channel,
-        order_no: current.order_no,
-        tracking_no: current.tracking_no,
-        status: nextStatus,
-        packed_at: action === "pack" ? nowIso : toIsoDateTime(current.packed_at),
-        shipped_at: action === "ship" ? nowIso : toIsoDateTime(current.shipped_at),
-        created_by: current.created_by,
-      }),
+      method: "POST",
+      body: JSON.stringify(trackingNo ? { tracking_no: trackingNo } : {}),
     },
     options
   );
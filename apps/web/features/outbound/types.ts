@@ -8,7 +8,7 @@ export type OutboundStatus =
   | "shipped"
   | "delivered"
   | "cancelled";
-export type OutboundAction = "allocate" | "pack" | "ship";
+export type OutboundAction = "confirm" | "allocate" | "pick" | "pack" | "ship" | "deliver" | "cancel";
 export type OutboundListStatus = OutboundStatus | "all";
 
 export type OutboundItem = {
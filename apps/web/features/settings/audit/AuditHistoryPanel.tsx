@@ -0,0 +1,109 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { DataTable } from "@/components/ui/DataTable";
+import { ErrorState } from "@/components/ui/ErrorState";
+import { listAuditLogs } from "@/features/settings/audit/api";
+import type { AuditEntityType, AuditLogEntry } from "@/features/settings/audit/types";
+
+function formatValue(value: unknown) {
+  if (value === null || value === undefined || value === "") return "-";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function ChangeList({ entry }: { entry: AuditLogEntry }) {
+  const fields = Object.entries(entry.diff).filter(([field]) => field !== "id");
+  if (fields.length === 0) return <span className="text-slate-400">-</span>;
+  return (
+    <ul className="space-y-0.5 text-xs">
+      {fields.map(([field, change]) => (
+        <li key={field}>
+          <span className="font-medium text-slate-700">{field}</span>{" "}
+          <span className="text-slate-500">{formatValue(change.before)}</span>
+          {" → "}
+          <span className="text-slate-900">{formatValue(change.after)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export function AuditHistoryPanel({ entityType, refreshKey }: { entityType: AuditEntityType; refreshKey?: unknown }) {
+  const [open, setOpen] = useState(false);
+  const [rows, setRows] = useState<AuditLogEntry[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [entityId, setEntityId] = useState("");
+  const [dateFrom, setDateFrom] = useState("");
+  const [dateTo, setDateTo] = useState("");
+
+  const loadRows = useCallback(async () => {
+    setLoading(true);
+    setLoadError(null);
+    try {
+      const data = await listAuditLogs({
+        entity_type: entityType,
+        entity_id: entityId.trim() || undefined,
+        date_from: dateFrom || undefined,
+        date_to: dateTo || undefined,
+      });
+      setRows(data);
+    } catch (error) {
+      setLoadError(error instanceof Error ? error.message : "Failed to load history.");
+    } finally {
+      setLoading(false);
+    }
+  }, [entityType, entityId, dateFrom, dateTo]);
+
+  useEffect(() => {
+    if (open) void loadRows();
+  }, [open, loadRows, refreshKey]);
+
+  return (
+    <div className="mt-6 rounded-xl border bg-white p-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-sm font-semibold">History</h3>
+          <p className="text-xs text-slate-500">Who changed what, with before/after values.</p>
+        </div>
+        <Button size="sm" variant="secondary" onClick={() => setOpen((prev) => !prev)}>
+          {open ? "Hide" : "Show"}
+        </Button>
+      </div>
+
+      {open && (
+        <div className="mt-4 space-y-4">
+          <div className="grid gap-3 md:grid-cols-3">
+            <Input placeholder="Record ID" value={entityId} onChange={(e) => setEntityId(e.target.value)} />
+            <Input type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} />
+            <Input type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} />
+          </div>
+          {loadError ? (
+            <ErrorState title="Failed to load history." message={loadError} onRetry={() => void loadRows()} />
+          ) : (
+            <DataTable
+              rows={rows}
+              emptyText={loading ? "Loading history..." : "No changes recorded."}
+              columns={[
+                {
+                  key: "created_at",
+                  label: "When",
+                  render: (row) => (
+                    <span className="tabular-nums text-slate-600">{row.created_at.slice(0, 19).replace("T", " ")}</span>
+                  ),
+                },
+                { key: "actor", label: "Actor", render: (row) => row.actor },
+                { key: "action", label: "Action", render: (row) => <span className="capitalize">{row.action}</span> },
+                { key: "entity_id", label: "Record", render: (row) => `#${row.entity_id}` },
+                { key: "changes", label: "Changes", render: (row) => <ChangeList entry={row} /> },
+              ]}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
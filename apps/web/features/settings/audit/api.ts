@@ -0,0 +1,68 @@
+import { auditLogsMock } from "@/features/settings/audit/mock";
+import type { AuditFieldChange, AuditLogEntry, AuditLogQuery } from "@/features/settings/audit/types";
+import { delay, requestJson, resolveToken, shouldUseFallback, shouldUseMockMode, type RequestOptions } from "@/features/settings/shared/http";
+
+const LATENCY_MS = 80;
+
+type RawAuditLog = {
+  id: number | string;
+  entity_type: string;
+  entity_id: string | number;
+  action: string;
+  actor_email?: string | null;
+  actor_name?: string | null;
+  actor_api_key_id?: number | string | null;
+  request_id?: string | null;
+  diff_json?: Record<string, AuditFieldChange> | string | null;
+  created_at: string;
+};
+
+function parseDiff(value: RawAuditLog["diff_json"]): Record<string, AuditFieldChange> {
+  if (!value) return {};
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value) as Record<string, AuditFieldChange>;
+  } catch {
+    return {};
+  }
+}
+
+function mapRawAuditLog(raw: RawAuditLog): AuditLogEntry {
+  const actor =
+    raw.actor_email ?? raw.actor_name ?? (raw.actor_api_key_id ? `API key #${raw.actor_api_key_id}` : "system");
+  return {
+    id: String(raw.id),
+    entity_type: raw.entity_type as AuditLogEntry["entity_type"],
+    entity_id: String(raw.entity_id),
+    action: raw.action,
+    actor,
+    request_id: raw.request_id ?? null,
+    diff: parseDiff(raw.diff_json),
+    created_at: raw.created_at,
+  };
+}
+
+async function listAuditLogsFromMock(query: AuditLogQuery): Promise<AuditLogEntry[]> {
+  await delay(LATENCY_MS);
+  return auditLogsMock.filter(
+    (item) => item.entity_type === query.entity_type && (!query.entity_id || item.entity_id === query.entity_id)
+  );
+}
+
+export async function listAuditLogs(query: AuditLogQuery, options?: RequestOptions): Promise<AuditLogEntry[]> {
+  const token = await resolveToken(options?.token);
+  if (shouldUseMockMode()) return listAuditLogsFromMock(query);
+
+  const params = new URLSearchParams({ entity_type: query.entity_type, limit: String(query.limit ?? 50) });
+  if (query.entity_id) params.set("entity_id", query.entity_id);
+  if (query.date_from) params.set("date_from", query.date_from);
+  if (query.date_to) params.set("date_to", query.date_to);
+
+  try {
+    const rows = await requestJson<RawAuditLog[]>(`/audit-logs?${params.toString()}`, undefined, options);
+    return rows.map(mapRawAuditLog);
+  } catch (error) {
+    if (shouldUseFallback(token)) return listAuditLogsFromMock(query);
+    throw error;
+  }
+}
@@ -0,0 +1,24 @@
+import type { AuditLogEntry } from "@/features/settings/audit/types";
+
+export const auditLogsMock: AuditLogEntry[] = [
+  {
+    id: "au-2",
+    entity_type: "client",
+    entity_id: "cl-3",
+    action: "update",
+    actor: "admin.demo@example.com",
+    request_id: "mock-request-2",
+    diff: { status: { before: "active", after: "inactive" } },
+    created_at: "2026-02-18T10:15:00Z",
+  },
+  {
+    id: "au-1",
+    entity_type: "client",
+    entity_id: "cl-3",
+    action: "create",
+    actor: "admin.demo@example.com",
+    request_id: "mock-request-1",
+    diff: { client_code: { before: null, after: "STRIPE" }, status: { before: null, after: "active" } },
+    created_at: "2026-02-17T13:20:00Z",
+  },
+];
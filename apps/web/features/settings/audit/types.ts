@@ -0,0 +1,33 @@
+export type AuditEntityType =
+  | "client"
+  | "product"
+  | "warehouse"
+  | "warehouse_location"
+  | "user"
+  | "service_catalog"
+  | "client_contract_rate"
+  | "exchange_rate";
+
+export type AuditFieldChange = {
+  before: unknown;
+  after: unknown;
+};
+
+export type AuditLogEntry = {
+  id: string;
+  entity_type: AuditEntityType;
+  entity_id: string;
+  action: string;
+  actor: string;
+  request_id: string | null;
+  diff: Record<string, AuditFieldChange>;
+  created_at: string;
+};
+
+export type AuditLogQuery = {
+  entity_type: AuditEntityType;
+  entity_id?: string;
+  date_from?: string;
+  date_to?: string;
+  limit?: number;
+};
@@ -6,6 +6,7 @@ import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { DataTable } from "@/components/ui/DataTable";
 import { SettingsTabs } from "@/components/settings/SettingsTabs";
+import { AuditHistoryPanel } from "@/features/settings/audit/AuditHistoryPanel";
 import { useToast } from "@/components/ui/toast";
 import { ErrorState } from "@/components/ui/ErrorState";
 import {
@@ -142,6 +143,7 @@ export function ClientContractRatesSettingsPage() {
           <Button onClick={() => void save()}>Save</Button>
         </div>
       </div>
+      <AuditHistoryPanel entityType="client_contract_rate" refreshKey={rows} />
     </section>
   );
 }
@@ -15,6 +15,7 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { SettingsTabs } from "@/components/settings/SettingsTabs";
+import { AuditHistoryPanel } from "@/features/settings/audit/AuditHistoryPanel";
 import { useToast } from "@/components/ui/toast";
 import { ErrorState } from "@/components/ui/ErrorState";
 import { createClient, listClients, toggleClientStatus, updateClient } from "@/features/settings/clients/api";
@@ -275,6 +276,7 @@ export function ClientsSettingsPage() {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+      <AuditHistoryPanel entityType="client" refreshKey={rows} />
     </section>
   );
 }
@@ -15,6 +15,7 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { SettingsTabs } from "@/components/settings/SettingsTabs";
+import { AuditHistoryPanel } from "@/features/settings/audit/AuditHistoryPanel";
 import { useToast } from "@/components/ui/toast";
 import { ErrorState } from "@/components/ui/ErrorState";
 import { listClients } from "@/features/settings/clients/api";
@@ -405,6 +406,7 @@ export function ProductsSettingsPage() {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+      <AuditHistoryPanel entityType="product" refreshKey={rows} />
     </section>
   );
 }
@@ -0,0 +1,349 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { PageHeader } from "@/components/ui/PageHeader";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { DataTable } from "@/components/ui/DataTable";
+import { ActiveStatusBadge } from "@/components/ui/ActiveStatusBadge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { SettingsTabs } from "@/components/settings/SettingsTabs";
+import { AuditHistoryPanel } from "@/features/settings/audit/AuditHistoryPanel";
+import { useToast } from "@/components/ui/toast";
+import { ErrorState } from "@/components/ui/ErrorState";
+import { listClients } from "@/features/settings/clients/api";
+import type { Client } from "@/features/settings/clients/types";
+import { deleteUser, inviteUser, listUsers, toggleUserStatus, updateUser } from "@/features/settings/users/api";
+import type { User, UserRole, UserStatus } from "@/features/settings/users/types";
+
+type FormState = {
+  email: string;
+  name: string;
+  role: UserRole;
+  client_id: string;
+  status: UserStatus;
+};
+
+type RoleFilter = "all" | UserRole;
+type StatusFilter = "all" | UserStatus;
+
+const ROLE_LABELS: Record<UserRole, string> = {
+  admin: "Admin",
+  manager: "Manager",
+  warehouse: "Warehouse",
+  client_viewer: "Client Viewer",
+};
+
+const initialForm: FormState = {
+  email: "",
+  name: "",
+  role: "warehouse",
+  client_id: "",
+  status: "active",
+};
+
+export function UsersSettingsPage() {
+  const { pushToast } = useToast();
+  const [rows, setRows] = useState<User[]>([]);
+  const [clients, setClients] = useState<Client[]>([]);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [loadingRows, setLoadingRows] = useState(false);
+  const [search, setSearch] = useState("");
+  const [roleFilter, setRoleFilter] = useState<RoleFilter>("all");
+  const [statusFilter, setStatusFilter] = useState<StatusFilter>("all");
+  const [open, setOpen] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<FormState>(initialForm);
+  const [fieldError, setFieldError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [lastInvite, setLastInvite] = useState<{ email: string; password: string } | null>(null);
+
+  const loadRows = async () => {
+    setLoadingRows(true);
+    setLoadError(null);
+    try {
+      const [users, clientRows] = await Promise.all([listUsers(), listClients()]);
+      setRows(users);
+      setClients(clientRows);
+    } catch (error) {
+      setLoadError(error instanceof Error ? error.message : "Failed to load users.");
+    } finally {
+      setLoadingRows(false);
+    }
+  };
+
+  useEffect(() => {
+    void loadRows();
+  }, []);
+
+  const filteredRows = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return rows.filter(
+      (item) =>
+        (roleFilter === "all" || item.role === roleFilter) &&
+        (statusFilter === "all" || item.status === statusFilter) &&
+        (item.email.toLowerCase().includes(q) || item.name.toLowerCase().includes(q))
+    );
+  }, [rows, search, roleFilter, statusFilter]);
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(initialForm);
+    setFieldError(null);
+    setOpen(true);
+  };
+
+  const openEdit = (row: User) => {
+    setEditingId(row.id);
+    setForm({
+      email: row.email,
+      name: row.name,
+      role: row.role,
+      client_id: row.client_id ?? "",
+      status: row.status,
+    });
+    setFieldError(null);
+    setOpen(true);
+  };
+
+  const needsClient = form.role === "client_viewer";
+  const formIncomplete = !form.email.trim() || !form.name.trim() || (needsClient && !form.client_id);
+
+  const submit = async () => {
+    if (formIncomplete) {
+      setFieldError("Email, name and (for client viewers) client are required.");
+      pushToast({ title: "Missing required fields", variant: "error" });
+      return;
+    }
+
+    setFieldError(null);
+    setSaving(true);
+    try {
+      if (editingId) {
+        await updateUser(editingId, form);
+        pushToast({ title: "User updated", variant: "success" });
+      } else {
+        const created = await inviteUser(form);
+        setLastInvite(created.temporary_password ? { email: created.email, password: created.temporary_password } : null);
+        pushToast({ title: "User invited", variant: "success" });
+      }
+      await loadRows();
+      setOpen(false);
+    } catch (error) {
+      setFieldError(error instanceof Error ? error.message : "Please try again.");
+      pushToast({
+        title: "Save failed",
+        description: error instanceof Error ? error.message : "Please try again.",
+        variant: "error",
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleStatus = async (row: User) => {
+    setBusyId(row.id);
+    try {
+      await toggleUserStatus(row);
+      await loadRows();
+      pushToast({
+        title: row.status === "active" ? "User deactivated" : "User reactivated",
+        variant: "info",
+      });
+    } catch (error) {
+      pushToast({
+        title: "Action failed",
+        description: error instanceof Error ? error.message : "Please try again.",
+        variant: "error",
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const remove = async (row: User) => {
+    setBusyId(row.id);
+    try {
+      await deleteUser(row.id);
+      await loadRows();
+      pushToast({ title: "User deleted", variant: "info" });
+    } catch (error) {
+      pushToast({
+        title: "Delete failed",
+        description: error instanceof Error ? error.message : "Please try again.",
+        variant: "error",
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <section>
+      <PageHeader
+        breadcrumbs={[{ label: "Settings" }, { label: "Users" }]}
+        title="Users"
+        subtitle="Invite staff and client viewers, change roles and manage access."
+        rightSlot={<Button onClick={openCreate}>Invite</Button>}
+      />
+      <SettingsTabs />
+
+      {lastInvite && (
+        <div className="mb-4 flex items-center justify-between rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+          <p>
+            Temporary password for <span className="font-medium">{lastInvite.email}</span>:{" "}
+            <span className="font-mono">{lastInvite.password}</span> (shown once)
+          </p>
+          <Button size="sm" variant="ghost" onClick={() => setLastInvite(null)}>Dismiss</Button>
+        </div>
+      )}
+
+      <div className="rounded-xl border bg-white p-6">
+        <div className="mb-4 grid gap-3 md:grid-cols-3">
+          <Input
+            placeholder="Search by name or email"
+            value={search}
+            onChange={(event) => setSearch(event.target.value)}
+          />
+          <select
+            className="h-9 w-full rounded-md border bg-white px-3 py-2 text-sm outline-none focus:border-slate-300"
+            value={roleFilter}
+            onChange={(e) => setRoleFilter(e.target.value as RoleFilter)}
+          >
+            <option value="all">All Roles</option>
+            {Object.entries(ROLE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            className="h-9 w-full rounded-md border bg-white px-3 py-2 text-sm outline-none focus:border-slate-300"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value as StatusFilter)}
+          >
+            <option value="all">All Status</option>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+          </select>
+        </div>
+
+        {loadError ? (
+          <ErrorState title="Failed to load users." message={loadError} onRetry={() => void loadRows()} />
+        ) : (
+          <DataTable
+            rows={filteredRows}
+            emptyText={loadingRows ? "Loading users..." : "No users found."}
+            rowClassName="cursor-pointer hover:bg-slate-50"
+            columns={[
+            { key: "email", label: "Email", render: (row) => <span className="font-medium">{row.email}</span> },
+            { key: "name", label: "Name", render: (row) => row.name },
+            { key: "role", label: "Role", render: (row) => ROLE_LABELS[row.role] },
+            { key: "client", label: "Client", render: (row) => row.client_name || "-" },
+            { key: "status", label: "Status", render: (row) => <ActiveStatusBadge status={row.status} /> },
+            {
+              key: "last_login_at",
+              label: "Last Login",
+              render: (row) => (
+                <span className="tabular-nums text-slate-600">{row.last_login_at ? row.last_login_at.slice(0, 16).replace("T", " ") : "-"}</span>
+              ),
+            },
+            {
+              key: "actions",
+              label: "Actions",
+              render: (row) => (
+                <div className="flex items-center gap-2">
+                  <Button size="sm" variant="secondary" onClick={() => openEdit(row)} disabled={busyId === row.id}>Edit</Button>
+                  <Button size="sm" variant="ghost" onClick={() => void toggleStatus(row)} disabled={busyId === row.id}>
+                    {row.status === "active" ? "Deactivate" : "Activate"}
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => void remove(row)} disabled={busyId === row.id}>Delete</Button>
+                </div>
+              ),
+            },
+          ]}
+          />
+        )}
+      </div>
+
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editingId ? "Edit user" : "Invite user"}</DialogTitle>
+            <DialogDescription>Client viewers only see data for the client they are bound to.</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-3">
+            <div className="space-y-1">
+              <label className="text-xs font-medium text-slate-600">Email</label>
+              <Input
+                type="email"
+                value={form.email}
+                disabled={Boolean(editingId)}
+                onChange={(e) => setForm((prev) => ({ ...prev, email: e.target.value }))}
+                placeholder="name@example.com"
+              />
+            </div>
+            <div className="space-y-1">
+              <label className="text-xs font-medium text-slate-600">Name</label>
+              <Input value={form.name} onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))} />
+            </div>
+            <div className="space-y-1">
+              <label className="text-xs font-medium text-slate-600">Role</label>
+              <select
+                className="h-9 w-full rounded-md border bg-white px-3 py-2 text-sm outline-none focus:border-slate-300"
+                value={form.role}
+                onChange={(e) => setForm((prev) => ({ ...prev, role: e.target.value as UserRole }))}
+              >
+                {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {needsClient && (
+              <div className="space-y-1">
+                <label className="text-xs font-medium text-slate-600">Client</label>
+                <select
+                  className="h-9 w-full rounded-md border bg-white px-3 py-2 text-sm outline-none focus:border-slate-300"
+                  value={form.client_id}
+                  onChange={(e) => setForm((prev) => ({ ...prev, client_id: e.target.value }))}
+                >
+                  <option value="">Select client</option>
+                  {clients.map((client) => (
+                    <option key={client.id} value={client.id}>{client.client_code} · {client.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {editingId && (
+              <div className="space-y-1">
+                <label className="text-xs font-medium text-slate-600">Status</label>
+                <select
+                  className="h-9 w-full rounded-md border bg-white px-3 py-2 text-sm outline-none focus:border-slate-300"
+                  value={form.status}
+                  onChange={(e) => setForm((prev) => ({ ...prev, status: e.target.value as UserStatus }))}
+                >
+                  <option value="active">Active</option>
+                  <option value="inactive">Inactive</option>
+                </select>
+              </div>
+            )}
+            {fieldError && <p className="text-xs text-red-600">{fieldError}</p>}
+          </div>
+          <DialogFooter>
+            <Button variant="secondary" onClick={() => setOpen(false)}>Cancel</Button>
+            <Button onClick={() => void submit()} disabled={saving || formIncomplete}>
+              {saving ? "Saving..." : editingId ? "Save" : "Invite"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+      <AuditHistoryPanel entityType="user" refreshKey={rows} />
+    </section>
+  );
+}
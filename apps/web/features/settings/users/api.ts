@@ -0,0 +1,213 @@
+import { clientsMock } from "@/features/settings/clients/mock";
+import { usersMock } from "@/features/settings/users/mock";
+import type { InvitedUser, User, UserFormInput, UserRole, UserStatus } from "@/features/settings/users/types";
+import { delay, requestJson, resolveToken, shouldUseFallback, shouldUseMockMode, type RequestOptions } from "@/features/settings/shared/http";
+
+const LATENCY_MS = 80;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ROLES: UserRole[] = ["admin", "manager", "warehouse", "client_viewer"];
+const mockDb: User[] = usersMock.map((item) => ({ ...item }));
+
+type RawUser = {
+  id: number | string;
+  email?: string | null;
+  name?: string | null;
+  role?: string | null;
+  client_id?: number | string | null;
+  client_name?: string | null;
+  status?: string | null;
+  last_login_at?: string | null;
+  created_at?: string | null;
+  temporary_password?: string | null;
+};
+
+function clone<T>(value: T): T {
+  return JSON.parse(JSON.stringify(value)) as T;
+}
+
+function normalizeRole(value?: string | null): UserRole {
+  return ROLES.includes(value as UserRole) ? (value as UserRole) : "warehouse";
+}
+
+function normalizeStatus(value?: string | null): UserStatus {
+  return value === "inactive" ? "inactive" : "active";
+}
+
+function validateInput(input: UserFormInput) {
+  const email = input.email.trim().toLowerCase();
+  const name = input.name.trim();
+  const role = normalizeRole(input.role);
+  const client_id = role === "client_viewer" ? input.client_id?.trim() || null : null;
+  const status = input.status ?? "active";
+
+  if (!email) throw new Error("Email is required.");
+  if (!EMAIL_REGEX.test(email)) throw new Error("Email format is invalid.");
+  if (!name) throw new Error("Name is required.");
+  if (name.length > 100) throw new Error("Name must be 100 characters or less.");
+  if (role === "client_viewer" && !client_id) throw new Error("Client viewers must be bound to a client.");
+
+  return { email, name, role, client_id, status };
+}
+
+function assertEmailUnique(email: string, exceptId?: string) {
+  const exists = mockDb.some((item) => item.email === email && item.id !== exceptId);
+  if (exists) throw new Error("Email already exists.");
+}
+
+function mockClientName(clientId: string | null) {
+  if (!clientId) return "";
+  return clientsMock.find((item) => item.id === clientId)?.name ?? `Client #${clientId}`;
+}
+
+function mapRawUser(raw: RawUser): InvitedUser {
+  return {
+    id: String(raw.id),
+    email: raw.email?.trim() ?? "",
+    name: raw.name?.trim() || `User #${raw.id}`,
+    role: normalizeRole(raw.role),
+    client_id: raw.client_id === null || raw.client_id === undefined ? null : String(raw.client_id),
+    client_name: raw.client_name?.trim() ?? "",
+    status: normalizeStatus(raw.status),
+    last_login_at: raw.last_login_at ?? null,
+    created_at: raw.created_at ?? new Date().toISOString(),
+    ...(raw.temporary_password ? { temporary_password: raw.temporary_password } : {}),
+  };
+}
+
+function toPayload(validated: ReturnType<typeof validateInput>) {
+  return {
+    email: validated.email,
+    name: validated.name,
+    role: validated.role,
+    client_id: validated.client_id === null ? null : Number(validated.client_id),
+    status: validated.status,
+  };
+}
+
+async function listUsersFromMock(): Promise<User[]> {
+  await delay(LATENCY_MS);
+  return clone(mockDb);
+}
+
+async function inviteUserInMock(input: UserFormInput): Promise<InvitedUser> {
+  const validated = validateInput(input);
+  assertEmailUnique(validated.email);
+  const created: User = {
+    id: `us-${Date.now()}`,
+    email: validated.email,
+    name: validated.name,
+    role: validated.role,
+    client_id: validated.client_id,
+    client_name: mockClientName(validated.client_id),
+    status: "active",
+    last_login_at: null,
+    created_at: new Date().toISOString(),
+  };
+  mockDb.unshift(created);
+  return { ...clone(created), temporary_password: "mock-temp-pass" };
+}
+
+async function updateUserInMock(id: string, input: UserFormInput): Promise<User> {
+  const idx = mockDb.findIndex((item) => item.id === id);
+  if (idx < 0) throw new Error("User not found.");
+  const validated = validateInput({ ...input, email: mockDb[idx].email });
+  const updated: User = {
+    ...mockDb[idx],
+    name: validated.name,
+    role: validated.role,
+    client_id: validated.client_id,
+    client_name: mockClientName(validated.client_id),
+    status: validated.status,
+  };
+  mockDb[idx] = updated;
+  return clone(updated);
+}
+
+async function deleteUserInMock(id: string): Promise<void> {
+  const idx = mockDb.findIndex((item) => item.id === id);
+  if (idx < 0) throw new Error("User not found.");
+  mockDb.splice(idx, 1);
+}
+
+export async function listUsers(options?: RequestOptions): Promise<User[]> {
+  const token = await resolveToken(options?.token);
+  if (shouldUseMockMode()) return listUsersFromMock();
+
+  try {
+    const rows = await requestJson<RawUser[]>("/users", undefined, options);
+    const mapped = rows.map(mapRawUser);
+    if (mapped.length === 0 && shouldUseFallback(token)) return listUsersFromMock();
+    return mapped;
+  } catch (error) {
+    if (shouldUseFallback(token)) return listUsersFromMock();
+    throw error;
+  }
+}
+
+export async function inviteUser(input: UserFormInput, options?: RequestOptions): Promise<InvitedUser> {
+  const token = await resolveToken(options?.token);
+  if (shouldUseMockMode()) return inviteUserInMock(input);
+
+  const validated = validateInput(input);
+  try {
+    const created = await requestJson<RawUser>(
+      "/users",
+      {
+        method: "POST",
+        body: JSON.stringify(toPayload(validated)),
+      },
+      options
+    );
+    return mapRawUser(created);
+  } catch (error) {
+    if (shouldUseFallback(token)) return inviteUserInMock(validated);
+    throw error;
+  }
+}
+
+export async function updateUser(id: string, input: UserFormInput, options?: RequestOptions): Promise<User> {
+  const token = await resolveToken(options?.token);
+  if (shouldUseMockMode()) return updateUserInMock(id, input);
+
+  const validated = validateInput(input);
+  try {
+    const updated = await requestJson<RawUser>(
+      `/users/${id}`,
+      {
+        method: "PUT",
+        body: JSON.stringify(toPayload(validated)),
+      },
+      options
+    );
+    return mapRawUser(updated);
+  } catch (error) {
+    if (shouldUseFallback(token)) return updateUserInMock(id, validated);
+    throw error;
+  }
+}
+
+export async function toggleUserStatus(user: User, options?: RequestOptions): Promise<User> {
+  return updateUser(
+    user.id,
+    {
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      client_id: user.client_id,
+      status: user.status === "active" ? "inactive" : "active",
+    },
+    options
+  );
+}
+
+export async function deleteUser(id: string, options?: RequestOptions): Promise<void> {
+  const token = await resolveToken(options?.token);
+  if (shouldUseMockMode()) return deleteUserInMock(id);
+
+  try {
+    await requestJson<{ id: number }>(`/users/${id}`, { method: "DELETE" }, options);
+  } catch (error) {
+    if (shouldUseFallback(token)) return deleteUserInMock(id);
+    throw error;
+  }
+}
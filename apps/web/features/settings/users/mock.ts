@@ -0,0 +1,37 @@
+import type { User } from "@/features/settings/users/types";
+
+export const usersMock: User[] = [
+  {
+    id: "us-1",
+    email: "admin.demo@example.com",
+    name: "Demo Admin",
+    role: "admin",
+    client_id: null,
+    client_name: "",
+    status: "active",
+    last_login_at: "2026-02-20T08:30:00Z",
+    created_at: "2026-02-15T09:00:00Z",
+  },
+  {
+    id: "us-2",
+    email: "ops.manager@example.com",
+    name: "Ops Manager",
+    role: "manager",
+    client_id: null,
+    client_name: "",
+    status: "active",
+    last_login_at: "2026-02-19T14:05:00Z",
+    created_at: "2026-02-16T10:20:00Z",
+  },
+  {
+    id: "us-3",
+    email: "viewer@acme.example.com",
+    name: "ACME Viewer",
+    role: "client_viewer",
+    client_id: "cl-1",
+    client_name: "ACME Korea",
+    status: "inactive",
+    last_login_at: null,
+    created_at: "2026-02-17T13:40:00Z",
+  },
+];
@@ -0,0 +1,26 @@
+export type UserRole = "admin" | "manager" | "warehouse" | "client_viewer";
+export type UserStatus = "active" | "inactive";
+
+export type User = {
+  id: string;
+  email: string;
+  name: string;
+  role: UserRole;
+  client_id: string | null;
+  client_name: string;
+  status: UserStatus;
+  last_login_at: string | null;
+  created_at: string;
+};
+
+export type InvitedUser = User & {
+  temporary_password?: string;
+};
+
+export type UserFormInput = {
+  email: string;
+  name: string;
+  role: UserRole;
+  client_id?: string | null;
+  status?: UserStatus;
+};
@@ -0,0 +1,433 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { DataTable } from "@/components/ui/DataTable";
+import { ActiveStatusBadge } from "@/components/ui/ActiveStatusBadge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { ErrorState } from "@/components/ui/ErrorState";
+import { useToast } from "@/components/ui/toast";
+import { AuditHistoryPanel } from "@/features/settings/audit/AuditHistoryPanel";
+import {
+  deleteWarehouseLocation,
+  getLocationLabelsUrl,
+  importWarehouseLocations,
+  listWarehouseLocations,
+  saveWarehouseLocation,
+} from "@/features/settings/warehouses/api";
+import type {
+  LocationType,
+  Warehouse,
+  WarehouseLocation,
+  WarehouseStatus,
+} from "@/features/settings/warehouses/types";
+
+type LocationFormState = {
+  location_code: string;
+  zone: string;
+  location_type: LocationType;
+  max_qty: string;
+  max_cbm: string;
+  max_weight_kg: string;
+  status: WarehouseStatus;
+};
+
+type TypeFilter = "all" | LocationType;
+
+const LOCATION_TYPE_LABELS: Record<LocationType, string> = {
+  pick: "Pick",
+  reserve: "Reserve",
+  staging: "Staging",
+  quarantine: "Quarantine",
+};
+
+const LOCATION_TYPE_VARIANTS: Record<LocationType, "default" | "info" | "warning" | "success"> = {
+  pick: "success",
+  reserve: "info",
+  staging: "default",
+  quarantine: "warning",
+};
+
+const CSV_TEMPLATE = "location_code,zone,location_type,max_qty,max_cbm,max_weight_kg,status\nA-01-01,A,pick,200,1.2,500,active";
+
+const initialForm: LocationFormState = {
+  location_code: "",
+  zone: "",
+  location_type: "pick",
+  max_qty: "",
+  max_cbm: "",
+  max_weight_kg: "",
+  status: "active",
+};
+
+const selectClassName = "h-9 w-full rounded-md border bg-white px-3 py-2 text-sm outline-none focus:border-slate-300";
+
+function toOptionalNumber(value: string) {
+  return value.trim() === "" ? null : Number(value);
+}
+
+function formatCapacity(row: WarehouseLocation) {
+  const parts = [
+    row.max_qty !== null ? `${row.max_qty.toLocaleString()} EA` : null,
+    row.max_cbm !== null ? `${row.max_cbm} CBM` : null,
+    row.max_weight_kg !== null ? `${row.max_weight_kg} kg` : null,
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(" / ") : "-";
+}
+
+export function WarehouseLocationsPanel({ warehouses }: { warehouses: Warehouse[] }) {
+  const { pushToast } = useToast();
+  const [warehouseId, setWarehouseId] = useState("");
+  const [rows, setRows] = useState<WarehouseLocation[]>([]);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [loadingRows, setLoadingRows] = useState(false);
+  const [search, setSearch] = useState("");
+  const [typeFilter, setTypeFilter] = useState<TypeFilter>("all");
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [open, setOpen] = useState(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<LocationFormState>(initialForm);
+  const [fieldError, setFieldError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState<string | null>(null);
+  const [importOpen, setImportOpen] = useState(false);
+  const [csvText, setCsvText] = useState(CSV_TEMPLATE);
+  const [importError, setImportError] = useState<string | null>(null);
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    if (!warehouseId && warehouses.length > 0) setWarehouseId(warehouses[0].id);
+  }, [warehouses, warehouseId]);
+
+  const loadRows = async (targetId = warehouseId) => {
+    if (!targetId) return;
+    setLoadingRows(true);
+    setLoadError(null);
+    try {
+      setRows(await listWarehouseLocations(targetId));
+      setSelectedIds([]);
+    } catch (error) {
+      setLoadError(error instanceof Error ? error.message : "Failed to load locations.");
+    } finally {
+      setLoadingRows(false);
+    }
+  };
+
+  useEffect(() => {
+    void loadRows(warehouseId);
+  }, [warehouseId]);
+
+  const filteredRows = useMemo(() => {
+    const q = search.trim().toUpperCase();
+    return rows.filter(
+      (row) =>
+        (typeFilter === "all" || row.location_type === typeFilter) &&
+        (row.location_code.includes(q) || (row.zone ?? "").toUpperCase().includes(q))
+    );
+  }, [rows, search, typeFilter]);
+
+  const toggleSelected = (id: string) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  };
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(initialForm);
+    setFieldError(null);
+    setOpen(true);
+  };
+
+  const openEdit = (row: WarehouseLocation) => {
+    setEditingId(row.id);
+    setForm({
+      location_code: row.location_code,
+      zone: row.zone ?? "",
+      location_type: row.location_type,
+      max_qty: row.max_qty === null ? "" : String(row.max_qty),
+      max_cbm: row.max_cbm === null ? "" : String(row.max_cbm),
+      max_weight_kg: row.max_weight_kg === null ? "" : String(row.max_weight_kg),
+      status: row.status,
+    });
+    setFieldError(null);
+    setOpen(true);
+  };
+
+  const submit = async () => {
+    setFieldError(null);
+    setSaving(true);
+    try {
+      await saveWarehouseLocation(
+        warehouseId,
+        {
+          location_code: form.location_code,
+          zone: form.zone,
+          location_type: form.location_type,
+          max_qty: toOptionalNumber(form.max_qty),
+          max_cbm: toOptionalNumber(form.max_cbm),
+          max_weight_kg: toOptionalNumber(form.max_weight_kg),
+          status: form.status,
+        },
+        editingId ?? undefined
+      );
+      pushToast({ title: editingId ? "Location updated" : "Location created", variant: "success" });
+      await loadRows();
+      setOpen(false);
+    } catch (error) {
+      setFieldError(error instanceof Error ? error.message : "Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeLocation = async (row: WarehouseLocation) => {
+    setDeletingId(row.id);
+    try {
+      await deleteWarehouseLocation(warehouseId, row.id);
+      pushToast({ title: "Location deleted", variant: "info" });
+      await loadRows();
+    } catch (error) {
+      pushToast({
+        title: "Delete failed",
+        description: error instanceof Error ? error.message : "Please try again.",
+        variant: "error",
+      });
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const runImport = async (dryRun: boolean) => {
+    setImportError(null);
+    setImporting(true);
+    try {
+      const result = await importWarehouseLocations(warehouseId, csvText, dryRun);
+      const summary = `${result.created} new, ${result.updated} updated, ${result.unchanged} unchanged`;
+      if (dryRun) {
+        pushToast({ title: "CSV is valid", description: summary, variant: "info" });
+        return;
+      }
+      pushToast({ title: "Locations imported", description: summary, variant: "success" });
+      setImportOpen(false);
+      await loadRows();
+    } catch (error) {
+      setImportError(error instanceof Error ? error.message : "Import failed.");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const loadCsvFile = async (file: File | undefined) => {
+    if (!file) return;
+    setCsvText(await file.text());
+    setImportError(null);
+  };
+
+  const printLabels = () => {
+    window.open(getLocationLabelsUrl(warehouseId, selectedIds), "_blank", "noopener");
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-xl border bg-white p-6">
+        <div className="mb-4 grid gap-3 md:grid-cols-4">
+          <select className={selectClassName} value={warehouseId} onChange={(e) => setWarehouseId(e.target.value)}>
+            {warehouses.map((warehouse) => (
+              <option key={warehouse.id} value={warehouse.id}>
+                {warehouse.warehouse_code} · {warehouse.name}
+              </option>
+            ))}
+          </select>
+          <Input placeholder="Search by location code or zone" value={search} onChange={(e) => setSearch(e.target.value)} />
+          <select className={selectClassName} value={typeFilter} onChange={(e) => setTypeFilter(e.target.value as TypeFilter)}>
+            <option value="all">All Types</option>
+            {(Object.keys(LOCATION_TYPE_LABELS) as LocationType[]).map((type) => (
+              <option key={type} value={type}>
+                {LOCATION_TYPE_LABELS[type]}
+              </option>
+            ))}
+          </select>
+          <div className="flex items-center justify-end gap-2">
+            <Button size="sm" variant="secondary" onClick={printLabels} disabled={!warehouseId || rows.length === 0}>
+              {selectedIds.length > 0 ? `Print ${selectedIds.length} labels` : "Print labels"}
+            </Button>
+            <Button size="sm" variant="secondary" onClick={() => setImportOpen(true)} disabled={!warehouseId}>
+              Import CSV
+            </Button>
+            <Button size="sm" onClick={openCreate} disabled={!warehouseId}>
+              New location
+            </Button>
+          </div>
+        </div>
+
+        {loadError ? (
+          <ErrorState title="Failed to load locations." message={loadError} onRetry={() => void loadRows()} />
+        ) : (
+          <DataTable
+            rows={filteredRows}
+            emptyText={loadingRows ? "Loading locations..." : warehouseId ? "No locations found." : "Select a warehouse."}
+            columns={[
+              {
+                key: "select",
+                label: "",
+                render: (row) => (
+                  <input
+                    type="checkbox"
+                    aria-label={`Select ${row.location_code}`}
+                    checked={selectedIds.includes(row.id)}
+                    onChange={() => toggleSelected(row.id)}
+                  />
+                ),
+              },
+              { key: "location_code", label: "Location Code", render: (row) => <span className="font-medium">{row.location_code}</span> },
+              { key: "zone", label: "Zone", render: (row) => row.zone ?? "-" },
+              {
+                key: "location_type",
+                label: "Type",
+                render: (row) => <Badge variant={LOCATION_TYPE_VARIANTS[row.location_type]}>{LOCATION_TYPE_LABELS[row.location_type]}</Badge>,
+              },
+              { key: "capacity", label: "Capacity", render: (row) => formatCapacity(row) },
+              { key: "on_hand_qty", label: "On Hand", className: "text-right", render: (row) => row.on_hand_qty.toLocaleString() },
+              { key: "status", label: "Status", render: (row) => <ActiveStatusBadge status={row.status} /> },
+              {
+                key: "actions",
+                label: "Actions",
+                render: (row) => (
+                  <div className="flex items-center gap-2">
+                    <Button size="sm" variant="secondary" onClick={() => openEdit(row)} disabled={deletingId === row.id}>
+                      Edit
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => void removeLocation(row)}
+                      disabled={deletingId === row.id || row.on_hand_qty > 0}
+                    >
+                      Delete
+                    </Button>
+                  </div>
+                ),
+              },
+            ]}
+          />
+        )}
+      </div>
+
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editingId ? "Edit location" : "New location"}</DialogTitle>
+            <DialogDescription>Location code is unique within the warehouse. Capacity limits are optional.</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-3">
+            <div className="grid gap-3 md:grid-cols-2">
+              <div className="space-y-1">
+                <label className="text-xs font-medium text-slate-600">Location Code</label>
+                <Input
+                  value={form.location_code}
+                  onChange={(e) => setForm((prev) => ({ ...prev, location_code: e.target.value.toUpperCase() }))}
+                  placeholder="e.g. A-01-01"
+                />
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs font-medium text-slate-600">Zone</label>
+                <Input value={form.zone} onChange={(e) => setForm((prev) => ({ ...prev, zone: e.target.value }))} />
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs font-medium text-slate-600">Type</label>
+                <select
+                  className={selectClassName}
+                  value={form.location_type}
+                  onChange={(e) => setForm((prev) => ({ ...prev, location_type: e.target.value as LocationType }))}
+                >
+                  {(Object.keys(LOCATION_TYPE_LABELS) as LocationType[]).map((type) => (
+                    <option key={type} value={type}>
+                      {LOCATION_TYPE_LABELS[type]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs font-medium text-slate-600">Status</label>
+                <select
+                  className={selectClassName}
+                  value={form.status}
+                  onChange={(e) => setForm((prev) => ({ ...prev, status: e.target.value as WarehouseStatus }))}
+                >
+                  <option value="active">Active</option>
+                  <option value="inactive">Inactive</option>
+                </select>
+              </div>
+            </div>
+            <div className="grid gap-3 md:grid-cols-3">
+              <div className="space-y-1">
+                <label className="text-xs font-medium text-slate-600">Max Qty (EA)</label>
+                <Input type="number" min={0} value={form.max_qty} onChange={(e) => setForm((prev) => ({ ...prev, max_qty: e.target.value }))} />
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs font-medium text-slate-600">Max CBM</label>
+                <Input type="number" min={0} step="0.0001" value={form.max_cbm} onChange={(e) => setForm((prev) => ({ ...prev, max_cbm: e.target.value }))} />
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs font-medium text-slate-600">Max Weight (kg)</label>
+                <Input
+                  type="number"
+                  min={0}
+                  step="0.001"
+                  value={form.max_weight_kg}
+                  onChange={(e) => setForm((prev) => ({ ...prev, max_weight_kg: e.target.value }))}
+                />
+              </div>
+            </div>
+            {fieldError && <p className="text-xs text-red-600">{fieldError}</p>}
+          </div>
+          <DialogFooter>
+            <Button variant="secondary" onClick={() => setOpen(false)}>Cancel</Button>
+            <Button onClick={() => void submit()} disabled={saving || !form.location_code.trim()}>
+              {saving ? "Saving..." : "Save"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={importOpen} onOpenChange={setImportOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Import locations</DialogTitle>
+            <DialogDescription>
+              Rows are matched by location code: new codes are created, existing ones updated. Any invalid line rejects the whole file.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-3">
+            <input type="file" accept=".csv,text/csv" className="text-sm" onChange={(e) => void loadCsvFile(e.target.files?.[0])} />
+            <textarea
+              className="h-48 w-full rounded-md border p-2 font-mono text-xs outline-none focus:border-slate-300"
+              value={csvText}
+              onChange={(e) => setCsvText(e.target.value)}
+            />
+            {importError && <p className="text-xs text-red-600">{importError}</p>}
+          </div>
+          <DialogFooter>
+            <Button variant="secondary" onClick={() => setImportOpen(false)}>Cancel</Button>
+            <Button variant="secondary" onClick={() => void runImport(true)} disabled={importing || !csvText.trim()}>
+              Validate
+            </Button>
+            <Button onClick={() => void runImport(false)} disabled={importing || !csvText.trim()}>
+              {importing ? "Importing..." : "Import"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <AuditHistoryPanel entityType="warehouse_location" refreshKey={rows} />
+    </div>
+  );
+}
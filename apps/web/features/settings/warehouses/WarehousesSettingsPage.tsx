@@ -15,10 +15,13 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { SettingsTabs } from "@/components/settings/SettingsTabs";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { AuditHistoryPanel } from "@/features/settings/audit/AuditHistoryPanel";
 import { useToast } from "@/components/ui/toast";
 import { ErrorState } from "@/components/ui/ErrorState";
 import { createWarehouse, listWarehouses, toggleWarehouseStatus, updateWarehouse } from "@/features/settings/warehouses/api";
 import type { Warehouse, WarehouseStatus } from "@/features/settings/warehouses/types";
+import { WarehouseLocationsPanel } from "@/features/settings/warehouses/WarehouseLocationsPanel";
 
 type FormState = {
   warehouse_code: string;
@@ -27,6 +30,7 @@ type FormState = {
 };
 
 type StatusFilter = "all" | WarehouseStatus;
+type PageTab = "warehouses" | "locations";
 type SortKey = "created_desc" | "created_asc" | "code_asc" | "name_asc";
 
 const initialForm: FormState = {
@@ -49,6 +53,7 @@ export function WarehousesSettingsPage() {
   const [fieldError, setFieldError] = useState<string | null>(null);
   const [saving, setSaving] = useState(false);
   const [togglingId, setTogglingId] = useState<string | null>(null);
+  const [activeTab, setActiveTab] = useState<PageTab>("warehouses");
 
   const loadRows = async () => {
     setLoadingRows(true);
@@ -166,107 +171,121 @@ export function WarehousesSettingsPage() {
         breadcrumbs={[{ label: "Settings" }, { label: "Warehouses" }]}
         title="Warehouses"
         subtitle="Configure warehouse master records used across operations."
-        rightSlot={<Button onClick={openCreate}>New</Button>}
+        rightSlot={activeTab === "warehouses" ? <Button onClick={openCreate}>New</Button> : undefined}
       />
       <SettingsTabs />
 
-      <div className="rounded-xl border bg-white p-6">
-        <div className="mb-4 grid gap-3 md:grid-cols-3">
-          <Input
-            placeholder="Search by warehouse name or code"
-            value={search}
-            onChange={(event) => setSearch(event.target.value)}
-          />
-          <select
-            className="h-9 w-full rounded-md border bg-white px-3 py-2 text-sm outline-none focus:border-slate-300"
-            value={statusFilter}
-            onChange={(e) => setStatusFilter(e.target.value as StatusFilter)}
-          >
-            <option value="all">All Status</option>
-            <option value="active">Active</option>
-            <option value="inactive">Inactive</option>
-          </select>
-          <select
-            className="h-9 w-full rounded-md border bg-white px-3 py-2 text-sm outline-none focus:border-slate-300"
-            value={sortKey}
-            onChange={(e) => setSortKey(e.target.value as SortKey)}
-          >
-            <option value="created_desc">Newest</option>
-            <option value="created_asc">Oldest</option>
-            <option value="code_asc">Warehouse Code</option>
-            <option value="name_asc">Name</option>
-          </select>
-        </div>
+      <Tabs value={activeTab} onValueChange={(value) => setActiveTab(value as PageTab)}>
+        <TabsList className="mb-4">
+          <TabsTrigger value="warehouses">Warehouses</TabsTrigger>
+          <TabsTrigger value="locations">Locations</TabsTrigger>
+        </TabsList>
 
-        {loadError ? (
-          <ErrorState title="Failed to load warehouses." message={loadError} onRetry={() => void loadRows()} />
-        ) : (
-          <DataTable
-            rows={filteredRows}
-            emptyText={loadingRows ? "Loading warehouses..." : "No warehouses found."}
-            rowClassName="cursor-pointer hover:bg-slate-50"
-            columns={[
-            { key: "warehouse_code", label: "Warehouse Code", render: (row) => <span className="font-medium">{row.warehouse_code}</span> },
-            { key: "name", label: "Name", render: (row) => row.name },
-            { key: "status", label: "Status", render: (row) => <ActiveStatusBadge status={row.status} /> },
-            {
-              key: "actions",
-              label: "Actions",
-              render: (row) => (
-                <div className="flex items-center gap-2">
-                  <Button size="sm" variant="secondary" onClick={() => openEdit(row)} disabled={togglingId === row.id}>Edit</Button>
-                  <Button size="sm" variant="ghost" onClick={() => void toggleStatus(row)} disabled={togglingId === row.id}>
-                    {row.status === "active" ? "Deactivate" : "Activate"}
-                  </Button>
-                </div>
-              ),
-            },
-          ]}
-          />
-        )}
-      </div>
-
-      <Dialog open={open} onOpenChange={setOpen}>
-        <DialogContent>
-          <DialogHeader>
-            <DialogTitle>{editingId ? "Edit warehouse" : "New warehouse"}</DialogTitle>
-            <DialogDescription>Warehouse code and name are required.</DialogDescription>
-          </DialogHeader>
-          <div className="space-y-3">
-            <div className="space-y-1">
-              <label className="text-xs font-medium text-slate-600">Warehouse Code</label>
+        <TabsContent value="warehouses">
+          <div className="rounded-xl border bg-white p-6">
+            <div className="mb-4 grid gap-3 md:grid-cols-3">
               <Input
-                value={form.warehouse_code}
-                onChange={(e) => setForm((prev) => ({ ...prev, warehouse_code: e.target.value.toUpperCase() }))}
-                placeholder="e.g. ICN-01"
+                placeholder="Search by warehouse name or code"
+                value={search}
+                onChange={(event) => setSearch(event.target.value)}
               />
-              <p className="text-xs text-slate-500">Use 2-30 chars: A-Z, 0-9, underscore or hyphen.</p>
-            </div>
-            <div className="space-y-1">
-              <label className="text-xs font-medium text-slate-600">Name</label>
-              <Input value={form.name} onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))} />
-            </div>
-            <div className="space-y-1">
-              <label className="text-xs font-medium text-slate-600">Status</label>
               <select
                 className="h-9 w-full rounded-md border bg-white px-3 py-2 text-sm outline-none focus:border-slate-300"
-                value={form.status}
-                onChange={(e) => setForm((prev) => ({ ...prev, status: e.target.value as WarehouseStatus }))}
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value as StatusFilter)}
               >
+                <option value="all">All Status</option>
                 <option value="active">Active</option>
                 <option value="inactive">Inactive</option>
               </select>
+              <select
+                className="h-9 w-full rounded-md border bg-white px-3 py-2 text-sm outline-none focus:border-slate-300"
+                value={sortKey}
+                onChange={(e) => setSortKey(e.target.value as SortKey)}
+              >
+                <option value="created_desc">Newest</option>
+                <option value="created_asc">Oldest</option>
+                <option value="code_asc">Warehouse Code</option>
+                <option value="name_asc">Name</option>
+              </select>
             </div>
-            {fieldError && <p className="text-xs text-red-600">{fieldError}</p>}
+
+            {loadError ? (
+              <ErrorState title="Failed to load warehouses." message={loadError} onRetry={() => void loadRows()} />
+            ) : (
+              <DataTable
+                rows={filteredRows}
+                emptyText={loadingRows ? "Loading warehouses..." : "No warehouses found."}
+                rowClassName="cursor-pointer hover:bg-slate-50"
+                columns={[
+                { key: "warehouse_code", label: "Warehouse Code", render: (row) => <span className="font-medium">{row.warehouse_code}</span> },
+                { key: "name", label: "Name", render: (row) => row.name },
+                { key: "status", label: "Status", render: (row) => <ActiveStatusBadge status={row.status} /> },
+                {
+                  key: "actions",
+                  label: "Actions",
+                  render: (row) => (
+                    <div className="flex items-center gap-2">
+                      <Button size="sm" variant="secondary" onClick={() => openEdit(row)} disabled={togglingId === row.id}>Edit</Button>
+                      <Button size="sm" variant="ghost" onClick={() => void toggleStatus(row)} disabled={togglingId === row.id}>
+                        {row.status === "active" ? "Deactivate" : "Activate"}
+                      </Button>
+                    </div>
+                  ),
+                },
+              ]}
+              />
+            )}
           </div>
-          <DialogFooter>
-            <Button variant="secondary" onClick={() => setOpen(false)}>Cancel</Button>
-            <Button onClick={() => void submit()} disabled={saving || !form.warehouse_code.trim() || !form.name.trim()}>
-              {saving ? "Saving..." : "Save"}
-            </Button>
-          </DialogFooter>
-        </DialogContent>
-      </Dialog>
+
+          <Dialog open={open} onOpenChange={setOpen}>
+            <DialogContent>
+              <DialogHeader>
+                <DialogTitle>{editingId ? "Edit warehouse" : "New warehouse"}</DialogTitle>
+                <DialogDescription>Warehouse code and name are required.</DialogDescription>
+              </DialogHeader>
+              <div className="space-y-3">
+                <div className="space-y-1">
+                  <label className="text-xs font-medium text-slate-600">Warehouse Code</label>
+                  <Input
+                    value={form.warehouse_code}
+                    onChange={(e) => setForm((prev) => ({ ...prev, warehouse_code: e.target.value.toUpperCase() }))}
+                    placeholder="e.g. ICN-01"
+                  />
+                  <p className="text-xs text-slate-500">Use 2-30 chars: A-Z, 0-9, underscore or hyphen.</p>
+                </div>
+                <div className="space-y-1">
+                  <label className="text-xs font-medium text-slate-600">Name</label>
+                  <Input value={form.name} onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))} />
+                </div>
+                <div className="space-y-1">
+                  <label className="text-xs font-medium text-slate-600">Status</label>
+                  <select
+                    className="h-9 w-full rounded-md border bg-white px-3 py-2 text-sm outline-none focus:border-slate-300"
+                    value={form.status}
+                    onChange={(e) => setForm((prev) => ({ ...prev, status: e.target.value as WarehouseStatus }))}
+                  >
+                    <option value="active">Active</option>
+                    <option value="inactive">Inactive</option>
+                  </select>
+                </div>
+                {fieldError && <p className="text-xs text-red-600">{fieldError}</p>}
+              </div>
+              <DialogFooter>
+                <Button variant="secondary" onClick={() => setOpen(false)}>Cancel</Button>
+                <Button onClick={() => void submit()} disabled={saving || !form.warehouse_code.trim() || !form.name.trim()}>
+                  {saving ? "Saving..." : "Save"}
+                </Button>
+              </DialogFooter>
+            </DialogContent>
+          </Dialog>
+          <AuditHistoryPanel entityType="warehouse" refreshKey={rows} />
+        </TabsContent>
+
+        <TabsContent value="locations">
+          <WarehouseLocationsPanel warehouses={rows} />
+        </TabsContent>
+      </Tabs>
     </section>
   );
 }
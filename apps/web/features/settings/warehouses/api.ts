@@ -1,10 +1,21 @@
-import { warehousesMock } from "@/features/settings/warehouses/mock";
-import type { Warehouse, WarehouseFormInput, WarehouseStatus } from "@/features/settings/warehouses/types";
+import { warehouseLocationsMock, warehousesMock } from "@/features/settings/warehouses/mock";
+import type {
+  LocationImportResult,
+  LocationType,
+  Warehouse,
+  WarehouseFormInput,
+  WarehouseLocation,
+  WarehouseLocationFormInput,
+  WarehouseStatus,
+} from "@/features/settings/warehouses/types";
 import { delay, requestJson, resolveToken, shouldUseFallback, shouldUseMockMode, type RequestOptions } from "@/features/settings/shared/http";
 
 const LATENCY_MS = 80;
 const CODE_REGEX = /^[A-Z0-9_-]{2,30}$/;
+const LOCATION_CODE_REGEX = /^[A-Z0-9][A-Z0-9._\-/]{0,99}$/;
+const LOCATION_TYPES: LocationType[] = ["pick", "reserve", "staging", "quarantine"];
 const mockDb: Warehouse[] = warehousesMock.map((item) => ({ ...item }));
+const mockLocations: WarehouseLocation[] = warehouseLocationsMock.map((item) => ({ ...item }));
 
 type RawWarehouse = {
   id: number | string;
@@ -199,3 +210,244 @@ export async function toggleWarehouseStatus(id: string, options?: RequestOptions
     throw error;
   }
 }
+
+type RawWarehouseLocation = {
+  id: number | string;
+  warehouse_id: number | string;
+  location_code: string;
+  zone?: string | null;
+  location_type?: string | null;
+  max_qty?: number | string | null;
+  max_cbm?: number | string | null;
+  max_weight_kg?: number | string | null;
+  status?: string | null;
+  on_hand_qty?: number | string | null;
+  created_at?: string | null;
+};
+
+function toNullableNumber(value: number | string | null | undefined) {
+  if (value === null || value === undefined || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function normalizeLocationType(value?: string | null): LocationType {
+  return LOCATION_TYPES.includes(value as LocationType) ? (value as LocationType) : "pick";
+}
+
+function mapRawLocation(raw: RawWarehouseLocation): WarehouseLocation {
+  return {
+    id: String(raw.id),
+    warehouse_id: String(raw.warehouse_id),
+    location_code: raw.location_code,
+    zone: raw.zone ?? null,
+    location_type: normalizeLocationType(raw.location_type),
+    max_qty: toNullableNumber(raw.max_qty),
+    max_cbm: toNullableNumber(raw.max_cbm),
+    max_weight_kg: toNullableNumber(raw.max_weight_kg),
+    status: normalizeStatus(raw.status),
+    on_hand_qty: Number(raw.on_hand_qty ?? 0),
+    created_at: raw.created_at ?? new Date().toISOString(),
+  };
+}
+
+function validateLocationInput(input: WarehouseLocationFormInput): WarehouseLocationFormInput {
+  const location_code = normalizeCode(input.location_code);
+  if (!location_code) throw new Error("Location code is required.");
+  if (!LOCATION_CODE_REGEX.test(location_code)) {
+    throw new Error("Location code may only use A-Z, 0-9, '.', '_', '-', '/' (max 100 chars).");
+  }
+  for (const [label, value] of [
+    ["Max qty", input.max_qty],
+    ["Max CBM", input.max_cbm],
+    ["Max weight", input.max_weight_kg],
+  ] as const) {
+    if (value !== null && value !== undefined && (!Number.isFinite(value) || value < 0)) {
+      throw new Error(`${label} must be a non-negative number.`);
+    }
+  }
+  if (input.max_qty !== null && input.max_qty !== undefined && !Number.isInteger(input.max_qty)) {
+    throw new Error("Max qty must be a whole number.");
+  }
+  return {
+    location_code,
+    zone: input.zone?.trim() || null,
+    location_type: input.location_type,
+    max_qty: input.max_qty ?? null,
+    max_cbm: input.max_cbm ?? null,
+    max_weight_kg: input.max_weight_kg ?? null,
+    status: input.status,
+  };
+}
+
+function assertLocationCodeUnique(warehouseId: string, code: string, exceptId?: string) {
+  const exists = mockLocations.some(
+    (item) => item.warehouse_id === warehouseId && item.location_code === code && item.id !== exceptId
+  );
+  if (exists) throw new Error("Location code already exists in this warehouse.");
+}
+
+async function listLocationsFromMock(warehouseId: string): Promise<WarehouseLocation[]> {
+  await delay(LATENCY_MS);
+  return clone(
+    mockLocations
+      .filter((item) => item.warehouse_id === warehouseId)
+      .sort((a, b) => a.location_code.localeCompare(b.location_code))
+  );
+}
+
+async function saveLocationInMock(
+  warehouseId: string,
+  input: WarehouseLocationFormInput,
+  id?: string
+): Promise<WarehouseLocation> {
+  const validated = validateLocationInput(input);
+  assertLocationCodeUnique(warehouseId, validated.location_code, id);
+  if (!id) {
+    const created: WarehouseLocation = {
+      id: `loc-${Date.now()}`,
+      warehouse_id: warehouseId,
+      location_code: validated.location_code,
+      zone: validated.zone ?? null,
+      location_type: validated.location_type,
+      max_qty: validated.max_qty ?? null,
+      max_cbm: validated.max_cbm ?? null,
+      max_weight_kg: validated.max_weight_kg ?? null,
+      status: validated.status,
+      on_hand_qty: 0,
+      created_at: new Date().toISOString(),
+    };
+    mockLocations.push(created);
+    return clone(created);
+  }
+  const idx = mockLocations.findIndex((item) => item.id === id);
+  if (idx < 0) throw new Error("Location not found.");
+  if (validated.status === "inactive" && mockLocations[idx].on_hand_qty > 0) {
+    throw new Error(`Location still holds ${mockLocations[idx].on_hand_qty} units of stock`);
+  }
+  const updated: WarehouseLocation = {
+    ...mockLocations[idx],
+    location_code: validated.location_code,
+    zone: validated.zone ?? null,
+    location_type: validated.location_type,
+    max_qty: validated.max_qty ?? null,
+    max_cbm: validated.max_cbm ?? null,
+    max_weight_kg: validated.max_weight_kg ?? null,
+    status: validated.status,
+  };
+  mockLocations[idx] = updated;
+  return clone(updated);
+}
+
+async function deleteLocationInMock(id: string) {
+  const idx = mockLocations.findIndex((item) => item.id === id);
+  if (idx < 0) throw new Error("Location not found.");
+  if (mockLocations[idx].on_hand_qty > 0) {
+    throw new Error(`Location still holds ${mockLocations[idx].on_hand_qty} units of stock`);
+  }
+  mockLocations.splice(idx, 1);
+}
+
+async function importLocationsInMock(warehouseId: string, csv: string, dryRun: boolean): Promise<LocationImportResult> {
+  await delay(LATENCY_MS);
+  const [headerLine, ...lines] = csv.split(/\r?\n/).filter((line) => line.trim());
+  const header = (headerLine ?? "").split(",").map((cell) => cell.trim().toLowerCase());
+  if (!header.includes("location_code")) throw new Error("Header must include location_code");
+
+  const result: LocationImportResult = { created: 0, updated: 0, unchanged: 0, dry_run: dryRun };
+  const inputs = lines.map((line, index) => {
+    const cells = line.split(",").map((cell) => cell.trim());
+    const record = Object.fromEntries(header.map((column, columnIndex) => [column, cells[columnIndex] ?? ""]));
+    try {
+      return validateLocationInput({
+        location_code: record.location_code ?? "",
+        zone: record.zone || null,
+        location_type: normalizeLocationType(record.location_type || "pick"),
+        max_qty: toNullableNumber(record.max_qty),
+        max_cbm: toNullableNumber(record.max_cbm),
+        max_weight_kg: toNullableNumber(record.max_weight_kg),
+        status: normalizeStatus(record.status || "active"),
+      });
+    } catch (error) {
+      throw new Error(`line ${index + 2}: ${error instanceof Error ? error.message : "invalid row"}`);
+    }
+  });
+
+  for (const input of inputs) {
+    const existing = mockLocations.find(
+      (item) => item.warehouse_id === warehouseId && item.location_code === input.location_code
+    );
+    if (existing) result.updated += 1;
+    else result.created += 1;
+    if (!dryRun) await saveLocationInMock(warehouseId, input, existing?.id);
+  }
+  return result;
+}
+
+function toLocationBody(input: WarehouseLocationFormInput) {
+  return JSON.stringify({
+    location_code: input.location_code,
+    zone: input.zone ?? null,
+    location_type: input.location_type,
+    max_qty: input.max_qty ?? null,
+    max_cbm: input.max_cbm ?? null,
+    max_weight_kg: input.max_weight_kg ?? null,
+    status: input.status,
+  });
+}
+
+export async function listWarehouseLocations(warehouseId: string, options?: RequestOptions): Promise<WarehouseLocation[]> {
+  const token = await resolveToken(options?.token);
+  if (shouldUseMockMode()) return listLocationsFromMock(warehouseId);
+
+  try {
+    const rows = await requestJson<RawWarehouseLocation[]>(`/warehouses/${warehouseId}/locations`, undefined, options);
+    return rows.map(mapRawLocation);
+  } catch (error) {
+    if (shouldUseFallback(token)) return listLocationsFromMock(warehouseId);
+    throw error;
+  }
+}
+
+export async function saveWarehouseLocation(
+  warehouseId: string,
+  input: WarehouseLocationFormInput,
+  locationId?: string,
+  options?: RequestOptions
+): Promise<WarehouseLocation> {
+  if (shouldUseMockMode()) return saveLocationInMock(warehouseId, input, locationId);
+
+  const validated = validateLocationInput(input);
+  const saved = await requestJson<RawWarehouseLocation>(
+    locationId ? `/warehouses/${warehouseId}/locations/${locationId}` : `/warehouses/${warehouseId}/locations`,
+    { method: locationId ? "PUT" : "POST", body: toLocationBody(validated) },
+    options
+  );
+  return mapRawLocation(saved);
+}
+
+export async function deleteWarehouseLocation(warehouseId: string, locationId: string, options?: RequestOptions) {
+  if (shouldUseMockMode()) return deleteLocationInMock(locationId);
+
+  await requestJson<{ id: number }>(`/warehouses/${warehouseId}/locations/${locationId}`, { method: "DELETE" }, options);
+}
+
+export async function importWarehouseLocations(
+  warehouseId: string,
+  csv: string,
+  dryRun: boolean,
+  options?: RequestOptions
+): Promise<LocationImportResult> {
+  if (shouldUseMockMode()) return importLocationsInMock(warehouseId, csv, dryRun);
+
+  return requestJson<LocationImportResult>(
+    `/warehouses/${warehouseId}/locations/import`,
+    { method: "POST", body: JSON.stringify({ csv, dry_run: dryRun }) },
+    options
+  );
+}
+
+export function getLocationLabelsUrl(warehouseId: string, locationIds: string[] = []) {
+  const query = locationIds.length > 0 ? `?ids=${locationIds.map(encodeURIComponent).join(",")}` : "";
+  return `/api/proxy/warehouses/${warehouseId}/locations/labels${query}`;
+}
@@ -1,4 +1,4 @@
-import type { Warehouse } from "@/features/settings/warehouses/types";
+import type { Warehouse, WarehouseLocation } from "@/features/settings/warehouses/types";
 
 export const warehousesMock: Warehouse[] = [
   {
@@ -23,3 +23,58 @@ export const warehousesMock: Warehouse[] = [
     created_at: "2026-02-17T08:00:00Z",
   },
 ];
+
+export const warehouseLocationsMock: WarehouseLocation[] = [
+  {
+    id: "loc-1",
+    warehouse_id: "wh-1",
+    location_code: "A-01-01",
+    zone: "A",
+    location_type: "pick",
+    max_qty: 200,
+    max_cbm: 1.2,
+    max_weight_kg: 500,
+    status: "active",
+    on_hand_qty: 84,
+    created_at: "2026-02-15T08:00:00Z",
+  },
+  {
+    id: "loc-2",
+    warehouse_id: "wh-1",
+    location_code: "R-01-01",
+    zone: "R",
+    location_type: "reserve",
+    max_qty: null,
+    max_cbm: 4,
+    max_weight_kg: 1500,
+    status: "active",
+    on_hand_qty: 0,
+    created_at: "2026-02-15T08:00:00Z",
+  },
+  {
+    id: "loc-3",
+    warehouse_id: "wh-1",
+    location_code: "Q-01",
+    zone: "QC",
+    location_type: "quarantine",
+    max_qty: null,
+    max_cbm: null,
+    max_weight_kg: null,
+    status: "active",
+    on_hand_qty: 0,
+    created_at: "2026-02-15T08:00:00Z",
+  },
+  {
+    id: "loc-4",
+    warehouse_id: "wh-2",
+    location_code: "STG-01",
+    zone: "DOCK",
+    location_type: "staging",
+    max_qty: null,
+    max_cbm: 10,
+    max_weight_kg: null,
+    status: "active",
+    on_hand_qty: 0,
+    created_at: "2026-02-16T08:00:00Z",
+  },
+];
@@ -13,3 +13,36 @@ export type WarehouseFormInput = {
   name: string;
   status?: WarehouseStatus;
 };
+
+export type LocationType = "pick" | "reserve" | "staging" | "quarantine";
+
+export type WarehouseLocation = {
+  id: string;
+  warehouse_id: string;
+  location_code: string;
+  zone: string | null;
+  location_type: LocationType;
+  max_qty: number | null;
+  max_cbm: number | null;
+  max_weight_kg: number | null;
+  status: WarehouseStatus;
+  on_hand_qty: number;
+  created_at: string;
+};
+
+export type WarehouseLocationFormInput = {
+  location_code: string;
+  zone?: string | null;
+  location_type: LocationType;
+  max_qty?: number | null;
+  max_cbm?: number | null;
+  max_weight_kg?: number | null;
+  status: WarehouseStatus;
+};
+
+export type LocationImportResult = {
+  created: number;
+  updated: number;
+  unchanged: number;
+  dry_run: boolean;
+};
@@ -1 +1,2 @@
 export const AUTH_COOKIE_KEY = "kb3pl_token";
+export const REFRESH_COOKIE_KEY = "kb3pl_refresh_token";
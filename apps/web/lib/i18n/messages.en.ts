@@ -38,6 +38,13 @@ export const messagesEn = {
     trendCardDesc: "Track CBM/Pallet/SKU totals by day, week, or month.",
     billingCardDesc: "Preview monthly storage charges by warehouse and client.",
     capacityCardDesc: "Monitor warehouse usage status and risk alerts.",
+    expiryTitle: "Lot Expiry",
+    expiryDesc: "On-hand qty of lots expired or expiring within 90 days.",
+    expiryExpired: "Expired",
+    expiryWithin30: "≤30d",
+    expiryWithin60: "31-60d",
+    expiryWithin90: "61-90d",
+    expiryLoadError: "Failed to load expiry summary.",
   },
   trend: {
     title: "Storage Trend",
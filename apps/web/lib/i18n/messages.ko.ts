@@ -38,6 +38,13 @@ export const messagesKo = {
     trendCardDesc: "일/주/월 단위 CBM/팔레트/SKU 합계를 확인합니다.",
     billingCardDesc: "창고/화주별 월 보관요금을 미리 계산합니다.",
     capacityCardDesc: "창고 사용률과 위험 알림을 확인합니다.",
+    expiryTitle: "유통기한",
+    expiryDesc: "만료되었거나 90일 이내 만료되는 LOT의 재고 수량입니다.",
+    expiryExpired: "만료",
+    expiryWithin30: "30일 이내",
+    expiryWithin60: "31-60일",
+    expiryWithin90: "61-90일",
+    expiryLoadError: "유통기한 현황을 불러오지 못했습니다.",
   },
   trend: {
     title: "보관 추이",
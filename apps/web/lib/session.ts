@@ -0,0 +1,106 @@
+import { AUTH_COOKIE_KEY, REFRESH_COOKIE_KEY } from "@/lib/auth";
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL ?? "http://localhost:3100";
+
+// The refresh cookie is scoped to every server route that forwards API calls (/api/proxy, /api/dashboard).
+const REFRESH_COOKIE_PATH = "/api";
+const LEGACY_REFRESH_COOKIE_PATH = "/api/proxy";
+
+export type TokenPair = { token?: string; refreshToken?: string; refreshExpiresAt?: string };
+
+export function readTokenPair(text: string): TokenPair | null {
+  try {
+    const parsed = JSON.parse(text) as { data?: TokenPair };
+    return parsed?.data?.token ? parsed.data : null;
+  } catch {
+    return null;
+  }
+}
+
+function appendLegacyRefreshCookieRemoval(headers: Headers) {
+  headers.append(
+    "set-cookie",
+    `${REFRESH_COOKIE_KEY}=; Path=${LEGACY_REFRESH_COOKIE_PATH}; Max-Age=0; HttpOnly; SameSite=Strict; Secure`
+  );
+}
+
+export function appendSessionCookies(headers: Headers, pair: TokenPair) {
+  const refreshMaxAge = pair.refreshExpiresAt
+    ? Math.max(0, Math.floor((new Date(pair.refreshExpiresAt).getTime() - Date.now()) / 1000))
+    : 28800;
+  headers.append(
+    "set-cookie",
+    `${AUTH_COOKIE_KEY}=${encodeURIComponent(pair.token ?? "")}; Path=/; Max-Age=${refreshMaxAge}; SameSite=Lax; Secure`
+  );
+  if (pair.refreshToken) {
+    headers.append(
+      "set-cookie",
+      `${REFRESH_COOKIE_KEY}=${encodeURIComponent(pair.refreshToken)}; Path=${REFRESH_COOKIE_PATH}; Max-Age=${refreshMaxAge}; HttpOnly; SameSite=Strict; Secure`
+    );
+    // A cookie left on the old, narrower path would be sent first and replay a rotated token.
+    appendLegacyRefreshCookieRemoval(headers);
+  }
+}
+
+export function appendClearedSessionCookies(headers: Headers) {
+  headers.append("set-cookie", `${AUTH_COOKIE_KEY}=; Path=/; Max-Age=0; SameSite=Lax; Secure`);
+  headers.append(
+    "set-cookie",
+    `${REFRESH_COOKIE_KEY}=; Path=${REFRESH_COOKIE_PATH}; Max-Age=0; HttpOnly; SameSite=Strict; Secure`
+  );
+  appendLegacyRefreshCookieRemoval(headers);
+}
+
+// The refresh token stays in the HttpOnly cookie; browser code only gets the access token.
+export function stripRefreshToken(text: string) {
+  try {
+    const parsed = JSON.parse(text) as { data?: TokenPair };
+    if (!parsed?.data?.refreshToken) return text;
+    delete parsed.data.refreshToken;
+    return JSON.stringify(parsed);
+  } catch {
+    return text;
+  }
+}
+
+// Parallel requests that hit an expired access token share one refresh per refresh token.
+const pendingRefreshes = new Map<string, Promise<TokenPair | null>>();
+
+async function requestRefresh(refreshToken: string): Promise<TokenPair | null> {
+  const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ refresh_token: refreshToken }),
+    cache: "no-store",
+  });
+  if (!response.ok) return null;
+  return readTokenPair(await response.text());
+}
+
+function refreshSession(refreshToken: string): Promise<TokenPair | null> {
+  let pending = pendingRefreshes.get(refreshToken);
+  if (!pending) {
+    pending = requestRefresh(refreshToken).finally(() => pendingRefreshes.delete(refreshToken));
+    pendingRefreshes.set(refreshToken, pending);
+  }
+  return pending;
+}
+
+// Expired access token: rotate the refresh token once and replay the request with the new one.
+// Callers must append the session cookies for `refreshed` to their response.
+export async function sendWithRefresh(
+  headers: Headers,
+  refreshToken: string | undefined,
+  send: () => Promise<Response>
+): Promise<{ response: Response; refreshed: TokenPair | null }> {
+  let response = await send();
+  let refreshed: TokenPair | null = null;
+  if (response.status === 401 && refreshToken) {
+    refreshed = await refreshSession(refreshToken);
+    if (refreshed?.token) {
+      headers.set("authorization", `Bearer ${refreshed.token}`);
+      response = await send();
+    }
+  }
+  return { response, refreshed };
+}